@@ -0,0 +1,234 @@
+// ============================================================================
+// ANNOTATED MULTI-LINE LOGIC FORMAT
+// ============================================================================
+//
+// One condition per line, with # comments, blank lines, [Core] / [Alt N]
+// section headers ([Value N] for leaderboard values) and optional labels:
+//
+//   # Player is in the boss room
+//   [Core]
+//   inBoss: 0xH1234=5
+//   0xH1235>d0xH1235
+//
+//   [Alt 1]
+//   0xH2000=1
+
+import { splitLogicSections } from './parsing.js';
+import { joinLogicSections } from './sections.js';
+
+const HEADER_PATTERN = /^\[\s*(core|alt\s*(\d+)|value\s*(\d+))\s*\]$/i;
+// Labels need at least two characters so they never collide with flags like "A:"
+const LABEL_PATTERN = /^([A-Za-z_][\w-]+)\s*:\s*/;
+
+/**
+ * Checks if text is in the annotated multi-line format rather than a compact string
+ * @param {string} text - The text to check
+ * @returns {boolean} Whether the text should be compiled first
+ */
+export function isAnnotatedLogic(text) {
+  const trimmed = text.trim();
+  return trimmed.includes('\n') || /^[#[]/.test(trimmed) || LABEL_PATTERN.test(trimmed);
+}
+
+/**
+ * Compiles annotated source into the canonical compact logic string
+ * Each emitted segment remembers where it came from so problems can be shown in the source
+ * @param {string} text - Annotated source
+ * @param {string} separator - Group separator (S for triggers, $ for leaderboard values)
+ * @returns {Object} { logic, segments } - segments hold text, offset, label, comments, lineOffset, lineLength
+ *   and single; comments is null or { before, inline, after } with the # comments around the condition
+ */
+export function compileAnnotatedLogic(text, separator = 'S') {
+  const sections = [[]];
+  let current = 0;
+  let lineOffset = 0;
+  // Comment lines wait for the next condition; the ones before a header or the end stay on the last one
+  let pendingComments = [];
+  let lastPiece = null;
+
+  const commentsOf = (piece) => {
+    if (!piece.comments) piece.comments = { before: [], inline: '', after: [] };
+    return piece.comments;
+  };
+  const useSection = (section) => {
+    while (sections.length <= section) sections.push([]);
+    current = section;
+  };
+
+  text.split('\n').forEach((rawLine) => {
+    const lineStart = lineOffset;
+    lineOffset += rawLine.length + 1;
+
+    const commentIdx = rawLine.indexOf('#');
+    const content = commentIdx > -1 ? rawLine.slice(0, commentIdx) : rawLine;
+    const comment = commentIdx > -1 ? rawLine.slice(commentIdx).trim() : '';
+    const trimmed = content.trim();
+    if (!trimmed) {
+      if (comment) pendingComments.push(comment);
+      return;
+    }
+
+    const headerMatch = trimmed.match(HEADER_PATTERN);
+    if (headerMatch) {
+      // Comments above a header close the section before it
+      if (pendingComments.length > 0 && lastPiece) {
+        commentsOf(lastPiece).after = pendingComments;
+        pendingComments = [];
+      }
+      if (headerMatch[2] !== undefined) useSection(parseInt(headerMatch[2], 10));
+      else if (headerMatch[3] !== undefined) useSection(Math.max(0, parseInt(headerMatch[3], 10) - 1));
+      else useSection(0);
+      if (comment) pendingComments.push(comment);
+      return;
+    }
+
+    let bodyOffset = lineStart + content.indexOf(trimmed);
+    let body = trimmed;
+    let label = '';
+    const labelMatch = trimmed.match(LABEL_PATTERN);
+    if (labelMatch) {
+      label = labelMatch[1];
+      bodyOffset += labelMatch[0].length;
+      body = trimmed.slice(labelMatch[0].length);
+    }
+
+    // A line may still hold several "_" conditions, or even start new groups
+    const pieces = [];
+    let pieceOffset = bodyOffset;
+    splitLogicSections(body, separator).forEach((sectionText, idx) => {
+      if (idx > 0) {
+        useSection(sections.length);
+        pieceOffset += 1;
+      }
+      sectionText.split('_').forEach((pieceText) => {
+        const piece = { text: pieceText, offset: pieceOffset, section: current };
+        pieces.push(piece);
+        sections[current].push(piece);
+        pieceOffset += pieceText.length + 1;
+      });
+    });
+
+    pieces.forEach((piece, idx) => {
+      piece.label = idx === 0 ? label : '';
+      piece.comments = null;
+      piece.lineOffset = lineStart;
+      piece.lineLength = rawLine.length;
+      piece.single = pieces.length === 1;
+    });
+
+    // Comments waiting above the line go before its first condition, a trailing one after its last
+    if (pendingComments.length > 0) {
+      commentsOf(pieces[0]).before = pendingComments;
+      pendingComments = [];
+    }
+    lastPiece = pieces[pieces.length - 1];
+    if (comment) commentsOf(lastPiece).inline = comment;
+  });
+
+  if (pendingComments.length > 0 && lastPiece) {
+    commentsOf(lastPiece).after = pendingComments;
+  }
+
+  // Segments are listed in the same order the parser walks them
+  const segments = sections.flat();
+  const logic = joinLogicSections(
+    sections.map((pieces) => pieces.map((piece) => piece.text.trim())),
+    separator,
+  );
+  return { logic, segments };
+}
+
+/**
+ * Maps a parse of compiled logic back onto the annotated source
+ * Labels and comments are attached to their conditions and diagnostic offsets point into the source
+ * @param {Object} compiled - Result of compileAnnotatedLogic
+ * @param {Object} parsed - Result of parseLogicStringWithDiagnostics on compiled.logic
+ * @returns {Object} { conditions, diagnostics }
+ */
+export function applyAnnotatedSourceMap(compiled, parsed) {
+  const badSegments = new Set(parsed.diagnostics.map((d) => d.segment));
+
+  let conditionIdx = 0;
+  const conditions = parsed.conditions.map((condition) => ({ ...condition }));
+  compiled.segments.forEach((segment, idx) => {
+    if (badSegments.has(idx)) return;
+    const condition = conditions[conditionIdx++];
+    if (condition && segment.label) condition.label = segment.label;
+    if (condition && segment.comments) condition.comments = segment.comments;
+  });
+
+  const diagnostics = parsed.diagnostics.map((diagnostic) => {
+    const segment = compiled.segments[diagnostic.segment];
+    if (!segment) return diagnostic;
+    return { ...diagnostic, offset: segment.offset, length: segment.text.length };
+  });
+
+  return { conditions, diagnostics };
+}
+
+/**
+ * Removes the source lines (or line parts) named by diagnostics from annotated source
+ * @param {string} text - The annotated source the diagnostics were produced from
+ * @param {Object} compiled - Result of compileAnnotatedLogic for the same text
+ * @param {Array} diagnostics - Source-mapped diagnostics to discard
+ * @returns {string} Annotated source without those conditions
+ */
+export function removeAnnotatedSegments(text, compiled, diagnostics) {
+  let result = text;
+  [...diagnostics]
+    .map((diagnostic) => compiled.segments[diagnostic.segment])
+    .filter(Boolean)
+    .sort((a, b) => b.offset - a.offset)
+    .forEach((segment) => {
+      let start = segment.offset;
+      let end = segment.offset + segment.text.length;
+      if (segment.single) {
+        // Drop the whole line, including its label and trailing comment
+        start = segment.lineOffset;
+        end = Math.min(result.length, segment.lineOffset + segment.lineLength + 1);
+      } else if (result[end] === '_') {
+        end++;
+      } else if (result[start - 1] === '_') {
+        start--;
+      }
+      result = result.slice(0, start) + result.slice(end);
+    });
+  return result;
+}
+
+/**
+ * Formats a compact logic string as annotated source
+ * Annotations are matched to the logic's lines in order, so a line that appears twice keeps each one's
+ * label and comments; annotations whose line is no longer in the logic are skipped
+ * @param {string} logic - The compact logic string
+ * @param {string} separator - Group separator (S for triggers, $ for leaderboard values)
+ * @param {Array} annotations - Optional list per section of { text, label, comments } in line order
+ * @returns {string} Annotated source with one condition per line
+ */
+export function formatAnnotatedLogic(logic, separator = 'S', annotations = []) {
+  const blocks = [];
+  splitLogicSections(logic.trim(), separator).forEach((sectionText, section) => {
+    if (section > 0 && !sectionText) return;
+
+    let header = section === 0 ? '[Core]' : `[Alt ${section}]`;
+    if (separator === '$') header = `[Value ${section + 1}]`;
+
+    const pending = annotations[section] || [];
+    let next = 0;
+    const lines = [];
+    sectionText
+      .split('_')
+      .filter((line) => line !== '')
+      .forEach((line) => {
+        const found = pending.findIndex((annotation, idx) => idx >= next && annotation.text === line);
+        const annotation = found > -1 ? pending[found] : {};
+        if (found > -1) next = found + 1;
+
+        const comments = annotation.comments || { before: [], inline: '', after: [] };
+        const text = annotation.label ? `${annotation.label}: ${line}` : line;
+        lines.push(...comments.before, comments.inline ? `${text}  ${comments.inline}` : text, ...comments.after);
+      });
+    blocks.push([header, ...lines].join('\n'));
+  });
+  return blocks.join('\n\n') + '\n';
+}
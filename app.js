@@ -9,10 +9,23 @@ import {
   BIT_TYPES,
   FOUR_BIT_TYPES,
   OPERAND_FLAGS,
-  sizeMapForText
+  MEMORY_TYPES,
+  SIZE_OPTIONS
 } from './core-constants.js';
-import { validateTypeChange, canExpand } from './validation.js';
-import { parseBaseLogic } from './parsing.js';
+import { validateTypeChange, canExpand, isValidConditionField } from './validation.js';
+import {
+  parseLogicStringWithDiagnostics,
+  parseBaseLogicWithDiagnostics,
+  parseLineToCondition,
+  removeLogicSegments
+} from './parsing.js';
+import {
+  isAnnotatedLogic,
+  compileAnnotatedLogic,
+  applyAnnotatedSourceMap,
+  removeAnnotatedSegments,
+  formatAnnotatedLogic
+} from './annotated-format.js';
 import { 
   getGroupLines, 
   isGroupLeader, 
@@ -37,16 +50,97 @@ import {
   cancelExpansion, 
   cancelLineCustomization,
   confirmExpansion,
-  convertBitfieldConditionToText
+  convertBitfieldConditionToText,
+  generateArithmeticLine,
+  checkLineFormula,
+  checkLineIncrement,
+  checkLineValueList,
+  checkLineStructSlots,
+  generateValueListLine,
+  generateStructLine,
+  getCustomSelections,
+  createExpansionRecipe,
+  restoreExpansionFromRecipe,
+  findLineRun,
+  combineExpansionGroups,
+  OUTPUT_MODES
 } from './expansion-system.js';
+import { toConstantText } from './values.js';
 import { 
   renderBitfieldConditions, 
   flashTypeDropdown,
-  formatConditionDisplay 
+  formatConditionDisplay,
+  renderParseDiagnostics,
+  escapeHtml
 } from './html-renderer.js';
 import { compressBits, calculateCompressionSavings } from './compression.js';
 import { applyDeltaMemCheck, applyAndOrNextCheck } from './delta-mem-check.js';
 import { applyRROptimization } from './rr-optimization.js';
+import {
+  syncSectionsFromConditions,
+  addAltSection,
+  removeAltSection,
+  getSectionConditions,
+  getSectionLabel,
+  distributeAltGroups,
+  joinLogicSections
+} from './sections.js';
+import {
+  createLeaderboardState,
+  isLeaderboardString,
+  getPartSeparator,
+  parseLeaderboardString,
+  isLegacyValue,
+  convertLegacyValue,
+  buildLeaderboardString,
+  switchLeaderboardPart,
+  renderLeaderboardPartTabs
+} from './leaderboard.js';
+import {
+  createRichPresenceState,
+  parseRichPresence,
+  serializeRichPresence,
+  getTargetLogic,
+  setTargetLogic,
+  buildLookupFromExpansion,
+  renderRichPresencePanel,
+  addRichPresenceItem,
+  removeRichPresenceItem,
+  updateRichPresenceItem
+} from './rich-presence.js';
+import {
+  parseUserFile,
+  serializeUserFile,
+  setUserFileMemAddr,
+  renderUserFileList
+} from './user-file.js';
+import { parseGameJson, renderGameJsonList } from './game-json.js';
+import {
+  buildSectionItems,
+  buildLogicItems,
+  exportAchievementScript,
+  exportLeaderboardScript
+} from './rascript-export.js';
+import { explainLogic, renderExplanation } from './explain.js';
+import {
+  parseTimeline,
+  createSimulation,
+  stepSimulation,
+  runSimulation,
+  resetSimulation,
+  renderSimulation
+} from './simulator.js';
+import { checkEquivalence } from './equivalence.js';
+import { solveLogic, renderSolverResult } from './solver.js';
+import {
+  createScenario,
+  runScenarioSuite,
+  serializeScenarioSuites,
+  parseScenarioSuites,
+  renderScenarioSummary,
+  renderScenarioList
+} from './scenarios.js';
+import { LEADERBOARD_PARTS, LEADERBOARD_PART_LABELS } from './core-constants.js';
 import { 
   openLineCustomization,
   showCustomWarning,
@@ -66,8 +160,39 @@ import {
   toggleCustomAllUpperValidated,
   toggleCustomAllLowerValidated,
   toggleCustomStandardValidated,
-  toggleCustomAllStandardValidated
+  toggleCustomAllStandardValidated,
+  autoSelectCustomFromDump,
+  selectCustomAddress
 } from './custom-toggles.js';
+import { createRamDump, parseDumpBase, describeRamDump, readDumpValue, renderRamDumpList } from './ram-dump.js';
+import { searchMemory, renderSearchResults } from './memory-search.js';
+import {
+  createStruct,
+  createStructField,
+  applyStructReference,
+  getSlotReferences,
+  getStructSlotCount,
+  serializeStructs,
+  parseStructs,
+  renderStructEditor
+} from './structs.js';
+import {
+  parseCodeNotes,
+  getOperandNote,
+  findCodeNotes,
+  formatNoteAddress,
+  renderConditionNotes,
+  renderCodeNoteOptions,
+  describeCodeNotes
+} from './code-notes.js';
+import {
+  generateStructNotes,
+  generateExpansionNotes,
+  formatNotesAsText,
+  formatNotesAsJson,
+  compareWithCodeNotes
+} from './code-note-export.js';
+import { parseCsvColumns } from './value-lists.js';
 
 // ============================================================================
 // GLOBAL STATE
@@ -76,6 +201,38 @@ import {
 let bitfieldConditions = [];
 let bitfieldExpansions = new Map();
 let linkGroupColors = new Map();
+let bitfieldSections = ['Core'];
+let logicMode = 'achievement';
+let achievementLogic = '';
+let leaderboardState = createLeaderboardState();
+let richPresenceState = createRichPresenceState();
+let parseDiagnostics = [];
+let outputFormat = 'compact';
+let explainVisible = false;
+let simulation = null;
+let ramDumps = [];
+let ramDumpOverlayIndex = -1;
+let memorySearch = null;
+let codeNotes = null;
+let codeNotesName = '';
+let generatedNotes = [];
+let structs = [];
+let equivalenceResult = null;
+let scenarioSuites = {};
+let scenarioSuiteKey = 'achievement:draft';
+let scenarioResults = [];
+let scenarioRunTimer = null;
+let userFile = null;
+let userFileName = '';
+let activeUserFileIndex = null;
+// The open User.txt achievement's MemAddr and what the builder made of it, so unchanged logic is not rewritten
+let userFileLoaded = null;
+// What the builder made of the Rich Presence target it loaded, so an unedited target keeps its own text
+let richPresenceLoaded = null;
+let gameData = null;
+let parseDiagnosticsLogic = '';
+// The group whose panel was reopened, which gets its confirmed output back if the panel closes unconfirmed
+let reopenedLineId = null;
 
 // ============================================================================
 // CUSTOM EXPANSION GENERATION FUNCTIONS
@@ -93,70 +250,7 @@ function generateCustomLines(line, lineConfig, groupIdx) {
   if (!customData) return [];
 
   const lines = [];
-  const isBitType = [
-    'Bit0',
-    'Bit1',
-    'Bit2',
-    'Bit3',
-    'Bit4',
-    'Bit5',
-    'Bit6',
-    'Bit7',
-    'BitCount',
-  ].includes(line.size);
-  const is4BitType = ['Lower4', 'Upper4'].includes(line.size);
-
-  const sortedRowAddrs = Object.keys(customData.customRows)
-    .map((k) => parseInt(k))
-    .sort((a, b) => a - b);
-
-  let selections = [];
-
-  for (const rowBaseAddr of sortedRowAddrs) {
-    const rowData = customData.customRows[rowBaseAddr];
-
-    if (isBitType) {
-      const sortedOffsets = Object.keys(rowData)
-        .map((k) => parseInt(k))
-        .sort((a, b) => a - b);
-      for (const byteOffset of sortedOffsets) {
-        const byteData = rowData[byteOffset];
-        const addr = rowBaseAddr + byteOffset;
-
-        if (byteData.bitCount) {
-          selections.push({ addr, size: 'BitCount' });
-        } else if (byteData.bits && byteData.bits.length > 0) {
-          byteData.bits.forEach((bit) => {
-            selections.push({ addr, size: `Bit${bit}` });
-          });
-        }
-      }
-    } else if (is4BitType) {
-      for (let byteOffset = 0; byteOffset < 0x10; byteOffset++) {
-        const byteData = rowData[byteOffset];
-        const addr = rowBaseAddr + byteOffset;
-
-        if (byteData.upper) {
-          selections.push({ addr, size: 'Upper4' });
-        }
-        if (byteData.lower) {
-          selections.push({ addr, size: 'Lower4' });
-        }
-      }
-    } else {
-      const sortedOffsets = Object.keys(rowData)
-        .map((k) => parseInt(k))
-        .sort((a, b) => a - b);
-      for (const offset of sortedOffsets) {
-        const btnData = rowData[offset];
-        const addr = rowBaseAddr + offset;
-
-        if (btnData && btnData.active) {
-          selections.push({ addr, size: line.size });
-        }
-      }
-    }
-  }
+  const selections = getCustomSelections(line, customData);
 
   // Get the selection for this group index
   if (groupIdx < selections.length) {
@@ -225,7 +319,8 @@ function createConditionLine(condition, address, size, bit, expansion) {
   const sizePrefix = sizeMap[size] || '';
   line += `0x${sizePrefix}${address.toString(16).toUpperCase().padStart(4, '0')}`;
 
-  const isOperandFlag = ['A:', 'B:', 'I:', 'K:'].includes(condition.flag);
+  const isOperandFlag = ['A:', 'B:', 'I:', 'K:'].includes(condition.flag) ||
+    (condition.flag === 'M:' && !condition.cmp);
   if (
     !isOperandFlag ||
     (isOperandFlag && condition.cmp && condition.cmp !== '')
@@ -235,7 +330,7 @@ function createConditionLine(condition, address, size, bit, expansion) {
     if (condition.compareType === 'Recall') {
       line += '{recall}';
     } else if (condition.compareType === 'Value') {
-      line += condition.value;
+      line += toConstantText(condition.value);
     } else if (
       ['Mem', 'Delta', 'Prior', 'Invert', 'BCD', 'Float'].includes(
         condition.compareType,
@@ -267,18 +362,9 @@ function createConditionLine(condition, address, size, bit, expansion) {
 // ============================================================================
 
 /**
- * Updates the GUI from the base logic textarea
+ * Renders the condition list with the current application state
  */
-function updateGuiFromText() {
-  const parsed = parseBaseLogic();
-  
-  syncBitfieldFromText(
-    bitfieldConditions,
-    bitfieldExpansions,
-    parsed,
-    () => autoLinkAddressFlags(bitfieldConditions, linkGroupColors)
-  );
-  
+function renderAllConditions() {
   renderBitfieldConditions(
     bitfieldConditions,
     bitfieldExpansions,
@@ -290,8 +376,345 @@ function updateGuiFromText() {
     (lineId) => copyCondition(bitfieldConditions, lineId),
     (lineId) => removeBitfieldCondition(bitfieldConditions, bitfieldExpansions, linkGroupColors, lineId),
     expandCondition,
-    reopenExpansion
+    reopenExpansion,
+    bitfieldSections,
+    codeNotes
   );
+
+  // Keep the "Lookup from Expansion" choices in step with the builder
+  if (logicMode === 'richpresence') {
+    renderRichPresenceUi();
+  }
+  renderExplainUi();
+  scheduleScenarioRun();
+}
+
+/**
+ * Gets the group separator for whatever the builder is currently editing
+ * @returns {string} S for triggers, $ for a leaderboard value or Rich Presence macro
+ */
+function getActiveSeparator() {
+  if (logicMode === 'leaderboard') {
+    return getPartSeparator(leaderboardState.activePart);
+  }
+  if (logicMode === 'richpresence' && richPresenceState.target) {
+    return richPresenceState.target.macroIndex === null ? 'S' : '$';
+  }
+  return 'S';
+}
+
+/**
+ * Updates the GUI from the base logic textarea
+ * Expanded groups whose lines are still in the logic are rebuilt from their recipes
+ * @param {boolean|Array} keepRecipes - False when the textarea now holds a different achievement or part,
+ *   or the recipes to restore when they were collected before an earlier rebuild
+ */
+function updateGuiFromText(keepRecipes = true) {
+  const recipes = Array.isArray(keepRecipes) ? keepRecipes : keepRecipes ? collectExpansionRecipes() : [];
+
+  // A pasted STA:...::VAL:... string switches into leaderboard mode
+  const baseLogic = document.getElementById('baseLogic');
+  if (isLeaderboardString(baseLogic.value)) {
+    document.getElementById('leaderboardLogic').value = baseLogic.value.trim();
+    importLeaderboardWrapper();
+    return;
+  }
+
+  const separator = getActiveSeparator();
+  const { conditions: parsedLogic, diagnostics } = parseBaseLogicSource(separator);
+  reopenedLineId = null;
+  const altRestored = restoreAltRecipeSections(parsedLogic, recipes);
+  const restoredAlt = new Set(altRestored.runs.map(({ recipe }) => recipe));
+  const { conditions: parsed, runs } = restoreRecipeLines(altRestored.conditions, recipes.filter(({ recipe }) => !restoredAlt.has(recipe)));
+  altRestored.runs.forEach(({ first, length, recipe }) => {
+    runs.push({ start: parsed.indexOf(first), length, recipe, expanded: true });
+  });
+  parseDiagnostics = diagnostics;
+  parseDiagnosticsLogic = baseLogic.value;
+  if (diagnostics.length > 0) {
+    console.warn('Parse problems:', diagnostics);
+  }
+  
+  syncBitfieldFromText(
+    bitfieldConditions,
+    bitfieldExpansions,
+    parsed,
+    () => autoLinkAddressFlags(bitfieldConditions, linkGroupColors)
+  );
+  reapplyRecipeRuns(runs);
+  syncSectionsFromConditions(bitfieldSections, bitfieldConditions, separator);
+  
+  renderAllConditions();
+  renderParseDiagnosticsUi();
+}
+
+// ============================================================================
+// EXPANSION RECIPES
+// ============================================================================
+
+/**
+ * Collects the recipes of the groups in the builder
+ * @returns {Array} { recipe, expanded } per group that was expanded at some point
+ */
+function collectExpansionRecipes() {
+  return bitfieldConditions
+    .filter((condition) => condition.expansionRecipe)
+    .map((condition) => ({ recipe: condition.expansionRecipe, expanded: condition.expanded }));
+}
+
+/**
+ * Rewrites a line the way the builder writes it, so texts from different sources compare equal
+ * @param {string} text - Line text
+ * @returns {string} Normalized line text
+ */
+function normalizeLineText(text) {
+  const condition = parseLineToCondition(text);
+  return condition ? convertBitfieldConditionToText(condition) : text;
+}
+
+/**
+ * Puts recipe groups back in place of the lines they generated
+ * Generate Logic writes expanded lines into the logic, with or without Bit Compression; they are replaced
+ * by the group's base lines and expanded again. A group whose base lines are found instead keeps its recipe
+ * but stays collapsed, since the logic may hold its generated lines in a form that was not recognized.
+ * @param {Array} parsed - Parsed conditions
+ * @param {Array} recipes - From collectExpansionRecipes
+ * @returns {Object} { conditions, runs } - runs hold { start, length, recipe, expanded } by index into conditions
+ */
+function restoreRecipeLines(parsed, recipes) {
+  const lines = parsed.map((condition) => ({
+    text: convertBitfieldConditionToText(condition),
+    section: condition.section || 0,
+  }));
+  const usedIndexes = new Set();
+  const matches = [];
+
+  recipes.forEach(({ recipe, expanded }) => {
+    const baseConditions = recipe.baseLines.map((line) => parseLineToCondition(line.text));
+    if (baseConditions.some((condition) => !condition)) return;
+
+    const baseRun = baseConditions.map((condition) => convertBitfieldConditionToText(condition));
+    // Alt output is matched section by section in restoreAltRecipeSections
+    const candidates = expanded && !recipe.expandedAltGroups
+      ? [recipe.expandedLines, compressBits(recipe.expandedLines)].map((run) => ({ run: run.map(normalizeLineText), generated: true }))
+      : [];
+    candidates.push({ run: baseRun, generated: false });
+
+    const match = candidates
+      .map(({ run, generated }) => ({ start: findLineRun(lines, run, usedIndexes), length: run.length, generated }))
+      .find(({ start }) => start !== -1);
+    if (!match) {
+      console.log('Expansion recipe no longer matches the logic:', recipe.baseLines.map((line) => line.text).join('_'));
+      return;
+    }
+
+    for (let i = match.start; i < match.start + match.length; i++) usedIndexes.add(i);
+    matches.push({ ...match, recipe, baseConditions });
+  });
+
+  matches.sort((a, b) => a.start - b.start);
+  const conditions = [];
+  const runs = [];
+  let next = 0;
+  matches.forEach((match) => {
+    conditions.push(...parsed.slice(next, match.start));
+    runs.push({ start: conditions.length, length: match.baseConditions.length, recipe: match.recipe, expanded: match.generated });
+    if (match.generated) {
+      const section = lines[match.start].section;
+      match.baseConditions.forEach((condition, idx) => {
+        const { label, comments } = match.recipe.baseLines[idx];
+        conditions.push({ ...condition, section, label, comments });
+      });
+    } else {
+      conditions.push(...parsed.slice(match.start, match.start + match.length));
+    }
+    next = match.start + match.length;
+  });
+  conditions.push(...parsed.slice(next));
+  return { conditions, runs };
+}
+
+/**
+ * Finds a run of line texts in a section's conditions
+ * @param {Array} conditions - The section's conditions
+ * @param {Array} run - Normalized line texts
+ * @returns {Array|null} The section's other conditions, or null when the run is not there
+ */
+function removeLineRun(conditions, run) {
+  const texts = conditions.map((condition) => convertBitfieldConditionToText(condition));
+  for (let start = 0; start + run.length <= texts.length; start++) {
+    if (run.every((text, offset) => texts[start + offset] === text)) {
+      return [...conditions.slice(0, start), ...conditions.slice(start + run.length)];
+    }
+  }
+  return null;
+}
+
+/**
+ * Puts groups expanded into Alt groups back in place of the Alt groups they generated
+ * Generated groups are looked for in consecutive Alt groups that share the same other lines (see
+ * distributeAltGroups); those become one section again, the Core when the group came from the Core
+ * and nothing else is left, otherwise one Alt group holding the other lines and the base group
+ * @param {Array} parsed - Parsed conditions
+ * @param {Array} recipes - From collectExpansionRecipes
+ * @returns {Object} { conditions, runs } - runs hold { first, length, recipe }, first being the group's first condition
+ */
+function restoreAltRecipeSections(parsed, recipes) {
+  const altRecipes = recipes.filter(({ recipe, expanded }) => expanded && recipe.expandedAltGroups);
+  if (altRecipes.length === 0) return { conditions: parsed, runs: [] };
+
+  const sectionCount = parsed.reduce((max, condition) => Math.max(max, (condition.section || 0) + 1), 1);
+  const sections = Array.from({ length: sectionCount }, (_, section) => parsed.filter((condition) => (condition.section || 0) === section));
+  const runs = [];
+
+  altRecipes.forEach(({ recipe }) => {
+    const baseConditions = recipe.baseLines.map((line) => parseLineToCondition(line.text));
+    if (baseConditions.some((condition) => !condition)) return;
+    const groups = recipe.expandedAltGroups.map((group) => group.map(normalizeLineText));
+
+    let section = 1;
+    while (section + groups.length <= sections.length) {
+      const others = groups.map((group, idx) => removeLineRun(sections[section + idx], group));
+      const otherTexts = others.map((conditions) => conditions && conditions.map((condition) => convertBitfieldConditionToText(condition)).join('_'));
+      if (others.some((conditions) => !conditions) || otherTexts.some((text) => text !== otherTexts[0])) {
+        section++;
+        continue;
+      }
+
+      const baseGroup = baseConditions.map((condition, idx) => ({ ...condition, label: recipe.baseLines[idx].label, comments: recipe.baseLines[idx].comments }));
+      runs.push({ first: baseGroup[0], length: baseGroup.length, recipe });
+      if (others[0].length === 0 && recipe.section === 0) {
+        sections[0].push(...baseGroup);
+        sections.splice(section, groups.length);
+      } else {
+        sections.splice(section, groups.length, [...others[0], ...baseGroup]);
+        section++;
+      }
+    }
+  });
+
+  sections.forEach((conditions, section) => conditions.forEach((condition) => { condition.section = section; }));
+  return { conditions: sections.flat(), runs };
+}
+
+/**
+ * Relinks recipe groups after the builder was rebuilt and expands the ones that were expanded
+ * @param {Array} runs - From restoreRecipeLines, indexes into bitfieldConditions
+ */
+function reapplyRecipeRuns(runs) {
+  runs.forEach(({ start, length, recipe, expanded }) => {
+    const groupLines = bitfieldConditions.slice(start, start + length);
+    const groupId = groupLines[0].lineId;
+
+    // Auto-linking may have chained the group with its neighbours; it gets back exactly its own lines
+    bitfieldConditions.forEach((condition) => {
+      if (condition.groupId === groupId && !groupLines.includes(condition)) condition.groupId = condition.lineId;
+    });
+    groupLines.forEach((line, idx) => {
+      line.groupId = groupId;
+      const { memoryRef, valueRef } = recipe.baseLines[idx];
+      if (memoryRef) applyStructReference(structs, line, 'memory', memoryRef);
+      if (valueRef) applyStructReference(structs, line, 'value', valueRef);
+    });
+    if (groupLines.length > 1 && !linkGroupColors.has(groupId)) {
+      linkGroupColors.set(groupId, linkGroupColors.size % 2);
+    }
+
+    groupLines[0].expansionRecipe = recipe;
+    if (expanded) {
+      applyExpansionToGroup(groupLines, restoreExpansionFromRecipe(recipe, groupLines));
+    }
+  });
+}
+
+// ============================================================================
+// PARSE DIAGNOSTICS
+// ============================================================================
+
+/**
+ * Parses the base logic textarea, compiling annotated multi-line source first
+ * @param {string} separator - Group separator for the current builder target
+ * @returns {Object} { conditions, diagnostics } with offsets into the textarea value
+ */
+function parseBaseLogicSource(separator) {
+  const source = document.getElementById('baseLogic').value;
+  if (!isAnnotatedLogic(source)) {
+    return parseBaseLogicWithDiagnostics(separator);
+  }
+
+  const compiled = compileAnnotatedLogic(source, separator);
+  console.log('Compiled annotated source:', compiled.logic);
+  return applyAnnotatedSourceMap(compiled, parseLogicStringWithDiagnostics(compiled.logic, separator));
+}
+
+/**
+ * Renders the parse problems panel and blocks Generate Logic while problems remain
+ */
+function renderParseDiagnosticsUi() {
+  const separator = getActiveSeparator();
+  document.getElementById('parseDiagnostics').innerHTML = parseDiagnostics.length > 0
+    ? renderParseDiagnostics(parseDiagnosticsLogic, parseDiagnostics, (section) => getSectionLabel(section, separator))
+    : '';
+
+  const generateButton = document.querySelector('.generate-btn');
+  generateButton.disabled = parseDiagnostics.length > 0;
+  generateButton.title = parseDiagnostics.length > 0
+    ? 'Fix or discard the segments that could not be parsed first'
+    : '';
+}
+
+/**
+ * Gets the logic to store when leaving the current builder target
+ * While parse problems remain the textarea is kept as-is so the bad segments are not lost
+ * @returns {string} Logic string
+ */
+function getBuilderLogic() {
+  if (parseDiagnostics.length > 0) {
+    const source = document.getElementById('baseLogic').value;
+    return isAnnotatedLogic(source)
+      ? compileAnnotatedLogic(source, getActiveSeparator()).logic
+      : source.trim();
+  }
+  return buildLogicString();
+}
+
+function selectParseDiagnosticWrapper(index) {
+  const diagnostic = parseDiagnostics[index];
+  if (!diagnostic) return;
+
+  const baseLogic = document.getElementById('baseLogic');
+  baseLogic.focus();
+  baseLogic.setSelectionRange(diagnostic.offset, diagnostic.offset + diagnostic.length);
+}
+
+/**
+ * Removes bad segments from the base logic and re-parses it
+ * @param {Array} diagnostics - The diagnostics to discard
+ */
+function discardParseDiagnostics(diagnostics) {
+  const baseLogic = document.getElementById('baseLogic');
+
+  // Offsets only hold for the text they were produced from
+  if (baseLogic.value !== parseDiagnosticsLogic) {
+    console.warn('Base logic changed since it was parsed - re-parsing instead of discarding');
+    updateGuiFromText();
+    return;
+  }
+
+  const source = baseLogic.value;
+  baseLogic.value = isAnnotatedLogic(source)
+    ? removeAnnotatedSegments(source, compileAnnotatedLogic(source, getActiveSeparator()), diagnostics)
+    : removeLogicSegments(source, diagnostics);
+  updateGuiFromText();
+}
+
+function discardParseDiagnosticWrapper(index) {
+  if (!parseDiagnostics[index]) return;
+  discardParseDiagnostics([parseDiagnostics[index]]);
+}
+
+function discardAllParseDiagnosticsWrapper() {
+  discardParseDiagnostics(parseDiagnostics);
 }
 
 /**
@@ -311,20 +734,48 @@ function recomputeExpandState(lineId) {
 
 /**
  * Reopens an expansion
+ * The group goes back to its base lines and the panel is rebuilt from the group's recipe
  * @param {number} lineId - The line ID
  */
 function reopenExpansion(lineId) {
   const condition = bitfieldConditions.find((c) => c.lineId === lineId);
-  if (condition) {
-    // Reset ALL conditions in the group
-    const groupLines = getGroupLines(bitfieldConditions, condition.groupId);
-    groupLines.forEach((groupCondition) => {
-      groupCondition.expanded = false;
-      groupCondition.expandedLines = [];
-    });
-  }
+  if (!condition) return;
+
+  // Reset ALL conditions in the group
+  const groupLines = getGroupLines(bitfieldConditions, condition.groupId);
+  groupLines.forEach((groupCondition) => {
+    groupCondition.expanded = false;
+    groupCondition.expandedLines = [];
+    delete groupCondition.expandedAltGroups;
+  });
   delete bitfieldExpansions[lineId];
-  updateGuiFromText();
+  reopenedLineId = lineId;
+  expandCondition(lineId);
+}
+
+/**
+ * Gives a reopened group back the output it was confirmed with when its panel closes unconfirmed
+ * Nothing is restored once the group's base lines were edited, since the old output no longer matches them
+ * @param {number} lineId - The line ID of the panel being closed
+ */
+function restoreReopenedExpansion(lineId) {
+  if (reopenedLineId !== lineId) return;
+  reopenedLineId = null;
+
+  const condition = bitfieldConditions.find((c) => c.lineId === lineId);
+  if (!condition) return;
+  const groupLines = getGroupLines(bitfieldConditions, condition.groupId);
+  const recipe = groupLines[0].expansionRecipe;
+  const unchanged = recipe
+    && recipe.baseLines.length === groupLines.length
+    && recipe.baseLines.every((baseLine, idx) => baseLine.text === convertBitfieldConditionToText(groupLines[idx]));
+  if (!unchanged) return;
+
+  groupLines.forEach((groupCondition, index) => {
+    groupCondition.expanded = true;
+    groupCondition.expandedLines = index === 0 ? [...recipe.expandedLines] : [];
+  });
+  groupLines[0].expandedAltGroups = recipe.expandedAltGroups ? recipe.expandedAltGroups.map((group) => [...group]) : null;
 }
 
 // ============================================================================
@@ -332,28 +783,42 @@ function reopenExpansion(lineId) {
 // ============================================================================
 
 // Bitfield Operations
-function addBitfieldConditionWrapper() {
+function addBitfieldConditionWrapper(section = bitfieldSections.length - 1) {
   // Close any open expansions first
   Object.keys(bitfieldExpansions).forEach((id) => {
     delete bitfieldExpansions[id];
   });
   
-  addBitfieldCondition(bitfieldConditions);
+  addBitfieldCondition(bitfieldConditions, section);
   
   // Render directly without re-parsing from textarea
-  renderBitfieldConditions(
-    bitfieldConditions,
-    bitfieldExpansions,
-    linkGroupColors,
-    (lineId) => linkCondition(bitfieldConditions, linkGroupColors, lineId),
-    (lineId) => unlinkCondition(bitfieldConditions, lineId),
-    (lineId) => canLinkConditionUtil(bitfieldConditions, lineId),
-    (index) => addConditionAtIndex(bitfieldConditions, index),
-    (lineId) => copyCondition(bitfieldConditions, lineId),
-    (lineId) => removeBitfieldCondition(bitfieldConditions, bitfieldExpansions, linkGroupColors, lineId),
-    expandCondition,
-    reopenExpansion
-  );
+  renderAllConditions();
+}
+
+// Core/Alt Sections
+function addAltSectionWrapper() {
+  // Close any open expansions first
+  Object.keys(bitfieldExpansions).forEach((id) => {
+    delete bitfieldExpansions[id];
+  });
+
+  // New Alt groups start with a single default condition
+  const section = addAltSection(bitfieldSections, getActiveSeparator());
+  addBitfieldCondition(bitfieldConditions, section);
+
+  renderAllConditions();
+}
+
+function removeAltSectionWrapper(section) {
+  // Close any open expansions first
+  Object.keys(bitfieldExpansions).forEach((id) => {
+    delete bitfieldExpansions[id];
+  });
+
+  removeAltSection(bitfieldConditions, bitfieldSections, section, getActiveSeparator());
+  recalculateLineAndGroupIds(bitfieldConditions);
+
+  renderAllConditions();
 }
 
 function removeBitfieldConditionWrapper(lineId) {
@@ -365,19 +830,7 @@ function removeBitfieldConditionWrapper(lineId) {
   removeBitfieldCondition(bitfieldConditions, bitfieldExpansions, linkGroupColors, lineId);
   
   // Render directly without re-parsing from textarea
-  renderBitfieldConditions(
-    bitfieldConditions,
-    bitfieldExpansions,
-    linkGroupColors,
-    (lineId) => linkCondition(bitfieldConditions, linkGroupColors, lineId),
-    (lineId) => unlinkCondition(bitfieldConditions, lineId),
-    (lineId) => canLinkConditionUtil(bitfieldConditions, lineId),
-    (index) => addConditionAtIndex(bitfieldConditions, index),
-    (lineId) => copyCondition(bitfieldConditions, lineId),
-    (lineId) => removeBitfieldCondition(bitfieldConditions, bitfieldExpansions, linkGroupColors, lineId),
-    expandCondition,
-    reopenExpansion
-  );
+  renderAllConditions();
 }
 
 function addConditionAtIndexWrapper(index) {
@@ -389,19 +842,7 @@ function addConditionAtIndexWrapper(index) {
   addConditionAtIndex(bitfieldConditions, index);
   
   // Render directly without re-parsing from textarea
-  renderBitfieldConditions(
-    bitfieldConditions,
-    bitfieldExpansions,
-    linkGroupColors,
-    (lineId) => linkCondition(bitfieldConditions, linkGroupColors, lineId),
-    (lineId) => unlinkCondition(bitfieldConditions, lineId),
-    (lineId) => canLinkConditionUtil(bitfieldConditions, lineId),
-    (index) => addConditionAtIndex(bitfieldConditions, index),
-    (lineId) => copyCondition(bitfieldConditions, lineId),
-    (lineId) => removeBitfieldCondition(bitfieldConditions, bitfieldExpansions, linkGroupColors, lineId),
-    expandCondition,
-    reopenExpansion
-  );
+  renderAllConditions();
 }
 
 function copyConditionWrapper(lineId) {
@@ -413,19 +854,7 @@ function copyConditionWrapper(lineId) {
   copyCondition(bitfieldConditions, lineId);
   
   // Render directly without re-parsing from textarea
-  renderBitfieldConditions(
-    bitfieldConditions,
-    bitfieldExpansions,
-    linkGroupColors,
-    (lineId) => linkCondition(bitfieldConditions, linkGroupColors, lineId),
-    (lineId) => unlinkCondition(bitfieldConditions, lineId),
-    (lineId) => canLinkConditionUtil(bitfieldConditions, lineId),
-    (index) => addConditionAtIndex(bitfieldConditions, index),
-    (lineId) => copyCondition(bitfieldConditions, lineId),
-    (lineId) => removeBitfieldCondition(bitfieldConditions, bitfieldExpansions, linkGroupColors, lineId),
-    expandCondition,
-    reopenExpansion
-  );
+  renderAllConditions();
 }
 
 function clearBitfieldConditionsWrapper() {
@@ -435,21 +864,11 @@ function clearBitfieldConditionsWrapper() {
   });
   
   clearBitfieldConditions(bitfieldConditions, bitfieldExpansions);
+  // Only the Core section is left once every Alt group is empty
+  syncSectionsFromConditions(bitfieldSections, bitfieldConditions, getActiveSeparator());
   
   // Render directly without re-parsing from textarea
-  renderBitfieldConditions(
-    bitfieldConditions,
-    bitfieldExpansions,
-    linkGroupColors,
-    (lineId) => linkCondition(bitfieldConditions, linkGroupColors, lineId),
-    (lineId) => unlinkCondition(bitfieldConditions, lineId),
-    (lineId) => canLinkConditionUtil(bitfieldConditions, lineId),
-    (index) => addConditionAtIndex(bitfieldConditions, index),
-    (lineId) => copyCondition(bitfieldConditions, lineId),
-    (lineId) => removeBitfieldCondition(bitfieldConditions, bitfieldExpansions, linkGroupColors, lineId),
-    expandCondition,
-    reopenExpansion
-  );
+  renderAllConditions();
 }
 
 function updateBitfieldConditionWrapper(lineId, field, value) {
@@ -467,19 +886,9 @@ function updateBitfieldConditionWrapper(lineId, field, value) {
   const uiAffectingFields = ['flag', 'type', 'cmp'];
   if (uiAffectingFields.includes(field)) {
     // Render directly without re-parsing from textarea to preserve manual edits
-    renderBitfieldConditions(
-      bitfieldConditions,
-      bitfieldExpansions,
-      linkGroupColors,
-      (lineId) => linkCondition(bitfieldConditions, linkGroupColors, lineId),
-      (lineId) => unlinkCondition(bitfieldConditions, lineId),
-      (lineId) => canLinkConditionUtil(bitfieldConditions, lineId),
-      (lineId) => addConditionAtIndex(bitfieldConditions, lineId),
-      (lineId) => copyCondition(bitfieldConditions, lineId),
-      (lineId) => removeBitfieldCondition(bitfieldConditions, bitfieldExpansions, linkGroupColors, lineId),
-      expandCondition,
-      reopenExpansion
-    );
+    renderAllConditions();
+  } else {
+    scheduleScenarioRun();
   }
 }
 
@@ -493,19 +902,7 @@ function linkConditionWrapper(lineId) {
   linkCondition(bitfieldConditions, linkGroupColors, lineId);
   
   // Render directly without re-parsing from textarea
-  renderBitfieldConditions(
-    bitfieldConditions,
-    bitfieldExpansions,
-    linkGroupColors,
-    (lineId) => linkCondition(bitfieldConditions, linkGroupColors, lineId),
-    (lineId) => unlinkCondition(bitfieldConditions, lineId),
-    (lineId) => canLinkConditionUtil(bitfieldConditions, lineId),
-    (index) => addConditionAtIndex(bitfieldConditions, index),
-    (lineId) => copyCondition(bitfieldConditions, lineId),
-    (lineId) => removeBitfieldCondition(bitfieldConditions, bitfieldExpansions, linkGroupColors, lineId),
-    expandCondition,
-    reopenExpansion
-  );
+  renderAllConditions();
 }
 
 function unlinkConditionWrapper(lineId) {
@@ -517,19 +914,7 @@ function unlinkConditionWrapper(lineId) {
   unlinkCondition(bitfieldConditions, lineId);
   
   // Render directly without re-parsing from textarea
-  renderBitfieldConditions(
-    bitfieldConditions,
-    bitfieldExpansions,
-    linkGroupColors,
-    (lineId) => linkCondition(bitfieldConditions, linkGroupColors, lineId),
-    (lineId) => unlinkCondition(bitfieldConditions, lineId),
-    (lineId) => canLinkConditionUtil(bitfieldConditions, lineId),
-    (index) => addConditionAtIndex(bitfieldConditions, index),
-    (lineId) => copyCondition(bitfieldConditions, lineId),
-    (lineId) => removeBitfieldCondition(bitfieldConditions, bitfieldExpansions, linkGroupColors, lineId),
-    expandCondition,
-    reopenExpansion
-  );
+  renderAllConditions();
 }
 function validateTypeChangeWrapper(lineId, newType) {
   const condition = bitfieldConditions.find((c) => c.lineId === lineId);
@@ -550,11 +935,65 @@ function canLinkConditionWrapper(lineId) {
 }
 
 // Expansion System
+/**
+ * Checks whether Bit Compression applies to an expansion
+ * Rule: Only Bit lines can have customizations or increments for Bit Compression to work
+ * @param {Array} groupLines - The group's lines
+ * @param {Object} expansion - The expansion
+ * @returns {boolean} True when a Bit line is customized and no other line steps
+ */
+function hasBitCompressibleExpansion(groupLines, expansion) {
+  // First, check if there's at least one Bit line with custom expansion
+  const hasBitLinesWithCustomExpansion = groupLines.some((line, lineIdx) => {
+    const lineConfig = expansion.lineConfigs[lineIdx];
+    const isValidBitType = ['Mem', 'Delta', 'Prior'].includes(line.type);
+    const isBitSize = line.size && line.size.match(/^Bit[0-7]$/);
+    const hasCustomExpansion = lineConfig.customized && lineConfig.customData;
+    console.log(`DEBUG: Bit Line ${line.lineId} - Type: ${line.type}, Size: ${line.size}, IsValidBitType: ${isValidBitType}, IsBitSize: ${isBitSize}, Customized: ${lineConfig.customized}, HasCustomData: ${!!lineConfig.customData}`);
+    return isValidBitType && isBitSize && hasCustomExpansion;
+  });
+
+  if (!hasBitLinesWithCustomExpansion) {
+    console.log(`DEBUG: hasBitCustomExpansion: false (no Bit lines with custom expansion)`);
+    return false;
+  }
+
+  // Second, check if any non-Bit line has customizations or increments
+  const hasNonBitLineCustomizations = groupLines.some((line, lineIdx) => {
+    const lineConfig = expansion.lineConfigs[lineIdx];
+    const isBitSize = line.size && line.size.match(/^Bit[0-7]$/);
+    
+    // Check for custom expansion on non-Bit lines
+    const hasCustomExpansion = lineConfig.customized && lineConfig.customData;
+    
+    // Check for arithmetic increments (non-zero, non-blank) or formulas
+    const hasArithmeticIncrement = (lineConfig.arithmeticIncrement && 
+                                   lineConfig.arithmeticIncrement.trim() !== '' && 
+                                   lineConfig.arithmeticIncrement.trim() !== '0') ||
+                                   Boolean(lineConfig.formula && lineConfig.formula.trim() !== '') ||
+                                   Boolean(lineConfig.valueList && lineConfig.valueList.trim() !== '');
+    
+    const hasStructSlots = getSlotReferences(line).length > 0;
+    const hasCustomization = hasCustomExpansion || hasArithmeticIncrement || hasStructSlots;
+    
+    console.log(`DEBUG: Non-Bit Line ${line.lineId} - Type: ${line.type}, Size: ${line.size}, IsBitSize: ${isBitSize}, HasCustomExpansion: ${hasCustomExpansion}, HasArithmeticIncrement: ${hasArithmeticIncrement}, HasCustomization: ${hasCustomization}`);
+    
+    return !isBitSize && hasCustomization;
+  });
+
+  // Bit Compression is enabled only if there are Bit lines with custom expansion
+  // AND no non-Bit lines have customizations or increments
+  const result = hasBitLinesWithCustomExpansion && !hasNonBitLineCustomizations;
+  console.log(`DEBUG: hasBitCustomExpansion: ${result} (Bit lines with custom: ${hasBitLinesWithCustomExpansion}, Non-Bit lines with custom: ${hasNonBitLineCustomizations})`);
+  return result;
+}
+
 function expandCondition(lineId) {
   // Close any existing expansions first
   Object.keys(bitfieldExpansions).forEach((id) => {
     if (id != lineId) {
       delete bitfieldExpansions[id];
+      restoreReopenedExpansion(Number(id));
     }
   });
 
@@ -565,10 +1004,27 @@ function expandCondition(lineId) {
 
   const groupLines = getGroupLines(bitfieldConditions, condition.groupId);
 
+  // A group that was expanded before reopens with the configuration it was confirmed with
+  if (!bitfieldExpansions[lineId]) {
+    const restored = restoreExpansionFromRecipe(groupLines[0].expansionRecipe, groupLines);
+    if (restored) {
+      bitfieldExpansions[lineId] = restored;
+    }
+  }
+
   if (!bitfieldExpansions[lineId]) {
+    // A struct reference such as enemies[i].hp expands to one group per slot
+    const slotCount = groupLines
+      .flatMap((line) => getSlotReferences(line))
+      .map((reference) => getStructSlotCount(structs, reference))
+      .find((count) => count);
+
     bitfieldExpansions[lineId] = {
-      generatedGroups: '1',
+      generatedGroups: String(slotCount || 1),
       deltaCheck: true, // Default to on
+      bitCompression: true, // Default to on where Bit Compression applies
+      outputMode: 'core',
+      hitTarget: '',
       lineConfigs: groupLines.map((line) => {
         // Set default custom field size based on individual line type
         let defaultCustomFieldSize = '0x50'; // Default for everything else
@@ -583,6 +1039,10 @@ function expandCondition(lineId) {
           lineId: line.lineId,
           activeTab: 'left',
           arithmeticIncrement: '',
+          formula: '',
+          valueList: '',
+          valueListCsv: null,
+          valueListCsvError: null,
           customFieldSize: defaultCustomFieldSize, // Set default based on individual line type
           customized: false,
           customData: null,
@@ -605,13 +1065,48 @@ function expandCondition(lineId) {
     style="width: 100px;">`;
   html += '</div>';
 
+  // How the generated groups are combined
+  const outputMode = expansion.outputMode || 'core';
+  html += '<div class="expansion-row">';
+  html += '<span class="expansion-row-label">Output:</span>';
+  html += `<select onchange="window.updateExpansionField(${lineId}, 'outputMode', this.value); window.expandCondition(${lineId});">`;
+  OUTPUT_MODES.forEach(({ value, label }) => {
+    // Leaderboard values take the maximum of their alternatives, so they have no Alt groups to split into
+    const unavailable = value === 'alt' && getActiveSeparator() === '$';
+    html += `<option value="${value}" ${value === outputMode ? 'selected' : ''} ${unavailable ? 'disabled' : ''}>${label}</option>`;
+  });
+  html += '</select>';
+  if (outputMode === 'addHits') {
+    html += '<span class="expansion-row-label" style="margin-left: 1rem;">Target Hits:</span>';
+    html += `<input type="number" min="1" value="${escapeHtml(expansion.hitTarget || '')}" 
+      onchange="window.updateExpansionField(${lineId}, 'hitTarget', this.value); window.expandCondition(${lineId});" 
+      style="width: 100px;">`;
+  }
+  html += '</div>';
+
   html += '<div class="expansion-divider"></div>';
 
   // Individual line configurations
   groupLines.forEach((line, idx) => {
     const lineConfig = expansion.lineConfigs[idx];
     html += '<div class="expansion-line-config">';
-    html += `<div class="expansion-line-header">Line ${line.lineId}: ${formatConditionDisplay(line)}</div>`;
+    html += `<div class="expansion-line-header">Line ${line.lineId}: ${formatConditionDisplay(line)}${renderConditionNotes(codeNotes, line)}</div>`;
+
+    // Struct references step one slot per group, so increments and custom fields do not apply
+    const slotReferences = getSlotReferences(line);
+    if (slotReferences.length > 0) {
+      html += '<div class="expansion-row">';
+      html += '<span class="expansion-row-label">Struct Slots:</span>';
+      html += `<code>${slotReferences.join(', ')}</code>`;
+      html += '<span>one slot per generated group</span>';
+      html += '</div>';
+      const slotError = checkLineStructSlots(line, structs, parseInt(expansion.generatedGroups) || 1);
+      if (slotError) {
+        html += `<div class="expansion-line-error">⚠ ${escapeHtml(slotError)}</div>`;
+      }
+      html += '</div>'; // end expansion-line-config
+      return;
+    }
 
     // Tab selection
     const leftExpandable = !['Recall'].includes(line.type);
@@ -652,12 +1147,12 @@ function expandCondition(lineId) {
     // Input fields
     html += '<div class="expansion-row">';
     html += '<span class="expansion-row-label">Arithmetic Increment:</span>';
-    html += `<input type="text" placeholder="Increment" value="${lineConfig.arithmeticIncrement || ''}" 
+    html += `<input type="text" placeholder="Increment" value="${escapeHtml(lineConfig.arithmeticIncrement || '')}" 
       onchange="window.updateLineConfig(${lineId}, ${idx}, 'arithmeticIncrement', this.value)" 
       ${lineConfig.customized ? 'disabled' : ''} style="width: 120px;">`;
     html +=
       '<span class="expansion-row-label" style="margin-left: 1rem;">Custom Field:</span>';
-    html += `<input type="text" placeholder="Field Size" value="${lineConfig.customFieldSize || ''}" 
+    html += `<input type="text" placeholder="Field Size" value="${escapeHtml(lineConfig.customFieldSize || '')}" 
       onchange="window.updateLineConfig(${lineId}, ${idx}, 'customFieldSize', this.value)" 
       ${lineConfig.customized ? 'disabled' : ''} style="width: 100px;">`;
 
@@ -668,6 +1163,50 @@ function expandCondition(lineId) {
     }
     html += '</div>';
 
+    const incrementError = lineConfig.customized ? null : checkLineIncrement(line, lineConfig, parseInt(expansion.generatedGroups) || 1);
+    if (incrementError) {
+      html += `<div class="expansion-line-error">⚠ ${escapeHtml(incrementError)}</div>`;
+    }
+
+    html += '<div class="expansion-row">';
+    html += '<span class="expansion-row-label">Formula:</span>';
+    html += `<input type="text" class="expansion-formula" placeholder="base + i*0x10 + (i >= 8 ? 0x100 : 0)" value="${escapeHtml(lineConfig.formula || '')}" 
+      onchange="window.updateLineConfig(${lineId}, ${idx}, 'formula', this.value)" 
+      ${lineConfig.customized ? 'disabled' : ''} title="Per-group address or value; variables i, n and base">`;
+    html += '</div>';
+
+    const formulaError = lineConfig.customized ? null : checkLineFormula(line, lineConfig, parseInt(expansion.generatedGroups) || 1);
+    if (formulaError) {
+      html += `<div class="expansion-line-error">⚠ ${escapeHtml(formulaError)}</div>`;
+    }
+
+    // Explicit per-group operands, typed or taken from a CSV column
+    const listsAddresses = lineConfig.activeTab === 'right' && line.cmp ? MEMORY_TYPES.includes(line.compareType) : MEMORY_TYPES.includes(line.type);
+    html += '<div class="expansion-row">';
+    html += '<span class="expansion-row-label">List:</span>';
+    html += `<textarea class="expansion-value-list" rows="2" placeholder="${listsAddresses ? '0x1000, 0x1048, 0x10C0' : '3, 7, 12, 40'}" 
+      onchange="window.updateLineConfig(${lineId}, ${idx}, 'valueList', this.value)" 
+      ${lineConfig.customized ? 'disabled' : ''} title="One entry per generated group">${escapeHtml(lineConfig.valueList || '')}</textarea>`;
+    html += `<label class="secondary-btn expansion-csv-btn">Load CSV<input type="file" accept=".csv,.txt" style="display: none;" 
+      onchange="window.loadValueListCsv(${lineId}, ${idx}, this)" ${lineConfig.customized ? 'disabled' : ''}></label>`;
+    if (lineConfig.valueListCsv) {
+      const csv = lineConfig.valueListCsv;
+      html += `<select onchange="window.selectValueListColumn(${lineId}, ${idx}, parseInt(this.value, 10))" title="${escapeHtml(csv.name)}">`;
+      csv.headers.forEach((header, col) => {
+        html += `<option value="${col}" ${col === csv.selected ? 'selected' : ''}>${escapeHtml(header)} (${csv.columns[col].length})</option>`;
+      });
+      html += '</select>';
+    }
+    html += '</div>';
+    if (lineConfig.valueListCsvError) {
+      html += `<div class="expansion-line-error">⚠ ${escapeHtml(lineConfig.valueListCsvError)}</div>`;
+    }
+
+    const listError = lineConfig.customized ? null : checkLineValueList(line, lineConfig, parseInt(expansion.generatedGroups) || 1).error;
+    if (listError) {
+      html += `<div class="expansion-line-error">⚠ ${escapeHtml(listError)}</div>`;
+    }
+
     if (lineConfig.customized && lineConfig.customData) {
       html += `<div class="customization-badge">✓ Custom expansion configured (${lineConfig.customData.selectedCount} addresses)</div>`;
     }
@@ -684,50 +1223,7 @@ function expandCondition(lineId) {
   html += '<div class="expansion-optimization" style="margin-top: 1rem; display: flex; align-items: center; gap: 1rem;">';
   html += '<div class="expansion-tabs" style="display: flex; gap: 0.5rem; margin-bottom: 0;">';
   
-  // Check if Bit Compression should be enabled
-  // Rule: Only Bit lines can have customizations or increments for Bit Compression to work
-  const hasBitCustomExpansion = (() => {
-    // First, check if there's at least one Bit line with custom expansion
-    const hasBitLinesWithCustomExpansion = groupLines.some((line, lineIdx) => {
-      const lineConfig = expansion.lineConfigs[lineIdx];
-      const isValidBitType = ['Mem', 'Delta', 'Prior'].includes(line.type);
-      const isBitSize = line.size && line.size.match(/^Bit[0-7]$/);
-      const hasCustomExpansion = lineConfig.customized && lineConfig.customData;
-      console.log(`DEBUG: Bit Line ${line.lineId} - Type: ${line.type}, Size: ${line.size}, IsValidBitType: ${isValidBitType}, IsBitSize: ${isBitSize}, Customized: ${lineConfig.customized}, HasCustomData: ${!!lineConfig.customData}`);
-      return isValidBitType && isBitSize && hasCustomExpansion;
-    });
-
-    if (!hasBitLinesWithCustomExpansion) {
-      console.log(`DEBUG: hasBitCustomExpansion: false (no Bit lines with custom expansion)`);
-      return false;
-    }
-
-    // Second, check if any non-Bit line has customizations or increments
-    const hasNonBitLineCustomizations = groupLines.some((line, lineIdx) => {
-      const lineConfig = expansion.lineConfigs[lineIdx];
-      const isBitSize = line.size && line.size.match(/^Bit[0-7]$/);
-      
-      // Check for custom expansion on non-Bit lines
-      const hasCustomExpansion = lineConfig.customized && lineConfig.customData;
-      
-      // Check for arithmetic increments (non-zero, non-blank)
-      const hasArithmeticIncrement = lineConfig.arithmeticIncrement && 
-                                     lineConfig.arithmeticIncrement.trim() !== '' && 
-                                     lineConfig.arithmeticIncrement.trim() !== '0';
-      
-      const hasCustomization = hasCustomExpansion || hasArithmeticIncrement;
-      
-      console.log(`DEBUG: Non-Bit Line ${line.lineId} - Type: ${line.type}, Size: ${line.size}, IsBitSize: ${isBitSize}, HasCustomExpansion: ${hasCustomExpansion}, HasArithmeticIncrement: ${hasArithmeticIncrement}, HasCustomization: ${hasCustomization}`);
-      
-      return !isBitSize && hasCustomization;
-    });
-
-    // Bit Compression is enabled only if there are Bit lines with custom expansion
-    // AND no non-Bit lines have customizations or increments
-    const result = hasBitLinesWithCustomExpansion && !hasNonBitLineCustomizations;
-    console.log(`DEBUG: hasBitCustomExpansion: ${result} (Bit lines with custom: ${hasBitLinesWithCustomExpansion}, Non-Bit lines with custom: ${hasNonBitLineCustomizations})`);
-    return result;
-  })();
+  const hasBitCustomExpansion = hasBitCompressibleExpansion(groupLines, expansion);
   
   // Check if Delta/Mem Check should be enabled
   const hasDeltaMemCheckRequirements = groupLines.some((line) => {
@@ -748,32 +1244,23 @@ function expandCondition(lineId) {
     return leftIsMemOrDelta || rightIsMemOrDelta || bothMemOrDelta;
   });
   
-  html += `<button id="deltaMemCheck" class="tab-btn ${hasDeltaMemCheckRequirements ? 'active' : ''}" 
+  // The check rewrites the whole output into Delta and Mem copies, which would break a chain apart
+  const chainedOutput = ['orNext', 'addHits'].includes(outputMode);
+  html += `<button id="deltaMemCheck" class="tab-btn ${hasDeltaMemCheckRequirements && !chainedOutput && expansion.deltaCheck !== false ? 'active' : ''}" 
     onclick="toggleDeltaMemCheck()" 
-    ${!hasDeltaMemCheckRequirements ? 'disabled' : ''}>Delta/Mem Check</button>`;
-  html += `<button id="bitCompression" class="tab-btn ${hasBitCustomExpansion ? 'active' : ''}" 
+    ${!hasDeltaMemCheckRequirements || chainedOutput ? 'disabled' : ''} ${chainedOutput ? 'title="Not available for Or Next and Add Hits output"' : ''}>Delta/Mem Check</button>`;
+  html += `<button id="bitCompression" class="tab-btn ${hasBitCustomExpansion && expansion.bitCompression !== false ? 'active' : ''}" 
     onclick="toggleBitCompression()" 
     ${!hasBitCustomExpansion ? 'disabled' : ''}>Bit-Compression</button>`;
   html += '</div>';
   html += '</div>';
+  html += renderExpansionPreview(lineId);
   html += '</div>';
 
   bitfieldExpansions[lineId].html = html;
   
   // Render the updated conditions with expansion
-  renderBitfieldConditions(
-    bitfieldConditions,
-    bitfieldExpansions,
-    linkGroupColors,
-    (lineId) => linkCondition(bitfieldConditions, linkGroupColors, lineId),
-    (lineId) => unlinkCondition(bitfieldConditions, lineId),
-    (lineId) => canLinkConditionUtil(bitfieldConditions, lineId),
-    (index) => addConditionAtIndex(bitfieldConditions, index),
-    (lineId) => copyCondition(bitfieldConditions, lineId),
-    (lineId) => removeBitfieldCondition(bitfieldConditions, bitfieldExpansions, linkGroupColors, lineId),
-    expandCondition,
-    reopenExpansion
-  );
+  renderAllConditions();
 }
 
 function updateExpansionFieldWrapper(lineId, field, value) {
@@ -791,25 +1278,85 @@ function updateExpansionFieldWrapper(lineId, field, value) {
 
 function updateLineConfigWrapper(expansionId, lineIndex, field, value) {
   updateLineConfig(bitfieldExpansions, expansionId, lineIndex, field, value);
+
+  // A valid list is shown normalized and sets how many groups are generated
+  if (field === 'valueList') {
+    const condition = bitfieldConditions.find((c) => c.lineId === expansionId);
+    const line = condition && getGroupLines(bitfieldConditions, condition.groupId)[lineIndex];
+    const expansion = bitfieldExpansions[expansionId];
+    const { entries, error } = line ? checkLineValueList(line, expansion.lineConfigs[lineIndex]) : { entries: [], error: null };
+    if (entries.length > 0 && !error) {
+      expansion.lineConfigs[lineIndex].valueList = entries.join(', ');
+      if (String(entries.length) !== String(expansion.generatedGroups)) {
+        updateExpansionFieldWrapper(expansionId, 'generatedGroups', String(entries.length));
+      }
+    }
+  }
+
+  // Tabs redraw the panel themselves; typed fields redraw it here to refresh the preview
+  if (['arithmeticIncrement', 'formula', 'valueList', 'customFieldSize'].includes(field)) {
+    expandCondition(expansionId);
+  }
+}
+
+/**
+ * Loads a CSV file for a line's value list
+ * The first column whose cells all fit the line is used; the panel then offers the other columns
+ * @param {number} expansionId - The expansion ID
+ * @param {number} lineIndex - The line index
+ * @param {HTMLInputElement} input - File input
+ */
+function loadValueListCsvWrapper(expansionId, lineIndex, input) {
+  const file = input.files && input.files[0];
+  const expansion = bitfieldExpansions[expansionId];
+  const condition = bitfieldConditions.find((c) => c.lineId === expansionId);
+  if (!file || !expansion || !condition) return;
+  const line = getGroupLines(bitfieldConditions, condition.groupId)[lineIndex];
+  const lineConfig = expansion.lineConfigs[lineIndex];
+
+  file.text().then((text) => {
+    const { headers, columns, error } = parseCsvColumns(text);
+    if (error) {
+      console.log('Value list CSV not loaded:', error);
+      lineConfig.valueListCsvError = `${file.name}: ${error}`;
+      expandCondition(expansionId);
+      return;
+    }
+
+    const fits = (column) => column.length > 0 && !checkLineValueList(line, { ...lineConfig, valueList: column.join(', ') }).error;
+    const selected = Math.max(0, columns.findIndex(fits));
+    lineConfig.valueListCsv = { name: file.name, headers, columns, selected };
+    lineConfig.valueListCsvError = null;
+    console.log(`Value list CSV loaded: ${file.name}, ${columns.length} columns, using "${headers[selected]}"`);
+
+    updateLineConfigWrapper(expansionId, lineIndex, 'valueList', columns[selected].join(', '));
+  }).catch((error) => {
+    lineConfig.valueListCsvError = `Could not read ${file.name}: ${error.message}`;
+    expandCondition(expansionId);
+  });
+}
+
+/**
+ * Switches a line's value list to another column of its loaded CSV
+ * @param {number} expansionId - The expansion ID
+ * @param {number} lineIndex - The line index
+ * @param {number} column - Column index
+ */
+function selectValueListColumnWrapper(expansionId, lineIndex, column) {
+  const expansion = bitfieldExpansions[expansionId];
+  const csv = expansion && expansion.lineConfigs[lineIndex].valueListCsv;
+  if (!csv || !csv.columns[column]) return;
+
+  csv.selected = column;
+  updateLineConfigWrapper(expansionId, lineIndex, 'valueList', csv.columns[column].join(', '));
 }
 
 function cancelExpansionWrapper(lineId) {
   cancelExpansion(bitfieldExpansions, lineId);
+  restoreReopenedExpansion(lineId);
   
   // Re-render after canceling
-  renderBitfieldConditions(
-    bitfieldConditions,
-    bitfieldExpansions,
-    linkGroupColors,
-    (lineId) => linkCondition(bitfieldConditions, linkGroupColors, lineId),
-    (lineId) => unlinkCondition(bitfieldConditions, lineId),
-    (lineId) => canLinkConditionUtil(bitfieldConditions, lineId),
-    (index) => addConditionAtIndex(bitfieldConditions, index),
-    (lineId) => copyCondition(bitfieldConditions, lineId),
-    (lineId) => removeBitfieldCondition(bitfieldConditions, bitfieldExpansions, linkGroupColors, lineId),
-    expandCondition,
-    reopenExpansion
-  );
+  renderAllConditions();
 }
 
 function cancelLineCustomizationWrapper(expansionId, lineIndex) {
@@ -823,43 +1370,45 @@ function openLineCustomizationWrapper(expansionId, lineIndex) {
     expansionId,
     lineIndex,
     (groupId) => getGroupLines(bitfieldConditions, groupId),
-    () => renderBitfieldConditions(
-      bitfieldConditions,
-      bitfieldExpansions,
-      linkGroupColors,
-      (lineId) => linkCondition(bitfieldConditions, linkGroupColors, lineId),
-      (lineId) => unlinkCondition(bitfieldConditions, lineId),
-      (lineId) => canLinkConditionUtil(bitfieldConditions, lineId),
-      (index) => addConditionAtIndex(bitfieldConditions, index),
-      (lineId) => copyCondition(bitfieldConditions, lineId),
-      (lineId) => removeBitfieldCondition(bitfieldConditions, bitfieldExpansions, linkGroupColors, lineId),
-      expandCondition,
-      reopenExpansion
-    )
+    () => renderAllConditions(),
+    ramDumps[ramDumpOverlayIndex] || null,
+    codeNotes,
+    renderExpansionPreview(expansionId, lineIndex)
   );
 }
 
-function confirmExpansionWrapper(lineId) {
-  const expansion = bitfieldExpansions[lineId];
-  if (!expansion) {
-    console.log('No expansion found for:', lineId);
-    return;
-  }
+function autoSelectCustomFromDumpWrapper(expansionId, lineIndex) {
+  const condition = bitfieldConditions.find((c) => c.lineId === expansionId);
+  if (!condition) return;
+  const line = getGroupLines(bitfieldConditions, condition.groupId)[lineIndex];
+  if (!line) return;
 
-  const condition = bitfieldConditions.find((c) => c.lineId === lineId);
-  if (!condition) {
-    console.log('No condition found for:', lineId);
-    return;
-  }
+  autoSelectCustomFromDump(
+    bitfieldExpansions,
+    expansionId,
+    lineIndex,
+    ramDumps[ramDumpOverlayIndex] || null,
+    line.size,
+    openLineCustomizationWrapper
+  );
+}
 
-  const groupLines = getGroupLines(bitfieldConditions, condition.groupId);
+/**
+ * Generates the lines an expansion produces for a group
+ * @param {Array} groupLines - The group's lines
+ * @param {Object} expansion - The expansion configuration
+ * @returns {Object} { lines, groupCount, altGroups, error } - groupCount is the number of groups after
+ *   Bit Compression; altGroups holds one line list per Alt group for Alt output, else null; error explains
+ *   why the groups cannot be combined as the output mode asks
+ */
+function generateExpansionLines(groupLines, expansion) {
   const generatedGroups = parseInt(expansion.generatedGroups) || 1;
 
-  let allExpandedLines = [];
+  // One line list per generated group, combined by the output mode at the end
+  const groupChunks = [];
 
   // OPTIMIZATION: Check if Bit Compression can reduce the number of groups
-  const bitCompressionButton = document.getElementById('bitCompression');
-  const bitCompressionEnabled = bitCompressionButton && bitCompressionButton.classList.contains('active');
+  const bitCompressionEnabled = expansion.bitCompression !== false && hasBitCompressibleExpansion(groupLines, expansion);
   
   console.log('Starting expansion - Groups:', generatedGroups, 'Lines:', groupLines.length);
 
@@ -951,13 +1500,9 @@ function confirmExpansionWrapper(lineId) {
     
     // Step 3: Interleave A + B + A + C + A + D + A + E
     for (let i = 0; i < compressedLines.length; i++) {
-      // Add non-compressible lines (String A)
-      allExpandedLines.push(...nonCompressibleLines);
-      console.log('Added String A for compressed line', i + 1);
-      
-      // Add compressed line (String B, C, D, E)
-      allExpandedLines.push(compressedLines[i]);
-      console.log('Added compressed line', i + 1, ':', compressedLines[i]);
+      // Add non-compressible lines (String A) and the compressed line (String B, C, D, E)
+      groupChunks.push([...nonCompressibleLines, compressedLines[i]]);
+      console.log('Added String A and compressed line', i + 1, ':', compressedLines[i]);
     }
     
   } else {
@@ -972,55 +1517,27 @@ function confirmExpansionWrapper(lineId) {
         const lineConfig = expansion.lineConfigs[lineIdx];
         console.log(`Line ${lineIdx}: ${line.flag} ${line.type} ${line.size} ${line.memory}`);
 
-        if (lineConfig.customized && lineConfig.customData) {
+        if (getSlotReferences(line).length > 0) {
+          // Use struct expansion - the group index is the slot
+          const lineText = generateStructLine(line, structs, groupIdx);
+          groupLinesToAdd.push(lineText);
+          console.log('Added struct line:', lineText);
+        } else if (lineConfig.customized && lineConfig.customData) {
           // Use custom expansion - generate lines based on user selections
           const customLines = generateCustomLines(line, lineConfig, groupIdx);
           groupLinesToAdd.push(...customLines);
           console.log('Added', customLines.length, 'custom lines');
+        } else if (lineConfig.valueList && lineConfig.valueList.trim() !== '') {
+          // Use the value list entry for this group
+          const lineText = generateValueListLine(line, lineConfig, groupIdx);
+          groupLinesToAdd.push(lineText);
+          console.log('Added value list line:', lineText);
         } else if (
-          lineConfig.arithmeticIncrement &&
-          lineConfig.arithmeticIncrement.trim() !== '' &&
-          (lineConfig.activeTab !== 'left' || !line.cmp)  // Allow arithmetic for non-left tabs or operands without comparison
+          (lineConfig.arithmeticIncrement && lineConfig.arithmeticIncrement.trim() !== '') ||
+          (lineConfig.formula && lineConfig.formula.trim() !== '')
         ) {
-          // Use arithmetic expansion with proper size prefix format
-          let increment = 0;
-          if (lineConfig.arithmeticIncrement.startsWith('0x')) {
-            increment = parseInt(lineConfig.arithmeticIncrement, 16);
-          } else if (
-            lineConfig.arithmeticIncrement.startsWith('h') ||
-            lineConfig.arithmeticIncrement.startsWith('H')
-          ) {
-            increment = parseInt(lineConfig.arithmeticIncrement.substring(1), 16);
-          } else {
-            increment = parseInt(lineConfig.arithmeticIncrement, 10);
-          }
-
-          const baseAddr = parseInt(line.memory.replace('0x', ''), 16);
-          const newAddr = (baseAddr + increment * groupIdx).toString(16).toUpperCase().padStart(4, '0');
-          const sizePrefix = sizeMapForText[line.size] || '';
-          const formattedAddr = `0x${sizePrefix}${newAddr}`;
-          
-          let lineText = `${line.flag}${formattedAddr}`;
-          
-          // Handle right side if there's a comparison
-          if (line.cmp && line.compareType && line.value) {
-            let rightAddr = line.value;
-            
-            // Apply increment to right side based on activeTab
-            if (lineConfig.activeTab === 'right' || lineConfig.activeTab === 'both') {
-              const baseRightAddr = parseInt(line.value.replace('0x', ''), 16);
-              const newRightAddr = (baseRightAddr + increment * groupIdx).toString(16).toUpperCase().padStart(4, '0');
-              const rightSizePrefix = sizeMapForText[line.compareSize] || '';
-              rightAddr = `0x${rightSizePrefix}${newRightAddr}`;
-            } else if (lineConfig.activeTab === 'left') {
-              // Keep original right side
-              const rightSizePrefix = sizeMapForText[line.compareSize] || '';
-              rightAddr = `0x${rightSizePrefix}${line.value.replace('0x', '')}`;
-            }
-            
-            lineText += `${line.cmp}${rightAddr}`;
-          }
-          
+          // Use arithmetic expansion on the operands the tab selects (see getSteppedOperands)
+          const lineText = generateArithmeticLine(line, lineConfig, groupIdx, generatedGroups);
           groupLinesToAdd.push(lineText);
           console.log('Added arithmetic line:', lineText);
         } else {
@@ -1033,77 +1550,180 @@ function confirmExpansionWrapper(lineId) {
       
       console.log('Group', groupIdx + 1, 'total lines:', groupLinesToAdd.length);
       // Add all lines for this group to the result
-      allExpandedLines.push(...groupLinesToAdd);
+      groupChunks.push(groupLinesToAdd);
     }
   }
-  
-  console.log('Final result:', allExpandedLines.length, 'lines');
-
-  // Apply Delta/Mem check if enabled - applies to ANY line in the group
-  if (expansion.deltaCheck) {
-    // Check if ANY line in the group has Delta/Mem types
-    const groupHasDeltaOrMem = groupLines.some(
-      (l) =>
-        ['Delta', 'Mem'].includes(l.type) ||
-        ['Delta', 'Mem'].includes(l.compareType),
-    );
 
-    if (groupHasDeltaOrMem) {
-      // Check if this is Add/Sub Source or And/Or Next group
-      const isAddSubSourceGroup = groupLines.some(
-        (l) => l.flag === 'A:' || l.flag === 'B:',
-      );
-      const isAndOrNextGroup = groupLines.some(
-        (l) => l.flag === 'N:' || l.flag === 'O:',
-      );
+  const outputMode = expansion.outputMode || 'core';
 
-      if (isAddSubSourceGroup) {
-        // Apply Delta/Mem check for Add/Sub Source group
-        allExpandedLines = applyDeltaMemCheck(groupLines[groupLines.length - 1], allExpandedLines);
-        console.log('Applied Delta/Mem check for Add/Sub Source group');
-      } else if (isAndOrNextGroup) {
-        // Apply And/Or Next check for group
-        allExpandedLines = applyAndOrNextCheck(groupLines[groupLines.length - 1], allExpandedLines);
-        console.log('Applied And/Or Next check for group');
-      }
-    }
+  // Each Alt group gets its own Delta/Mem check; chains are not checked (see expandCondition)
+  const checkedChunks = outputMode === 'alt' && expansion.deltaCheck
+    ? groupChunks.map((chunk) => applyExpansionDeltaCheck(groupLines, chunk))
+    : groupChunks;
+  const { lines, altGroups, error } = combineExpansionGroups(checkedChunks, outputMode, expansion.hitTarget);
+  console.log('Final result:', lines.length, 'lines, output:', outputMode);
+
+  const allExpandedLines = outputMode === 'core' && expansion.deltaCheck
+    ? applyExpansionDeltaCheck(groupLines, lines)
+    : lines;
+
+  return { lines: allExpandedLines, groupCount: actualGroupsToGenerate, altGroups, error };
+}
+
+/**
+ * Applies the Delta/Mem check to an expansion's lines, when the group reads Delta or Mem values
+ * @param {Array} groupLines - The group's lines
+ * @param {Array} lines - Generated lines
+ * @returns {Array} Checked lines
+ */
+function applyExpansionDeltaCheck(groupLines, lines) {
+  // Check if ANY line in the group has Delta/Mem types
+  const groupHasDeltaOrMem = groupLines.some(
+    (l) =>
+      ['Delta', 'Mem'].includes(l.type) ||
+      ['Delta', 'Mem'].includes(l.compareType),
+  );
+  if (!groupHasDeltaOrMem) return lines;
+
+  // Check if this is Add/Sub Source or And/Or Next group
+  const isAddSubSourceGroup = groupLines.some(
+    (l) => l.flag === 'A:' || l.flag === 'B:',
+  );
+  const isAndOrNextGroup = groupLines.some(
+    (l) => l.flag === 'N:' || l.flag === 'O:',
+  );
+
+  if (isAddSubSourceGroup) {
+    // Apply Delta/Mem check for Add/Sub Source group
+    console.log('Applied Delta/Mem check for Add/Sub Source group');
+    return applyDeltaMemCheck(groupLines[groupLines.length - 1], lines);
   }
+  if (isAndOrNextGroup) {
+    // Apply And/Or Next check for group
+    console.log('Applied And/Or Next check for group');
+    return applyAndOrNextCheck(groupLines[groupLines.length - 1], lines);
+  }
+  return lines;
+}
 
+/**
+ * Expands a group: generates its lines and keeps the expansion as a recipe on the group's first line
+ * @param {Array} groupLines - The group's lines
+ * @param {Object} expansion - The expansion configuration
+ */
+function applyExpansionToGroup(groupLines, expansion) {
+  const { lines: allExpandedLines, groupCount, altGroups } = generateExpansionLines(groupLines, expansion);
   console.log('Setting expanded lines:', allExpandedLines);
 
-  // Store the actual groups count after optimization/compression in the condition
-  const actualGroupsCount = actualGroupsToGenerate;
-
   // Mark only the group leader with expanded lines, others get empty arrays
   groupLines.forEach((groupCondition, index) => {
     groupCondition.expanded = true;
-    groupCondition.generatedGroupsCount = actualGroupsCount; // Store for badge display
+    groupCondition.generatedGroupsCount = groupCount; // Store for badge display
     if (index === 0) {
-      // Only the first condition (group leader) gets the expanded lines
+      // Only the first condition (group leader) gets the expanded lines and the recipe
       groupCondition.expandedLines = allExpandedLines;
+      groupCondition.expansionRecipe = createExpansionRecipe(groupLines, expansion, allExpandedLines, altGroups);
+      // Alt output is written as separate Alt groups instead of in the group's section
+      groupCondition.expandedAltGroups = altGroups;
     } else {
       // Other conditions get empty expanded lines (they're represented by the leader)
       groupCondition.expandedLines = [];
+      delete groupCondition.expansionRecipe;
+      delete groupCondition.expandedAltGroups;
     }
   });
+}
+
+/**
+ * Creates the live preview of the lines an expansion adds
+ * Shows what Generate Logic writes for the group: Bit Compression and Delta/Mem Check as configured,
+ * and R/R Collapse's bit merging when it is on (its Remember/Recall step works on whole sections)
+ * @param {number} lineId - The expansion ID
+ * @param {number|null} customLineIndex - Line whose custom panel is open; its pending selections are previewed
+ * @returns {string} HTML string
+ */
+function renderExpansionPreview(lineId, customLineIndex = null) {
+  const expansion = bitfieldExpansions[lineId];
+  const condition = bitfieldConditions.find((c) => c.lineId === lineId);
+  if (!expansion || !condition) return '';
+
+  const groupLines = getGroupLines(bitfieldConditions, condition.groupId);
+  const pending = customLineIndex !== null && expansion.lineConfigs[customLineIndex] && expansion.lineConfigs[customLineIndex].customData;
+  const previewExpansion = pending
+    ? { ...expansion, lineConfigs: expansion.lineConfigs.map((lineConfig, idx) => (idx === customLineIndex ? { ...lineConfig, customized: true } : lineConfig)) }
+    : expansion;
+
+  const generated = generateExpansionLines(groupLines, previewExpansion);
+  let { lines } = generated;
+  let altGroups = generated.altGroups;
+  if (isOptimizeEnabled()) {
+    lines = compressBits(lines);
+    altGroups = altGroups && altGroups.map((group) => compressBits(group));
+  }
+
+  // Alt groups are listed one after another under their own headings
+  const separator = getActiveSeparator();
+  const characters = altGroups
+    ? altGroups.map((group) => separator + group.join('_')).join('').length
+    : lines.join('_').length;
+  const lineCount = altGroups ? altGroups.reduce((count, group) => count + group.length, 0) : lines.length;
+  const text = altGroups
+    ? altGroups.map((group, idx) => `# Generated Alt group ${idx + 1}\n${group.join('\n')}`).join('\n')
+    : lines.join('\n');
+
+  let html = '<div class="expansion-preview">';
+  html += `<div class="expansion-preview-summary">Preview: ${lineCount} line${lineCount === 1 ? '' : 's'}${altGroups ? ` in ${altGroups.length} Alt group${altGroups.length === 1 ? '' : 's'}` : ''}, ${characters} characters</div>`;
+  if (generated.error) {
+    html += `<div class="expansion-line-error">⚠ ${escapeHtml(generated.error)}</div>`;
+  }
+  html += `<pre class="expansion-preview-lines">${escapeHtml(text)}</pre>`;
+  html += '</div>';
+  return html;
+}
+
+function confirmExpansionWrapper(lineId) {
+  const expansion = bitfieldExpansions[lineId];
+  if (!expansion) {
+    console.log('No expansion found for:', lineId);
+    return;
+  }
+
+  const condition = bitfieldConditions.find((c) => c.lineId === lineId);
+  if (!condition) {
+    console.log('No condition found for:', lineId);
+    return;
+  }
+
+  const groupLines = getGroupLines(bitfieldConditions, condition.groupId);
+
+  // An increment, formula, list or struct slot that fails for some group would write wrong operands, and
+  // groups that cannot be combined as the output mode asks would write a broken chain; keep the panel open
+  // showing the error
+  const generatedGroups = parseInt(expansion.generatedGroups) || 1;
+  const lineError = groupLines
+    .map((line, idx) => {
+      const lineConfig = expansion.lineConfigs[idx];
+      if (getSlotReferences(line).length > 0) return checkLineStructSlots(line, structs, generatedGroups);
+      if (!lineConfig || lineConfig.customized) return null;
+      return checkLineIncrement(line, lineConfig, generatedGroups)
+        || checkLineFormula(line, lineConfig, generatedGroups)
+        || checkLineValueList(line, lineConfig, generatedGroups).error;
+    })
+    .find(Boolean) || generateExpansionLines(groupLines, expansion).error;
+  if (lineError) {
+    console.log('Expansion not confirmed:', lineError);
+    expandCondition(lineId);
+    return;
+  }
 
-  // Clean up expansion data
+  applyExpansionToGroup(groupLines, expansion);
+
+  // The panel closes; the group keeps the recipe for reopening
   delete bitfieldExpansions[lineId];
+  reopenedLineId = null;
 
   // Re-render to show the "Added X Lines" badge
-  renderBitfieldConditions(
-    bitfieldConditions,
-    bitfieldExpansions,
-    linkGroupColors,
-    (lineId) => linkCondition(bitfieldConditions, linkGroupColors, lineId),
-    (lineId) => unlinkCondition(bitfieldConditions, lineId),
-    (lineId) => canLinkConditionUtil(bitfieldConditions, lineId),
-    (index) => addConditionAtIndex(bitfieldConditions, index),
-    (lineId) => copyCondition(bitfieldConditions, lineId),
-    (lineId) => removeBitfieldCondition(bitfieldConditions, bitfieldExpansions, linkGroupColors, lineId),
-    expandCondition,
-    reopenExpansion
-  );
+  renderAllConditions();
 }
 
 // Utility Functions
@@ -1118,88 +1738,1462 @@ function copyToClipboard(text) {
     });
 }
 
-function generateBitfieldLogic() {
-  // Check if R/R Collapse optimization is enabled
+/**
+ * Checks whether the R/R Collapse toggle is on
+ * @returns {boolean} True when optimization is enabled
+ */
+function isOptimizeEnabled() {
   const optimizeButton = document.getElementById('optimizeRR');
-  const optimizeEnabled = optimizeButton && optimizeButton.classList.contains('active');
+  return Boolean(optimizeButton && optimizeButton.classList.contains('active'));
+}
 
-  console.log('Generate Logic - R/R enabled:', optimizeEnabled);
+/**
+ * Gets the lines and Alt groups of an expanded group leader
+ * @param {Object} condition - Group leader holding the expanded lines
+ * @param {boolean} deltaCheckEnabled - Whether to keep the Delta/Mem check the group was confirmed with
+ * @returns {Object} { lines, altGroups } - regenerated without the Delta/Mem check when it is turned off
+ */
+function getExpandedOutput(condition, deltaCheckEnabled) {
+  const stored = { lines: condition.expandedLines, altGroups: condition.expandedAltGroups || null };
+  const recipe = condition.expansionRecipe;
+  if (deltaCheckEnabled || !recipe || !recipe.deltaCheck) return stored;
 
-  // Collect all conditions including expanded ones
-  let allLines = [];
+  const groupLines = getGroupLines(bitfieldConditions, condition.groupId);
+  const expansion = restoreExpansionFromRecipe(recipe, groupLines);
+  if (!expansion) return stored;
 
-  bitfieldConditions.forEach((condition) => {
-    // Skip non-leader group members that are expanded (they're represented by the leader)
-    if (condition.expanded && condition.expandedLines.length > 0) {
-      console.log('Condition', condition.lineId, 'has', condition.expandedLines.length, 'expanded lines');
+  const { lines, altGroups } = generateExpansionLines(groupLines, { ...expansion, deltaCheck: false });
+  return { lines, altGroups };
+}
+
+/**
+ * Builds the logic string for the current builder state
+ * Applies expansions and, when enabled, Bit Compression and R/R per section
+ * @param {boolean} optimizeEnabled - Whether to apply Bit Compression and R/R (defaults to the toggle)
+ * @param {boolean} deltaCheckEnabled - Whether expansions keep their Delta/Mem check; off builds the
+ *   baseline the equivalence check compares against
+ * @returns {string} The generated logic string
+ */
+function buildLogicString(optimizeEnabled = isOptimizeEnabled(), deltaCheckEnabled = true) {
+  const separator = getActiveSeparator();
+
+  console.log('Generate Logic - R/R enabled:', optimizeEnabled);
+
+  // Collect all conditions including expanded ones, one line list per Core/Alt section;
+  // expansions written as Alt groups are kept apart with their section
+  const collectedSections = bitfieldSections.map((label, section) => {
+    const allLines = [];
+    const altSets = [];
+    getSectionConditions(bitfieldConditions, section).forEach((condition) => {
+      // Skip non-leader group members that are expanded (they're represented by the leader)
+      const output = condition.expanded && condition.expandedLines.length > 0
+        ? getExpandedOutput(condition, deltaCheckEnabled)
+        : null;
+      if (output && output.altGroups) {
+        console.log('Condition', condition.lineId, 'expands into', output.altGroups.length, 'Alt groups');
+        altSets.push(optimizeEnabled ? output.altGroups.map((group) => compressBits(group)) : output.altGroups);
+      } else if (output) {
+        console.log('Condition', condition.lineId, 'has', output.lines.length, 'expanded lines');
       
-      let expandedLines = [...condition.expandedLines]; // Clone array
+        let expandedLines = [...output.lines]; // Clone array
       
-      // Apply R/R Collapse (Bit Compression) if enabled
-      if (optimizeEnabled) {
-        const originalLength = expandedLines.length;
-        expandedLines = compressBits(expandedLines);
-        const linesSaved = originalLength - expandedLines.length;
-        console.log('Bit Compression:', originalLength, '→', expandedLines.length, '(saved', linesSaved, ')');
-      }
+        // Apply R/R Collapse (Bit Compression) if enabled
+        if (optimizeEnabled) {
+          const originalLength = expandedLines.length;
+          expandedLines = compressBits(expandedLines);
+          const linesSaved = originalLength - expandedLines.length;
+          console.log('Bit Compression:', originalLength, '→', expandedLines.length, '(saved', linesSaved, ')');
+        }
       
-      allLines.push(...expandedLines);
-    } else if (condition.expanded && condition.expandedLines.length === 0) {
-      // Skip group members that are expanded but have no lines (represented by leader)
-      console.log('Condition', condition.lineId, 'is expanded group member - skipping');
-    } else {
-      const lineText = convertBitfieldConditionToText(condition);
-      console.log('Condition', condition.lineId, 'as normal line:', lineText);
-      allLines.push(lineText);
-    }
+        allLines.push(...expandedLines);
+      } else if (condition.expanded && condition.expandedLines.length === 0) {
+        // Skip group members that are expanded but have no lines (represented by leader)
+        console.log('Condition', condition.lineId, 'is expanded group member - skipping');
+      } else {
+        const lineText = convertBitfieldConditionToText(condition);
+        console.log('Condition', condition.lineId, 'as normal line:', lineText);
+        allLines.push(lineText);
+      }
+    });
+
+    console.log(getSectionLabel(section, separator), '- collected', allLines.length, 'lines');
+    return { lines: allLines, altSets };
   });
 
-  console.log('Collected', allLines.length, 'lines');
+  const sectionLines = distributeAltGroups(collectedSections).map((allLines, section) => {
+    if (!optimizeEnabled) {
+      return allLines;
+    }
 
-  // Generate the final logic string
-  let logicString = allLines.join('_');
-  console.log('Logic string length:', logicString.length);
+    // Apply R/R (Remember/Recall) optimization within this section only,
+    // so every Recall stays in the same group as its Remember
+    console.log('Applying R/R optimization to', getSectionLabel(section, separator));
+    const rrResult = applyRROptimization(allLines.join('_'));
 
-  if (optimizeEnabled) {
-    // Apply R/R Collapse (Bit Compression) optimization
-    console.log('R/R Collapse optimization applied during line collection');
-    
-    // Apply R/R (Remember/Recall) optimization
-    console.log('Applying R/R optimization');
-    const rrResult = applyRROptimization(logicString);
-    
     if (rrResult.savings > 0) {
-      logicString = rrResult.optimizedLogic;
       console.log('R/R Optimization successful!');
       console.log('Pattern:', rrResult.patternUsed.lines.length, 'lines ×', rrResult.patternUsed.count, 'occurrences');
       console.log('Original flag:', rrResult.patternUsed.originalFlag);
       console.log('Total savings:', rrResult.savings, 'characters');
-    } else {
-      console.log('R/R Optimization: No suitable patterns found');
+      return rrResult.optimizedLogic.split('_');
     }
+
+    console.log('R/R Optimization: No suitable patterns found');
+    return allLines;
+  });
+
+  // Generate the final logic string
+  const logicString = joinLogicSections(sectionLines, separator);
+  console.log('Logic string length:', logicString.length);
+  return logicString;
+}
+
+function generateBitfieldLogic() {
+  // Regenerating now would overwrite the segments that could not be parsed
+  if (parseDiagnostics.length > 0) {
+    console.warn('Generate Logic blocked:', parseDiagnostics.length, 'unparsed segment(s)');
+    renderParseDiagnosticsUi();
+    return;
   }
 
+  const logicString = buildLogicString();
+  const plainLogic = isOptimizeEnabled() ? buildLogicString(false) : logicString;
+  const separator = getActiveSeparator();
+
+  // Optimizations and the Delta/Mem check rewrite lines with regexes, so check the result still
+  // behaves like the plain expansion built without either
+  equivalenceResult = checkEquivalence(buildLogicString(false, false), logicString, separator);
+  console.log('Equivalence check:', equivalenceResult.reason, '-', equivalenceResult.frames, 'frames');
+  renderEquivalenceUi();
+
+  const outputText = outputFormat === 'annotated'
+    ? formatAnnotatedLogic(logicString, separator, collectConditionAnnotations())
+    : logicString;
+
   // Update the base logic textarea
-  document.getElementById('baseLogic').value = logicString;
+  document.getElementById('baseLogic').value = outputText;
 
-  console.log('=== About to re-parse - this will lose group structure ===');
+  // Keep the open achievement, leaderboard part or Rich Presence target in sync
+  storeModeLogic(logicString);
+  renderModeUi();
+
+  console.log('=== About to re-parse - expanded groups are restored from their recipes ===');
   // Re-parse and auto-link
+  const recipes = collectExpansionRecipes();
   updateGuiFromText();
 
+  // R/R can rewrite an expanded group's lines past recognition; the builder is then rebuilt from the
+  // logic before R/R, so every group keeps its recipe
+  const countExpanded = (list) => list.filter(({ expanded }) => expanded).length;
+  if (plainLogic !== logicString && countExpanded(collectExpansionRecipes()) < countExpanded(recipes)) {
+    console.log('R/R rewrote expanded lines - rebuilding the builder from the unoptimized logic');
+    const baseLogic = document.getElementById('baseLogic');
+    baseLogic.value = plainLogic;
+    updateGuiFromText(recipes);
+    baseLogic.value = outputText;
+    parseDiagnosticsLogic = outputText;
+  }
+
   // Copy to clipboard
-  copyToClipboard(logicString);
+  copyToClipboard(outputText);
   console.log('Generate Logic Complete');
 }
 
-// ============================================================================
-// GLOBAL WINDOW BINDINGS
-// ============================================================================
+/**
+ * Collects each builder line's label and comments, in order per section, for annotated output
+ * An expanded group's comments go with its first generated line; its labels stay on the base lines
+ * @returns {Array} Per section, { text, label, comments } per line
+ */
+function collectConditionAnnotations() {
+  const annotations = bitfieldSections.map(() => []);
+  bitfieldConditions.forEach((condition) => {
+    const section = annotations[condition.section || 0];
+    if (!section) return;
+    if (!condition.expanded) {
+      section.push({ text: convertBitfieldConditionToText(condition), label: condition.label, comments: condition.comments || null });
+      return;
+    }
+    if (condition.expandedLines.length === 0 || condition.expandedAltGroups) return;
+
+    const groupComments = getGroupLines(bitfieldConditions, condition.groupId).map((line) => line.comments).filter(Boolean);
+    const firstLine = isOptimizeEnabled() ? compressBits(condition.expandedLines)[0] : condition.expandedLines[0];
+    section.push({
+      text: firstLine,
+      label: '',
+      comments: groupComments.length > 0
+        ? {
+          before: groupComments.flatMap((comments) => comments.before),
+          inline: groupComments.map((comments) => comments.inline).filter(Boolean).join(' '),
+          after: groupComments.flatMap((comments) => comments.after),
+        }
+        : null,
+    });
+  });
+  return annotations;
+}
+
+function setOutputFormatWrapper(format) {
+  outputFormat = format;
+  document.getElementById('outputCompact').classList.toggle('active', format === 'compact');
+  document.getElementById('outputAnnotated').classList.toggle('active', format === 'annotated');
+  console.log('Output format:', format);
+}
+
+/**
+ * Renders the badge next to Generate Logic showing whether the optimized logic was verified
+ */
+function renderEquivalenceUi() {
+  const badge = document.getElementById('equivalenceBadge');
+  if (!badge) return;
+  badge.className = 'equivalence-badge';
+
+  if (!equivalenceResult || equivalenceResult.reason === 'identical') {
+    badge.textContent = '';
+    badge.title = '';
+    return;
+  }
+
+  if (equivalenceResult.equivalent) {
+    badge.classList.add('verified');
+    badge.textContent = '✓ Optimization verified';
+    badge.title = `No difference over ${equivalenceResult.timelines} timelines (${equivalenceResult.frames} frames)`;
+    return;
+  }
+
+  // Running out of budget found no difference, it just could not finish
+  if (equivalenceResult.reason === 'budget reached') {
+    badge.textContent = 'Optimization not verified';
+    badge.title = `The logic is too long to check in full; no difference over ${equivalenceResult.frames} frames `
+      + `in ${equivalenceResult.timelines} of ${equivalenceResult.totalTimelines} timelines`;
+    return;
+  }
+
+  badge.classList.add('warning');
+  badge.textContent = '⚠ Optimization not verified';
+  const { divergence } = equivalenceResult;
+  if (!divergence) {
+    badge.title = 'Some lines could not be parsed, so the optimized logic was not checked';
+    return;
+  }
+
+  const describe = (observed) => observed.status + (observed.measured !== null ? `, measured ${observed.measured}` : '');
+  badge.title = `Diverges on frame ${divergence.frame} of ${divergence.timeline}: `
+    + `the plain logic is ${describe(divergence.before)}, the generated logic is ${describe(divergence.after)}. `
+    + 'Click to load the timeline into the Simulator.';
+}
+
+function showEquivalenceDivergenceWrapper() {
+  if (!equivalenceResult || !equivalenceResult.divergence) return;
+  document.getElementById('timelineText').value = equivalenceResult.divergence.reproduce;
+  startSimulationWrapper();
+  runSimulationWrapper();
+  document.getElementById('simulatorView').scrollIntoView({ behavior: 'smooth' });
+}
+
+// ============================================================================
+// EXPLAIN VIEW
+// ============================================================================
+
+/**
+ * Renders the plain-English explanation of the builder's logic while the view is open
+ */
+function renderExplainUi() {
+  const container = document.getElementById('explainView');
+  if (!container) return;
+  document.getElementById('explainToggle').classList.toggle('active', explainVisible);
+  if (!explainVisible) {
+    container.innerHTML = '';
+    return;
+  }
+
+  const separator = getActiveSeparator();
+  container.innerHTML = renderExplanation(explainLogic(getBuilderLogic(), separator), separator);
+}
+
+function toggleExplainWrapper() {
+  explainVisible = !explainVisible;
+  console.log('Explain view:', explainVisible ? 'shown' : 'hidden');
+  renderExplainUi();
+}
+
+// ============================================================================
+// SIMULATOR
+// ============================================================================
+
+/**
+ * Renders the simulator panel for the loaded timeline
+ */
+function renderSimulatorUi() {
+  const container = document.getElementById('simulatorView');
+  if (!simulation) {
+    container.innerHTML = '';
+    return;
+  }
+  const separator = simulation.state.separator;
+  container.innerHTML = renderSimulation(simulation, (section) => getSectionLabel(section, separator));
+}
+
+function loadTimelineWrapper(input) {
+  const file = input.files && input.files[0];
+  if (!file) return;
+
+  file.text().then((text) => {
+    document.getElementById('timelineText').value = text;
+    startSimulationWrapper();
+  }).catch((error) => {
+    document.getElementById('timelineErrors').textContent = `Could not read ${file.name}: ${error.message}`;
+  });
+}
+
+function startSimulationWrapper() {
+  const { frames, errors } = parseTimeline(document.getElementById('timelineText').value);
+  document.getElementById('timelineErrors').textContent = errors.join('\n');
+  if (errors.length > 0) {
+    console.warn('Timeline problems:', errors);
+  }
+
+  // The builder's current logic is simulated, expansions and R/R included
+  simulation = createSimulation(getBuilderLogic(), getActiveSeparator(), frames);
+  console.log('Simulation loaded:', frames.length, 'frames');
+  renderSimulatorUi();
+}
+
+function stepSimulationWrapper() {
+  if (!simulation) startSimulationWrapper();
+  stepSimulation(simulation);
+  renderSimulatorUi();
+}
+
+function runSimulationWrapper() {
+  if (!simulation) startSimulationWrapper();
+  runSimulation(simulation);
+  console.log('Simulation stopped at frame', simulation.position, 'triggered at', simulation.triggeredAt);
+  renderSimulatorUi();
+}
+
+function resetSimulationWrapper() {
+  if (!simulation) return;
+  resetSimulation(simulation);
+  renderSimulatorUi();
+}
+
+function findTriggeringStateWrapper() {
+  const container = document.getElementById('solverResult');
+  const separator = getActiveSeparator();
+  if (separator === '$') {
+    container.innerHTML = '<div class="simulator-note">Values and macros do not trigger, so there is no state to find</div>';
+    return;
+  }
+
+  const result = solveLogic(getBuilderLogic(), separator);
+  console.log('Find triggering state:', result.status);
+  container.innerHTML = renderSolverResult(result, (section) => getSectionLabel(section, separator));
+
+  // The found timeline replaces the Simulator's so it can be stepped through
+  if (result.status === 'triggered') {
+    document.getElementById('timelineText').value = result.timeline;
+    startSimulationWrapper();
+    runSimulationWrapper();
+  }
+}
+
+// ============================================================================
+// SCENARIO TEST SUITES
+// ============================================================================
+
+const SCENARIO_STORAGE_KEY = 'raLogicScenarioSuites';
+
+/**
+ * Gets the scenarios attached to the open achievement
+ * @returns {Array} Scenarios (empty when none are saved)
+ */
+function getActiveScenarios() {
+  return scenarioSuites[scenarioSuiteKey] || [];
+}
+
+/**
+ * Saves all suites to localStorage
+ */
+function saveScenarioSuites() {
+  try {
+    localStorage.setItem(SCENARIO_STORAGE_KEY, serializeScenarioSuites(scenarioSuites));
+  } catch (err) {
+    console.error('Failed to save scenarios:', err);
+  }
+}
+
+/**
+ * Loads the suites saved in localStorage
+ */
+function loadScenarioSuites() {
+  let text = null;
+  try {
+    text = localStorage.getItem(SCENARIO_STORAGE_KEY);
+  } catch (err) {
+    console.error('Failed to read scenarios:', err);
+  }
+  if (!text) return;
+
+  const { suites, errors } = parseScenarioSuites(text);
+  scenarioSuites = suites;
+  if (errors.length > 0) {
+    console.warn('Saved scenario problems:', errors);
+  }
+}
+
+/**
+ * Re-runs the open achievement's scenarios once edits settle
+ * Typing in an address fires on every key, so runs are batched
+ */
+function scheduleScenarioRun() {
+  clearTimeout(scenarioRunTimer);
+  scenarioRunTimer = setTimeout(renderScenarioUi, 300);
+}
+
+/**
+ * Runs the open achievement's scenarios against the builder and renders the results
+ */
+function renderScenarioUi() {
+  clearTimeout(scenarioRunTimer);
+  const isAchievement = logicMode === 'achievement';
+  document.getElementById('scenarioSection').style.display = isAchievement ? '' : 'none';
+
+  const scenarios = isAchievement ? getActiveScenarios() : [];
+  // Scenarios run on the builder's logic as Generate Logic would write it, optimizations included
+  scenarioResults = scenarios.length > 0 ? runScenarioSuite(scenarios, getBuilderLogic(), getActiveSeparator()) : [];
+  if (scenarioResults.some((result) => !result.passed)) {
+    console.warn('Scenarios failing:', scenarioResults.filter((result) => !result.passed).length, 'of', scenarioResults.length);
+  }
+
+  document.getElementById('scenarioSummary').innerHTML = renderScenarioSummary(scenarioResults);
+  if (!isAchievement) return;
+  document.getElementById('scenarioTitle').textContent = scenarioSuiteKey === 'achievement:draft'
+    ? 'Test Scenarios (unsaved achievement)'
+    : `Test Scenarios (achievement ${scenarioSuiteKey.replace('achievement:', '')})`;
+  document.getElementById('scenarioFrame').disabled = document.getElementById('scenarioExpect').value !== 'triggers-at';
+  document.getElementById('scenarioList').innerHTML = renderScenarioList(scenarios, scenarioResults);
+}
+
+function addScenarioWrapper() {
+  const { scenario, error } = createScenario(
+    document.getElementById('scenarioName').value,
+    document.getElementById('timelineText').value,
+    document.getElementById('scenarioExpect').value,
+    document.getElementById('scenarioFrame').value
+  );
+  document.getElementById('scenarioErrors').textContent = error || '';
+  if (error) return;
+
+  scenarioSuites[scenarioSuiteKey] = [...getActiveScenarios(), scenario];
+  document.getElementById('scenarioName').value = '';
+  console.log('Scenario added to', scenarioSuiteKey, '-', scenario.name);
+  saveScenarioSuites();
+  renderScenarioUi();
+}
+
+function removeScenarioWrapper(index) {
+  const scenarios = getActiveScenarios().filter((scenario, idx) => idx !== index);
+  if (scenarios.length > 0) {
+    scenarioSuites[scenarioSuiteKey] = scenarios;
+  } else {
+    delete scenarioSuites[scenarioSuiteKey];
+  }
+  saveScenarioSuites();
+  renderScenarioUi();
+}
+
+function openScenarioWrapper(index) {
+  const scenario = getActiveScenarios()[index];
+  if (!scenario) return;
+  document.getElementById('timelineText').value = scenario.timeline;
+  startSimulationWrapper();
+  runSimulationWrapper();
+  document.getElementById('simulatorView').scrollIntoView({ behavior: 'smooth' });
+}
+
+function updateScenarioExpectWrapper() {
+  document.getElementById('scenarioFrame').disabled = document.getElementById('scenarioExpect').value !== 'triggers-at';
+}
+
+function downloadScenarioSuitesWrapper() {
+  const blob = new Blob([serializeScenarioSuites(scenarioSuites)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = 'scenarios.json';
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+function loadScenarioSuitesWrapper(input) {
+  const file = input.files && input.files[0];
+  if (!file) return;
+
+  file.text().then((text) => {
+    const { suites, errors } = parseScenarioSuites(text);
+    document.getElementById('scenarioErrors').textContent = errors.join('\n');
+    // Imported suites replace saved suites for the same achievement and keep the rest
+    scenarioSuites = { ...scenarioSuites, ...suites };
+    console.log('Scenario import:', Object.keys(suites).length, 'suites');
+    saveScenarioSuites();
+    renderScenarioUi();
+  }).catch((error) => {
+    document.getElementById('scenarioErrors').textContent = `Could not read ${file.name}: ${error.message}`;
+  });
+}
+
+// ============================================================================
+// LOGIC MODES (ACHIEVEMENT / LEADERBOARD / RICH PRESENCE)
+// ============================================================================
+
+/**
+ * Gets the stored logic for whatever the current mode is editing
+ * @returns {string} Logic string to load into the builder
+ */
+function getModeLogic() {
+  if (logicMode === 'leaderboard') {
+    return leaderboardState.parts[leaderboardState.activePart];
+  }
+  if (logicMode === 'richpresence') {
+    return getTargetLogic(richPresenceState);
+  }
+  return achievementLogic;
+}
+
+/**
+ * Stores builder logic into whatever the current mode is editing
+ * @param {string} logic - Generated logic string
+ */
+function storeModeLogic(logic) {
+  if (logicMode === 'leaderboard') {
+    leaderboardState.parts[leaderboardState.activePart] = logic;
+  } else if (logicMode === 'richpresence') {
+    storeRichPresenceTarget(logic);
+  } else {
+    achievementLogic = logic;
+    if (userFile && activeUserFileIndex !== null) {
+      // Logic the builder has not changed keeps the file's own MemAddr text
+      const memAddr = userFileLoaded && logic === userFileLoaded.builderLogic ? userFileLoaded.memAddr : logic;
+      if (memAddr !== userFile.achievements[activeUserFileIndex].memAddr) {
+        setUserFileMemAddr(userFile, activeUserFileIndex, memAddr);
+      }
+    }
+  }
+}
+
+/**
+ * Renders the mode tabs, the per-mode editor sections and the builder title
+ */
+function renderModeUi() {
+  document.getElementById('modeAchievement').classList.toggle('active', logicMode === 'achievement');
+  document.getElementById('modeLeaderboard').classList.toggle('active', logicMode === 'leaderboard');
+  document.getElementById('modeRichPresence').classList.toggle('active', logicMode === 'richpresence');
+
+  renderLeaderboardUi();
+  renderRichPresenceUi();
+  renderUserFileUi();
+  renderScenarioUi();
+}
+
+/**
+ * Renders the leaderboard part tabs, combined string and builder title
+ */
+function renderLeaderboardUi() {
+  const isLeaderboard = logicMode === 'leaderboard';
+  document.getElementById('leaderboardSection').style.display = isLeaderboard ? '' : 'none';
+  if (!isLeaderboard) return;
+
+  const part = leaderboardState.activePart;
+  document.getElementById('baseLogicTitle').textContent = `${LEADERBOARD_PART_LABELS[part]} (${part}) Logic`;
+  document.getElementById('leaderboardPartTabs').innerHTML =
+    renderLeaderboardPartTabs(leaderboardState);
+  document.getElementById('leaderboardLogic').value =
+    buildLeaderboardString(leaderboardState.parts);
+  document.getElementById('convertLegacyValue').style.display =
+    isLegacyValue(leaderboardState.parts.VAL) ? '' : 'none';
+}
+
+function setLogicModeWrapper(mode) {
+  if (mode === logicMode) return;
+
+  // Expansions and R/R are applied to the logic being left before switching
+  storeModeLogic(getBuilderLogic());
+  logicMode = mode;
+  document.getElementById('baseLogic').value = getModeLogic();
+
+  renderModeUi();
+  updateGuiFromText(false);
+}
+
+function selectLeaderboardPartWrapper(part) {
+  if (part === leaderboardState.activePart) return;
+
+  // Expansions and R/R are applied to the part being left before switching
+  const nextLogic = switchLeaderboardPart(leaderboardState, part, getBuilderLogic());
+  document.getElementById('baseLogic').value = nextLogic;
+
+  renderModeUi();
+  updateGuiFromText(false);
+}
+
+function importLeaderboardWrapper() {
+  const combined = document.getElementById('leaderboardLogic').value;
+  if (!isLeaderboardString(combined)) {
+    console.warn('Leaderboard import: expected STA:...::CAN:...::SUB:...::VAL:...');
+    return;
+  }
+
+  if (logicMode !== 'leaderboard') {
+    // A leaderboard pasted into the base logic box replaced its text, but the builder still holds the logic being left
+    const pasted = isLeaderboardString(document.getElementById('baseLogic').value);
+    storeModeLogic(pasted ? buildLogicString() : getBuilderLogic());
+    logicMode = 'leaderboard';
+  }
+  leaderboardState.parts = parseLeaderboardString(combined);
+  leaderboardState.activePart = 'STA';
+  document.getElementById('baseLogic').value = leaderboardState.parts.STA;
+
+  renderModeUi();
+  updateGuiFromText(false);
+}
+
+function convertLegacyValueWrapper() {
+  if (leaderboardState.activePart === 'VAL') {
+    leaderboardState.parts.VAL = getBuilderLogic();
+  }
+  leaderboardState.parts.VAL = convertLegacyValue(leaderboardState.parts.VAL);
+  console.log('Leaderboard: converted legacy value to', leaderboardState.parts.VAL);
+
+  if (leaderboardState.activePart === 'VAL') {
+    document.getElementById('baseLogic').value = leaderboardState.parts.VAL;
+    updateGuiFromText(false);
+  }
+  renderLeaderboardUi();
+}
+
+function exportLeaderboardWrapper() {
+  leaderboardState.parts[leaderboardState.activePart] = getBuilderLogic();
+  renderLeaderboardUi();
+  copyToClipboard(buildLeaderboardString(leaderboardState.parts));
+}
+
+// ============================================================================
+// RAINTEGRATION USER FILE
+// ============================================================================
+
+/**
+ * Renders the local achievement list and, in achievement mode, the builder title
+ */
+function renderUserFileUi() {
+  const isAchievement = logicMode === 'achievement';
+  document.getElementById('userFileSection').style.display = isAchievement ? '' : 'none';
+  if (!isAchievement) return;
+
+  const achievement = userFile && activeUserFileIndex !== null
+    ? userFile.achievements[activeUserFileIndex]
+    : null;
+  document.getElementById('baseLogicTitle').textContent = achievement
+    ? `Achievement ${achievement.id}: ${achievement.title}`
+    : 'Base Logic String';
+  document.getElementById('userFileList').innerHTML = userFile
+    ? renderUserFileList(userFile, activeUserFileIndex)
+    : '';
+}
+
+function loadUserFileWrapper(input) {
+  const file = input.files && input.files[0];
+  if (!file) return;
+
+  file.text().then((text) => {
+    userFileName = file.name;
+    document.getElementById('userFileText').value = text;
+    importUserFileWrapper();
+  }).catch((error) => {
+    document.getElementById('userFileList').innerHTML =
+      `<div class="user-file-empty">Could not read ${escapeHtml(file.name)}: ${escapeHtml(error.message)}</div>`;
+  });
+}
+
+function importUserFileWrapper() {
+  const text = document.getElementById('userFileText').value;
+  userFile = parseUserFile(text);
+  activeUserFileIndex = null;
+  userFileLoaded = null;
+  console.log('User.txt import:', userFile.achievements.length, 'achievements');
+  renderUserFileUi();
+}
+
+function openUserFileAchievementWrapper(index) {
+  if (!userFile || !userFile.achievements[index]) return;
+  if (logicMode !== 'achievement') {
+    setLogicModeWrapper('achievement');
+  }
+
+  // Write the builder back into the achievement being left
+  storeModeLogic(getBuilderLogic());
+  activeUserFileIndex = index;
+  scenarioSuiteKey = `achievement:${userFile.achievements[index].id}`;
+  achievementLogic = userFile.achievements[index].memAddr;
+  document.getElementById('baseLogic').value = achievementLogic;
+
+  renderUserFileUi();
+  updateGuiFromText(false);
+  userFileLoaded = { memAddr: achievementLogic, builderLogic: getBuilderLogic() };
+}
+
+/**
+ * Writes the open achievement back and serializes the whole file
+ * @returns {string} The User.txt contents
+ */
+function exportUserFile() {
+  if (logicMode === 'achievement' && activeUserFileIndex !== null) {
+    storeModeLogic(getBuilderLogic());
+  }
+  const text = serializeUserFile(userFile);
+  document.getElementById('userFileText').value = text;
+  return text;
+}
+
+function exportUserFileWrapper() {
+  if (!userFile) return;
+  copyToClipboard(exportUserFile());
+}
+
+function downloadUserFileWrapper() {
+  if (!userFile) return;
+
+  const blob = new Blob([exportUserFile()], { type: 'text/plain' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = userFileName || 'User.txt';
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+// ============================================================================
+// RAM DUMP
+// ============================================================================
+
+/**
+ * Gets the custom expansion panel that is currently showing
+ * @returns {Object|null} { expansionId, lineIndex } or null when no panel is open
+ */
+function getOpenCustomPanel() {
+  const id = Object.keys(bitfieldExpansions).find((key) => bitfieldExpansions[key] && bitfieldExpansions[key].showingCustom);
+  if (id === undefined) return null;
+  return { expansionId: parseInt(id, 10), lineIndex: bitfieldExpansions[id].customLineIndex };
+}
+
+/**
+ * Lists the loaded dumps and redraws an open custom panel with the overlay dump's values
+ */
+function renderRamDumpUi() {
+  document.getElementById('ramDumpList').innerHTML = renderRamDumpList(ramDumps, ramDumpOverlayIndex);
+  const panel = getOpenCustomPanel();
+  if (panel) openLineCustomizationWrapper(panel.expansionId, panel.lineIndex);
+  renderMemorySearchUi();
+}
+
+/**
+ * Reads a base address
+ * @param {string} text - Address text, the base field for new dumps when left out
+ * @returns {number|null} Base address, or null after showing why it is invalid
+ */
+function readRamDumpBase(text = document.getElementById('ramDumpBase').value) {
+  const base = parseDumpBase(text);
+  if (base === null) {
+    document.getElementById('ramDumpInfo').textContent = 'Base address must be hex (0x8000) or decimal';
+  } else {
+    document.getElementById('ramDumpInfo').textContent = '';
+  }
+  return base;
+}
+
+function loadRamDumpWrapper(input) {
+  const files = [...(input.files || [])];
+  if (files.length === 0) return;
+
+  const base = readRamDumpBase();
+  if (base === null) return;
+
+  // Keep the order the files were picked in, which is the order memory search compares them
+  Promise.all(files.map((file) => file.arrayBuffer())).then((buffers) => {
+    buffers.forEach((buffer, idx) => {
+      const dump = createRamDump(buffer, base, files[idx].name);
+      ramDumps.push(dump);
+      console.log('RAM dump loaded:', describeRamDump(dump));
+    });
+    ramDumpOverlayIndex = ramDumps.length - 1;
+    input.value = '';
+    renderRamDumpUi();
+  }).catch((error) => {
+    document.getElementById('ramDumpInfo').textContent = `Could not read the RAM dumps: ${error.message}`;
+  });
+}
+
+/**
+ * Drops the memory search results once the dumps they were found in have changed
+ */
+function resetMemorySearch() {
+  if (!memorySearch) return;
+  memorySearch = null;
+  document.getElementById('memorySearchInfo').textContent = 'The dumps changed, so the search was cleared';
+}
+
+function setRamDumpBaseWrapper(index, text) {
+  if (!ramDumps[index]) return;
+  const base = readRamDumpBase(text);
+  if (base === null) return;
+  ramDumps[index].base = base;
+  resetMemorySearch();
+  renderRamDumpUi();
+}
+
+function setRamDumpOverlayWrapper(index) {
+  if (!ramDumps[index]) return;
+  ramDumpOverlayIndex = index;
+  renderRamDumpUi();
+}
+
+function removeRamDumpWrapper(index) {
+  if (!ramDumps[index]) return;
+  ramDumps.splice(index, 1);
+  if (ramDumpOverlayIndex >= index) ramDumpOverlayIndex = Math.min(Math.max(ramDumpOverlayIndex - 1, 0), ramDumps.length - 1);
+  resetMemorySearch();
+  renderRamDumpUi();
+}
+
+function clearRamDumpWrapper() {
+  ramDumps = [];
+  ramDumpOverlayIndex = -1;
+  memorySearch = null;
+  renderRamDumpUi();
+}
+
+// ============================================================================
+// CODE NOTES
+// ============================================================================
+
+/**
+ * Shows the loaded notes, refreshes the memory field suggestions and redraws everything that labels addresses
+ */
+function renderCodeNotesUi() {
+  document.getElementById('codeNotesInfo').textContent = describeCodeNotes(codeNotes, codeNotesName);
+  document.getElementById('codeNoteOptions').innerHTML = renderCodeNoteOptions(codeNotes);
+
+  const panel = getOpenCustomPanel();
+  if (panel) {
+    openLineCustomizationWrapper(panel.expansionId, panel.lineIndex);
+    return;
+  }
+  const openExpansion = Object.keys(bitfieldExpansions).find((id) => bitfieldExpansions[id]);
+  if (openExpansion !== undefined) {
+    expandCondition(parseInt(openExpansion, 10));
+    return;
+  }
+  renderAllConditions();
+}
+
+function loadCodeNotesWrapper(input) {
+  const file = input.files && input.files[0];
+  if (!file) return;
+
+  file.text().then((text) => {
+    const { notes, errors } = parseCodeNotes(text);
+    document.getElementById('codeNotesErrors').textContent = errors.slice(0, 10).join('\n');
+    if (notes.size === 0) return;
+
+    codeNotes = notes;
+    codeNotesName = file.name;
+    console.log(`Code notes loaded: ${notes.size} notes, ${errors.length} problems`);
+    renderCodeNotesUi();
+  }).catch((error) => {
+    document.getElementById('codeNotesErrors').textContent = `Could not read ${file.name}: ${error.message}`;
+  });
+}
+
+function clearCodeNotesWrapper() {
+  codeNotes = null;
+  codeNotesName = '';
+  document.getElementById('codeNotesErrors').textContent = '';
+  renderCodeNotesUi();
+}
+
+/**
+ * Narrows the memory field suggestions to the notes matching what is typed
+ * @param {string} text - Text in the memory field
+ */
+function filterCodeNoteOptionsWrapper(text) {
+  document.getElementById('codeNoteOptions').innerHTML = renderCodeNoteOptions(codeNotes, text);
+}
+
+/**
+ * Applies a code note to a memory field that was just edited
+ * Note text such as "lives" becomes the first address whose note mentions it, and a size the note
+ * states is copied to the line unless the line reads a bit or nibble of that address
+ * @param {number} lineId - The line ID
+ * @param {string} field - 'memory' or 'value'
+ * @param {string} text - Text as typed
+ */
+function applyCodeNoteInputWrapper(lineId, field, text) {
+  const condition = bitfieldConditions.find((c) => c.lineId === lineId);
+  if (!codeNotes || !condition) return;
+
+  const type = field === 'memory' ? condition.type : condition.compareType;
+  const sizeField = field === 'memory' ? 'size' : 'compareSize';
+  if (!MEMORY_TYPES.includes(type)) return;
+
+  let entry = getOperandNote(codeNotes, type, condition[field]);
+  if (!entry && !isValidConditionField(condition, field)) {
+    entry = findCodeNotes(codeNotes, text)[0] || null;
+    if (entry) updateBitfieldConditionWrapper(lineId, field, formatNoteAddress(entry.address));
+  }
+  if (!entry || !entry.sizeStated) return;
+
+  const sizes = SIZE_OPTIONS[type] || SIZE_OPTIONS.Mem;
+  const readsPartOfByte = BIT_TYPES.includes(condition[sizeField]) || FOUR_BIT_TYPES.includes(condition[sizeField]);
+  if (sizes.includes(entry.size) && !readsPartOfByte) {
+    updateBitfieldConditionWrapper(lineId, sizeField, entry.size);
+  }
+}
+
+/**
+ * Shows the generated notes in the chosen format, with how they compare to the loaded notes
+ */
+function renderGeneratedNotesUi() {
+  const format = document.getElementById('noteExportFormat').value;
+  document.getElementById('noteExportOutput').value = format === 'json' ? formatNotesAsJson(generatedNotes) : formatNotesAsText(generatedNotes);
+
+  let summary = `${generatedNotes.length} note${generatedNotes.length === 1 ? '' : 's'} generated`;
+  if (codeNotes && generatedNotes.length > 0) {
+    const { added, changed, unchanged } = compareWithCodeNotes(generatedNotes, codeNotes);
+    summary += ` (${added} new, ${changed} different from ${codeNotesName}, ${unchanged} unchanged)`;
+  }
+  document.getElementById('noteExportInfo').textContent = summary;
+}
+
+function generateStructNotesWrapper() {
+  generatedNotes = generateStructNotes(structs);
+  if (generatedNotes.length === 0) {
+    document.getElementById('noteExportInfo').textContent = 'No struct fields to describe';
+    return;
+  }
+  console.log('Notes generated from structs:', generatedNotes.length);
+  renderGeneratedNotesUi();
+}
+
+function generateExpansionNotesWrapper() {
+  const openExpansion = Object.keys(bitfieldExpansions).find((id) => bitfieldExpansions[id]);
+  if (openExpansion === undefined) {
+    document.getElementById('noteExportInfo').textContent = 'Open an expansion first';
+    return;
+  }
+
+  const lineId = parseInt(openExpansion, 10);
+  const condition = bitfieldConditions.find((c) => c.lineId === lineId);
+  if (!condition) return;
+
+  const groupLines = getGroupLines(bitfieldConditions, condition.groupId);
+  const description = document.getElementById('noteExportDescription').value.trim();
+  generatedNotes = generateExpansionNotes(groupLines, bitfieldExpansions[lineId], structs, description);
+  if (generatedNotes.length === 0) {
+    document.getElementById('noteExportInfo').textContent = 'The expansion has no custom selections, increments or struct slots to describe';
+    return;
+  }
+  console.log(`Notes generated from expansion ${lineId}:`, generatedNotes.length);
+  renderGeneratedNotesUi();
+}
+
+function setNoteExportFormatWrapper() {
+  if (generatedNotes.length > 0) renderGeneratedNotesUi();
+}
+
+function downloadGeneratedNotesWrapper() {
+  if (generatedNotes.length === 0) return;
+  const json = document.getElementById('noteExportFormat').value === 'json';
+  const blob = new Blob([json ? formatNotesAsJson(generatedNotes) : formatNotesAsText(generatedNotes)], { type: json ? 'application/json' : 'text/plain' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = json ? 'code-notes.json' : 'code-notes.txt';
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+// ============================================================================
+// STRUCT DEFINITIONS
+// ============================================================================
+
+const STRUCT_STORAGE_KEY = 'raLogicStructs';
+
+/**
+ * Saves the struct definitions to localStorage
+ */
+function saveStructs() {
+  try {
+    localStorage.setItem(STRUCT_STORAGE_KEY, serializeStructs(structs));
+  } catch (err) {
+    console.error('Failed to save structs:', err);
+  }
+}
+
+/**
+ * Loads the struct definitions saved in localStorage
+ */
+function loadStructs() {
+  let text = null;
+  try {
+    text = localStorage.getItem(STRUCT_STORAGE_KEY);
+  } catch (err) {
+    console.error('Failed to read structs:', err);
+  }
+  if (!text) return;
+
+  const parsed = parseStructs(text);
+  structs = parsed.structs;
+  if (parsed.errors.length > 0) {
+    console.warn('Saved struct problems:', parsed.errors);
+  }
+}
+
+/**
+ * Re-resolves every struct reference in the builder after a definition changed
+ */
+function refreshStructReferences() {
+  bitfieldConditions.forEach((condition) => {
+    if (condition.memoryRef) applyStructReference(structs, condition, 'memory', condition.memoryRef);
+    if (condition.valueRef) applyStructReference(structs, condition, 'value', condition.valueRef);
+  });
+}
+
+/**
+ * Shows the struct editor
+ */
+function renderStructUi() {
+  document.getElementById('structEditor').innerHTML = renderStructEditor(structs);
+}
+
+/**
+ * Saves, redraws and re-resolves references after an edit in the struct editor
+ */
+function commitStructEdit() {
+  saveStructs();
+  refreshStructReferences();
+  renderStructUi();
+  renderAllConditions();
+}
+
+function addStructWrapper() {
+  structs.push(createStruct(`struct${structs.length + 1}`));
+  commitStructEdit();
+}
+
+function removeStructWrapper(structIdx) {
+  structs.splice(structIdx, 1);
+  commitStructEdit();
+}
+
+function updateStructWrapper(structIdx, key, value) {
+  if (!structs[structIdx]) return;
+  structs[structIdx][key] = value.trim();
+  commitStructEdit();
+}
+
+function addStructFieldWrapper(structIdx) {
+  const struct = structs[structIdx];
+  if (!struct) return;
+  struct.fields.push(createStructField(`field${struct.fields.length + 1}`));
+  commitStructEdit();
+}
+
+function removeStructFieldWrapper(structIdx, fieldIdx) {
+  if (!structs[structIdx]) return;
+  structs[structIdx].fields.splice(fieldIdx, 1);
+  commitStructEdit();
+}
+
+function updateStructFieldWrapper(structIdx, fieldIdx, key, value) {
+  const field = structs[structIdx] && structs[structIdx].fields[fieldIdx];
+  if (!field) return;
+  field[key] = key === 'bits' ? value : value.trim();
+  commitStructEdit();
+}
+
+function downloadStructsWrapper() {
+  const blob = new Blob([serializeStructs(structs)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = 'structs.json';
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+function loadStructsWrapper(input) {
+  const file = input.files && input.files[0];
+  if (!file) return;
+
+  file.text().then((text) => {
+    const parsed = parseStructs(text);
+    document.getElementById('structErrors').textContent = parsed.errors.join('\n');
+    if (parsed.structs.length === 0) return;
+    structs = parsed.structs;
+    console.log('Structs loaded:', structs.length);
+    commitStructEdit();
+  }).catch((error) => {
+    document.getElementById('structErrors').textContent = `Could not read ${file.name}: ${error.message}`;
+  });
+}
+
+/**
+ * Turns a memory field that was just edited into a struct reference when it names one
+ * @param {number} lineId - The line ID
+ * @param {string} field - 'memory' or 'value'
+ * @param {string} text - Text as typed
+ */
+function applyStructInputWrapper(lineId, field, text) {
+  const condition = bitfieldConditions.find((c) => c.lineId === lineId);
+  if (!condition || !MEMORY_TYPES.includes(field === 'memory' ? condition.type : condition.compareType)) return;
+
+  const { applied, error } = applyStructReference(structs, condition, field, text);
+  document.getElementById('structErrors').textContent = error ? `Line ${lineId}: ${error}` : '';
+  if (applied) {
+    console.log(`Line ${lineId} ${field} refers to ${text}`);
+    scheduleScenarioRun();
+  }
+}
+
+// ============================================================================
+// MEMORY SEARCH
+// ============================================================================
+
+/**
+ * Fills the size picker with every memory size
+ */
+function initializeMemorySearch() {
+  document.getElementById('memorySearchSize').innerHTML = SIZE_OPTIONS.Mem
+    .map((size) => `<option value="${size}">${size}</option>`)
+    .join('');
+}
+
+/**
+ * Shows the memory search results
+ */
+function renderMemorySearchUi() {
+  document.getElementById('memorySearchResults').innerHTML = renderSearchResults(memorySearch, ramDumps);
+}
+
+/**
+ * Reads the value to search for: hex (0x1F, h1F), decimal or a float
+ * @param {string} text - Value text
+ * @returns {number|null} Value, or null when invalid
+ */
+function parseSearchValue(text) {
+  const trimmed = String(text).trim();
+  if (trimmed === '') return null;
+  const integer = parseDumpBase(trimmed);
+  if (integer !== null) return integer;
+  return /^[+-]?(\d+\.?\d*|\.\d+)$/.test(trimmed) ? parseFloat(trimmed) : null;
+}
+
+function runMemorySearchWrapper(refine) {
+  const size = document.getElementById('memorySearchSize').value;
+  const comparison = document.getElementById('memorySearchComparison').value;
+  const target = comparison === 'value' ? parseSearchValue(document.getElementById('memorySearchValue').value) : null;
+  // Refining only makes sense at the size the results were found at
+  const candidates = refine && memorySearch && memorySearch.size === size ? memorySearch.addresses : null;
+
+  const { addresses, error } = searchMemory(ramDumps, size, comparison, target, candidates);
+  document.getElementById('memorySearchInfo').textContent = error || '';
+  if (error) return;
+
+  memorySearch = { size, comparison, addresses };
+  console.log(`Memory search (${comparison}, ${size}): ${addresses.length} addresses`);
+  renderMemorySearchUi();
+}
+
+function clearMemorySearchWrapper() {
+  memorySearch = null;
+  document.getElementById('memorySearchInfo').textContent = '';
+  renderMemorySearchUi();
+}
+
+function addConditionFromSearchWrapper(address) {
+  if (!memorySearch) return;
+  const { size } = memorySearch;
+  const dump = ramDumps[ramDumps.length - 1];
+  const value = dump ? readDumpValue(dump, address, size) : null;
+  const valueText = value === null ? '0' : Number.isInteger(value) ? String(value) : `f${value}`;
+
+  // Close any open expansions first
+  Object.keys(bitfieldExpansions).forEach((id) => {
+    delete bitfieldExpansions[id];
+  });
+
+  addBitfieldCondition(bitfieldConditions, bitfieldSections.length - 1, {
+    size,
+    memory: '0x' + address.toString(16).toUpperCase(),
+    compareSize: size,
+    value: valueText,
+  });
+  renderAllConditions();
+}
+
+function selectSearchResultInPanelWrapper(address) {
+  const panel = getOpenCustomPanel();
+  if (!panel || !memorySearch) {
+    document.getElementById('memorySearchInfo').textContent = 'Open a custom expansion panel first';
+    return;
+  }
+  document.getElementById('memorySearchInfo').textContent = '';
+  selectCustomAddress(
+    bitfieldExpansions,
+    panel.expansionId,
+    panel.lineIndex,
+    address,
+    memorySearch.size,
+    openLineCustomizationWrapper
+  );
+}
+
+// ============================================================================
+// GAME JSON IMPORT
+// ============================================================================
+
+function loadGameJsonWrapper(input) {
+  const file = input.files && input.files[0];
+  if (!file) return;
+
+  file.text().then((text) => {
+    gameData = parseGameJson(text);
+    document.getElementById('gameJsonList').innerHTML = gameData
+      ? renderGameJsonList(gameData)
+      : '<div class="user-file-empty">Not a valid game JSON file</div>';
+    if (gameData) {
+      console.log('Game JSON import:', gameData.achievements.length, 'achievements,', gameData.leaderboards.length, 'leaderboards');
+    }
+  }).catch((error) => {
+    document.getElementById('gameJsonList').innerHTML =
+      `<div class="user-file-empty">Could not read ${escapeHtml(file.name)}: ${escapeHtml(error.message)}</div>`;
+  });
+}
+
+function openGameAchievementWrapper(index) {
+  const achievement = gameData && gameData.achievements[index];
+  if (!achievement) return;
+  if (logicMode !== 'achievement') {
+    setLogicModeWrapper('achievement');
+  }
+
+  // Write the builder back into the achievement being left; the loaded logic is not tied to it
+  storeModeLogic(getBuilderLogic());
+  activeUserFileIndex = null;
+  scenarioSuiteKey = `achievement:${achievement.id}`;
+  achievementLogic = achievement.memAddr;
+  document.getElementById('baseLogic').value = achievement.memAddr;
+  console.log('Opening achievement', achievement.id, achievement.title);
+
+  renderModeUi();
+  updateGuiFromText(false);
+}
+
+function openGameLeaderboardWrapper(index) {
+  const leaderboard = gameData && gameData.leaderboards[index];
+  if (!leaderboard) return;
+
+  console.log('Opening leaderboard', leaderboard.id, leaderboard.title);
+  document.getElementById('leaderboardLogic').value = leaderboard.mem;
+  importLeaderboardWrapper();
+}
+
+// ============================================================================
+// RATOOLS SCRIPT EXPORT
+// ============================================================================
+
+function exportRatoolsScriptWrapper() {
+  const output = document.getElementById('rascriptOutput');
+  if (logicMode === 'richpresence') {
+    output.value = '// Rich Presence scripts cannot be exported to RATools yet';
+    return;
+  }
+
+  // The builder does not hold the segments that could not be parsed
+  if (parseDiagnostics.length > 0) {
+    console.warn('RATools export blocked:', parseDiagnostics.length, 'unparsed segment(s)');
+    renderParseDiagnosticsUi();
+    return;
+  }
+
+  // Expanded groups in the builder are passed whole so they can become loops
+  const builderItems = buildSectionItems(bitfieldConditions, bitfieldSections.length);
+  let script;
+  if (logicMode === 'leaderboard') {
+    const parts = {};
+    LEADERBOARD_PARTS.forEach((part) => {
+      parts[part] = part === leaderboardState.activePart
+        ? builderItems
+        : buildLogicItems(leaderboardState.parts[part], getPartSeparator(part));
+    });
+    script = exportLeaderboardScript({}, parts);
+  } else {
+    const achievement = userFile && activeUserFileIndex !== null
+      ? userFile.achievements[activeUserFileIndex]
+      : {};
+    script = exportAchievementScript(achievement, builderItems);
+  }
+
+  console.log('RATools export:', script.split('\n').length, 'lines');
+  output.value = script;
+  copyToClipboard(script);
+}
+
+// ============================================================================
+// RICH PRESENCE MODE
+// ============================================================================
+
+/**
+ * Renders the Rich Presence panel, script and builder title
+ */
+function renderRichPresenceUi() {
+  const isRichPresence = logicMode === 'richpresence';
+  document.getElementById('richPresenceSection').style.display = isRichPresence ? '' : 'none';
+  if (!isRichPresence) return;
+
+  const { target } = richPresenceState;
+  let title = 'Rich Presence (select a display condition or macro to edit)';
+  if (target) {
+    title = target.macroIndex === null
+      ? `Display ${target.displayIndex + 1} Condition`
+      : `Display ${target.displayIndex + 1} Macro ${target.macroIndex + 1} Value`;
+  }
+  document.getElementById('baseLogicTitle').textContent = title;
+
+  // Expanded group leaders can seed a Lookup with one entry per generated group
+  const expandedGroups = bitfieldConditions.filter(
+    (c) => c.expanded && c.expandedLines && c.expandedLines.length > 0,
+  );
+  document.getElementById('richPresencePanel').innerHTML =
+    renderRichPresencePanel(richPresenceState, expandedGroups);
+  document.getElementById('richPresenceScript').value =
+    serializeRichPresence(richPresenceState.model);
+}
+
+/**
+ * Stores builder logic into the Rich Presence target, unless it is still what the target loaded as
+ * An opened legacy @Macro(0x...) is shown in Measured form; left unedited, the script keeps the legacy text
+ * @param {string} logic - Generated logic string
+ */
+function storeRichPresenceTarget(logic) {
+  if (richPresenceLoaded && logic === richPresenceLoaded.builderLogic) return;
+  setTargetLogic(richPresenceState, logic);
+}
+
+function editRichPresenceTargetWrapper(displayIndex, macroIndex) {
+  // Store the builder's current logic before loading the next target
+  if (logicMode === 'richpresence') {
+    storeRichPresenceTarget(getBuilderLogic());
+  }
+  richPresenceState.target = { displayIndex, macroIndex };
+  document.getElementById('baseLogic').value = getTargetLogic(richPresenceState);
+
+  renderModeUi();
+  updateGuiFromText(false);
+  richPresenceLoaded = { builderLogic: getBuilderLogic() };
+}
+
+function importRichPresenceWrapper() {
+  const script = document.getElementById('richPresenceScript').value;
+  const model = parseRichPresence(script);
+  console.log('Rich Presence import:', model.lookups.length, 'lookups,', model.formats.length, 'formats,', model.displays.length, 'displays');
+
+  if (logicMode !== 'richpresence') {
+    storeModeLogic(getBuilderLogic());
+    logicMode = 'richpresence';
+  }
+  richPresenceState.model = model;
+  richPresenceState.target = null;
+  richPresenceLoaded = null;
+  document.getElementById('baseLogic').value = '';
+
+  renderModeUi();
+  updateGuiFromText(false);
+}
+
+function exportRichPresenceWrapper() {
+  if (richPresenceState.target) {
+    storeRichPresenceTarget(getBuilderLogic());
+  }
+  renderRichPresenceUi();
+  copyToClipboard(serializeRichPresence(richPresenceState.model));
+}
+
+function addRichPresenceItemWrapper(collection) {
+  addRichPresenceItem(richPresenceState.model, collection);
+  renderRichPresenceUi();
+}
+
+function removeRichPresenceItemWrapper(collection, index) {
+  const hadTarget = richPresenceState.target;
+  removeRichPresenceItem(richPresenceState, collection, index);
+
+  // The display being edited was removed, so clear the builder
+  if (hadTarget && !richPresenceState.target) {
+    document.getElementById('baseLogic').value = '';
+    updateGuiFromText(false);
+  }
+  renderModeUi();
+}
+
+function updateRichPresenceItemWrapper(collection, index, field, value) {
+  updateRichPresenceItem(richPresenceState.model, collection, index, field, value);
+  renderRichPresenceUi();
+}
+
+function addRichPresenceLookupFromExpansionWrapper(lineId) {
+  const condition = bitfieldConditions.find((c) => c.lineId === parseInt(lineId));
+  if (!condition || !condition.expandedLines || condition.expandedLines.length === 0) {
+    console.warn('Lookup from expansion: line', lineId, 'has no expanded lines');
+    return;
+  }
+
+  const name = `Lookup${richPresenceState.model.lookups.length + 1}`;
+  const lookup = buildLookupFromExpansion(name, condition.expandedLines, condition.generatedGroupsCount);
+  richPresenceState.model.lookups.push(lookup);
+  console.log('Lookup from expansion:', name, 'with', lookup.entries.length, 'entries');
+  renderRichPresenceUi();
+}
+
+// ============================================================================
+// GLOBAL WINDOW BINDINGS
+// ============================================================================
 
 // Toggle functions for optimization and expansion options
 function toggleOptimize(type) {
   const button = document.getElementById('optimizeRR');
   button.classList.toggle('active');
   console.log(`Optimize ${type} toggled:`, button.classList.contains('active'));
+  refreshOpenExpansion();
+  scheduleScenarioRun();
+}
+
+/**
+ * Gets the ID of the expansion whose panel is open
+ * @returns {number|null} The expansion ID, or null when no panel is open
+ */
+function getOpenExpansionId() {
+  const openExpansion = Object.keys(bitfieldExpansions).find((id) => bitfieldExpansions[id]);
+  return openExpansion === undefined ? null : parseInt(openExpansion, 10);
+}
+
+/**
+ * Redraws the open expansion or custom panel so its preview follows a change made elsewhere
+ */
+function refreshOpenExpansion() {
+  const lineId = getOpenExpansionId();
+  if (lineId === null) return;
+  const expansion = bitfieldExpansions[lineId];
+  if (expansion.showingCustom) {
+    openLineCustomizationWrapper(lineId, expansion.customLineIndex);
+  } else if (expansion.html) {
+    expandCondition(lineId);
+  }
 }
 
 function toggleDeltaMemCheck() {
@@ -1207,8 +3201,11 @@ function toggleDeltaMemCheck() {
   button.classList.toggle('active');
   console.log('Delta/Mem Check toggled:', button.classList.contains('active'));
   
-  // Update expansion data
-  // This would need to be tied to the current expansion context
+  // Update expansion data so Confirm, the recipe and the preview use it
+  const lineId = getOpenExpansionId();
+  if (lineId === null) return;
+  bitfieldExpansions[lineId].deltaCheck = button.classList.contains('active');
+  expandCondition(lineId);
 }
 
 function toggleBitCompression() {
@@ -1216,14 +3213,23 @@ function toggleBitCompression() {
   button.classList.toggle('active');
   console.log('Bit-Compression toggled:', button.classList.contains('active'));
   
-  // Update expansion data
-  // This would need to be tied to the current expansion context
+  // Update expansion data so Confirm, the recipe and the preview use it
+  const lineId = getOpenExpansionId();
+  if (lineId === null) return;
+  bitfieldExpansions[lineId].bitCompression = button.classList.contains('active');
+  expandCondition(lineId);
 }
 
 // Make functions globally accessible for HTML onclick handlers
 console.log('Setting up global functions...');
 window.updateGuiFromText = updateGuiFromText;
+window.renderBitfieldConditions = renderAllConditions;
+window.selectParseDiagnostic = selectParseDiagnosticWrapper;
+window.discardParseDiagnostic = discardParseDiagnosticWrapper;
+window.discardAllParseDiagnostics = discardAllParseDiagnosticsWrapper;
 window.addBitfieldCondition = addBitfieldConditionWrapper;
+window.addAltSection = addAltSectionWrapper;
+window.removeAltSection = removeAltSectionWrapper;
 window.removeBitfieldCondition = removeBitfieldConditionWrapper;
 window.addConditionAtIndex = addConditionAtIndexWrapper;
 window.copyCondition = copyConditionWrapper;
@@ -1239,6 +3245,8 @@ window.reopenExpansion = reopenExpansion;
 window.recomputeExpandState = recomputeExpandState;
 window.updateExpansionField = updateExpansionFieldWrapper;
 window.updateLineConfig = updateLineConfigWrapper;
+window.loadValueListCsv = loadValueListCsvWrapper;
+window.selectValueListColumn = selectValueListColumnWrapper;
 window.cancelExpansion = cancelExpansionWrapper;
 window.cancelLineCustomization = cancelLineCustomizationWrapper;
 window.openLineCustomization = openLineCustomizationWrapper;
@@ -1259,6 +3267,69 @@ window.toggleCustomStandardValidated = (expansionId, lineIndex, rowBaseAddr, off
 window.toggleCustomAllStandardValidated = (expansionId, lineIndex, rowBaseAddr, stride, buttonsPerRow) => toggleCustomAllStandardValidated(bitfieldExpansions, expansionId, lineIndex, rowBaseAddr, stride, buttonsPerRow, openLineCustomizationWrapper);
 window.copyToClipboard = copyToClipboard;
 window.generateBitfieldLogic = generateBitfieldLogic;
+window.setOutputFormat = setOutputFormatWrapper;
+window.toggleExplain = toggleExplainWrapper;
+window.showEquivalenceDivergence = showEquivalenceDivergenceWrapper;
+window.loadTimeline = loadTimelineWrapper;
+window.startSimulation = startSimulationWrapper;
+window.stepSimulation = stepSimulationWrapper;
+window.runSimulation = runSimulationWrapper;
+window.resetSimulation = resetSimulationWrapper;
+window.findTriggeringState = findTriggeringStateWrapper;
+window.addScenario = addScenarioWrapper;
+window.removeScenario = removeScenarioWrapper;
+window.openScenario = openScenarioWrapper;
+window.updateScenarioExpect = updateScenarioExpectWrapper;
+window.downloadScenarioSuites = downloadScenarioSuitesWrapper;
+window.loadScenarioSuites = loadScenarioSuitesWrapper;
+window.setLogicMode = setLogicModeWrapper;
+window.selectLeaderboardPart = selectLeaderboardPartWrapper;
+window.importLeaderboard = importLeaderboardWrapper;
+window.exportLeaderboard = exportLeaderboardWrapper;
+window.convertLegacyValue = convertLegacyValueWrapper;
+window.editRichPresenceTarget = editRichPresenceTargetWrapper;
+window.importRichPresence = importRichPresenceWrapper;
+window.exportRichPresence = exportRichPresenceWrapper;
+window.addRichPresenceItem = addRichPresenceItemWrapper;
+window.removeRichPresenceItem = removeRichPresenceItemWrapper;
+window.updateRichPresenceItem = updateRichPresenceItemWrapper;
+window.addRichPresenceLookupFromExpansion = addRichPresenceLookupFromExpansionWrapper;
+window.loadUserFile = loadUserFileWrapper;
+window.importUserFile = importUserFileWrapper;
+window.openUserFileAchievement = openUserFileAchievementWrapper;
+window.exportUserFile = exportUserFileWrapper;
+window.downloadUserFile = downloadUserFileWrapper;
+window.exportRatoolsScript = exportRatoolsScriptWrapper;
+window.loadGameJson = loadGameJsonWrapper;
+window.loadRamDump = loadRamDumpWrapper;
+window.setRamDumpBase = setRamDumpBaseWrapper;
+window.clearRamDump = clearRamDumpWrapper;
+window.setRamDumpOverlay = setRamDumpOverlayWrapper;
+window.removeRamDump = removeRamDumpWrapper;
+window.runMemorySearch = runMemorySearchWrapper;
+window.loadCodeNotes = loadCodeNotesWrapper;
+window.clearCodeNotes = clearCodeNotesWrapper;
+window.generateStructNotes = generateStructNotesWrapper;
+window.generateExpansionNotes = generateExpansionNotesWrapper;
+window.setNoteExportFormat = setNoteExportFormatWrapper;
+window.downloadGeneratedNotes = downloadGeneratedNotesWrapper;
+window.applyCodeNoteInput = applyCodeNoteInputWrapper;
+window.filterCodeNoteOptions = filterCodeNoteOptionsWrapper;
+window.addStruct = addStructWrapper;
+window.removeStruct = removeStructWrapper;
+window.updateStruct = updateStructWrapper;
+window.addStructField = addStructFieldWrapper;
+window.removeStructField = removeStructFieldWrapper;
+window.updateStructField = updateStructFieldWrapper;
+window.downloadStructs = downloadStructsWrapper;
+window.loadStructs = loadStructsWrapper;
+window.applyStructInput = applyStructInputWrapper;
+window.clearMemorySearch = clearMemorySearchWrapper;
+window.addConditionFromSearch = addConditionFromSearchWrapper;
+window.selectSearchResultInPanel = selectSearchResultInPanelWrapper;
+window.autoSelectCustomFromDump = autoSelectCustomFromDumpWrapper;
+window.openGameAchievement = openGameAchievementWrapper;
+window.openGameLeaderboard = openGameLeaderboardWrapper;
 window.addBitfieldCondition = addBitfieldConditionWrapper;
 window.clearBitfieldConditions = clearBitfieldConditionsWrapper;
 
@@ -1270,6 +3341,10 @@ window.clearBitfieldConditions = clearBitfieldConditionsWrapper;
  * Initializes the application when DOM is ready
  */
 function initializeApp() {
+  loadScenarioSuites();
+  initializeMemorySearch();
+  loadStructs();
+  renderStructUi();
   // Parse initial content from textarea if any
   updateGuiFromText();
 }
@@ -8,12 +8,14 @@ import { recalculateLineAndGroupIds, getGroupLines } from './groups.js';
 
 /**
  * Creates a new default condition object
+ * @param {number} section - The Core/Alt section the condition belongs to
  * @returns {Object} Default condition object
  */
-function createDefaultCondition() {
+function createDefaultCondition(section = 0) {
   return {
     lineId: 0, // Temporary, will be set by recalculation
     groupId: 0, // Temporary, will be set by recalculation
+    section,
     flag: '',
     type: 'Mem',
     size: '8-bit',
@@ -23,6 +25,8 @@ function createDefaultCondition() {
     compareSize: '8-bit',
     value: '0',
     hits: '0',
+    label: '',
+    comments: null,
     bytes: '',
     expanded: false,
     expandedLines: [],
@@ -30,13 +34,24 @@ function createDefaultCondition() {
 }
 
 /**
- * Adds a new bitfield condition to the array
+ * Adds a new bitfield condition to the end of a section
  * @param {Array} bitfieldConditions - Array of conditions (modified in place)
+ * @param {number} section - The Core/Alt section to add to
+ * @param {Object} fields - Field values to start with instead of the defaults
+ * @returns {Object} The new condition
  */
-export function addBitfieldCondition(bitfieldConditions) {
-  const newCondition = createDefaultCondition();
-  bitfieldConditions.push(newCondition);
+export function addBitfieldCondition(bitfieldConditions, section = 0, fields = {}) {
+  const newCondition = { ...createDefaultCondition(section), ...fields };
+
+  // Insert after the last condition of this section (or any earlier section)
+  let insertIndex = 0;
+  bitfieldConditions.forEach((c, idx) => {
+    if ((c.section || 0) <= section) insertIndex = idx + 1;
+  });
+
+  bitfieldConditions.splice(insertIndex, 0, newCondition);
   recalculateLineAndGroupIds(bitfieldConditions);
+  return newCondition;
 }
 
 /**
@@ -76,7 +91,8 @@ export function removeBitfieldCondition(bitfieldConditions, bitfieldExpansions,
  * @param {number} index - The index to insert at
  */
 export function addConditionAtIndex(bitfieldConditions, index) {
-  const newCondition = createDefaultCondition();
+  const anchor = bitfieldConditions[index];
+  const newCondition = createDefaultCondition(anchor ? anchor.section || 0 : 0);
 
   // Insert the new condition
   bitfieldConditions.splice(index + 1, 0, newCondition);
@@ -157,6 +173,10 @@ export function updateBitfieldCondition(
 
   condition[field] = value;
 
+  // A typed operand replaces the struct reference it showed; app.js re-applies references on change
+  if (field === 'memory') delete condition.memoryRef;
+  if (field === 'value') delete condition.valueRef;
+
   // If flag changed to operand flag (A:, B:, I:, K:), clear comparison
   if (field === 'flag' && OPERAND_FLAGS.includes(value)) {
     condition.cmp = '';
@@ -198,6 +218,7 @@ export function syncBitfieldFromText(
   bitfieldConditions.push(...parsed.map((condition, index) => ({
     lineId: index + 1,
     groupId: index + 1, // Each line starts in its own group
+    section: condition.section || 0,
     flag: condition.flag,
     type: condition.type,
     size: condition.size,
@@ -207,6 +228,8 @@ export function syncBitfieldFromText(
     compareSize: condition.compareSize,
     value: condition.value || '0',
     hits: condition.hits || '0',
+    label: condition.label || '',
+    comments: condition.comments || null,
     bytes: '',
     expanded: false,
     expandedLines: [],
@@ -0,0 +1,226 @@
+// ============================================================================
+// CODE NOTE EXPORT
+// ============================================================================
+//
+// Builds code notes from what the builder already knows about memory:
+// struct definitions (every field of every slot) and an open expansion
+// (each custom selection, increment or formula step, list entry or struct
+// slot is one generated group). Notes follow the site's conventions, a
+// "[size] description" first line and one line per named bit:
+//
+//   [8-bit] enemies[0].flags
+//   bit0 = alive
+//   bit3 = boss
+//
+// and are written as RA JSON ([{ "Address": "0x001008", "Note": "..." }],
+// which the Code Notes import reads back) or as text blocks of an address
+// line followed by the note.
+
+import { MEMORY_TYPES } from './core-constants.js';
+import { getCustomSelections, getSteppedOperands, stepArithmeticOperand, checkLineValueList } from './expansion-system.js';
+import { parseBitMeanings, parseStructReference, resolveStructReference, getSlotReferences } from './structs.js';
+import { parseConstantValue, normalizeConstantInput } from './values.js';
+
+/**
+ * Parses a number written as "0x20", "h20" or decimal
+ * @param {string} text - Number text
+ * @returns {number|null} Number, or null when invalid
+ */
+function parseExportNumber(text) {
+  const trimmed = String(text ?? '').trim();
+  if (/^(0x|h)[0-9a-f]+$/i.test(trimmed)) return parseInt(trimmed.replace(/^(0x|h)/i, ''), 16);
+  if (/^\d+$/.test(trimmed)) return parseInt(trimmed, 10);
+  return null;
+}
+
+/**
+ * Collects notes by address, combining the bit and nibble parts of one byte into a single note
+ * @returns {Object} { add(address, size, title), addPart(address, part, label, title), notes() }
+ */
+function createNoteCollector() {
+  const entries = new Map();
+
+  return {
+    // A whole value; the first description of an address wins
+    add(address, size, title) {
+      if (!entries.has(address)) entries.set(address, { address, size, title, parts: [] });
+    },
+    // A bit or nibble of a byte, listed under the byte's note
+    addPart(address, part, label, title) {
+      if (!entries.has(address)) entries.set(address, { address, size: '8-bit', title, parts: [] });
+      const entry = entries.get(address);
+      if (!entry.parts.some((existing) => existing.part === part)) entry.parts.push({ part, label });
+    },
+    notes() {
+      return [...entries.values()]
+        .sort((a, b) => a.address - b.address)
+        .map((entry) => {
+          const lines = [`[${entry.size}] ${entry.title}`];
+          entry.parts
+            .sort((a, b) => a.part.localeCompare(b.part))
+            .forEach(({ part, label }) => lines.push(`${part} = ${label}`));
+          return { address: entry.address, size: entry.size, note: lines.join('\n') };
+        });
+    },
+  };
+}
+
+/**
+ * Adds the note for one generated group's address
+ * @param {Object} collector - Note collector
+ * @param {number} address - Address
+ * @param {string} size - Size the group reads
+ * @param {string} label - Description of the group
+ * @param {string} title - Description of the whole byte, for bit and nibble notes
+ */
+function addSelectionNote(collector, address, size, label, title) {
+  const bitMatch = size.match(/^Bit(\d)$/);
+  if (bitMatch) {
+    collector.addPart(address, `bit${bitMatch[1]}`, label, title);
+  } else if (size === 'Upper4' || size === 'Lower4') {
+    collector.addPart(address, size, label, title);
+  } else if (size === 'BitCount') {
+    collector.add(address, '8-bit', `${label} (count of set bits)`);
+  } else {
+    collector.add(address, size, label);
+  }
+}
+
+/**
+ * Generates notes for every field of every slot of the structs
+ * @param {Array} structs - Struct definitions
+ * @returns {Array} Notes { address, size, note }, in address order
+ */
+export function generateStructNotes(structs) {
+  const collector = createNoteCollector();
+  structs.forEach((struct) => {
+    const count = parseExportNumber(struct.count) || 0;
+    for (let slot = 0; slot < count; slot++) {
+      struct.fields.forEach((field) => {
+        const resolved = resolveStructReference(structs, parseStructReference(`${struct.name}[${slot}].${field.name}`), slot);
+        if (resolved.error) return;
+
+        const title = `${struct.name}[${slot}].${field.name}`;
+        collector.add(resolved.address, resolved.size, title);
+        parseBitMeanings(field.bits).bits.forEach((bit, name) => collector.addPart(resolved.address, `bit${bit}`, name, title));
+      });
+    }
+  });
+  return collector.notes();
+}
+
+/**
+ * Generates notes for the addresses an expansion steps through
+ * @param {Array} groupLines - The expanded group's lines
+ * @param {Object} expansion - The expansion (generatedGroups and lineConfigs)
+ * @param {Array} structs - Struct definitions, for name[i].field references
+ * @param {string} description - Description of one generated group, e.g. "Boss defeated"
+ * @returns {Array} Notes { address, size, note }, in address order
+ */
+export function generateExpansionNotes(groupLines, expansion, structs, description) {
+  const collector = createNoteCollector();
+  const generatedGroups = parseInt(expansion.generatedGroups) || 1;
+
+  groupLines.forEach((line, lineIdx) => {
+    const lineConfig = expansion.lineConfigs[lineIdx];
+    if (!lineConfig) return;
+    const title = description || line.label || `Line ${line.lineId}`;
+    const groupLabel = (groupIdx) => `${title} ${groupIdx + 1}`;
+
+    // Struct references: one slot per group, named after the field
+    const references = getSlotReferences(line);
+    if (references.length > 0) {
+      references.forEach((text) => {
+        const reference = parseStructReference(text);
+        for (let groupIdx = 0; groupIdx < generatedGroups; groupIdx++) {
+          const resolved = resolveStructReference(structs, reference, groupIdx);
+          if (resolved.error) continue;
+          const name = `${reference.struct}[${groupIdx}].${reference.field}`;
+          addSelectionNote(collector, resolved.address, resolved.size, reference.bit || name, name);
+        }
+      });
+      return;
+    }
+
+    // Custom selections: the n-th selection is group n
+    if (lineConfig.customized && lineConfig.customData) {
+      getCustomSelections(line, lineConfig.customData)
+        .slice(0, generatedGroups)
+        .forEach(({ addr, size }, groupIdx) => addSelectionNote(collector, addr, size, groupLabel(groupIdx), title));
+      return;
+    }
+
+    // Value lists: the n-th address is group n
+    const list = checkLineValueList(line, lineConfig);
+    if (list.entries.length > 0) {
+      const type = list.field === 'memory' ? line.type : line.compareType;
+      const size = list.field === 'memory' ? line.size : line.compareSize;
+      if (!MEMORY_TYPES.includes(type)) return;
+      list.entries
+        .slice(0, generatedGroups)
+        .forEach((entry, groupIdx) => addSelectionNote(collector, parseInt(entry.slice(2), 16), size, groupLabel(groupIdx), title));
+      return;
+    }
+
+    // Arithmetic: each group moves the stepped side by the formula or the increment
+    const constant = parseConstantValue(normalizeConstantInput(lineConfig.arithmeticIncrement || '').text);
+    const increment = constant ? constant.number : 0;
+    if (increment === 0 && !(lineConfig.formula || '').trim()) return;
+    const sizes = { memory: line.size, value: line.compareSize };
+    getSteppedOperands(line, lineConfig)
+      .filter(([, type]) => MEMORY_TYPES.includes(type))
+      .forEach(([field, type]) => {
+        for (let groupIdx = 0; groupIdx < generatedGroups; groupIdx++) {
+          const operand = stepArithmeticOperand(type, line[field], lineConfig, groupIdx, generatedGroups);
+          const address = parseInt(String(operand).replace(/^0x/i, ''), 16);
+          if (Number.isFinite(address)) addSelectionNote(collector, address, sizes[field], groupLabel(groupIdx), title);
+        }
+      });
+  });
+
+  return collector.notes();
+}
+
+/**
+ * Formats an address the way the site writes note addresses
+ * @param {number} address - Address
+ * @returns {string} e.g. "0x001234"
+ */
+function formatExportAddress(address) {
+  return '0x' + address.toString(16).padStart(6, '0');
+}
+
+/**
+ * Writes notes in the RA JSON format
+ * @param {Array} notes - Notes { address, note }
+ * @returns {string} JSON text
+ */
+export function formatNotesAsJson(notes) {
+  return JSON.stringify(notes.map(({ address, note }) => ({ Address: formatExportAddress(address), Note: note })), null, 2);
+}
+
+/**
+ * Writes notes as text: an address line, the note, then a blank line
+ * @param {Array} notes - Notes { address, note }
+ * @returns {string} Text
+ */
+export function formatNotesAsText(notes) {
+  return notes.map(({ address, note }) => `${formatExportAddress(address)}\n${note}`).join('\n\n');
+}
+
+/**
+ * Compares generated notes with the loaded code notes
+ * @param {Array} notes - Generated notes
+ * @param {Map|null} codeNotes - Loaded code notes
+ * @returns {Object} { added, changed, unchanged } counts
+ */
+export function compareWithCodeNotes(notes, codeNotes) {
+  const counts = { added: 0, changed: 0, unchanged: 0 };
+  notes.forEach(({ address, note }) => {
+    const existing = codeNotes ? codeNotes.get(address) : null;
+    if (!existing) counts.added++;
+    else if (existing.note.replace(/\r\n/g, '\n').trim() === note) counts.unchanged++;
+    else counts.changed++;
+  });
+  return counts;
+}
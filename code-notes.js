@@ -0,0 +1,290 @@
+// ============================================================================
+// CODE NOTES
+// ============================================================================
+//
+// Code notes name what lives at an address. Two file formats are read:
+//
+//   RA JSON:  [{ "Address": "0x001234", "Note": "[8-bit] Lives", "User": "..." }]
+//             (or { "CodeNotes": [...] } as returned by the web API)
+//   CSV:      address,size,note - an optional header line, notes may be quoted
+//
+// RA notes do not carry a size field, so it is read from the note text
+// ("[16-bit]", "32-bit BE", "[Float]", "Bitflags") and left unstated when
+// the note does not say.
+
+import { SIZE_OPTIONS, MEMORY_TYPES } from './core-constants.js';
+import { escapeHtml } from './html-renderer.js';
+
+// Longest label shown next to an address; the whole note is in the tooltip
+const MAX_LABEL_LENGTH = 48;
+
+// Suggestions offered at once while typing into a memory field; the typed text narrows them first
+const MAX_SUGGESTIONS = 2000;
+
+/**
+ * Parses an address written as "0x1234", "h1234", "1234" (hex) or a number
+ * @param {string|number} text - Address
+ * @returns {number|null} Address, or null when invalid
+ */
+function parseNoteAddress(text) {
+  if (typeof text === 'number') return Number.isInteger(text) && text >= 0 ? text : null;
+  const trimmed = String(text ?? '').trim();
+  if (!/^(0x|h)?[0-9a-f]+$/i.test(trimmed)) return null;
+  return parseInt(trimmed.replace(/^(0x|h)/i, ''), 16);
+}
+
+/**
+ * Reads the size a note's text states
+ * @param {string} text - Note text
+ * @returns {string|null} Size from SIZE_OPTIONS.Mem, or null when the note does not say
+ */
+export function detectNoteSize(text) {
+  const firstLine = String(text).split(/\r?\n/)[0];
+
+  const floatMatch = firstLine.match(/\b(float|double32|mbf32)\b(\s*(be|le|big[- ]endian|little[- ]endian))?/i);
+  if (floatMatch) {
+    const base = { float: 'Float', double32: 'Double32', mbf32: 'MBF32' }[floatMatch[1].toLowerCase()];
+    const suffix = (floatMatch[3] || '').toLowerCase();
+    if (base === 'MBF32') return suffix.startsWith('l') ? 'MBF32 LE' : 'MBF32';
+    return suffix.startsWith('b') ? `${base} BE` : base;
+  }
+
+  const bitMatch = firstLine.match(/\b(8|16|24|32)[- ]?bits?\b(\s*(be|big[- ]endian))?/i);
+  if (bitMatch) {
+    return bitMatch[1] !== '8' && bitMatch[3] ? `${bitMatch[1]}-bit BE` : `${bitMatch[1]}-bit`;
+  }
+
+  if (/\bbit[- ]?flags?\b/i.test(firstLine)) return '8-bit';
+  return null;
+}
+
+/**
+ * Creates a note entry
+ * @param {number} address - Address
+ * @param {string} note - Note text
+ * @param {string|null} size - Stated size, or null to read it from the note
+ * @returns {Object} { address, size, sizeStated, note }
+ */
+function createNote(address, note, size) {
+  const stated = size || detectNoteSize(note);
+  return { address, size: stated || '8-bit', sizeStated: !!stated, note: String(note).trim() };
+}
+
+/**
+ * Splits a CSV line, honouring double-quoted fields
+ * @param {string} line - CSV line
+ * @returns {Array} Fields
+ */
+export function splitCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+/**
+ * Parses code notes in the RA JSON format
+ * @param {Array} entries - Note entries
+ * @returns {Object} { notes, errors }
+ */
+function parseJsonNotes(entries) {
+  const notes = new Map();
+  const errors = [];
+  entries.forEach((entry, idx) => {
+    const address = parseNoteAddress(entry?.Address ?? entry?.address);
+    const note = entry?.Note ?? entry?.note;
+    if (address === null || typeof note !== 'string') {
+      errors.push(`Note ${idx + 1}: expected "Address" and "Note"`);
+      return;
+    }
+    // RA marks deleted notes with an empty text
+    if (note.trim() === '') return;
+    notes.set(address, createNote(address, note, null));
+  });
+  return { notes, errors };
+}
+
+/**
+ * Parses code notes in the address,size,note CSV format
+ * @param {string} text - CSV text
+ * @returns {Object} { notes, errors }
+ */
+function parseCsvNotes(text) {
+  const notes = new Map();
+  const errors = [];
+  text.split(/\r?\n/).forEach((line, idx) => {
+    if (!line.trim()) return;
+    const [addressText, sizeText = '', ...rest] = splitCsvLine(line);
+    const address = parseNoteAddress(addressText);
+    if (address === null) {
+      if (idx === 0 && /address/i.test(addressText)) return;
+      errors.push(`Line ${idx + 1}: "${addressText.trim()}" is not an address`);
+      return;
+    }
+
+    const size = SIZE_OPTIONS.Mem.find((option) => option.toLowerCase() === sizeText.trim().toLowerCase());
+    if (sizeText.trim() && !size) {
+      errors.push(`Line ${idx + 1}: unknown size "${sizeText.trim()}"`);
+      return;
+    }
+    const note = rest.join(',').trim();
+    if (!note) {
+      errors.push(`Line ${idx + 1}: missing note text`);
+      return;
+    }
+    notes.set(address, createNote(address, note, size || null));
+  });
+  return { notes, errors };
+}
+
+/**
+ * Parses a code notes file, RA JSON or CSV
+ * @param {string} text - File contents
+ * @returns {Object} { notes: Map of address to note, errors }
+ */
+export function parseCodeNotes(text) {
+  const trimmed = String(text).trim();
+  if (!trimmed) return { notes: new Map(), errors: ['The file is empty'] };
+
+  if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch (err) {
+      return { notes: new Map(), errors: [`Not valid JSON: ${err.message}`] };
+    }
+    const entries = Array.isArray(data) ? data : data && (data.CodeNotes || data.codeNotes);
+    if (!Array.isArray(entries)) return { notes: new Map(), errors: ['No list of code notes found'] };
+    return parseJsonNotes(entries);
+  }
+  return parseCsvNotes(trimmed);
+}
+
+/**
+ * Gets the note for a condition operand
+ * @param {Map|null} codeNotes - Loaded notes
+ * @param {string} type - Operand type; only memory types have notes
+ * @param {string} operand - Operand text, e.g. "0x1234"
+ * @returns {Object|null} Note entry, or null when there is none
+ */
+export function getOperandNote(codeNotes, type, operand) {
+  if (!codeNotes || !MEMORY_TYPES.includes(type)) return null;
+  const address = parseNoteAddress(operand);
+  return address === null ? null : codeNotes.get(address) || null;
+}
+
+/**
+ * Shortens a note to its first line for labels
+ * @param {Object} entry - Note entry
+ * @returns {string} Label text
+ */
+export function summarizeNote(entry) {
+  const firstLine = entry.note.split(/\r?\n/)[0].trim();
+  return firstLine.length > MAX_LABEL_LENGTH ? firstLine.slice(0, MAX_LABEL_LENGTH - 1) + '…' : firstLine;
+}
+
+/**
+ * Finds the notes whose text contains the query
+ * @param {Map|null} codeNotes - Loaded notes
+ * @param {string} query - Text to look for, case-insensitive
+ * @returns {Array} Matching note entries, in address order
+ */
+export function findCodeNotes(codeNotes, query) {
+  const needle = String(query).trim().toLowerCase();
+  if (!codeNotes || !needle) return [];
+  return [...codeNotes.values()]
+    .filter((entry) => entry.note.toLowerCase().includes(needle))
+    .sort((a, b) => a.address - b.address);
+}
+
+/**
+ * Formats an address as the builder writes it
+ * @param {number} address - Address
+ * @returns {string} e.g. "0x1234"
+ */
+export function formatNoteAddress(address) {
+  return '0x' + address.toString(16).toUpperCase();
+}
+
+/**
+ * Creates the note label shown under a memory field
+ * @param {Map|null} codeNotes - Loaded notes
+ * @param {string} type - Operand type
+ * @param {string} operand - Operand text
+ * @returns {string} HTML string, empty without a note
+ */
+export function renderCodeNoteLabel(codeNotes, type, operand) {
+  const entry = getOperandNote(codeNotes, type, operand);
+  if (!entry) return '';
+  return `<div class="code-note-label" title="${escapeHtml(entry.note)}">${escapeHtml(summarizeNote(entry))}</div>`;
+}
+
+/**
+ * Creates the notes for both operands of a condition, for expansion and panel headers
+ * @param {Map|null} codeNotes - Loaded notes
+ * @param {Object} condition - Condition
+ * @returns {string} HTML string, empty without notes
+ */
+export function renderConditionNotes(codeNotes, condition) {
+  const entries = [getOperandNote(codeNotes, condition.type, condition.memory)];
+  if (condition.cmp) entries.push(getOperandNote(codeNotes, condition.compareType, condition.value));
+
+  const unique = entries.filter((entry, idx) => entry && entries.indexOf(entry) === idx);
+  if (unique.length === 0) return '';
+  return ' ' + unique.map((entry) =>
+    `<span class="code-note-inline" title="${escapeHtml(entry.note)}">${formatNoteAddress(entry.address)}: ${escapeHtml(summarizeNote(entry))}</span>`).join(' ');
+}
+
+/**
+ * Creates the suggestion list offered by memory fields
+ * Notes whose address starts with the typed text or whose text contains it are offered, so large note files stay reachable
+ * @param {Map|null} codeNotes - Loaded notes
+ * @param {string} typed - Text in the memory field, empty for the first notes
+ * @returns {string} Option elements for the code notes datalist
+ */
+export function renderCodeNoteOptions(codeNotes, typed = '') {
+  if (!codeNotes) return '';
+  const needle = String(typed).trim().toLowerCase();
+  const hexDigits = needle.replace(/^(0x|h)/, '');
+  const matches = (entry) => !needle
+    || entry.address.toString(16).startsWith(hexDigits)
+    || entry.note.toLowerCase().includes(needle);
+  return [...codeNotes.values()]
+    .filter(matches)
+    .sort((a, b) => a.address - b.address)
+    .slice(0, MAX_SUGGESTIONS)
+    .map((entry) => `<option value="${formatNoteAddress(entry.address)}" label="${escapeHtml(`${summarizeNote(entry)} (${entry.size})`)}"></option>`)
+    .join('');
+}
+
+/**
+ * Describes the loaded notes for the Code Notes section
+ * @param {Map|null} codeNotes - Loaded notes
+ * @param {string} name - File name
+ * @returns {string} Plain text summary
+ */
+export function describeCodeNotes(codeNotes, name) {
+  if (!codeNotes) return 'No code notes loaded';
+  return `${name}: ${codeNotes.size} note${codeNotes.size === 1 ? '' : 's'}`;
+}
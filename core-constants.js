@@ -84,6 +84,34 @@ export const sizeMapForText = {
   'MBF32 LE': 'fL',
 };
 
+// RATools memory accessor function for each size
+export const RATOOLS_ACCESSORS = {
+  Bit0: 'bit0',
+  Bit1: 'bit1',
+  Bit2: 'bit2',
+  Bit3: 'bit3',
+  Bit4: 'bit4',
+  Bit5: 'bit5',
+  Bit6: 'bit6',
+  Bit7: 'bit7',
+  Lower4: 'low4',
+  Upper4: 'high4',
+  '8-bit': 'byte',
+  '16-bit': 'word',
+  '24-bit': 'tbyte',
+  '32-bit': 'dword',
+  '16-bit BE': 'word_be',
+  '24-bit BE': 'tbyte_be',
+  '32-bit BE': 'dword_be',
+  BitCount: 'bitcount',
+  Float: 'float',
+  'Float BE': 'float_be',
+  Double32: 'double32',
+  'Double32 BE': 'double32_be',
+  MBF32: 'mbf32',
+  'MBF32 LE': 'mbf32_le',
+};
+
 // Size options for different types
 export const SIZE_OPTIONS = {
   BCD: ['8-bit', '16-bit', '32-bit', '16-bit BE', '32-bit BE'],
@@ -158,9 +186,37 @@ export const BIT_TYPES = [
 // 4-bit types
 export const FOUR_BIT_TYPES = ['Lower4', 'Upper4'];
 
+// Sizes read as floating point values
+export const FLOAT_SIZES = ['Float', 'Float BE', 'Double32', 'Double32 BE', 'MBF32', 'MBF32 LE'];
+
+// Largest value each integer size reads as
+export const SIZE_MAX_VALUES = {
+  Bit0: 1,
+  Bit1: 1,
+  Bit2: 1,
+  Bit3: 1,
+  Bit4: 1,
+  Bit5: 1,
+  Bit6: 1,
+  Bit7: 1,
+  Lower4: 0xf,
+  Upper4: 0xf,
+  BitCount: 8,
+  '8-bit': 0xff,
+  '16-bit': 0xffff,
+  '16-bit BE': 0xffff,
+  '24-bit': 0xffffff,
+  '24-bit BE': 0xffffff,
+  '32-bit': 0xffffffff,
+  '32-bit BE': 0xffffffff,
+};
+
 // Operand flags
 export const OPERAND_FLAGS = ['A:', 'B:', 'I:', 'K:'];
 
+// Flags whose line feeds the next one instead of standing alone
+export const CHAIN_FLAGS = ['A:', 'B:', 'I:', 'K:', 'N:', 'O:', 'C:', 'D:', 'Z:'];
+
 // Flag definitions
 export const FLAG_OPTIONS = [
   { value: '', label: '' },
@@ -180,3 +236,45 @@ export const FLAG_OPTIONS = [
   { value: 'T:', label: 'Trigger' },
   { value: 'K:', label: 'Remember' },
 ];
+
+// Leaderboard parts in serialization order
+export const LEADERBOARD_PARTS = ['STA', 'CAN', 'SUB', 'VAL'];
+
+export const LEADERBOARD_PART_LABELS = {
+  STA: 'Start',
+  CAN: 'Cancel',
+  SUB: 'Submit',
+  VAL: 'Value',
+};
+
+// Comparison and arithmetic operators
+export const COMPARISON_OPERATORS = ['=', '<', '<=', '>', '>=', '!='];
+export const ARITHMETIC_OPERATORS = ['*', '/', '%', '+', '-', '&', '^'];
+
+// Rich Presence Format types
+export const RICH_PRESENCE_FORMAT_TYPES = [
+  'VALUE',
+  'SCORE',
+  'POINTS',
+  'TIME',
+  'FRAMES',
+  'MILLISECS',
+  'SECS',
+  'MINUTES',
+  'SECS_AS_MINS',
+  'FLOAT1',
+  'FLOAT2',
+  'FLOAT3',
+  'FLOAT4',
+  'FLOAT5',
+  'FLOAT6',
+  'FIXED1',
+  'FIXED2',
+  'FIXED3',
+  'TENS',
+  'HUNDREDS',
+  'THOUSANDS',
+  'UNSIGNED',
+  'ASCIICHAR',
+  'UNICODECHAR',
+];
@@ -2,7 +2,31 @@
 // CUSTOM EXPANSION PANEL CONTROLLER
 // ============================================================================
 
-import { formatConditionDisplay } from './html-renderer.js';
+import { formatConditionDisplay, escapeHtml } from './html-renderer.js';
+import { isInDump, readDumpValue } from './ram-dump.js';
+import { renderConditionNotes, summarizeNote } from './code-notes.js';
+
+/**
+ * Formats a value read from a RAM dump for a panel button
+ * @param {number|null} value - Value, or null outside the dump
+ * @returns {string} Hex for integers, decimal for floats, empty outside the dump
+ */
+function formatDumpValue(value) {
+  if (value === null) return '';
+  return Number.isInteger(value) && value >= 0 ? value.toString(16).toUpperCase() : String(value);
+}
+
+/**
+ * Gets the tooltip and class for a panel button whose address has a code note
+ * @param {Map|null} codeNotes - Loaded code notes
+ * @param {number} address - Button address
+ * @returns {Object} { noteClass, noteTitle } - both empty without a note
+ */
+function getNoteAttributes(codeNotes, address) {
+  const entry = codeNotes ? codeNotes.get(address) : null;
+  if (!entry) return { noteClass: '', noteTitle: '' };
+  return { noteClass: 'has-note', noteTitle: ` title="${escapeHtml(`0x${address.toString(16).toUpperCase()}: ${entry.note}`)}"` };
+}
 
 /**
  * Opens the custom expansion panel for a specific line
@@ -12,6 +36,9 @@ import { formatConditionDisplay } from './html-renderer.js';
  * @param {number} lineIndex - The line index
  * @param {Function} getGroupLines - Function to get group lines
  * @param {Function} renderBitfieldConditions - Function to re-render
+ * @param {Object|null} ramDump - Loaded RAM dump whose values are shown on the buttons
+ * @param {Map|null} codeNotes - Loaded code notes, shown as tooltips and next to bit rows
+ * @param {string} previewHtml - Preview of the lines the expansion adds with the current selections
  */
 export function openLineCustomization(
   bitfieldExpansions,
@@ -19,7 +46,10 @@ export function openLineCustomization(
   expansionId,
   lineIndex,
   getGroupLines,
-  renderBitfieldConditions
+  renderBitfieldConditions,
+  ramDump = null,
+  codeNotes = null,
+  previewHtml = ''
 ) {
   const expansion = bitfieldExpansions[expansionId];
   if (!expansion) return;
@@ -71,8 +101,12 @@ export function openLineCustomization(
   const is4BitType = ['Lower4', 'Upper4'].includes(line.size);
 
   let html = '<div class="expansion-interface custom-expansion">';
-  html += `<div class="expansion-header">Customize Line ${line.lineId}: ${formatConditionDisplay(line)}</div>`;
-  html += `<div class="custom-limit-display">Selected: <span id="custom-count-${expansionId}-${lineIndex}">${customData.selectedCount}</span> / ${generatedGroups}</div>`;
+  html += `<div class="expansion-header">Customize Line ${line.lineId}: ${formatConditionDisplay(line)}${renderConditionNotes(codeNotes, line)}</div>`;
+  html += `<div class="custom-limit-display">Selected: <span id="custom-count-${expansionId}-${lineIndex}">${customData.selectedCount}</span> / ${generatedGroups}`;
+  if (ramDump) {
+    html += ` <button class="bit-btn" onclick="window.autoSelectCustomFromDump(${expansionId}, ${lineIndex})">${isBitType ? 'Auto-Select Set Bits' : 'Auto-Select Nonzero'}</button>`;
+  }
+  html += '</div>';
   html += '<div class="expansion-scroll">';
 
   const startAddr = parseInt(line.memory.replace('0x', ''), 16) || 0;
@@ -159,6 +193,10 @@ export function openLineCustomization(
         html += '<div class="custom-expansion-bit-byte-row">';
         // Full address for the 8 bits
         html += `<span class="custom-expansion-full-addr">0x${fullAddress.toString(16).toUpperCase()}</span>`;
+        const byteValue = ramDump ? readDumpValue(ramDump, fullAddress, '8-bit') : null;
+        if (ramDump) {
+          html += `<span class="custom-expansion-mem-value">${byteValue === null ? '--' : byteValue.toString(16).toUpperCase().padStart(2, '0')}</span>`;
+        }
         
         // Skip and BitCount buttons for this row
         html += `<button class="bit-btn skip-btn" onclick="window.toggleCustomSkipValidated(${expansionId}, ${lineIndex}, ${rowBaseAddr}, ${byteOffset})">Skip</button>`;
@@ -167,9 +205,16 @@ export function openLineCustomization(
         
         // Individual bit buttons 0-7
         for (let bit = 0; bit < 8; bit++) {
-          html += `<button class="bit-btn-small ${byteData.bits.includes(bit) ? 'active' : ''}" 
+          const isSet = byteValue !== null && (byteValue >> bit) & 1;
+          html += `<button class="bit-btn-small ${byteData.bits.includes(bit) ? 'active' : ''} ${isSet ? 'mem-set' : ''}" 
             onclick="window.toggleCustomBitValidated(${expansionId}, ${lineIndex}, ${rowBaseAddr}, ${byteOffset}, ${bit})">${bit}</button>`;
         }
+
+        const byteNote = codeNotes ? codeNotes.get(fullAddress) : null;
+        if (byteNote) {
+          const { noteTitle } = getNoteAttributes(codeNotes, fullAddress);
+          html += `<span class="code-note-inline"${noteTitle}>${escapeHtml(summarizeNote(byteNote))}</span>`;
+        }
         
         html += '</div>';
       }
@@ -184,8 +229,10 @@ export function openLineCustomization(
       html += `<button class="bit-btn" onclick="window.toggleCustomAllUpperValidated(${expansionId}, ${lineIndex}, ${rowBaseAddr})">All U</button>`;
       for (let byteOffset = 0; byteOffset < 0x10; byteOffset++) {
         const byteData = customData.customRows[rowBaseAddr][byteOffset];
-        html += `<button class="bit-btn-4bit ${byteData.upper ? 'active' : ''}" 
-          onclick="window.toggleCustomUpperValidated(${expansionId}, ${lineIndex}, ${rowBaseAddr}, ${byteOffset})">U</button>`;
+        const upperValue = ramDump ? readDumpValue(ramDump, rowBaseAddr + byteOffset, 'Upper4') : null;
+        const { noteClass, noteTitle } = getNoteAttributes(codeNotes, rowBaseAddr + byteOffset);
+        html += `<button class="bit-btn-4bit ${byteData.upper ? 'active' : ''} ${upperValue ? 'mem-set' : ''} ${noteClass}"${noteTitle} 
+          onclick="window.toggleCustomUpperValidated(${expansionId}, ${lineIndex}, ${rowBaseAddr}, ${byteOffset})">U${formatDumpValue(upperValue)}</button>`;
       }
       html += '</div>';
 
@@ -200,8 +247,10 @@ export function openLineCustomization(
       html += `<button class="bit-btn" onclick="window.toggleCustomAllLowerValidated(${expansionId}, ${lineIndex}, ${rowBaseAddr})">All L</button>`;
       for (let byteOffset = 0; byteOffset < 0x10; byteOffset++) {
         const byteData = customData.customRows[rowBaseAddr][byteOffset];
-        html += `<button class="bit-btn-4bit ${byteData.lower ? 'active' : ''}" 
-          onclick="window.toggleCustomLowerValidated(${expansionId}, ${lineIndex}, ${rowBaseAddr}, ${byteOffset})">L</button>`;
+        const lowerValue = ramDump ? readDumpValue(ramDump, rowBaseAddr + byteOffset, 'Lower4') : null;
+        const { noteClass, noteTitle } = getNoteAttributes(codeNotes, rowBaseAddr + byteOffset);
+        html += `<button class="bit-btn-4bit ${byteData.lower ? 'active' : ''} ${lowerValue ? 'mem-set' : ''} ${noteClass}"${noteTitle} 
+          onclick="window.toggleCustomLowerValidated(${expansionId}, ${lineIndex}, ${rowBaseAddr}, ${byteOffset})">L${formatDumpValue(lowerValue)}</button>`;
       }
       html += '</div>';
 
@@ -217,8 +266,14 @@ export function openLineCustomization(
         const btnData = customData.customRows[rowBaseAddr][offset];
 
         if (btnData) {
-          html += `<button class="bit-btn ${btnData.active ? 'active' : ''}" 
-            onclick="window.toggleCustomStandardValidated(${expansionId}, ${lineIndex}, ${rowBaseAddr}, ${offset})">0x${offset.toString(16).toUpperCase()}</button>`;
+          const value = ramDump && isInDump(ramDump, rowBaseAddr + offset, stride)
+            ? readDumpValue(ramDump, rowBaseAddr + offset, line.size)
+            : null;
+          const { noteClass, noteTitle } = getNoteAttributes(codeNotes, rowBaseAddr + offset);
+          html += `<button class="bit-btn ${btnData.active ? 'active' : ''} ${value ? 'mem-set' : ''} ${noteClass}"${noteTitle} 
+            onclick="window.toggleCustomStandardValidated(${expansionId}, ${lineIndex}, ${rowBaseAddr}, ${offset})">0x${offset.toString(16).toUpperCase()}`;
+          if (ramDump) html += `<span class="custom-expansion-mem-value">${value === null ? '--' : formatDumpValue(value)}</span>`;
+          html += '</button>';
         }
       }
 
@@ -233,6 +288,7 @@ export function openLineCustomization(
   html += `<button class="cancel-btn" onclick="window.cancelCustomPanel(${expansionId}, ${lineIndex})">Cancel</button>`;
   html += `<button class="confirm-btn" onclick="window.confirmCustomPanel(${expansionId}, ${lineIndex})">Confirm</button>`;
   html += '</div>';
+  html += previewHtml;
   html += '</div>';
 
   bitfieldExpansions[expansionId].customHtml = html;
@@ -8,6 +8,7 @@ import {
   updateCustomCount,
   openLineCustomization 
 } from './custom-panel-controller.js';
+import { readDumpValue } from './ram-dump.js';
 
 /**
  * Validates and toggles skip for a specific byte (turns off all selections for that byte)
@@ -380,3 +381,121 @@ export function toggleCustomAllStandardValidated(
   recountCustomSelections(bitfieldExpansions, expansionId, lineIndex);
   openLineCustomization(expansionId, lineIndex);
 }
+
+/**
+ * Replaces the selection with what is set in a RAM dump: set bits, nonzero nibbles or nonzero values
+ * @param {Map} bitfieldExpansions - Expansion map
+ * @param {number} expansionId - The expansion ID
+ * @param {number} lineIndex - The line index
+ * @param {Object} ramDump - Loaded RAM dump
+ * @param {string} size - The line's size, for standard rows
+ * @param {Function} openLineCustomization - Function to reopen panel
+ */
+export function autoSelectCustomFromDump(
+  bitfieldExpansions,
+  expansionId,
+  lineIndex,
+  ramDump,
+  size,
+  openLineCustomization
+) {
+  const expansion = bitfieldExpansions[expansionId];
+  if (!expansion || !expansion.lineConfigs[lineIndex] || !ramDump) return;
+
+  const customData = expansion.lineConfigs[lineIndex].customData;
+  if (!customData) return;
+
+  for (const rowBaseAddr in customData.customRows) {
+    const row = customData.customRows[rowBaseAddr];
+
+    for (const key in row) {
+      const data = row[key];
+      const address = parseInt(rowBaseAddr, 10) + parseInt(key, 10);
+
+      if (data.bits) {
+        const byteValue = readDumpValue(ramDump, address, '8-bit') || 0;
+        data.bits = [0, 1, 2, 3, 4, 5, 6, 7].filter((bit) => (byteValue >> bit) & 1);
+        data.bitCount = data.bits.length === 8;
+      } else if ('upper' in data) {
+        data.upper = !!readDumpValue(ramDump, address, 'Upper4');
+        data.lower = !!readDumpValue(ramDump, address, 'Lower4');
+      } else {
+        data.active = !!readDumpValue(ramDump, address, size);
+      }
+    }
+  }
+
+  recountCustomSelections(bitfieldExpansions, expansionId, lineIndex);
+  openLineCustomization(expansionId, lineIndex);
+
+  const generatedGroups = parseInt(expansion.generatedGroups) || 1;
+  if (customData.selectedCount !== generatedGroups) {
+    showCustomWarning(
+      expansionId,
+      lineIndex,
+      `Selected ${customData.selectedCount} from the dump; set Generated Groups to ${customData.selectedCount} to use them all`
+    );
+  }
+}
+
+/**
+ * Selects one address in the custom panel, as found by a memory search
+ * Bit sizes select that bit, nibble sizes that nibble, anything else the button at the address
+ * @param {Map} bitfieldExpansions - Expansion map
+ * @param {number} expansionId - The expansion ID
+ * @param {number} lineIndex - The line index
+ * @param {number} address - Address to select
+ * @param {string} size - Size the address was found at
+ * @param {Function} openLineCustomization - Function to reopen panel
+ */
+export function selectCustomAddress(
+  bitfieldExpansions,
+  expansionId,
+  lineIndex,
+  address,
+  size,
+  openLineCustomization
+) {
+  const expansion = bitfieldExpansions[expansionId];
+  if (!expansion || !expansion.lineConfigs[lineIndex]) return;
+
+  const customData = expansion.lineConfigs[lineIndex].customData;
+  if (!customData) return;
+
+  const addressText = '0x' + address.toString(16).toUpperCase();
+  const rowBaseAddr = address & ~0xf;
+  const data = customData.customRows[rowBaseAddr] && customData.customRows[rowBaseAddr][address - rowBaseAddr];
+  if (!data) {
+    showCustomWarning(expansionId, lineIndex, `${addressText} is not one of the panel's addresses`);
+    return;
+  }
+
+  const bitMatch = String(size).match(/^Bit(\d)$/);
+  if (data.bits) {
+    if (size === 'BitCount' || size === '8-bit') {
+      data.bits = [0, 1, 2, 3, 4, 5, 6, 7];
+    } else if (bitMatch) {
+      const bit = parseInt(bitMatch[1], 10);
+      if (!data.bits.includes(bit)) data.bits.push(bit);
+      data.bits.sort((a, b) => a - b);
+    } else {
+      showCustomWarning(expansionId, lineIndex, `Search at a bit size to select bits of ${addressText}`);
+      return;
+    }
+    data.bitCount = data.bits.length === 8;
+  } else if ('upper' in data) {
+    if (size === 'Upper4') {
+      data.upper = true;
+    } else if (size === 'Lower4') {
+      data.lower = true;
+    } else {
+      showCustomWarning(expansionId, lineIndex, `Search at Upper4 or Lower4 to select a nibble of ${addressText}`);
+      return;
+    }
+  } else {
+    data.active = true;
+  }
+
+  recountCustomSelections(bitfieldExpansions, expansionId, lineIndex);
+  openLineCustomization(expansionId, lineIndex);
+}
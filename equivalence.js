@@ -0,0 +1,295 @@
+// ============================================================================
+// SEMANTIC EQUIVALENCE CHECKER
+// ============================================================================
+//
+// Checks that an optimized logic string behaves like the string it was
+// optimized from. Both are run through the evaluator over the same memory
+// timelines: targeted ones that walk every compared value through its edges
+// (c - 1, c, c + 1) and random ones biased towards those edges. The first
+// frame where status (waiting/active/primed/paused/triggered) or the
+// Measured value differ is reported, along with a timeline that reproduces
+// it in the simulator. Memory outside the referenced addresses reads 0.
+
+import { parseLogicLines } from './parsing.js';
+import { parseConstantValue } from './values.js';
+import { createEvaluationState, evaluateFrame, writeMemoryValue } from './evaluator.js';
+import { ARITHMETIC_OPERATORS, OPERAND_FLAGS, SIZE_MAX_VALUES } from './core-constants.js';
+
+const DEFAULT_OPTIONS = {
+  randomTimelines: 40,
+  framesPerTimeline: 48,
+  seed: 0x5eed,
+  // Lines evaluated across all frames, which keeps Generate Logic responsive on long expansions
+  maxLineEvaluations: 600000,
+};
+
+/**
+ * Creates a small seeded random number generator (mulberry32)
+ * @param {number} seed - Seed
+ * @returns {Function} Returns a float in [0, 1) on each call
+ */
+function createRandom(seed) {
+  let t = seed >>> 0;
+  return () => {
+    t = (t + 0x6d2b79f5) >>> 0;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Gets the largest value a size can hold
+ * @param {string} size - Size
+ * @returns {number} Maximum value (floats are walked over the 32-bit range)
+ */
+function sizeMax(size) {
+  return SIZE_MAX_VALUES[size] ?? 0xffffffff;
+}
+
+/**
+ * Collects the memory each logic string reads and the constants it is compared against
+ * A read takes the constants of its whole chain, so Add Source totals are tested around their target
+ * @param {Array} logics - Logic strings
+ * @param {string} separator - Group separator
+ * @returns {Object} { reads: [{ address, size, isPointer, constants }], lines, hits, problems }
+ */
+export function collectMemoryReferences(logics, separator = 'S') {
+  const reads = new Map();
+  let lineCount = 0;
+  let hits = 0;
+  let problems = 0;
+
+  logics.forEach((logic) => {
+    parseLogicLines(logic, separator).forEach((lines) => {
+      let chainReads = [];
+      let chainConstants = [];
+
+      lines.forEach(({ condition, problem }) => {
+        lineCount++;
+        if (problem) {
+          problems++;
+          return;
+        }
+        hits = Math.max(hits, parseInt(condition.hits, 10) || 0);
+
+        [[condition.type, condition.size, condition.memory], [condition.compareType, condition.compareSize, condition.value]]
+          .forEach(([type, size, operand], side) => {
+            if (side === 1 && !condition.cmp) return;
+            if (type === 'Value') {
+              // Multipliers and masks are not boundaries worth walking around
+              const constant = parseConstantValue(operand);
+              if (constant && !ARITHMETIC_OPERATORS.includes(condition.cmp)) chainConstants.push(constant.number);
+              return;
+            }
+            if (type === 'Recall') return;
+
+            const address = parseInt(String(operand).replace(/^0x/i, ''), 16) || 0;
+            const key = `${address}|${size}`;
+            const read = reads.get(key) || { address, size, isPointer: false, constants: new Set([0, 1]) };
+            if (condition.flag === 'I:') read.isPointer = true;
+            reads.set(key, read);
+            chainReads.push(read);
+          });
+
+        if (!OPERAND_FLAGS.includes(condition.flag)) {
+          chainReads.forEach((read) => chainConstants.forEach((constant) => read.constants.add(constant)));
+          chainReads = [];
+          chainConstants = [];
+        }
+      });
+    });
+  });
+
+  return {
+    reads: [...reads.values()].map((read) => ({ ...read, constants: [...read.constants] })),
+    lines: lineCount,
+    hits,
+    problems,
+  };
+}
+
+/**
+ * Gets the interesting values for a read: each of its constants and their neighbours, plus the size's limits
+ * @param {Object} read - { size, constants }
+ * @returns {Array} Candidate values within the size's range
+ */
+function edgeValues(read) {
+  const max = sizeMax(read.size);
+  const values = new Set([0, 1, max]);
+  read.constants.forEach((constant) => {
+    [constant - 1, constant, constant + 1].forEach((value) => {
+      if (Number.isInteger(value) ? value >= 0 && value <= max : true) values.add(value);
+    });
+  });
+  return [...values];
+}
+
+/**
+ * Picks a value for a read, usually an edge value, sometimes anything in range
+ * @param {Object} read - { size, isPointer }
+ * @param {Array} edges - Edge values for the read
+ * @param {Function} random - Random generator
+ * @returns {number} Value
+ */
+function pickValue(read, edges, random) {
+  // Pointers stay small so the pointed-to offsets are the addresses the logic names
+  if (read.isPointer) return Math.floor(random() * 4);
+  if (random() < 0.7) return edges[Math.floor(random() * edges.length)];
+  return Math.floor(random() * (sizeMax(read.size) + 1));
+}
+
+/**
+ * Builds the timelines to test with
+ * Each timeline is a list of frames; a frame is a list of { address, size, value } writes
+ * @param {Object} references - Result of collectMemoryReferences
+ * @param {Object} options - { randomTimelines, framesPerTimeline, seed }
+ * @returns {Array} Timelines { name, frames }, targeted and random interleaved so a cut-off run still sees both
+ */
+function buildTimelines(references, options) {
+  const random = createRandom(options.seed);
+  const readable = references.reads.filter((read) => writeMemoryValue(new Map(), 0, read.size, 0));
+  const hold = Math.max(2, Math.min(references.hits + 2, 64));
+  const targeted = [];
+  const randomized = [];
+
+  // Targeted: walk each read through its edge values, holding each long enough to reach hit targets
+  readable.forEach((read) => {
+    const frames = [[]];
+    edgeValues(read).forEach((value) => {
+      for (let i = 0; i < hold; i++) frames.push(i === 0 ? [{ address: read.address, size: read.size, value }] : []);
+    });
+    frames.push([{ address: read.address, size: read.size, value: 0 }]);
+    targeted.push({ name: `edges of ${read.size} 0x${read.address.toString(16).toUpperCase()}`, frames });
+  });
+
+  // Random: every frame changes a few reads, mostly to edge values
+  const edges = readable.map((read) => edgeValues(read));
+  for (let t = 0; t < options.randomTimelines && readable.length > 0; t++) {
+    const frames = [];
+    for (let f = 0; f < options.framesPerTimeline; f++) {
+      const writes = [];
+      readable.forEach((read, idx) => {
+        if (f === 0 || random() < 0.3) writes.push({ address: read.address, size: read.size, value: pickValue(read, edges[idx], random) });
+      });
+      frames.push(writes);
+    }
+    randomized.push({ name: `random #${t + 1}`, frames });
+  }
+
+  const timelines = [];
+  for (let i = 0; i < Math.max(targeted.length, randomized.length); i++) {
+    if (targeted[i]) timelines.push(targeted[i]);
+    if (randomized[i]) timelines.push(randomized[i]);
+  }
+  return timelines;
+}
+
+/**
+ * Reduces a frame result to what the player or server can observe
+ * @param {Object} result - Result of evaluateFrame
+ * @returns {Object} { status, measured }
+ */
+function observe(result) {
+  return {
+    status: result.status,
+    measured: result.measured ? result.measured.value : null,
+  };
+}
+
+/**
+ * Formats frames as an NDJSON timeline for the simulator
+ * @param {Array} frames - Frames of { address, size, value } writes
+ * @returns {string} NDJSON text
+ */
+function framesToTimeline(frames) {
+  return frames.map((writes) => {
+    const entry = {};
+    writes.forEach(({ address, size, value }) => {
+      const key = '0x' + address.toString(16).toUpperCase();
+      entry[key] = size === '8-bit' ? value : { value, size };
+    });
+    return JSON.stringify({ writes: entry });
+  }).join('\n');
+}
+
+/**
+ * Checks whether two logic strings behave the same
+ * @param {string} before - The unoptimized logic
+ * @param {string} after - The optimized logic
+ * @param {string} separator - Group separator (S for triggers, $ for leaderboard values)
+ * @param {Object} options - Overrides for randomTimelines, framesPerTimeline, seed and maxLineEvaluations
+ * @returns {Object} { equivalent, reason, timelines, frames, divergence } - reason is 'budget reached' when
+ *   maxLineEvaluations ran out before every frame was checked; equivalent is then null (not verified either
+ *   way), with totalTimelines giving the number of timelines that were built
+ */
+export function checkEquivalence(before, after, separator = 'S', options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  if (before.trim() === after.trim()) {
+    return { equivalent: true, reason: 'identical', timelines: 0, frames: 0, divergence: null };
+  }
+
+  const references = collectMemoryReferences([before, after], separator);
+  if (references.problems > 0) {
+    return { equivalent: false, reason: 'unparsed lines', timelines: 0, frames: 0, divergence: null };
+  }
+
+  const timelines = buildTimelines(references, settings);
+  const maxFrames = Math.max(1, Math.floor(settings.maxLineEvaluations / Math.max(1, references.lines)));
+  let framesChecked = 0;
+  let timelinesChecked = 0;
+  let budgetReached = false;
+
+  for (const timeline of timelines) {
+    if (budgetReached) break;
+    timelinesChecked++;
+    const beforeState = createEvaluationState(before, separator);
+    const afterState = createEvaluationState(after, separator);
+    const memory = new Map();
+
+    for (let f = 0; f < timeline.frames.length; f++) {
+      if (framesChecked >= maxFrames) {
+        budgetReached = true;
+        break;
+      }
+      timeline.frames[f].forEach(({ address, size, value }) => writeMemoryValue(memory, address, size, value));
+      const read = (address) => memory.get(address);
+      const beforeResult = observe(evaluateFrame(beforeState, read));
+      const afterResult = observe(evaluateFrame(afterState, read));
+      framesChecked++;
+
+      if (beforeResult.status !== afterResult.status || beforeResult.measured !== afterResult.measured) {
+        return {
+          equivalent: false,
+          reason: 'diverged',
+          timelines: timelinesChecked,
+          frames: framesChecked,
+          divergence: {
+            timeline: timeline.name,
+            frame: f + 1,
+            before: beforeResult,
+            after: afterResult,
+            reproduce: framesToTimeline(timeline.frames.slice(0, f + 1)),
+          },
+        };
+      }
+
+      // Nothing changes for either string once both have triggered
+      if (beforeResult.status === 'triggered') break;
+    }
+  }
+
+  // A run cut short by the budget proves nothing about the frames it skipped
+  if (budgetReached) {
+    return {
+      equivalent: null,
+      reason: 'budget reached',
+      timelines: timelinesChecked,
+      totalTimelines: timelines.length,
+      frames: framesChecked,
+      divergence: null,
+    };
+  }
+
+  return { equivalent: true, reason: 'no divergence found', timelines: timelinesChecked, frames: framesChecked, divergence: null };
+}
@@ -0,0 +1,731 @@
+// ============================================================================
+// LOGIC EVALUATOR (RCHEEVOS SEMANTICS)
+// ============================================================================
+//
+// Runs a logic string against memory one frame at a time, the way rcheevos
+// does: every memory reference is refreshed once per frame (so Delta and
+// Prior stay correct in paused groups), Pause If chains are processed
+// before the rest of their group, and a Reset If anywhere clears every hit
+// count. Memory is any byte array (Uint8Array, Array) or a function that
+// returns the byte at an address; unknown addresses read as 0.
+
+import { ARITHMETIC_OPERATORS, CHAIN_FLAGS, FLOAT_SIZES } from './core-constants.js';
+import { parseLogicLines } from './parsing.js';
+import { parseConstantValue } from './values.js';
+
+// Bits covered by each integer size, for Invert
+const SIZE_MASKS = {
+  Lower4: 0xf,
+  Upper4: 0xf,
+  '8-bit': 0xff,
+  '16-bit': 0xffff,
+  '16-bit BE': 0xffff,
+  '24-bit': 0xffffff,
+  '24-bit BE': 0xffffff,
+  '32-bit': 0xffffffff,
+  '32-bit BE': 0xffffffff,
+  BitCount: 0xff,
+};
+
+const floatView = new DataView(new ArrayBuffer(8));
+
+/**
+ * Reads one byte of memory
+ * @param {Uint8Array|Array|Function} memory - Memory bytes or a reader function
+ * @param {number} address - Byte address
+ * @returns {number} Byte value, 0 when out of range
+ */
+function readByte(memory, address) {
+  if (typeof memory === 'function') return (memory(address) || 0) & 0xff;
+  return (memory && memory[address]) || 0;
+}
+
+/**
+ * Reads an unsigned little- or big-endian integer
+ * @param {Uint8Array|Array|Function} memory - Memory
+ * @param {number} address - First byte address
+ * @param {number} length - Number of bytes
+ * @param {boolean} bigEndian - Byte order
+ * @returns {number} Unsigned value
+ */
+function readInteger(memory, address, length, bigEndian) {
+  let value = 0;
+  for (let i = 0; i < length; i++) {
+    const byte = readByte(memory, address + i);
+    value += byte * 2 ** (8 * (bigEndian ? length - 1 - i : i));
+  }
+  return value;
+}
+
+/**
+ * Builds a float from a 23-bit mantissa and unbiased exponent, as rcheevos does for MBF32 and Double32
+ * @param {number} mantissa - Mantissa bits without the implied leading 1
+ * @param {number} exponent - Unbiased exponent
+ * @param {boolean} negative - Sign
+ * @returns {number} Decoded value
+ */
+function buildFloat(mantissa, exponent, negative) {
+  const implied = 2 ** 23;
+  let value = ((mantissa % implied) + implied) / implied;
+  value = exponent > 127 ? Infinity : value * 2 ** exponent;
+  return negative ? -value : value;
+}
+
+/**
+ * Reads a memory value of any size supported by the builder
+ * Float sizes return JavaScript numbers; every other size an unsigned integer
+ * @param {Uint8Array|Array|Function} memory - Memory
+ * @param {number} address - Address
+ * @param {string} size - Size name from sizePrefixMap
+ * @returns {number} The value
+ */
+export function readMemoryValue(memory, address, size) {
+  const bitMatch = String(size).match(/^Bit(\d)$/);
+  if (bitMatch) return (readByte(memory, address) >> parseInt(bitMatch[1], 10)) & 1;
+
+  switch (size) {
+    case 'Lower4': return readByte(memory, address) & 0xf;
+    case 'Upper4': return readByte(memory, address) >> 4;
+    case '8-bit': return readByte(memory, address);
+    case '16-bit': return readInteger(memory, address, 2, false);
+    case '24-bit': return readInteger(memory, address, 3, false);
+    case '32-bit': return readInteger(memory, address, 4, false);
+    case '16-bit BE': return readInteger(memory, address, 2, true);
+    case '24-bit BE': return readInteger(memory, address, 3, true);
+    case '32-bit BE': return readInteger(memory, address, 4, true);
+    case 'BitCount': {
+      let byte = readByte(memory, address);
+      let count = 0;
+      while (byte) {
+        count += byte & 1;
+        byte >>= 1;
+      }
+      return count;
+    }
+    case 'Float':
+    case 'Float BE':
+      floatView.setUint32(0, readInteger(memory, address, 4, size === 'Float BE'));
+      return floatView.getFloat32(0);
+    case 'Double32':
+    case 'Double32 BE': {
+      // The four most significant bytes of a double: bytes 4-7 little-endian, 0-3 big-endian
+      const bits = size === 'Double32'
+        ? readInteger(memory, address + 4, 4, false)
+        : readInteger(memory, address, 4, true);
+      const mantissa = (bits % 2 ** 20) * 8;
+      const exponent = Math.floor(bits / 2 ** 20) % 2 ** 11 - 1023;
+      if (mantissa === 0 && exponent === -1023) return 0;
+      return buildFloat(mantissa, exponent, bits >= 2 ** 31);
+    }
+    case 'MBF32': {
+      // Exponent byte first, then the mantissa big-endian with the sign in its top bit
+      const bytes = [0, 1, 2, 3].map((i) => readByte(memory, address + i));
+      const mantissa = bytes[3] | (bytes[2] << 8) | ((bytes[1] & 0x7f) << 16);
+      const exponent = bytes[0] - 129;
+      if (mantissa === 0 && exponent === -129) return 0;
+      return buildFloat(mantissa, exponent, (bytes[1] & 0x80) !== 0);
+    }
+    case 'MBF32 LE': {
+      const bits = readInteger(memory, address, 4, false);
+      const mantissa = bits % 2 ** 23;
+      const exponent = Math.floor(bits / 2 ** 24) - 129;
+      if (mantissa === 0 && exponent === -129) return 0;
+      return buildFloat(mantissa, exponent, Math.floor(bits / 2 ** 23) % 2 === 1);
+    }
+    default:
+      return readInteger(memory, address, 2, false);
+  }
+}
+
+/**
+ * Writes a value into byte memory so that readMemoryValue reads it back
+ * Bit and nibble sizes keep the other bits of their byte; MBF32 sizes are not supported
+ * @param {Map} memory - Map of address to byte (modified in place)
+ * @param {number} address - Address
+ * @param {string} size - Size name from sizePrefixMap
+ * @param {number} value - Value to write
+ * @returns {boolean} Whether the size could be written
+ */
+export function writeMemoryValue(memory, address, size, value) {
+  const current = memory.get(address) || 0;
+  const bitMatch = String(size).match(/^Bit(\d)$/);
+  if (bitMatch) {
+    const mask = 1 << parseInt(bitMatch[1], 10);
+    memory.set(address, value & 1 ? current | mask : current & ~mask);
+    return true;
+  }
+
+  const view = new DataView(new ArrayBuffer(8));
+  let bytes;
+  switch (size) {
+    case 'Lower4': memory.set(address, (current & 0xf0) | (value & 0xf)); return true;
+    case 'Upper4': memory.set(address, (current & 0x0f) | ((value & 0xf) << 4)); return true;
+    case 'BitCount': memory.set(address, (1 << Math.min(8, Math.max(0, value))) - 1); return true;
+    case '8-bit': memory.set(address, value & 0xff); return true;
+    case '16-bit':
+    case '16-bit BE':
+      view.setUint16(0, value >>> 0, size === '16-bit');
+      bytes = new Uint8Array(view.buffer, 0, 2);
+      break;
+    case '24-bit':
+      view.setUint32(0, value >>> 0, true);
+      bytes = new Uint8Array(view.buffer, 0, 3);
+      break;
+    case '24-bit BE':
+      view.setUint32(0, (value << 8) >>> 0, false);
+      bytes = new Uint8Array(view.buffer, 0, 3);
+      break;
+    case '32-bit':
+    case '32-bit BE':
+      view.setUint32(0, value >>> 0, size === '32-bit');
+      bytes = new Uint8Array(view.buffer, 0, 4);
+      break;
+    case 'Float':
+    case 'Float BE':
+      view.setFloat32(0, value, size === 'Float');
+      bytes = new Uint8Array(view.buffer, 0, 4);
+      break;
+    case 'Double32':
+    case 'Double32 BE':
+      view.setFloat64(0, value, size === 'Double32');
+      bytes = new Uint8Array(view.buffer, 0, 8);
+      break;
+    default:
+      return false;
+  }
+  bytes.forEach((byte, offset) => memory.set(address + offset, byte));
+  return true;
+}
+
+/**
+ * Decodes a binary-coded decimal value
+ * @param {number} value - Raw value
+ * @returns {number} Decimal value
+ */
+function decodeBcd(value) {
+  let result = 0;
+  let scale = 1;
+  let rest = value;
+  while (rest > 0) {
+    result += (rest % 16) * scale;
+    rest = Math.floor(rest / 16);
+    scale *= 10;
+  }
+  return result;
+}
+
+/**
+ * Wraps an integer to unsigned 32 bits; floats are left alone
+ * @param {number} value - Value
+ * @param {boolean} isFloat - Whether the value is a float
+ * @returns {number} Normalized value
+ */
+function normalize(value, isFloat) {
+  if (isFloat) return value;
+  return Number.isFinite(value) ? Math.trunc(value) >>> 0 : 0;
+}
+
+/**
+ * Applies a left-side arithmetic operator
+ * Integer math wraps at 32 bits and division by zero gives 0, as in rcheevos
+ * @param {Object} left - { value, isFloat }
+ * @param {string} op - Arithmetic operator
+ * @param {Object} right - { value, isFloat }
+ * @returns {Object} { value, isFloat }
+ */
+function applyArithmetic(left, op, right) {
+  const isFloat = (left.isFloat || right.isFloat) && !['&', '^'].includes(op);
+  const a = left.value;
+  const b = right.value;
+  let value;
+  switch (op) {
+    case '*': value = isFloat ? a * b : Number((BigInt(a >>> 0) * BigInt(b >>> 0)) & 0xffffffffn); break;
+    case '/': value = b === 0 ? 0 : isFloat ? a / b : Math.floor(a / b); break;
+    case '%': value = b === 0 ? 0 : a % b; break;
+    case '+': value = a + b; break;
+    case '-': value = a - b; break;
+    case '&': value = (Math.trunc(a) & Math.trunc(b)) >>> 0; break;
+    case '^': value = (Math.trunc(a) ^ Math.trunc(b)) >>> 0; break;
+    default: value = a;
+  }
+  return { value: normalize(value, isFloat), isFloat };
+}
+
+/**
+ * Compares two values, as floats when either side is a float
+ * @param {Object} left - { value, isFloat }
+ * @param {string} cmp - Comparison operator
+ * @param {Object} right - { value, isFloat }
+ * @returns {boolean} Result
+ */
+function compareValues(left, cmp, right) {
+  const a = left.value;
+  const b = right.value;
+  switch (cmp) {
+    case '=': return a === b;
+    case '!=': return a !== b;
+    case '<': return a < b;
+    case '<=': return a <= b;
+    case '>': return a > b;
+    case '>=': return a >= b;
+    default: return true;
+  }
+}
+
+/**
+ * Creates the evaluation state for a logic string
+ * @param {string} logic - The logic string (Core and optional Alts, or $-separated values)
+ * @param {string} separator - Group separator (S for triggers, $ for leaderboard values)
+ * @returns {Object} State for evaluateFrame; problems lists lines that could not be parsed
+ */
+export function createEvaluationState(logic, separator = 'S') {
+  const problems = [];
+  const groups = parseLogicLines(logic, separator).map((lines, section) => {
+    const conditions = [];
+    lines.forEach(({ text, condition, problem }) => {
+      if (problem) {
+        problems.push({ section, text, reason: problem });
+        return;
+      }
+      conditions.push({
+        text,
+        condition,
+        requiredHits: parseInt(condition.hits, 10) || 0,
+        currentHits: 0,
+        isTrue: false,
+        isPause: false,
+      });
+    });
+
+    // A Pause If and every line chained into it are processed in the pause pass
+    let inPauseChain = false;
+    for (let i = conditions.length - 1; i >= 0; i--) {
+      const flag = conditions[i].condition.flag;
+      if (flag === 'P:') inPauseChain = true;
+      else if (!CHAIN_FLAGS.includes(flag)) inPauseChain = false;
+      conditions[i].isPause = inPauseChain;
+    }
+
+    return { conditions, isPaused: false, hasPause: conditions.some((c) => c.isPause) };
+  });
+
+  return {
+    separator,
+    groups,
+    problems,
+    memrefs: new Map(),
+    frame: 0,
+    // Leaderboard values have no waiting/triggered lifecycle
+    status: separator === '$' ? 'active' : 'waiting',
+  };
+}
+
+/**
+ * Resets every hit count, as a Reset If does
+ * @param {Object} state - Evaluation state (modified in place)
+ */
+function resetHitCounts(state) {
+  state.groups.forEach((group) => {
+    group.conditions.forEach((line) => {
+      line.currentHits = 0;
+    });
+  });
+}
+
+/**
+ * Resets the state to how it was before the first frame, memory history included
+ * @param {Object} state - Evaluation state (modified in place)
+ */
+export function resetEvaluationState(state) {
+  resetHitCounts(state);
+  state.groups.forEach((group) => {
+    group.isPaused = false;
+  });
+  state.memrefs.clear();
+  state.frame = 0;
+  state.status = state.separator === '$' ? 'active' : 'waiting';
+}
+
+/**
+ * Reads a memory reference and updates its Delta/Prior history once per frame
+ * Direct reads are shared by address and size; pointer reads are tracked per operand
+ * @param {Object} state - Evaluation state
+ * @param {Uint8Array|Array|Function} memory - Memory
+ * @param {string} key - Memory reference key
+ * @param {number} address - Resolved address
+ * @param {string} size - Size
+ * @returns {Object} { value, delta, prior }
+ */
+function readMemref(state, memory, key, address, size) {
+  let memref = state.memrefs.get(key);
+  if (!memref) {
+    // rcheevos starts every memory reference at 0
+    memref = { value: 0, delta: 0, prior: 0, frame: -1 };
+    state.memrefs.set(key, memref);
+  }
+  if (memref.frame !== state.frame) {
+    const value = readMemoryValue(memory, address, size);
+    memref.delta = memref.value;
+    if (value !== memref.value) memref.prior = memref.value;
+    memref.value = value;
+    memref.frame = state.frame;
+  }
+  return memref;
+}
+
+/**
+ * Evaluates one operand of a line
+ * @param {Object} state - Evaluation state
+ * @param {Uint8Array|Array|Function} memory - Memory
+ * @param {Object} operand - { type, size, operand, key }
+ * @param {number} addAddress - Add Address offset in effect
+ * @param {Object} recall - Remembered value
+ * @returns {Object} { value, isFloat, read } - read holds the memory reference's address, value, delta and prior
+ */
+function evaluateOperand(state, memory, operand, addAddress, recall) {
+  const { type, size } = operand;
+  if (type === 'Recall') return { value: recall.value, isFloat: recall.isFloat };
+  if (type === 'Value') {
+    const constant = parseConstantValue(operand.operand);
+    if (!constant) return { value: 0, isFloat: false };
+    return { value: normalize(constant.number, constant.kind === 'float'), isFloat: constant.kind === 'float' };
+  }
+
+  const base = parseInt(String(operand.operand).replace(/^0x/i, ''), 16) || 0;
+  const address = (base + addAddress) >>> 0;
+  const key = addAddress || operand.isIndirect ? operand.key : `${size}|${base}`;
+  const memref = readMemref(state, memory, key, address, size);
+
+  const read = { address, size, value: memref.value, delta: memref.delta, prior: memref.prior };
+
+  let value = memref.value;
+  if (type === 'Delta') value = memref.delta;
+  else if (type === 'Prior') value = memref.prior;
+
+  const isFloat = FLOAT_SIZES.includes(size);
+  if (isFloat) return { value, isFloat, read };
+  if (type === 'BCD') value = decodeBcd(value);
+  if (type === 'Invert') value = String(size).startsWith('Bit') && size !== 'BitCount' ? value ^ 1 : value ^ (SIZE_MASKS[size] ?? 0xff);
+  return { value: value >>> 0, isFloat: false, read };
+}
+
+/**
+ * Works out every line's operand values for the frame, in processing order
+ * Memory references are refreshed here, so paused lines still track Delta/Prior
+ * @param {Object} state - Evaluation state
+ * @param {Uint8Array|Array|Function} memory - Memory
+ */
+function evaluateValues(state, memory) {
+  let recall = { value: 0, isFloat: false };
+
+  state.groups.forEach((group, groupIdx) => {
+    [true, false].forEach((pausePass) => {
+      let addValue = null;
+      let addAddress = 0;
+
+      group.conditions.forEach((line, lineIdx) => {
+        if (line.isPause !== pausePass) return;
+        const { condition } = line;
+        const isIndirect = addAddress !== 0 || (lineIdx > 0 && group.conditions[lineIdx - 1].condition.flag === 'I:');
+
+        const left = evaluateOperand(state, memory, {
+          type: condition.type, size: condition.size, operand: condition.memory,
+          key: `${groupIdx}:${lineIdx}:left`, isIndirect,
+        }, addAddress, recall);
+        const right = condition.cmp
+          ? evaluateOperand(state, memory, {
+            type: condition.compareType, size: condition.compareSize, operand: condition.value,
+            key: `${groupIdx}:${lineIdx}:right`, isIndirect,
+          }, addAddress, recall)
+          : { value: 0, isFloat: false };
+
+        const isArithmetic = ARITHMETIC_OPERATORS.includes(condition.cmp);
+        let value = isArithmetic ? applyArithmetic(left, condition.cmp, right) : left;
+        line.value = value;
+        line.reads = [left.read, right.read].filter(Boolean);
+
+        switch (condition.flag) {
+          case 'A:':
+            addValue = addValue ? applyArithmetic(addValue, '+', value) : value;
+            addAddress = 0;
+            return;
+          case 'B:':
+            addValue = applyArithmetic(addValue || { value: 0, isFloat: false }, '-', value);
+            addAddress = 0;
+            return;
+          case 'I:':
+            addAddress = Math.trunc(value.value) >>> 0;
+            return;
+          case 'K:':
+            recall = addValue ? applyArithmetic(value, '+', addValue) : value;
+            addValue = null;
+            addAddress = 0;
+            return;
+        }
+
+        if (addValue) value = applyArithmetic(value, '+', addValue);
+        line.value = value;
+        line.compareTrue = condition.cmp && !isArithmetic ? compareValues(value, condition.cmp, right) : true;
+        line.target = condition.cmp && !isArithmetic ? right.value : null;
+        addValue = null;
+        addAddress = 0;
+      });
+    });
+  });
+}
+
+/**
+ * Processes one pass (pause or non-pause) of a group, following rc_test_condset_internal
+ * @param {Object} group - Group state
+ * @param {boolean} pausePass - Whether this is the Pause If pass
+ * @param {Object} frame - Frame results: wasReset and the best Measured value (modified in place)
+ * @returns {Object} { isTrue, isPrimed }
+ */
+function testGroupPass(group, pausePass, frame) {
+  let setValid = true;
+  let isPrimed = true;
+  let andNext = true;
+  let orNext = false;
+  let resetNext = false;
+  let addHits = 0;
+  let measured = null;
+  let canMeasure = true;
+
+  for (const line of group.conditions) {
+    if (line.isPause !== pausePass) continue;
+    const { flag } = line.condition;
+    if (['A:', 'B:', 'I:', 'K:'].includes(flag)) continue;
+
+    if (flag === 'M:' || flag === 'G:') {
+      if (line.requiredHits === 0 && canMeasure) {
+        measured = { value: line.value.value, target: line.target };
+      }
+    }
+
+    line.isTrue = line.compareTrue;
+    let condValid = (line.isTrue && andNext) || orNext;
+    andNext = true;
+    orNext = false;
+
+    if (resetNext) {
+      // The previous line was a true Reset Next If
+      line.currentHits = 0;
+      condValid = false;
+    } else if (condValid) {
+      if (line.requiredHits === 0) {
+        line.currentHits++;
+      } else if (line.currentHits < line.requiredHits) {
+        line.currentHits++;
+        condValid = line.currentHits === line.requiredHits;
+      }
+    } else if (line.currentHits > 0) {
+      condValid = line.currentHits === line.requiredHits;
+    }
+
+    switch (flag) {
+      case 'C:':
+        addHits += line.currentHits;
+        resetNext = false;
+        continue;
+      case 'D:':
+        addHits -= line.currentHits;
+        resetNext = false;
+        continue;
+      case 'Z:':
+        resetNext = condValid;
+        continue;
+      case 'N:':
+        andNext = condValid;
+        continue;
+      case 'O:':
+        orNext = condValid;
+        continue;
+    }
+    resetNext = false;
+
+    let totalHits = line.currentHits;
+    if (addHits !== 0) {
+      if (line.requiredHits !== 0) {
+        totalHits = Math.max(0, line.currentHits + addHits);
+        condValid = totalHits >= line.requiredHits;
+      }
+      addHits = 0;
+    }
+    line.totalHits = totalHits;
+
+    switch (flag) {
+      case 'P:':
+        // The first true Pause If stops the group
+        if (condValid) return { isTrue: true, isPrimed: false };
+        setValid = false;
+        if (line.requiredHits === 0) line.currentHits = 0;
+        continue;
+      case 'R:':
+        if (condValid) {
+          frame.wasReset = true;
+          setValid = false;
+        }
+        continue;
+      case 'M:':
+      case 'G:':
+        if (line.requiredHits !== 0 && canMeasure) {
+          measured = { value: totalHits, target: line.requiredHits };
+        }
+        break;
+      case 'Q:':
+        if (!condValid) {
+          measured = { value: 0, target: measured ? measured.target : null };
+          canMeasure = false;
+        }
+        break;
+      case 'T:':
+        // Trigger conditions count for the result but not for the primed state
+        setValid = setValid && condValid;
+        continue;
+    }
+
+    isPrimed = isPrimed && condValid;
+    setValid = setValid && condValid;
+  }
+
+  if (!pausePass && measured && (!frame.measured || measured.value > frame.measured.value)) {
+    frame.measured = measured;
+  }
+  return { isTrue: setValid, isPrimed };
+}
+
+/**
+ * Tests a group, running its Pause If chains first
+ * @param {Object} group - Group state
+ * @param {Object} frame - Frame results (modified in place)
+ * @returns {Object} { isTrue, isPrimed }
+ */
+function testGroup(group, frame) {
+  if (group.conditions.length === 0) {
+    group.isPaused = false;
+    return { isTrue: true, isPrimed: true };
+  }
+  if (group.hasPause) {
+    group.isPaused = testGroupPass(group, true, frame).isTrue;
+    if (group.isPaused) return { isTrue: false, isPrimed: false };
+  }
+  return testGroupPass(group, false, frame);
+}
+
+/**
+ * Builds the per-line report for a frame
+ * @param {Object} state - Evaluation state
+ * @returns {Array} Groups { isPaused, isTrue, lines: [{ text, flag, isTrue, hits, requiredHits, value, reads }] }
+ */
+function reportGroups(state) {
+  return state.groups.map((group) => ({
+    isPaused: group.isPaused,
+    isTrue: group.isTrue,
+    lines: group.conditions.map((line) => ({
+      text: line.text,
+      flag: line.condition.flag,
+      // Modifier lines have a value but no truth of their own
+      isTrue: ['A:', 'B:', 'I:', 'K:'].includes(line.condition.flag) ? null : !!line.isTrue,
+      hits: line.currentHits,
+      requiredHits: line.requiredHits,
+      value: line.value ? line.value.value : null,
+      reads: line.reads || [],
+    })),
+  }));
+}
+
+/**
+ * Evaluates one frame of memory
+ * @param {Object} state - State from createEvaluationState (modified in place)
+ * @param {Uint8Array|Array|Function} memory - Memory for this frame
+ * @returns {Object} { frame, status, isTrue, isPrimed, isPaused, wasReset, triggered, measured, groups }
+ */
+export function evaluateFrame(state, memory) {
+  state.frame++;
+  evaluateValues(state, memory);
+
+  const frame = { wasReset: false, measured: null };
+  const [core, ...alts] = state.groups;
+  let isTrue = true;
+  let isPrimed = true;
+  let isPaused = false;
+
+  if (state.separator === '$') {
+    // Leaderboard values: every group is an alternative and the highest Measured value wins
+    state.groups.forEach((group) => {
+      group.isTrue = testGroup(group, frame).isTrue;
+    });
+  } else {
+    if (core) {
+      const result = testGroup(core, frame);
+      core.isTrue = result.isTrue;
+      isTrue = result.isTrue;
+      isPrimed = result.isPrimed;
+      isPaused = core.isPaused;
+    }
+
+    if (alts.length > 0 && alts.some((group) => group.conditions.length > 0)) {
+      let anyAlt = false;
+      let anyAltPrimed = false;
+      let allAltsPaused = true;
+      alts.forEach((group) => {
+        const result = testGroup(group, frame);
+        group.isTrue = result.isTrue;
+        anyAlt = anyAlt || result.isTrue;
+        anyAltPrimed = anyAltPrimed || result.isPrimed;
+        allAltsPaused = allAltsPaused && group.isPaused;
+      });
+      isTrue = isTrue && anyAlt;
+      isPrimed = isPrimed && anyAltPrimed;
+      isPaused = isPaused || allAltsPaused;
+    }
+  }
+
+  if (frame.wasReset) {
+    resetHitCounts(state);
+    isTrue = false;
+    isPrimed = false;
+  }
+
+  // Achievements have to be false once before they can trigger
+  let triggered = false;
+  if (state.separator !== '$') {
+    if (state.status === 'waiting') {
+      if (isTrue) resetHitCounts(state);
+      else state.status = 'active';
+    } else if (state.status !== 'triggered') {
+      if (isTrue) {
+        state.status = 'triggered';
+        triggered = true;
+      } else if (isPaused) {
+        state.status = 'paused';
+      } else {
+        state.status = isPrimed ? 'primed' : 'active';
+      }
+    }
+  }
+
+  return {
+    frame: state.frame,
+    status: state.status,
+    isTrue,
+    isPrimed: isPrimed && !isTrue,
+    isPaused,
+    wasReset: frame.wasReset,
+    triggered,
+    measured: frame.measured,
+    groups: reportGroups(state),
+  };
+}
+
+/**
+ * Evaluates a logic string over a list of memory frames
+ * @param {string} logic - The logic string
+ * @param {Array} frames - Memory for each frame
+ * @param {string} separator - Group separator
+ * @returns {Array} One evaluateFrame result per frame
+ */
+export function evaluateLogic(logic, frames, separator = 'S') {
+  const state = createEvaluationState(logic, separator);
+  return frames.map((memory) => evaluateFrame(state, memory));
+}
@@ -6,10 +6,22 @@ import {
   BIT_TYPES, 
   FOUR_BIT_TYPES, 
   OPERAND_FLAGS, 
+  CHAIN_FLAGS,
+  MEMORY_TYPES,
   sizeMapForText 
 } from './core-constants.js';
 import { getGroupLines } from './groups.js';
 import { applyDeltaMemCheck, applyAndOrNextCheck } from './delta-mem-check.js';
+import {
+  normalizeConstantInput,
+  parseConstantValue,
+  toConstantText,
+  isZeroConstant,
+  offsetConstantValue
+} from './values.js';
+import { parseStructReference, resolveStructReference } from './structs.js';
+import { parseFormula, evaluateFormula } from './expressions.js';
+import { parseValueList } from './value-lists.js';
 
 /**
  * Updates a field in the expansion configuration
@@ -36,15 +48,19 @@ export function updateLineConfig(bitfieldExpansions, expansionId, lineIndex, fie
   
   const lineConfig = bitfieldExpansions[expansionId].lineConfigs[lineIndex];
 
-  // If updating arithmetic increment, clear customization state
-  if (field === 'arithmeticIncrement' && value && value.trim() !== '') {
+  // Increment, formula and value list each replace the others and any customization
+  const steppingFields = ['arithmeticIncrement', 'formula', 'valueList'];
+  if (steppingFields.includes(field) && value && value.trim() !== '') {
     lineConfig.customized = false;
     lineConfig.customData = null;
+    steppingFields.filter((other) => other !== field).forEach((other) => { lineConfig[other] = ''; });
   }
 
-  // If updating custom field size, clear arithmetic increment
+  // If updating custom field size, clear arithmetic increment, formula and value list
   if (field === 'customFieldSize' && value && value.trim() !== '') {
     lineConfig.arithmeticIncrement = '';
+    lineConfig.formula = '';
+    lineConfig.valueList = '';
   }
 
   lineConfig[field] = value;
@@ -254,12 +270,15 @@ export function confirmExpansion(
       if (lineConfig.customized && lineConfig.customData) {
         // Use custom expansion
         linesToAdd = generateCustomLines(line, lineConfig, groupIdx);
+      } else if (lineConfig.valueList && lineConfig.valueList.trim() !== '') {
+        // Use the value list entry for this group
+        linesToAdd = [generateValueListLine(line, lineConfig, groupIdx)];
       } else if (
-        lineConfig.arithmeticIncrement &&
-        lineConfig.arithmeticIncrement.trim() !== ''
+        (lineConfig.formula && lineConfig.formula.trim() !== '') ||
+        (lineConfig.arithmeticIncrement && lineConfig.arithmeticIncrement.trim() !== '')
       ) {
         // Use arithmetic expansion
-        linesToAdd = [generateArithmeticLine(line, lineConfig, groupIdx)];
+        linesToAdd = [generateArithmeticLine(line, lineConfig, groupIdx, generatedGroups)];
       } else {
         // Copy without changes
         linesToAdd = [convertBitfieldConditionToText(line)];
@@ -307,6 +326,72 @@ export function confirmExpansion(
   delete bitfieldExpansions[expansionId];
 }
 
+/**
+ * Lists the addresses picked in a custom panel, one per generated group
+ * Bit lines give one selection per bit (or one BitCount per byte), nibble lines one per nibble
+ * @param {Object} line - The line being customized
+ * @param {Object} customData - The line's custom panel data
+ * @returns {Array} Selections { addr, size } in group order
+ */
+export function getCustomSelections(line, customData) {
+  const isBitType = BIT_TYPES.includes(line.size);
+  const is4BitType = FOUR_BIT_TYPES.includes(line.size);
+
+  const sortedRowAddrs = Object.keys(customData.customRows)
+    .map((k) => parseInt(k))
+    .sort((a, b) => a - b);
+
+  const selections = [];
+
+  for (const rowBaseAddr of sortedRowAddrs) {
+    const rowData = customData.customRows[rowBaseAddr];
+
+    if (isBitType) {
+      const sortedOffsets = Object.keys(rowData)
+        .map((k) => parseInt(k))
+        .sort((a, b) => a - b);
+      for (const byteOffset of sortedOffsets) {
+        const byteData = rowData[byteOffset];
+        const addr = rowBaseAddr + byteOffset;
+
+        if (byteData.bitCount) {
+          selections.push({ addr, size: 'BitCount' });
+        } else if (byteData.bits && byteData.bits.length > 0) {
+          byteData.bits.forEach((bit) => {
+            selections.push({ addr, size: `Bit${bit}` });
+          });
+        }
+      }
+    } else if (is4BitType) {
+      for (let byteOffset = 0; byteOffset < 0x10; byteOffset++) {
+        const byteData = rowData[byteOffset];
+        const addr = rowBaseAddr + byteOffset;
+
+        if (byteData.upper) {
+          selections.push({ addr, size: 'Upper4' });
+        }
+        if (byteData.lower) {
+          selections.push({ addr, size: 'Lower4' });
+        }
+      }
+    } else {
+      const sortedOffsets = Object.keys(rowData)
+        .map((k) => parseInt(k))
+        .sort((a, b) => a - b);
+      for (const offset of sortedOffsets) {
+        const btnData = rowData[offset];
+        const addr = rowBaseAddr + offset;
+
+        if (btnData && btnData.active) {
+          selections.push({ addr, size: line.size });
+        }
+      }
+    }
+  }
+
+  return selections;
+}
+
 /**
  * Converts a bitfield condition to text format
  * @param {Object} condition - The condition to convert
@@ -326,7 +411,7 @@ export function convertBitfieldConditionToText(condition) {
 
   // Add memory/value
   if (condition.type === 'Value') {
-    text += condition.memory;
+    text += toConstantText(condition.memory);
   } else {
     // Apply size prefix for memory types
     if (
@@ -342,12 +427,17 @@ export function convertBitfieldConditionToText(condition) {
     }
   }
 
+  // Measured value lines (leaderboard VAL) may stand without a comparison
+  const isMeasuredValue = condition.flag === 'M:' && !condition.cmp;
+
   // Add comparison
-  if (
+  if (isMeasuredValue) {
+    // No comparison or right side
+  } else if (
     !isOperandFlag ||
     (isOperandFlag && condition.cmp && condition.cmp !== '') ||
     (isOperandFlag && condition.compareType !== 'Value') ||
-    (isOperandFlag && condition.compareType === 'Value' && condition.value !== '0')
+    (isOperandFlag && condition.compareType === 'Value' && !isZeroConstant(condition.value))
   ) {
     text += condition.cmp || '=';
 
@@ -355,7 +445,7 @@ export function convertBitfieldConditionToText(condition) {
     if (condition.compareType === 'Recall') {
       text += '{recall}';
     } else if (condition.compareType === 'Value') {
-      text += condition.value;
+      text += toConstantText(condition.value);
     } else {
       if (condition.compareType === 'Delta') text += 'd';
       else if (condition.compareType === 'Prior') text += 'p';
@@ -384,3 +474,456 @@ export function convertBitfieldConditionToText(condition) {
 
   return text;
 }
+
+/**
+ * Parses an arithmetic increment ("16", "0x10", "h10")
+ * @param {string} increment - The increment as typed
+ * @returns {number} The increment, or 0 when it cannot be parsed
+ */
+function parseArithmeticIncrement(increment) {
+  const constant = parseConstantValue(normalizeConstantInput(increment).text);
+  return constant ? constant.number : 0;
+}
+
+/**
+ * Steps one operand of a line by an offset
+ * Addresses move to the next address; Value constants are incremented numerically
+ * @param {string} type - The operand type
+ * @param {string} operand - The memory address or constant text
+ * @param {number} offset - Amount to add
+ * @returns {string} The stepped operand
+ */
+function offsetOperand(type, operand, offset) {
+  if (type === 'Recall') return operand;
+  if (type === 'Value') return offsetConstantValue(operand, offset) ?? operand;
+
+  const baseAddr = parseInt(String(operand).replace('0x', ''), 16);
+  return '0x' + (baseAddr + offset).toString(16).toUpperCase().padStart(4, '0');
+}
+
+/**
+ * Gets the operands the active tab steps
+ * @param {Object} line - The original line condition
+ * @param {Object} lineConfig - The line configuration with activeTab
+ * @returns {Array} [field, type] pairs: ['memory', line.type] and/or ['value', line.compareType]
+ */
+export function getSteppedOperands(line, lineConfig) {
+  const hasComparison = line.cmp && line.cmp !== '';
+  const operands = [];
+  if (lineConfig.activeTab !== 'right' || !hasComparison) {
+    operands.push(['memory', line.type]);
+  }
+  if (hasComparison && ['right', 'both'].includes(lineConfig.activeTab)) {
+    operands.push(['value', line.compareType]);
+  }
+  return operands;
+}
+
+/**
+ * Moves one operand to what a formula gives for a group
+ * base is the operand as written: the address, or the Value constant's number
+ * @param {string} type - The operand type
+ * @param {string} operand - The memory address or constant text
+ * @param {string} formula - The formula
+ * @param {number} groupIdx - The group index (i)
+ * @param {number} generatedGroups - The generated group count (n)
+ * @returns {Object} { operand, error } - the operand is unchanged when there is an error
+ */
+function applyOperandFormula(type, operand, formula, groupIdx, generatedGroups) {
+  if (type === 'Recall') return { operand, error: null };
+
+  const constant = type === 'Value' ? parseConstantValue(operand) : null;
+  const base = type === 'Value'
+    ? (constant ? constant.number : NaN)
+    : parseInt(String(operand).replace('0x', ''), 16);
+  if (!Number.isFinite(base)) return { operand, error: `"${operand}" is not a number` };
+
+  const { value, error } = evaluateFormula(formula, { i: groupIdx, n: generatedGroups, base });
+  if (error) return { operand, error };
+
+  if (type === 'Value') {
+    if (constant.kind !== 'float' && !Number.isInteger(value)) {
+      return { operand, error: `${value} is not a whole number` };
+    }
+    const stepped = offsetConstantValue(operand, value - base);
+    if (stepped === null) return { operand, error: `${value} is outside the 32-bit range` };
+    return { operand: stepped, error: null };
+  }
+  if (!Number.isInteger(value) || value < 0 || value > 0xffffffff) {
+    return { operand, error: `${value} is not a valid address` };
+  }
+  return { operand: '0x' + value.toString(16).toUpperCase().padStart(4, '0'), error: null };
+}
+
+/**
+ * Steps one operand for a group, by the line's formula or else by its increment
+ * @param {string} type - The operand type
+ * @param {string} operand - The memory address or constant text
+ * @param {Object} lineConfig - The line configuration with formula or arithmeticIncrement
+ * @param {number} groupIdx - The group index
+ * @param {number} generatedGroups - The generated group count
+ * @returns {string} The stepped operand
+ */
+export function stepArithmeticOperand(type, operand, lineConfig, groupIdx, generatedGroups) {
+  const formula = (lineConfig.formula || '').trim();
+  if (formula) {
+    return applyOperandFormula(type, operand, formula, groupIdx, generatedGroups).operand;
+  }
+  return offsetOperand(type, operand, parseArithmeticIncrement(lineConfig.arithmeticIncrement) * groupIdx);
+}
+
+/**
+ * Checks a line's formula against every group it will generate
+ * @param {Object} line - The original line condition
+ * @param {Object} lineConfig - The line configuration
+ * @param {number} generatedGroups - The generated group count
+ * @returns {string|null} The first problem, or null when the formula is blank or works for every group
+ */
+export function checkLineFormula(line, lineConfig, generatedGroups) {
+  const formula = (lineConfig.formula || '').trim();
+  if (!formula) return null;
+
+  const { error } = parseFormula(formula);
+  if (error) return error;
+
+  for (let groupIdx = 0; groupIdx < generatedGroups; groupIdx++) {
+    for (const [field, type] of getSteppedOperands(line, lineConfig)) {
+      const result = applyOperandFormula(type, line[field], formula, groupIdx, generatedGroups);
+      if (result.error) return `Group ${groupIdx + 1}: ${result.error}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks a line's arithmetic increment against every group it will generate
+ * Addresses step by whole numbers; the last group's address or constant must still fit 32 bits
+ * @param {Object} line - The original line condition
+ * @param {Object} lineConfig - The line configuration with arithmeticIncrement and activeTab
+ * @param {number} generatedGroups - The generated group count
+ * @returns {string|null} The first problem, or null when the increment is blank or works for every group
+ */
+export function checkLineIncrement(line, lineConfig, generatedGroups) {
+  const increment = (lineConfig.arithmeticIncrement || '').trim();
+  if (!increment || (lineConfig.formula || '').trim()) return null;
+
+  const constant = parseConstantValue(normalizeConstantInput(increment).text);
+  if (!constant) return `Increment "${increment}" is not a number`;
+
+  const lastOffset = constant.number * (generatedGroups - 1);
+  for (const [field, type] of getSteppedOperands(line, lineConfig)) {
+    if (type === 'Recall') continue;
+
+    if (type === 'Value') {
+      const value = parseConstantValue(line[field]);
+      if (value && value.kind !== 'float' && !Number.isInteger(constant.number)) {
+        return `Increment ${increment} is not a whole number, but ${line[field]} is`;
+      }
+      if (offsetConstantValue(line[field], lastOffset) === null) {
+        return `Group ${generatedGroups}: ${line[field]} + ${lastOffset} is outside the 32-bit range`;
+      }
+      continue;
+    }
+
+    if (!Number.isInteger(constant.number)) return `Address increments must be whole numbers, not ${increment}`;
+    const address = parseInt(String(line[field]).replace('0x', ''), 16) + lastOffset;
+    if (address < 0 || address > 0xffffffff) {
+      return `Group ${generatedGroups}: address ${line[field]} + ${lastOffset} is outside the 32-bit range`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks a line's value list against its stepped operand and the groups it will generate
+ * The list replaces one operand; a Value is checked against the size of the memory it is compared with
+ * @param {Object} line - The original line condition
+ * @param {Object} lineConfig - The line configuration with valueList and activeTab
+ * @param {number|null} generatedGroups - The generated group count, or null to skip the length check
+ * @returns {Object} { field, entries, error } - entries is empty when the list is blank
+ */
+export function checkLineValueList(line, lineConfig, generatedGroups = null) {
+  if (!(lineConfig.valueList || '').trim()) return { field: null, entries: [], error: null };
+
+  const operands = getSteppedOperands(line, lineConfig);
+  if (operands.length !== 1) {
+    return { field: null, entries: [], error: 'A list replaces one side; choose Left or Right' };
+  }
+
+  const [field, type] = operands[0];
+  const otherType = field === 'memory' ? line.compareType : line.type;
+  const otherSize = field === 'memory' ? line.compareSize : line.size;
+  const comparedSize = line.cmp && MEMORY_TYPES.includes(otherType) ? otherSize : null;
+
+  const { entries, error } = parseValueList(lineConfig.valueList, type, comparedSize);
+  if (error) return { field, entries, error };
+  if (generatedGroups !== null && entries.length < generatedGroups) {
+    return { field, entries, error: `The list has ${entries.length} entries for ${generatedGroups} groups` };
+  }
+  return { field, entries, error: null };
+}
+
+/**
+ * Generates one value list expansion line for a group
+ * @param {Object} line - The original line condition
+ * @param {Object} lineConfig - The line configuration with valueList and activeTab
+ * @param {number} groupIdx - The group index, which picks the entry
+ * @returns {string} The generated line text, the line unchanged when the list has no entry for the group
+ */
+export function generateValueListLine(line, lineConfig, groupIdx) {
+  const { field, entries } = checkLineValueList(line, lineConfig);
+  const stepped = { ...line };
+  if (field && entries[groupIdx] !== undefined) stepped[field] = entries[groupIdx];
+  return convertBitfieldConditionToText(stepped);
+}
+
+/**
+ * Generates one arithmetic expansion line for a group
+ * The active tab picks which side steps, by the formula or by increment * groupIdx
+ * @param {Object} line - The original line condition
+ * @param {Object} lineConfig - The line configuration with formula or arithmeticIncrement, and activeTab
+ * @param {number} groupIdx - The group index
+ * @param {number} generatedGroups - The generated group count, n in formulas
+ * @returns {string} The generated line text
+ */
+export function generateArithmeticLine(line, lineConfig, groupIdx, generatedGroups = 1) {
+  const stepped = { ...line };
+
+  getSteppedOperands(line, lineConfig).forEach(([field, type]) => {
+    stepped[field] = stepArithmeticOperand(type, line[field], lineConfig, groupIdx, generatedGroups);
+  });
+
+  return convertBitfieldConditionToText(stepped);
+}
+
+/**
+ * Checks that a line's struct references resolve for every group it will generate
+ * @param {Object} line - The original line condition
+ * @param {Array} structs - Struct definitions
+ * @param {number} generatedGroups - The generated group count; [i] must stay below the struct's count
+ * @returns {string|null} The first problem, or null when every reference resolves
+ */
+export function checkLineStructSlots(line, structs, generatedGroups) {
+  const references = [
+    MEMORY_TYPES.includes(line.type) ? line.memoryRef : null,
+    line.cmp && MEMORY_TYPES.includes(line.compareType) ? line.valueRef : null,
+  ].map(parseStructReference).filter(Boolean);
+
+  for (const reference of references) {
+    const groupCount = reference.index === 'i' ? generatedGroups : 1;
+    for (let groupIdx = 0; groupIdx < groupCount; groupIdx++) {
+      const { error } = resolveStructReference(structs, reference, groupIdx);
+      if (error) return `Group ${groupIdx + 1}: ${reference.text}: ${error}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Generates one struct expansion line for a group
+ * Operands that refer to name[i].field move to slot groupIdx and take the field's size
+ * @param {Object} line - The original line condition
+ * @param {Array} structs - Struct definitions
+ * @param {number} groupIdx - The group index, used as the slot
+ * @returns {string} The generated line text
+ */
+export function generateStructLine(line, structs, groupIdx) {
+  const stepped = { ...line };
+
+  [
+    ['memory', 'size', line.type, line.memoryRef],
+    ['value', 'compareSize', line.compareType, line.cmp ? line.valueRef : null],
+  ].forEach(([field, sizeField, type, text]) => {
+    const reference = parseStructReference(text);
+    if (!reference || !MEMORY_TYPES.includes(type)) return;
+    const resolved = resolveStructReference(structs, reference, groupIdx);
+    if (resolved.error) return;
+    stepped[field] = '0x' + resolved.address.toString(16).toUpperCase().padStart(4, '0');
+    stepped[sizeField] = resolved.size;
+  });
+
+  return convertBitfieldConditionToText(stepped);
+}
+
+// ============================================================================
+// EXPANSION OUTPUT MODES
+// ============================================================================
+//
+// How the generated groups are combined: one after another in the group's own
+// section (each must hold), as an Or Next chain (any one holds), as Alt groups
+// (one per generated group) or as an Add Hits tally whose last line carries
+// the target hit count for all of them together.
+
+export const OUTPUT_MODES = [
+  { value: 'core', label: 'Consecutive lines' },
+  { value: 'orNext', label: 'Or Next chain' },
+  { value: 'alt', label: 'Alt groups' },
+  { value: 'addHits', label: 'Add Hits tally' },
+];
+
+/**
+ * Replaces a line's flag and hit count
+ * @param {string} line - Line text
+ * @param {string} flag - New flag, '' for none
+ * @param {string} hits - New hit count, '' for none
+ * @returns {string} Line text
+ */
+function setLineFlagAndHits(line, flag, hits) {
+  const body = line.replace(/^[A-Za-z]:/, '').replace(/\.\d+\.$/, '');
+  return flag + body + (hits ? `.${hits}.` : '');
+}
+
+/**
+ * Combines the generated groups as the output mode asks
+ * Chains turn the last line of every group but the final one into an O: or C: line; the final
+ * line keeps its flag, and in an Add Hits tally gets the target hit count. Each group must be one
+ * condition (its earlier lines all feed the last) without a hit count of its own
+ * @param {Array} groups - One line list per generated group
+ * @param {string} outputMode - 'core', 'orNext', 'alt' or 'addHits'
+ * @param {string} hitTarget - Target hit count for 'addHits'
+ * @returns {Object} { lines, altGroups, error } - altGroups holds the groups in 'alt' mode, else null
+ */
+export function combineExpansionGroups(groups, outputMode = 'core', hitTarget = '') {
+  const lines = groups.flat();
+  if (outputMode === 'alt') return { lines, altGroups: groups, error: null };
+  if (outputMode !== 'orNext' && outputMode !== 'addHits') return { lines, altGroups: null, error: null };
+
+  if (outputMode === 'addHits' && !(/^\d+$/.test(String(hitTarget).trim()) && parseInt(hitTarget, 10) > 0)) {
+    return { lines, altGroups: null, error: 'Add Hits needs a target hit count of 1 or more' };
+  }
+
+  for (const [groupIdx, group] of groups.entries()) {
+    const lastFlag = (group[group.length - 1].match(/^[A-Za-z]:/) || [''])[0];
+    if (CHAIN_FLAGS.includes(lastFlag)) {
+      return { lines, altGroups: null, error: `Group ${groupIdx + 1} ends with a ${lastFlag} line, which cannot close a chain` };
+    }
+    // Only the last line is re-flagged, so every line before it must already feed into it;
+    // a standalone line would stay a separate condition outside the chain
+    const standalone = group.slice(0, -1).find((line) => !CHAIN_FLAGS.includes((line.match(/^[A-Za-z]:/) || [''])[0]));
+    if (standalone) {
+      return { lines, altGroups: null, error: `Group ${groupIdx + 1} has more than one condition ("${standalone}"), which cannot be chained as one` };
+    }
+    // The chain replaces the groups' own hit counts
+    const counted = group.find((line) => /\.\d+\.$/.test(line));
+    if (counted) {
+      return { lines, altGroups: null, error: `Group ${groupIdx + 1} has its own hit count ("${counted}"), which the chain would drop` };
+    }
+    // Or Next evaluates left to right, so an And/Or Next inside a group would swallow the groups before it
+    if (outputMode === 'orNext' && group.some((line) => /^[NO]:/.test(line))) {
+      return { lines, altGroups: null, error: 'Groups with And Next or Or Next lines cannot be joined into an Or Next chain' };
+    }
+  }
+
+  const chainFlag = outputMode === 'orNext' ? 'O:' : 'C:';
+  const chained = groups.map((group, groupIdx) => {
+    const last = group[group.length - 1];
+    const isFinal = groupIdx === groups.length - 1;
+    let closing = last;
+    if (!isFinal) {
+      closing = setLineFlagAndHits(last, chainFlag, '');
+    } else if (outputMode === 'addHits') {
+      closing = setLineFlagAndHits(last, (last.match(/^[A-Za-z]:/) || [''])[0], String(hitTarget).trim());
+    }
+    return [...group.slice(0, -1), closing];
+  });
+
+  return { lines: chained.flat(), altGroups: null, error: null };
+}
+
+// ============================================================================
+// EXPANSION RECIPES
+// ============================================================================
+//
+// Confirming an expansion bakes it into expandedLines. The configuration that
+// produced them is kept on the group's first line as a recipe, so the panel
+// can be reopened as it was and the lines regenerated after the base
+// condition changes. The recipe also records the base and generated line
+// texts, which is how a group is found again after the builder is rebuilt
+// from the logic text.
+
+/**
+ * Copies a value made of plain objects and arrays
+ * @param {*} value - Value to copy
+ * @returns {*} Deep copy
+ */
+function clonePlain(value) {
+  return value === null || value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Creates the recipe kept on a group once its expansion is confirmed
+ * @param {Array} groupLines - The group's lines
+ * @param {Object} expansion - The confirmed expansion
+ * @param {Array} expandedLines - The lines the expansion generated
+ * @param {Array|null} altGroups - The Alt groups it generated in Alt output, else null
+ * @returns {Object} Recipe
+ */
+export function createExpansionRecipe(groupLines, expansion, expandedLines, altGroups = null) {
+  return {
+    generatedGroups: String(expansion.generatedGroups),
+    deltaCheck: expansion.deltaCheck !== false,
+    bitCompression: expansion.bitCompression !== false,
+    outputMode: expansion.outputMode || 'core',
+    hitTarget: expansion.hitTarget || '',
+    lineConfigs: expansion.lineConfigs.map((lineConfig) => ({
+      activeTab: lineConfig.activeTab,
+      arithmeticIncrement: lineConfig.arithmeticIncrement,
+      formula: lineConfig.formula || '',
+      valueList: lineConfig.valueList || '',
+      customFieldSize: lineConfig.customFieldSize,
+      customized: lineConfig.customized,
+      customData: clonePlain(lineConfig.customData),
+    })),
+    baseLines: groupLines.map((line) => ({
+      text: convertBitfieldConditionToText(line),
+      label: line.label || '',
+      comments: line.comments || null,
+      memoryRef: line.memoryRef || null,
+      valueRef: line.valueRef || null,
+    })),
+    expandedLines: [...expandedLines],
+    expandedAltGroups: altGroups ? altGroups.map((group) => [...group]) : null,
+    section: groupLines[0].section || 0,
+  };
+}
+
+/**
+ * Rebuilds an expansion from a recipe
+ * @param {Object|null} recipe - Recipe from createExpansionRecipe
+ * @param {Array} groupLines - The group's current lines
+ * @returns {Object|null} Expansion, or null when the group no longer has the recipe's lines
+ */
+export function restoreExpansionFromRecipe(recipe, groupLines) {
+  if (!recipe || recipe.lineConfigs.length !== groupLines.length) return null;
+  return {
+    generatedGroups: recipe.generatedGroups,
+    deltaCheck: recipe.deltaCheck,
+    bitCompression: recipe.bitCompression,
+    outputMode: recipe.outputMode || 'core',
+    hitTarget: recipe.hitTarget || '',
+    lineConfigs: recipe.lineConfigs.map((lineConfig, idx) => ({
+      ...lineConfig,
+      lineId: groupLines[idx].lineId,
+      customData: clonePlain(lineConfig.customData),
+    })),
+  };
+}
+
+/**
+ * Finds a run of lines in one section
+ * @param {Array} lines - { text, section } per condition, texts from convertBitfieldConditionToText
+ * @param {Array} run - Line texts to look for, in the same form
+ * @param {Set} usedIndexes - Indexes already claimed by another recipe
+ * @returns {number} Index of the run's first line, or -1 when it is not there
+ */
+export function findLineRun(lines, run, usedIndexes) {
+  if (run.length === 0) return -1;
+  for (let start = 0; start + run.length <= lines.length; start++) {
+    const matches = run.every((text, offset) => {
+      const line = lines[start + offset];
+      return !usedIndexes.has(start + offset) && line.text === text && line.section === lines[start].section;
+    });
+    if (matches) return start;
+  }
+  return -1;
+}
@@ -0,0 +1,364 @@
+// ============================================================================
+// PLAIN-ENGLISH LOGIC EXPLANATION
+// ============================================================================
+//
+// Every section is split into chains: the modifier lines (A:, B:, I:, K:,
+// N:, O:, C:, D:, Z:) and the condition they feed. Each line gets its own
+// description and each chain a sentence that reads the lines together, e.g.
+//   A:0xM020_N:0xH020>=15
+//   "Add bit 0 of 0x20, then require 8-bit 0x20 ≥ 15 (AND next)"
+
+import { ARITHMETIC_OPERATORS, CHAIN_FLAGS } from './core-constants.js';
+import { parseLogicLines } from './parsing.js';
+import { getSectionLabel } from './sections.js';
+import { parseConstantValue } from './values.js';
+import { escapeHtml } from './html-renderer.js';
+
+const COMPARISON_WORDS = {
+  '=': '=',
+  '!=': '≠',
+  '<': '<',
+  '<=': '≤',
+  '>': '>',
+  '>=': '≥',
+};
+
+const ARITHMETIC_WORDS = {
+  '*': '×',
+  '/': '÷',
+  '%': 'mod',
+  '+': '+',
+  '-': '−',
+  '&': 'AND',
+  '^': 'XOR',
+};
+
+/**
+ * Describes a constant in the notation it was written in
+ * @param {string} text - Constant text (decimal, h hex or f float)
+ * @returns {string} Readable constant
+ */
+function describeConstant(text) {
+  const constant = parseConstantValue(text);
+  if (!constant) return String(text);
+  if (constant.kind === 'hex') return '0x' + constant.number.toString(16).toUpperCase();
+  return String(constant.number);
+}
+
+/**
+ * Describes a memory size, e.g. "8-bit" or "bit 0 of"
+ * @param {string} size - Operand size
+ * @returns {string} Readable size
+ */
+function describeSize(size) {
+  const bitMatch = String(size).match(/^Bit(\d)$/);
+  if (bitMatch) return `bit ${bitMatch[1]} of`;
+  if (size === 'Lower4') return 'lower 4 bits of';
+  if (size === 'Upper4') return 'upper 4 bits of';
+  if (size === 'BitCount') return 'bit count of';
+  return size || '8-bit';
+}
+
+/**
+ * Describes an operand
+ * @param {string} type - Operand type (Mem, Delta, Prior, BCD, Invert, Float, Value, Recall)
+ * @param {string} size - Operand size
+ * @param {string} operand - Address or constant text
+ * @param {string} pointer - Description of the Add Address pointer in effect, or ''
+ * @returns {string} Readable operand
+ */
+function describeOperand(type, size, operand, pointer) {
+  if (type === 'Recall') return 'the remembered value';
+  if (type === 'Value') return describeConstant(operand);
+
+  const value = parseInt(String(operand).replace(/^0x/i, ''), 16) || 0;
+  const address = '0x' + value.toString(16).toUpperCase();
+  const read = `${describeSize(size)} ${pointer ? `[${pointer} + ${address}]` : address}`;
+
+  if (type === 'Delta') return `the previous ${read}`;
+  if (type === 'Prior') return `the prior ${read}`;
+  if (type === 'BCD') return `BCD ${read}`;
+  if (type === 'Invert') return `inverted ${read}`;
+  return read;
+}
+
+/**
+ * Describes a line's left operand, with its arithmetic when it has any
+ * @param {Object} condition - Parsed condition
+ * @param {string} pointer - Pointer description, or ''
+ * @returns {Object} { value, right, isArithmetic }
+ */
+function describeOperands(condition, pointer) {
+  const left = describeOperand(condition.type, condition.size, condition.memory, pointer);
+  const right = condition.cmp
+    ? describeOperand(condition.compareType, condition.compareSize, condition.value, pointer)
+    : '';
+  const isArithmetic = ARITHMETIC_OPERATORS.includes(condition.cmp);
+  return {
+    value: isArithmetic ? `${left} ${ARITHMETIC_WORDS[condition.cmp]} ${right}` : left,
+    right,
+    isArithmetic,
+  };
+}
+
+/**
+ * Describes a hit target
+ * @param {string} hits - Hit count text
+ * @returns {string} Readable hit target, or '' when there is none
+ */
+function describeHits(hits) {
+  const count = parseInt(hits, 10) || 0;
+  if (count === 0) return '';
+  return count === 1 ? ' at least once' : ` at least ${count} times`;
+}
+
+/**
+ * Describes one line on its own, as it reads inside its chain
+ * @param {Object} condition - Parsed condition
+ * @param {Object} context - { pointer, hasSource } from the lines before it in the chain
+ * @returns {string} Line description (lowercase start)
+ */
+function describeLine(condition, context) {
+  const pointer = context.pointer ? 'the pointer' : '';
+  const { value, right, isArithmetic } = describeOperands(condition, pointer);
+
+  switch (condition.flag) {
+    case 'A:': return `add ${value}`;
+    case 'B:': return `subtract ${value}`;
+    case 'I:': return `use ${value} as the pointer for the next condition`;
+    case 'K:': return `remember ${value}`;
+  }
+
+  let compare = value;
+  if (context.hasSource) compare += ' (plus the added values)';
+  if (condition.cmp && !isArithmetic) compare += ` ${COMPARISON_WORDS[condition.cmp] || condition.cmp} ${right}`;
+  const hits = describeHits(condition.hits);
+
+  switch (condition.flag) {
+    case 'N:': return `require ${compare} (AND next)`;
+    case 'O:': return `require ${compare} (OR next)`;
+    case 'P:': return `pause this group while ${compare}${hits ? ` (locks once true${hits})` : ''}`;
+    case 'R:': return `reset all hit counts while ${compare}${hits ? ` (once true${hits})` : ''}`;
+    case 'Z:': return `reset the next condition's hit count while ${compare}`;
+    case 'C:': return `count a hit whenever ${compare}`;
+    case 'D:': return `remove a hit whenever ${compare}`;
+    case 'M:': return `measure ${compare}${hits ? ` (progress towards ${parseInt(condition.hits, 10)} hits)` : ''}`;
+    case 'G:': return `measure ${compare} as a percentage`;
+    case 'Q:': return `only measure while ${compare}`;
+    case 'T:': return `require ${compare}${hits} and show the challenge indicator while it is true`;
+    default: return `require ${compare}${hits}`;
+  }
+}
+
+/**
+ * Builds the sentence for a whole chain, reading modifiers into the condition they feed
+ * @param {Array} conditions - Parsed conditions of the chain
+ * @returns {string} Chain sentence (lowercase start)
+ */
+function describeChain(conditions) {
+  let pointer = '';
+  let sourceTerms = [];
+  let pending = null;
+  let resetNext = '';
+  const remembered = [];
+  const hitTerms = [];
+  let sentence = '';
+
+  conditions.forEach((condition) => {
+    const { value, right, isArithmetic } = describeOperands(condition, pointer);
+
+    if (condition.flag === 'I:') {
+      pointer = value;
+      return;
+    }
+    pointer = '';
+
+    if (condition.flag === 'A:' || condition.flag === 'B:') {
+      sourceTerms.push((condition.flag === 'B:' ? '− ' : '+ ') + value);
+      return;
+    }
+
+    let total = value;
+    if (sourceTerms.length > 0) {
+      total = `(${[...sourceTerms, '+ ' + value].join(' ').replace(/^\+ /, '')})`;
+      sourceTerms = [];
+    }
+    if (condition.flag === 'K:') {
+      remembered.push(`remember ${total}`);
+      return;
+    }
+
+    let phrase = condition.cmp && !isArithmetic
+      ? `${total} ${COMPARISON_WORDS[condition.cmp] || condition.cmp} ${right}`
+      : total;
+    if (pending) {
+      phrase = `${pending.phrase} ${pending.joiner} ${phrase}`;
+      pending = null;
+    }
+
+    if (condition.flag === 'N:' || condition.flag === 'O:') {
+      pending = { phrase, joiner: condition.flag === 'N:' ? 'and' : 'or' };
+      return;
+    }
+    if (condition.flag === 'Z:') {
+      resetNext = phrase;
+      return;
+    }
+    if (condition.flag === 'C:' || condition.flag === 'D:') {
+      hitTerms.push(condition.flag === 'D:' ? `minus each frame ${phrase}` : `each frame ${phrase}`);
+      return;
+    }
+
+    const count = parseInt(condition.hits, 10) || 0;
+    let hits = describeHits(condition.hits);
+    if (hitTerms.length > 0) {
+      hits = ` (counting hits from ${hitTerms.join(', ')}, needing ${count || 1} in total)`;
+    }
+    const resetClause = resetNext && (count > 0 || hitTerms.length > 0)
+      ? `, starting the count over whenever ${resetNext}`
+      : '';
+
+    switch (condition.flag) {
+      case 'P:':
+        sentence = `pause this group while ${phrase}${hits ? `, locking the pause once it has been true${hits}` : ''}`;
+        break;
+      case 'R:':
+        sentence = `reset all hit counts while ${phrase}${hits ? ` once it has been true${hits}` : ''}`;
+        break;
+      case 'M:':
+        sentence = count > 0 ? `measure how many frames ${phrase}, up to ${count}` : `measure ${phrase}`;
+        break;
+      case 'G:':
+        sentence = `measure ${phrase} as a percentage`;
+        break;
+      case 'Q:':
+        sentence = `only measure while ${phrase}`;
+        break;
+      case 'T:':
+        sentence = `require ${phrase}${hits} and show the challenge indicator while it is true`;
+        break;
+      default:
+        sentence = `require ${phrase}${hits}`;
+    }
+    sentence += resetClause;
+  });
+
+  // Trailing modifiers with nothing to feed
+  if (!sentence) {
+    if (pending) sentence = `require ${pending.phrase} (${pending.joiner === 'and' ? 'AND' : 'OR'} next, but nothing follows)`;
+    else sentence = 'incomplete chain: nothing follows the last modifier';
+  }
+  if (remembered.length > 0) sentence = `${remembered.join(', then ')}, then ${sentence}`;
+  return sentence;
+}
+
+/**
+ * Capitalizes the first letter of a description
+ * @param {string} text - Description
+ * @returns {string} Sentence
+ */
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Explains a logic string section by section and chain by chain
+ * @param {string} logic - The logic string (Core and optional Alts)
+ * @param {string} separator - Group separator (S for triggers, $ for leaderboard values)
+ * @returns {Array} Sections { label, chains: [{ summary, lines: [{ text, description }] }], problems }
+ */
+export function explainLogic(logic, separator = 'S') {
+  return parseLogicLines(logic, separator).map((lines, section) => {
+    const chains = [];
+    const problems = [];
+    let current = [];
+    let context = { pointer: false, hasSource: false };
+
+    const closeChain = () => {
+      const conditions = current.map((line) => line.condition);
+      chains.push({
+        summary: capitalize(describeChain(conditions)),
+        lines: current.map(({ text, description }) => ({ text, description })),
+      });
+      current = [];
+      context = { pointer: false, hasSource: false };
+    };
+
+    lines.forEach(({ text, condition, problem }) => {
+      if (problem) {
+        problems.push({ text, reason: problem });
+        return;
+      }
+
+      current.push({ text, condition, description: capitalize(describeLine(condition, context)) });
+
+      context.pointer = condition.flag === 'I:';
+      if (condition.flag === 'A:' || condition.flag === 'B:') context.hasSource = true;
+      else if (condition.flag !== 'I:') context.hasSource = false;
+
+      if (!CHAIN_FLAGS.includes(condition.flag)) closeChain();
+    });
+    if (current.length > 0) closeChain();
+
+    return { label: getSectionLabel(section, separator), chains, problems };
+  });
+}
+
+/**
+ * Describes how a section combines with the others
+ * @param {number} section - Section index
+ * @param {number} sectionCount - Number of sections
+ * @param {string} separator - Group separator
+ * @returns {string} Note for the section header
+ */
+function describeSectionRole(section, sectionCount, separator) {
+  if (separator === '$') return sectionCount > 1 ? 'the highest of the values is used' : 'the value';
+  if (section === 0) return sectionCount > 1 ? 'all of these, plus at least one Alt group' : 'all of these';
+  return 'all of these, or another Alt group';
+}
+
+/**
+ * Creates the HTML for an explanation
+ * @param {Array} sections - Result of explainLogic
+ * @param {string} separator - Group separator
+ * @returns {string} HTML string
+ */
+export function renderExplanation(sections, separator = 'S') {
+  if (sections.length === 0) {
+    return '<div class="explain-empty">No logic to explain</div>';
+  }
+
+  let html = '<div class="explain-view">';
+  sections.forEach((section, idx) => {
+    if (idx > 0 && section.chains.length === 0 && section.problems.length === 0) return;
+
+    html += '<div class="explain-section">';
+    html += `<div class="explain-section-title">${escapeHtml(section.label)} <span class="explain-role">(${describeSectionRole(idx, sections.length, separator)})</span></div>`;
+    if (section.chains.length === 0 && section.problems.length === 0) {
+      html += '<div class="explain-empty">No conditions (always true)</div>';
+    }
+
+    section.chains.forEach((chain) => {
+      html += '<div class="explain-chain">';
+      html += `<div class="explain-summary">${escapeHtml(chain.summary)}</div>`;
+      if (chain.lines.length > 1) {
+        chain.lines.forEach((line) => {
+          html += '<div class="explain-line">';
+          html += `<code>${escapeHtml(line.text)}</code>`;
+          html += `<span>${escapeHtml(line.description)}</span>`;
+          html += '</div>';
+        });
+      } else {
+        html += `<div class="explain-line"><code>${escapeHtml(chain.lines[0].text)}</code></div>`;
+      }
+      html += '</div>';
+    });
+
+    section.problems.forEach((problem) => {
+      html += `<div class="explain-line explain-problem"><code>${escapeHtml(problem.text)}</code><span>Not explained: ${escapeHtml(problem.reason)}</span></div>`;
+    });
+    html += '</div>';
+  });
+  html += '</div>';
+  return html;
+}
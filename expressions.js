@@ -0,0 +1,270 @@
+// ============================================================================
+// EXPANSION FORMULAS
+// ============================================================================
+//
+// A small expression language for the address or value an expansion line
+// steps to in each generated group, e.g.
+//
+//   base + i*0x10 + (i >= 8 ? 0x100 : 0)
+//   0x8000 + (i & 7) * 4 + (i >> 3) * 0x400
+//
+// Variables: i (group index from 0), n (generated groups) and base (the
+// operand as written in the line). Literals are decimal (12, 1.5) or hex
+// (0x1F). Operators, loosest first: ?: || && | ^ & == != < <= > >= << >>
+// + - * / % and unary - ~ !. Bitwise operators and shifts work on unsigned
+// 32-bit values and shift by 0 to 31 bits, / rounds toward zero on integers.
+// Formulas are parsed into a tree and walked; nothing is passed to eval.
+
+export const FORMULA_VARIABLES = ['i', 'n', 'base'];
+
+// Operators by precedence level, loosest first; ?: sits above the first level
+const BINARY_LEVELS = [
+  ['||'],
+  ['&&'],
+  ['|'],
+  ['^'],
+  ['&'],
+  ['==', '!='],
+  ['<', '<=', '>', '>='],
+  ['<<', '>>'],
+  ['+', '-'],
+  ['*', '/', '%'],
+];
+
+const UNARY_OPERATORS = ['-', '+', '~', '!'];
+
+// Parsing and evaluating recurse, so parentheses, unary operators and ?: nest
+// only this deep and a formula holds only this many tokens
+const MAX_NESTING = 32;
+const MAX_TOKENS = 1000;
+
+// Longest first so "<=" is not read as "<" followed by "="
+const PUNCTUATION = ['||', '&&', '==', '!=', '<=', '>=', '<<', '>>', '?', ':', '(', ')', '|', '^', '&', '<', '>', '+', '-', '*', '/', '%', '~', '!'];
+
+/**
+ * Splits a formula into tokens
+ * @param {string} text - Formula text
+ * @returns {Object} { tokens: [{ kind, value, position }], error }
+ */
+function tokenizeFormula(text) {
+  const tokens = [];
+  let position = 0;
+
+  while (position < text.length) {
+    const rest = text.slice(position);
+    const space = rest.match(/^\s+/);
+    if (space) {
+      position += space[0].length;
+      continue;
+    }
+
+    const number = rest.match(/^(0x[0-9a-f]+|\d+(\.\d+)?)/i);
+    if (number) {
+      const value = /^0x/i.test(number[0]) ? parseInt(number[0].slice(2), 16) : parseFloat(number[0]);
+      tokens.push({ kind: 'number', value, position });
+      position += number[0].length;
+      continue;
+    }
+
+    const name = rest.match(/^[A-Za-z_]\w*/);
+    if (name) {
+      if (!FORMULA_VARIABLES.includes(name[0])) {
+        return { tokens, error: `Unknown name "${name[0]}" at ${position + 1} (use ${FORMULA_VARIABLES.join(', ')})` };
+      }
+      tokens.push({ kind: 'variable', value: name[0], position });
+      position += name[0].length;
+      continue;
+    }
+
+    const operator = PUNCTUATION.find((candidate) => rest.startsWith(candidate));
+    if (!operator) {
+      return { tokens, error: `Unexpected "${rest[0]}" at ${position + 1}` };
+    }
+    tokens.push({ kind: 'operator', value: operator, position });
+    position += operator.length;
+  }
+
+  tokens.push({ kind: 'end', value: '', position });
+  return { tokens, error: null };
+}
+
+/**
+ * Parses a formula into an expression tree
+ * @param {string} text - Formula text
+ * @returns {Object} { tree, error } - tree is null when the formula is invalid
+ */
+export function parseFormula(text) {
+  const source = String(text ?? '');
+  if (!source.trim()) return { tree: null, error: 'The formula is empty' };
+
+  const { tokens, error } = tokenizeFormula(source);
+  if (error) return { tree: null, error };
+  if (tokens.length > MAX_TOKENS) return { tree: null, error: `The formula is too long (at most ${MAX_TOKENS} tokens)` };
+
+  let index = 0;
+  let depth = 0;
+  let parseError = null;
+  const peek = () => tokens[index];
+  const isOperator = (values) => peek().kind === 'operator' && values.includes(peek().value);
+  const fail = (message) => {
+    if (!parseError) parseError = message;
+    return null;
+  };
+  const describe = (token) => (token.kind === 'end' ? 'end of formula' : `"${token.value}" at ${token.position + 1}`);
+  const nested = (parse) => {
+    if (depth >= MAX_NESTING) return fail(`The formula nests too deeply at ${describe(peek())} (at most ${MAX_NESTING} levels)`);
+    depth++;
+    const node = parse();
+    depth--;
+    return node;
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (token.kind === 'number') {
+      index++;
+      return { kind: 'number', value: token.value };
+    }
+    if (token.kind === 'variable') {
+      index++;
+      return { kind: 'variable', name: token.value };
+    }
+    if (isOperator(['('])) {
+      index++;
+      const inner = nested(parseConditional);
+      if (!inner) return null;
+      if (!isOperator([')'])) return fail(`Expected ")" but found ${describe(peek())}`);
+      index++;
+      return inner;
+    }
+    return fail(`Expected a number, variable or "(" but found ${describe(token)}`);
+  };
+
+  const parseUnary = () => {
+    if (isOperator(UNARY_OPERATORS)) {
+      const operator = peek().value;
+      index++;
+      const operand = nested(parseUnary);
+      return operand ? { kind: 'unary', operator, operand } : null;
+    }
+    return parsePrimary();
+  };
+
+  const parseLevel = (level) => {
+    if (level === BINARY_LEVELS.length) return parseUnary();
+
+    let left = parseLevel(level + 1);
+    while (left && isOperator(BINARY_LEVELS[level])) {
+      const operator = peek().value;
+      index++;
+      const right = parseLevel(level + 1);
+      left = right ? { kind: 'binary', operator, left, right } : null;
+    }
+    return left;
+  };
+
+  const parseConditional = () => {
+    const test = parseLevel(0);
+    if (!test || !isOperator(['?'])) return test;
+    index++;
+    const consequent = nested(parseConditional);
+    if (!consequent) return null;
+    if (!isOperator([':'])) return fail(`Expected ":" but found ${describe(peek())}`);
+    index++;
+    const alternate = nested(parseConditional);
+    return alternate ? { kind: 'conditional', test, consequent, alternate } : null;
+  };
+
+  const tree = parseConditional();
+  if (tree && peek().kind !== 'end') fail(`Unexpected ${describe(peek())}`);
+  return parseError ? { tree: null, error: parseError } : { tree, error: null };
+}
+
+/**
+ * Applies a binary operator
+ * @param {string} operator - Operator
+ * @param {number} a - Left value
+ * @param {number} b - Right value
+ * @returns {number} Result, NaN for division by zero
+ */
+function applyBinary(operator, a, b) {
+  switch (operator) {
+    case '||': return a !== 0 || b !== 0 ? 1 : 0;
+    case '&&': return a !== 0 && b !== 0 ? 1 : 0;
+    case '|': return (a | b) >>> 0;
+    case '^': return (a ^ b) >>> 0;
+    case '&': return (a & b) >>> 0;
+    case '==': return a === b ? 1 : 0;
+    case '!=': return a !== b ? 1 : 0;
+    case '<': return a < b ? 1 : 0;
+    case '<=': return a <= b ? 1 : 0;
+    case '>': return a > b ? 1 : 0;
+    case '>=': return a >= b ? 1 : 0;
+    case '<<': return (a << b) >>> 0;
+    case '>>': return a >>> b;
+    case '+': return a + b;
+    case '-': return a - b;
+    case '*': return a * b;
+    case '/':
+      if (b === 0) return NaN;
+      return Number.isInteger(a) && Number.isInteger(b) ? Math.trunc(a / b) : a / b;
+    case '%': return b === 0 ? NaN : a % b;
+    default: return NaN;
+  }
+}
+
+/**
+ * Walks an expression tree
+ * @param {Object} node - Tree node from parseFormula
+ * @param {Object} variables - { i, n, base }
+ * @param {Array} problems - Collects why an operation had no value (modified in place)
+ * @returns {number} Value, NaN when an operation had no value
+ */
+function evaluateNode(node, variables, problems) {
+  switch (node.kind) {
+    case 'number':
+      return node.value;
+    case 'variable':
+      return variables[node.name];
+    case 'unary': {
+      const value = evaluateNode(node.operand, variables, problems);
+      if (node.operator === '-') return -value;
+      if (node.operator === '~') return ~value >>> 0;
+      if (node.operator === '!') return value === 0 ? 1 : 0;
+      return value;
+    }
+    case 'conditional':
+      // Only the chosen branch is evaluated, so (i > 0 ? 0x100 / i : 0) is safe
+      return evaluateNode(node.test, variables, problems) !== 0
+        ? evaluateNode(node.consequent, variables, problems)
+        : evaluateNode(node.alternate, variables, problems);
+    default: {
+      const left = evaluateNode(node.left, variables, problems);
+      const right = evaluateNode(node.right, variables, problems);
+      // JS shifts use the count modulo 32, so 1 << 40 would quietly be 256
+      if (['<<', '>>'].includes(node.operator) && !(Number.isInteger(right) && right >= 0 && right < 32)) {
+        problems.push(`Cannot shift by ${right} (use 0 to 31)`);
+        return NaN;
+      }
+      const value = applyBinary(node.operator, left, right);
+      if (Number.isNaN(value) && !Number.isNaN(left) && !Number.isNaN(right)) problems.push('Division by zero');
+      return value;
+    }
+  }
+}
+
+/**
+ * Evaluates a formula
+ * @param {string} text - Formula text
+ * @param {Object} variables - { i, n, base }
+ * @returns {Object} { value, error }
+ */
+export function evaluateFormula(text, variables) {
+  const { tree, error } = parseFormula(text);
+  if (error) return { value: null, error };
+
+  const problems = [];
+  const value = evaluateNode(tree, variables, problems);
+  if (problems.length > 0 || !Number.isFinite(value)) return { value: null, error: problems[0] || 'Division by zero' };
+  return { value, error: null };
+}
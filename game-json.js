@@ -0,0 +1,93 @@
+// ============================================================================
+// RETROACHIEVEMENTS GAME JSON IMPORT
+// ============================================================================
+
+import { escapeHtml } from './html-renderer.js';
+
+/**
+ * Gets the entries of a JSON collection that may be an array or an object keyed by id
+ * @param {Array|Object} collection - The Achievements or Leaderboards value
+ * @returns {Array} The entries as an array
+ */
+function toEntryList(collection) {
+  if (Array.isArray(collection)) return collection;
+  if (collection && typeof collection === 'object') return Object.values(collection);
+  return [];
+}
+
+/**
+ * Parses a game JSON file into its achievements and leaderboards
+ * Accepts the game object itself or one wrapped in PatchData
+ * @param {string} text - File contents
+ * @returns {Object|null} { title, achievements, leaderboards } or null when the file is not valid JSON
+ */
+export function parseGameJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    console.error('Game JSON: could not parse file:', err.message);
+    return null;
+  }
+
+  const game = data && data.PatchData ? data.PatchData : data;
+  if (!game || typeof game !== 'object') {
+    console.error('Game JSON: expected an object with Achievements');
+    return null;
+  }
+
+  const achievements = toEntryList(game.Achievements)
+    .filter((entry) => entry && typeof entry.MemAddr === 'string')
+    .map((entry) => ({
+      id: String(entry.ID ?? ''),
+      title: entry.Title || '',
+      description: entry.Description || '',
+      points: entry.Points ?? '',
+      memAddr: entry.MemAddr,
+    }));
+
+  const leaderboards = toEntryList(game.Leaderboards)
+    .filter((entry) => entry && typeof entry.Mem === 'string')
+    .map((entry) => ({
+      id: String(entry.ID ?? ''),
+      title: entry.Title || '',
+      description: entry.Description || '',
+      mem: entry.Mem,
+    }));
+
+  return {
+    title: game.Title || '',
+    achievements,
+    leaderboards,
+  };
+}
+
+/**
+ * Creates the HTML listing a game's achievements and leaderboards
+ * @param {Object} game - Result of parseGameJson
+ * @returns {string} HTML string for the list
+ */
+export function renderGameJsonList(game) {
+  let html = `<div class="game-json-title">${escapeHtml(game.title || 'Game')}: ${game.achievements.length} achievements, ${game.leaderboards.length} leaderboards</div>`;
+
+  game.achievements.forEach((achievement, idx) => {
+    html += '<div class="user-file-row">';
+    html += `<span class="user-file-id">${escapeHtml(achievement.id)}</span>`;
+    html += `<span class="user-file-title">${escapeHtml(achievement.title)}</span>`;
+    html += `<span class="user-file-description">${escapeHtml(achievement.description)}</span>`;
+    html += `<span class="user-file-points">${escapeHtml(achievement.points)} pts</span>`;
+    html += `<button class="secondary-btn" onclick="window.openGameAchievement(${idx})">Open</button>`;
+    html += '</div>';
+  });
+
+  game.leaderboards.forEach((leaderboard, idx) => {
+    html += '<div class="user-file-row">';
+    html += `<span class="user-file-id">LB ${escapeHtml(leaderboard.id)}</span>`;
+    html += `<span class="user-file-title">${escapeHtml(leaderboard.title)}</span>`;
+    html += `<span class="user-file-description">${escapeHtml(leaderboard.description)}</span>`;
+    html += `<button class="secondary-btn" onclick="window.openGameLeaderboard(${idx})">Open</button>`;
+    html += '</div>';
+  });
+
+  return html;
+}
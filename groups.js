@@ -15,6 +15,16 @@ export function getGroupLines(bitfieldConditions, groupId) {
   return bitfieldConditions.filter((c) => c.groupId === groupId);
 }
 
+/**
+ * Checks if two conditions belong to the same Core/Alt section
+ * @param {Object} a - First condition
+ * @param {Object} b - Second condition
+ * @returns {boolean} Whether both conditions share a section
+ */
+function isSameSection(a, b) {
+  return (a.section || 0) === (b.section || 0);
+}
+
 /**
  * Gets the group leader (line with highest lineId in the group)
  * @param {Array} bitfieldConditions - Array of all conditions
@@ -132,6 +142,9 @@ export function linkCondition(bitfieldConditions, linkGroupColors, lineId) {
     }
 
     const belowCondition = bitfieldConditions[lastGroupLineIndex + 1];
+    if (!isSameSection(condition, belowCondition)) {
+      return; // Link groups never cross Core/Alt boundaries
+    }
     const belowGroupLines = getGroupLines(bitfieldConditions, belowCondition.groupId);
 
     // Add all lines from below group to current line's group
@@ -149,6 +162,9 @@ export function linkCondition(bitfieldConditions, linkGroupColors, lineId) {
     }
 
     const belowCondition = bitfieldConditions[conditionIndex + 1];
+    if (!isSameSection(condition, belowCondition)) {
+      return; // Link groups never cross Core/Alt boundaries
+    }
     const belowGroupLines = getGroupLines(bitfieldConditions, belowCondition.groupId);
 
     // Add all lines from below group to current line's group
@@ -222,6 +238,11 @@ export function canLinkCondition(bitfieldConditions, lineId) {
   const belowCondition = bitfieldConditions[lastGroupLineIndex + 1];
   if (!belowCondition) return false;
 
+  // Disable if the condition below lives in a different Core/Alt section
+  if (!isSameSection(condition, belowCondition)) {
+    return false;
+  }
+
   // Disable if below condition has pending changes (expanded)
   if (belowCondition.expanded && belowCondition.expandedLines.length > 0) {
     return false;
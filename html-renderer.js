@@ -10,10 +10,13 @@ import {
   TYPE_OPTIONS, 
   FLAG_OPTIONS, 
   OPERAND_FLAGS, 
-  SIZE_NEEDED_TYPES 
+  SIZE_NEEDED_TYPES,
+  MEMORY_TYPES,
+  COMPARISON_OPERATORS
 } from './core-constants.js';
-import { canExpand } from './validation.js';
+import { canExpand, isValidConditionField } from './validation.js';
 import { getGroupLines, isGroupLeader } from './groups.js';
+import { renderCodeNoteLabel } from './code-notes.js';
 
 /**
  * Gets size options HTML for a given type
@@ -78,14 +81,18 @@ export function getTypeOptions(flag, currentType) {
 /**
  * Creates the HTML for a condition row
  * @param {Object} condition - The condition object
+ * @param {Map|null} codeNotes - Loaded code notes, shown under memory fields
  * @returns {string} HTML string for the condition row
  */
-export function createConditionRowHTML(condition) {
-  const isOperandFlag = OPERAND_FLAGS.includes(condition.flag);
+export function createConditionRowHTML(condition, codeNotes = null) {
+  // Measured lines can also be value expressions (arithmetic or bare operand)
+  const isMeasuredFlag = condition.flag === 'M:';
+  const isOperandFlag = OPERAND_FLAGS.includes(condition.flag) ||
+    (isMeasuredFlag && !COMPARISON_OPERATORS.includes(condition.cmp));
   const hasOperand = condition.cmp && condition.cmp !== '';
 
   let cmpOptions = '';
-  if (isOperandFlag) {
+  if (isOperandFlag || isMeasuredFlag) {
     cmpOptions = `
       <option value="" ${condition.cmp === '' ? 'selected' : ''}></option>
       <option value="*" ${condition.cmp === '*' ? 'selected' : ''}>*</option>
@@ -96,7 +103,12 @@ export function createConditionRowHTML(condition) {
       <option value="&" ${condition.cmp === '&' ? 'selected' : ''}>&amp;</option>
       <option value="^" ${condition.cmp === '^' ? 'selected' : ''}>^</option>
     `;
-  } else {
+  }
+  if (isMeasuredFlag) {
+    cmpOptions += COMPARISON_OPERATORS.map(
+      (op) => `<option value="${op}" ${condition.cmp === op ? 'selected' : ''}>${op.replace('<', '&lt;').replace('>', '&gt;')}</option>`,
+    ).join('');
+  } else if (!isOperandFlag) {
     cmpOptions = `
       <option value="=" ${condition.cmp === '=' ? 'selected' : ''}>=</option>
       <option value="<" ${condition.cmp === '<' ? 'selected' : ''}>&lt;</option>
@@ -118,6 +130,23 @@ export function createConditionRowHTML(condition) {
   const rightNeedsSize = SIZE_NEEDED_TYPES.includes(condition.compareType);
   const rightNeedsInput = condition.compareType !== 'Recall';
 
+  // Input that could not be normalized is kept as typed and flagged
+  const invalidAttrs = (field) => isValidConditionField(condition, field)
+    ? ''
+    : 'class="invalid-input" title="Not a valid address or constant (decimal, h hex, f float)"';
+
+  // Memory fields suggest addresses from the code notes and accept note text
+  const noteAttrs = (type) => codeNotes && MEMORY_TYPES.includes(type)
+    ? 'list="codeNoteOptions" onfocus="window.filterCodeNoteOptions(this.value)" onkeyup="window.filterCodeNoteOptions(this.value)"'
+    : '';
+
+  // Struct references (enemies[i].hp) are shown as typed, with the first slot's address under them
+  const memoryRef = MEMORY_TYPES.includes(condition.type) ? condition.memoryRef : null;
+  const valueRef = MEMORY_TYPES.includes(condition.compareType) ? condition.valueRef : null;
+  const structLabel = (reference, address) => reference
+    ? `<div class="struct-ref-label" title="Slot 0 of ${reference}">${address}</div>`
+    : '';
+
   return `
     <div>
       <select onchange="window.updateBitfieldCondition(${condition.lineId}, 'flag', this.value); window.renderBitfieldConditions();">
@@ -140,10 +169,12 @@ export function createConditionRowHTML(condition) {
     </div>
     
     <div class="${!leftNeedsInput ? 'hidden' : ''}">
-      <input type="text" value="${condition.memory}" 
-        onchange="window.updateBitfieldCondition(${condition.lineId}, 'memory', this.value); window.recomputeExpandState(${condition.lineId}); window.renderBitfieldConditions();" 
+      <input type="text" value="${escapeHtml(memoryRef || condition.memory)}" ${invalidAttrs('memory')} ${noteAttrs(condition.type)}
+        onchange="window.updateBitfieldCondition(${condition.lineId}, 'memory', this.value); window.applyStructInput(${condition.lineId}, 'memory', this.value); window.applyCodeNoteInput(${condition.lineId}, 'memory', this.value); window.recomputeExpandState(${condition.lineId}); window.renderBitfieldConditions();" 
         oninput="window.updateBitfieldCondition(${condition.lineId}, 'memory', this.value); window.recomputeExpandState(${condition.lineId});" 
         ${!leftNeedsInput ? 'disabled' : ''}>
+      ${structLabel(memoryRef, condition.memory)}
+      ${renderCodeNoteLabel(codeNotes, condition.type, condition.memory)}
     </div>
     
     <div>
@@ -172,9 +203,11 @@ export function createConditionRowHTML(condition) {
     </div>
     
     <div class="${(isOperandFlag && !hasOperand) || !rightNeedsInput ? 'hidden' : ''}">
-      <input type="text" value="${condition.value}" 
-        onchange="window.updateBitfieldCondition(${condition.lineId}, 'value', this.value); window.renderBitfieldConditions();" 
+      <input type="text" value="${escapeHtml(valueRef || condition.value)}" ${invalidAttrs('value')} ${noteAttrs(condition.compareType)}
+        onchange="window.updateBitfieldCondition(${condition.lineId}, 'value', this.value); window.applyStructInput(${condition.lineId}, 'value', this.value); window.applyCodeNoteInput(${condition.lineId}, 'value', this.value); window.renderBitfieldConditions();" 
         ${(isOperandFlag && !hasOperand) || !rightNeedsInput ? 'disabled' : ''}>
+      ${condition.cmp ? structLabel(valueRef, condition.value) : ''}
+      ${condition.cmp ? renderCodeNoteLabel(codeNotes, condition.compareType, condition.value) : ''}
     </div>
     
     <div class="${isOperandFlag ? 'hidden' : ''}">
@@ -216,6 +249,8 @@ export function formatConditionDisplay(condition) {
  * @param {Function} removeBitfieldCondition - Function to remove condition
  * @param {Function} expandCondition - Function to expand condition
  * @param {Function} reopenExpansion - Function to reopen expansion
+ * @param {Array} bitfieldSections - Core/Alt section labels
+ * @param {Map|null} codeNotes - Loaded code notes
  */
 export function renderBitfieldConditions(
   bitfieldConditions,
@@ -228,7 +263,9 @@ export function renderBitfieldConditions(
   copyCondition,
   removeBitfieldCondition,
   expandCondition,
-  reopenExpansion
+  reopenExpansion,
+  bitfieldSections = ['Core'],
+  codeNotes = null
 ) {
   const container = document.getElementById('bitfieldConditionsList');
   
@@ -250,9 +287,22 @@ export function renderBitfieldConditions(
     groupMap.get(condition.groupId).push({ condition, index });
   });
 
+  // Section headers are emitted lazily so empty Alt groups still get one
+  let renderedSections = 0;
+  const renderSectionHeadersThrough = (section) => {
+    while (renderedSections <= section && renderedSections < bitfieldSections.length) {
+      container.appendChild(
+        createSectionHeader(bitfieldSections[renderedSections], renderedSections),
+      );
+      renderedSections++;
+    }
+  };
+
   bitfieldConditions.forEach((condition, index) => {
     if (processedIndices.has(index)) return;
 
+    renderSectionHeadersThrough(condition.section || 0);
+
     const groupLines = groupMap.get(condition.groupId);
     const isMultiLineGroup = groupLines.length > 1;
 
@@ -277,8 +327,9 @@ export function renderBitfieldConditions(
             (groupCondition.expanded ? ' read-only' : '') +
             ' show-expand';
           row.setAttribute('data-id', groupCondition.lineId);
+          if (groupCondition.label) row.title = `Label: ${groupCondition.label}`;
 
-          row.innerHTML = createConditionRowHTML(groupCondition);
+          row.innerHTML = createConditionRowHTML(groupCondition, codeNotes);
           groupContainer.appendChild(row);
 
           // Show buttons based on position in link group
@@ -345,8 +396,9 @@ export function renderBitfieldConditions(
         (condition.expanded ? ' read-only' : '') +
         ' show-expand';
       row.setAttribute('data-id', condition.lineId);
+      if (condition.label) row.title = `Label: ${condition.label}`;
 
-      row.innerHTML = createConditionRowHTML(condition);
+      row.innerHTML = createConditionRowHTML(condition, codeNotes);
       container.appendChild(row);
 
       const copyRow = document.createElement('div');
@@ -395,6 +447,83 @@ export function renderBitfieldConditions(
       }
     }
   });
+
+  renderSectionHeadersThrough(bitfieldSections.length - 1);
+}
+
+/**
+ * Creates the header element shown above each Core/Alt section
+ * @param {string} label - The section label
+ * @param {number} section - The section index
+ * @returns {HTMLElement} Header element
+ */
+export function createSectionHeader(label, section) {
+  const header = document.createElement('div');
+  header.className = 'logic-section-header' + (section === 0 ? ' core' : '');
+  header.innerHTML = `
+    <span class="logic-section-label">${label}</span>
+    <button class="add-condition-btn-small" onclick="window.addBitfieldCondition(${section})">+ Add</button>
+    ${section > 0 ? `<button class="remove-btn" onclick="window.removeAltSection(${section})">×</button>` : ''}
+  `;
+  return header;
+}
+
+/**
+ * Escapes text for use inside HTML content and attribute values, quoted with either quote
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Creates the HTML for the parse problems panel under the base logic
+ * The logic is echoed with every bad segment highlighted, followed by one row per problem
+ * @param {string} logic - The logic string the diagnostics were produced from
+ * @param {Array} diagnostics - Diagnostics with segment, section, offset, length and reason
+ * @param {Function} getSectionLabel - Maps a section index to its label
+ * @returns {string} HTML string for the panel
+ */
+export function renderParseDiagnostics(logic, diagnostics, getSectionLabel) {
+  let preview = '';
+  let cursor = 0;
+  // Annotated source can map sections out of order, so the preview walks the segments by offset
+  // and leaves out any that overlap one already marked
+  const byOffset = diagnostics
+    .map((diagnostic, idx) => ({ diagnostic, idx }))
+    .sort((a, b) => a.diagnostic.offset - b.diagnostic.offset);
+  byOffset.forEach(({ diagnostic, idx }) => {
+    if (diagnostic.offset < cursor) return;
+    preview += escapeHtml(logic.slice(cursor, diagnostic.offset));
+    const segmentText = logic.slice(diagnostic.offset, diagnostic.offset + diagnostic.length);
+    preview += `<mark class="parse-error ${segmentText ? '' : 'empty'}" title="${escapeHtml(diagnostic.reason)}"
+      onclick="window.selectParseDiagnostic(${idx})">${segmentText ? escapeHtml(segmentText) : '∅'}</mark>`;
+    cursor = diagnostic.offset + diagnostic.length;
+  });
+  preview += escapeHtml(logic.slice(cursor));
+
+  let html = '<div class="parse-diagnostics">';
+  html += `<div class="parse-diagnostics-title">${diagnostics.length} segment${diagnostics.length > 1 ? 's' : ''} could not be parsed. Generate Logic is blocked until ${diagnostics.length > 1 ? 'they are' : 'it is'} fixed or discarded.</div>`;
+  html += `<pre class="parse-preview">${preview}</pre>`;
+  diagnostics.forEach((diagnostic, idx) => {
+    html += '<div class="parse-diagnostic-row">';
+    html += `<span class="parse-diagnostic-location">Segment ${diagnostic.segment + 1} · ${getSectionLabel(diagnostic.section)} · offset ${diagnostic.offset}</span>`;
+    html += `<span class="parse-diagnostic-reason">${escapeHtml(diagnostic.reason)}</span>`;
+    html += `<button class="secondary-btn" onclick="window.selectParseDiagnostic(${idx})">Select</button>`;
+    html += `<button class="remove-btn" onclick="window.discardParseDiagnostic(${idx})">Discard</button>`;
+    html += '</div>';
+  });
+  if (diagnostics.length > 1) {
+    html += `<button class="clear-btn" onclick="window.discardAllParseDiagnostics()">Discard All</button>`;
+  }
+  html += '</div>';
+  return html;
 }
 
 /**
@@ -0,0 +1,144 @@
+// ============================================================================
+// LEADERBOARD EDITOR (STA / CAN / SUB / VAL)
+// ============================================================================
+
+import { LEADERBOARD_PARTS, LEADERBOARD_PART_LABELS } from './core-constants.js';
+
+/**
+ * Creates an empty leaderboard editor state
+ * @returns {Object} State with one logic string per part and the active part
+ */
+export function createLeaderboardState() {
+  return {
+    parts: { STA: '', CAN: '', SUB: '', VAL: '' },
+    activePart: 'STA',
+  };
+}
+
+/**
+ * Checks if a string looks like a combined leaderboard definition
+ * @param {string} text - The text to check
+ * @returns {boolean} Whether the text starts with a leaderboard part prefix
+ */
+export function isLeaderboardString(text) {
+  return /^(STA|CAN|SUB|VAL):/i.test(text.trim());
+}
+
+/**
+ * Gets the group separator used inside a leaderboard part
+ * STA/CAN/SUB are triggers with S-separated Alt groups, VAL uses $ for max-of values
+ * @param {string} part - The leaderboard part
+ * @returns {string} The separator
+ */
+export function getPartSeparator(part) {
+  return part === 'VAL' ? '$' : 'S';
+}
+
+/**
+ * Checks if a leaderboard value is in the legacy form, with no flag on any line
+ * @param {string} value - The VAL logic string
+ * @returns {boolean} Whether convertLegacyValue would rewrite it
+ */
+export function isLegacyValue(value) {
+  const trimmed = value.trim();
+  if (!trimmed) return false;
+  return !trimmed.split('$').some((alt) =>
+    alt.split('_').some((term) => /^[A-Z]:/.test(term.trim())),
+  );
+}
+
+/**
+ * Converts a legacy leaderboard value (e.g. "0xH1234*2_0xH5678*-1") to Measured form
+ * Values that already use flags are returned unchanged
+ * @param {string} value - The VAL logic string
+ * @returns {string} Value using A:/B:/M: lines
+ */
+export function convertLegacyValue(value) {
+  const trimmed = value.trim();
+  if (!isLegacyValue(trimmed)) return trimmed;
+
+  return trimmed.split('$')
+    .map((alt) => {
+      const lines = alt.split('_').map((term) => {
+        const match = term.trim().match(/^(.+?)(?:\*(-?)([0-9A-Fa-fhx.]+))?$/);
+        if (!match) return { flag: 'A:', text: term.trim() };
+
+        const [, operand, negative, multiplier] = match;
+        let text = operand;
+        if (multiplier && multiplier !== '1') {
+          text += '*' + (multiplier.includes('.') ? `f${multiplier}` : multiplier);
+        }
+        return { flag: negative ? 'B:' : 'A:', text };
+      });
+
+      // The last positive term becomes the Measured line, otherwise measure a zero
+      const last = lines[lines.length - 1];
+      const converted = lines.map((line) => `${line.flag}${line.text}`);
+      if (last.flag === 'A:') {
+        converted[converted.length - 1] = `M:${last.text}`;
+      } else {
+        converted.push('M:0');
+      }
+      return converted.join('_');
+    })
+    .join('$');
+}
+
+/**
+ * Parses a combined leaderboard string into its four parts
+ * Each part keeps its text as given; a legacy VAL is only converted on request (convertLegacyValue)
+ * @param {string} text - The "STA:...::CAN:...::SUB:...::VAL:..." string
+ * @returns {Object} Object keyed by part with each logic string
+ */
+export function parseLeaderboardString(text) {
+  const parts = createLeaderboardState().parts;
+
+  text.trim().split('::').forEach((segment) => {
+    const match = segment.match(/^(STA|CAN|SUB|VAL):([\s\S]*)$/i);
+    if (!match) {
+      console.warn('Leaderboard: ignoring unknown part:', segment);
+      return;
+    }
+    parts[match[1].toUpperCase()] = match[2].trim();
+  });
+
+  return parts;
+}
+
+/**
+ * Builds the combined leaderboard string from its parts
+ * @param {Object} parts - Object keyed by part with each logic string
+ * @returns {string} The combined leaderboard string
+ */
+export function buildLeaderboardString(parts) {
+  return LEADERBOARD_PARTS.map((part) => `${part}:${parts[part] || ''}`).join('::');
+}
+
+/**
+ * Stores the builder's logic for the active part and switches to another part
+ * @param {Object} state - Leaderboard state (modified in place)
+ * @param {string} nextPart - The part to edit next
+ * @param {string} currentLogic - The logic generated for the active part
+ * @returns {string} The stored logic for the next part
+ */
+export function switchLeaderboardPart(state, nextPart, currentLogic) {
+  state.parts[state.activePart] = currentLogic;
+  state.activePart = nextPart;
+  return state.parts[nextPart];
+}
+
+/**
+ * Creates the HTML for the leaderboard part tabs
+ * @param {Object} state - Leaderboard state
+ * @returns {string} HTML string for the part tabs
+ */
+export function renderLeaderboardPartTabs(state) {
+  let html = '<div class="expansion-tabs leaderboard-part-tabs">';
+  LEADERBOARD_PARTS.forEach((part) => {
+    const length = (state.parts[part] || '').length;
+    html += `<button class="tab-btn ${state.activePart === part ? 'active' : ''}"
+      onclick="window.selectLeaderboardPart('${part}')">${part} · ${LEADERBOARD_PART_LABELS[part]} (${length})</button>`;
+  });
+  html += '</div>';
+  return html;
+}
@@ -0,0 +1,156 @@
+// ============================================================================
+// MEMORY SEARCH
+// ============================================================================
+//
+// Filters addresses across two or more RAM dumps, taken in load order, the
+// way an emulator's memory inspector does: a value that stayed equal,
+// changed, increased or decreased between every pair of consecutive dumps,
+// or one that equals a given value in the newest dump. A search can start
+// over the whole overlapping range or refine the previous results.
+
+import { readDumpValue, isInDump } from './ram-dump.js';
+import { escapeHtml } from './html-renderer.js';
+
+export const SEARCH_COMPARISONS = ['equal', 'changed', 'increased', 'decreased', 'value'];
+
+const SEARCH_COMPARISON_LABELS = {
+  equal: 'Equal',
+  changed: 'Changed',
+  increased: 'Increased',
+  decreased: 'Decreased',
+  value: 'Equal to value',
+};
+
+// Results listed in the panel; the rest are kept for refining
+const MAX_RENDERED_RESULTS = 500;
+
+/**
+ * Gets the number of bytes a read of this size touches
+ * @param {string} size - Size from SIZE_OPTIONS.Mem
+ * @returns {number} Byte count
+ */
+function sizeWidth(size) {
+  if (['16-bit', '16-bit BE'].includes(size)) return 2;
+  if (['24-bit', '24-bit BE'].includes(size)) return 3;
+  if (['32-bit', '32-bit BE', 'Float', 'Float BE', 'MBF32', 'MBF32 LE'].includes(size)) return 4;
+  // Double32 reads the upper half of an 8-byte double
+  if (['Double32', 'Double32 BE'].includes(size)) return 8;
+  return 1;
+}
+
+/**
+ * Gets the address range every dump covers
+ * @param {Array} dumps - RAM dumps
+ * @returns {Object|null} { start, end } with end exclusive, or null when the dumps do not overlap
+ */
+export function getOverlappingRange(dumps) {
+  if (dumps.length === 0) return null;
+  const start = Math.max(...dumps.map((dump) => dump.base));
+  const end = Math.min(...dumps.map((dump) => dump.base + dump.bytes.length));
+  return end > start ? { start, end } : null;
+}
+
+/**
+ * Checks one address against the comparison
+ * @param {Array} values - Value in each dump, oldest first
+ * @param {string} comparison - One of SEARCH_COMPARISONS
+ * @param {number} target - Value for the "value" comparison
+ * @returns {boolean} True when the address matches
+ */
+function matchesComparison(values, comparison, target) {
+  if (comparison === 'value') {
+    const last = values[values.length - 1];
+    // Floats are stored with less precision than the typed value, so 0.1 matches 0.100000001
+    return Number.isInteger(last) ? last === target : Math.abs(last - target) <= 1e-6 * Math.max(1, Math.abs(target));
+  }
+
+  for (let i = 1; i < values.length; i++) {
+    const previous = values[i - 1];
+    const current = values[i];
+    // Object.is so a NaN float that stays NaN counts as equal
+    if (comparison === 'equal' && !Object.is(previous, current)) return false;
+    if (comparison === 'changed' && Object.is(previous, current)) return false;
+    if (comparison === 'increased' && !(current > previous)) return false;
+    if (comparison === 'decreased' && !(current < previous)) return false;
+  }
+  return true;
+}
+
+/**
+ * Filters addresses across the dumps
+ * @param {Array} dumps - RAM dumps, oldest first
+ * @param {string} size - Size from SIZE_OPTIONS.Mem
+ * @param {string} comparison - One of SEARCH_COMPARISONS
+ * @param {number|null} target - Value for the "value" comparison
+ * @param {Array|null} candidates - Addresses from a previous search to refine, or null to search everything
+ * @returns {Object} { addresses, error }
+ */
+export function searchMemory(dumps, size, comparison, target = null, candidates = null) {
+  if (!SEARCH_COMPARISONS.includes(comparison)) {
+    return { addresses: [], error: `Unknown comparison "${comparison}"` };
+  }
+  if (comparison === 'value' ? dumps.length < 1 : dumps.length < 2) {
+    return { addresses: [], error: comparison === 'value' ? 'Load a RAM dump first' : 'Load at least two RAM dumps to compare' };
+  }
+  if (comparison === 'value' && !Number.isFinite(target)) {
+    return { addresses: [], error: 'Enter a value to search for' };
+  }
+
+  const range = getOverlappingRange(dumps);
+  if (!range) return { addresses: [], error: 'The dumps do not share any addresses; check their base addresses' };
+
+  const width = sizeWidth(size);
+  const addresses = [];
+  const check = (address) => {
+    if (!dumps.every((dump) => isInDump(dump, address, width))) return;
+    const values = dumps.map((dump) => readDumpValue(dump, address, size));
+    if (matchesComparison(values, comparison, target)) addresses.push(address);
+  };
+
+  if (candidates) {
+    candidates.forEach(check);
+  } else {
+    for (let address = range.start; address + width <= range.end; address++) check(address);
+  }
+  return { addresses, error: null };
+}
+
+/**
+ * Formats a value read from a dump
+ * @param {number|null} value - Value
+ * @returns {string} Hex and decimal for integers, decimal for floats
+ */
+function formatSearchValue(value) {
+  if (value === null) return '--';
+  if (!Number.isInteger(value)) return String(value);
+  return `0x${value.toString(16).toUpperCase()} (${value})`;
+}
+
+/**
+ * Creates the result list for the Memory Search section
+ * @param {Object|null} search - { size, comparison, addresses }
+ * @param {Array} dumps - RAM dumps, oldest first
+ * @returns {string} HTML string
+ */
+export function renderSearchResults(search, dumps) {
+  if (!search) {
+    return '<div class="user-file-empty">No search yet</div>';
+  }
+
+  const { size, comparison, addresses } = search;
+  let html = `<div class="memory-search-summary">${addresses.length} ${escapeHtml(size)} address${addresses.length === 1 ? '' : 'es'} `;
+  html += `after "${escapeHtml(SEARCH_COMPARISON_LABELS[comparison])}"`;
+  if (addresses.length > MAX_RENDERED_RESULTS) html += ` (showing the first ${MAX_RENDERED_RESULTS})`;
+  html += '</div>';
+
+  addresses.slice(0, MAX_RENDERED_RESULTS).forEach((address) => {
+    const addressText = '0x' + address.toString(16).toUpperCase();
+    html += '<div class="memory-search-row">';
+    html += `<code>${addressText}</code>`;
+    html += `<span class="memory-search-values">${dumps.map((dump) => formatSearchValue(readDumpValue(dump, address, size))).join(' → ')}</span>`;
+    html += `<button class="secondary-btn" onclick="window.addConditionFromSearch(${address})">Add Condition</button>`;
+    html += `<button class="secondary-btn" onclick="window.selectSearchResultInPanel(${address})">Select in Panel</button>`;
+    html += '</div>';
+  });
+  return html;
+}
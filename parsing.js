@@ -2,7 +2,13 @@
 // PARSING FUNCTIONS
 // ============================================================================
 
-import { sizePrefixMap, sizePrefixOrder, OPERAND_FLAGS } from './core-constants.js';
+import { sizePrefixMap, sizePrefixOrder, OPERAND_FLAGS, FLAG_OPTIONS } from './core-constants.js';
+import { parseConstantValue } from './values.js';
+
+// Memory operand: 0x + optional size prefix + hex address
+const MEMORY_OPERAND_PATTERN = new RegExp(
+  `^[dpb~]?0x(?:${sizePrefixOrder.join('|')})?[0-9A-Fa-f]+$`,
+);
 
 /**
  * Parses a memory token to extract size and memory address
@@ -59,15 +65,16 @@ export function parseOperandToken(token) {
     return { type, size: parsed.size, memory: parsed.memory };
   }
 
+  // Constants keep their notation (decimal, h hex, f float) so they round-trip
   return { type: 'Value', size: '8-bit', memory: trimmed };
 }
 
 /**
- * Parses a line of text into a condition object
- * @param {string} line - The line to parse
- * @returns {Object|null} Condition object or null if parsing fails
+ * Splits a line into its flag, operands, comparison and hits
+ * @param {string} line - The line to split
+ * @returns {Object|null} Line tokens or null if there is no left operand
  */
-export function parseLineToCondition(line) {
+function tokenizeLine(line) {
   const trimmedLine = line.trim();
   if (!trimmedLine) return null;
 
@@ -88,8 +95,10 @@ export function parseLineToCondition(line) {
   }
 
   const isOperandFlag = OPERAND_FLAGS.includes(flag);
+  // Measured lines in leaderboard values may use arithmetic or no comparison at all
+  const isMeasuredFlag = flag === 'M:';
   const leftMatch = working.match(
-    /^(\{recall\}|[dpb~]?0x[a-zA-Z]{0,2}[0-9A-Fa-f]+|-?\d+)/,
+    /^(\{recall\}|[dpb~]?0x[a-zA-Z]{0,2}[0-9A-Fa-f]+|[hH][0-9A-Fa-f]+|[fF][+-]?(?:\d+\.?\d*|\.\d+)|[+-]?\d+)/,
   );
   if (!leftMatch) return null;
 
@@ -98,15 +107,19 @@ export function parseLineToCondition(line) {
 
   let cmp = '';
   let rightToken = '';
+  let explicitCmp = false;
+  const rest = working.trim();
 
   if (working.trim().length > 0) {
     let remaining = working.trim();
     const cmpMatch = isOperandFlag
       ? remaining.match(/^([*\/%+\-&\^])/)
-      : remaining.match(/^(<=|>=|!=|=|<|>)/);
+      : remaining.match(/^(<=|>=|!=|=|<|>)/) ||
+        (isMeasuredFlag ? remaining.match(/^([*\/%+\-&\^])/) : null);
 
     if (cmpMatch) {
       cmp = cmpMatch[1];
+      explicitCmp = true;
       remaining = remaining.slice(cmp.length);
     } else if (!isOperandFlag) {
       cmp = '=';
@@ -117,10 +130,35 @@ export function parseLineToCondition(line) {
     }
   }
 
-  if (!isOperandFlag && cmp === '') {
+  if (!isOperandFlag && !isMeasuredFlag && cmp === '') {
     cmp = '=';
   }
 
+  return { flag, hits, leftToken, cmp, rightToken, explicitCmp, rest, isOperandFlag };
+}
+
+/**
+ * Checks whether an operand token is a memory reference, recall or constant
+ * @param {string} token - The operand token
+ * @returns {boolean} Whether the token is understood
+ */
+function isValidOperandToken(token) {
+  const trimmed = token.trim();
+  if (/^[dpb~]?\{recall\}$/.test(trimmed)) return true;
+  if (MEMORY_OPERAND_PATTERN.test(trimmed)) return true;
+  return parseConstantValue(trimmed) !== null;
+}
+
+/**
+ * Parses a line of text into a condition object
+ * @param {string} line - The line to parse
+ * @returns {Object|null} Condition object or null if parsing fails
+ */
+export function parseLineToCondition(line) {
+  const tokens = tokenizeLine(line);
+  if (!tokens) return null;
+
+  const { flag, hits, leftToken, cmp, rightToken, isOperandFlag } = tokens;
   const left = parseOperandToken(leftToken);
   const right = rightToken ? parseOperandToken(rightToken) : null;
 
@@ -137,12 +175,155 @@ export function parseLineToCondition(line) {
   };
 }
 
+/**
+ * Explains why a line cannot be parsed faithfully
+ * @param {string} line - The line to check
+ * @returns {string|null} The reason, or null when the line is fine
+ */
+export function getLineProblem(line) {
+  const trimmedLine = line.trim();
+  if (!trimmedLine) return 'Empty condition (doubled "_" separator)';
+
+  const flagMatch = trimmedLine.match(/^([A-Za-z]:)/);
+  if (flagMatch && !FLAG_OPTIONS.some((option) => option.value === flagMatch[1])) {
+    return `Unknown flag "${flagMatch[1]}"`;
+  }
+
+  const tokens = tokenizeLine(trimmedLine);
+  if (!tokens) return 'Unrecognized left operand';
+  if (!isValidOperandToken(tokens.leftToken)) {
+    return `Unrecognized left operand "${tokens.leftToken}"`;
+  }
+  if (!tokens.explicitCmp && tokens.rest) {
+    return `Unexpected text "${tokens.rest}" after "${tokens.leftToken}"`;
+  }
+  if (tokens.explicitCmp && !tokens.rightToken) {
+    return `Missing right operand after "${tokens.cmp}"`;
+  }
+  if (tokens.rightToken && !isValidOperandToken(tokens.rightToken)) {
+    return `Unrecognized right operand "${tokens.rightToken}"`;
+  }
+  return null;
+}
+
+/**
+ * Splits a logic string into its Core and Alt group strings
+ * The S separator is only a group break when it does not follow "0x",
+ * where it is the Bit6 size prefix instead
+ * @param {string} logic - The full logic string
+ * @param {string} separator - Group separator (S for triggers, $ for leaderboard values)
+ * @returns {Array} Array of group strings, Core first
+ */
+export function splitLogicSections(logic, separator = 'S') {
+  if (separator !== 'S') return logic.split(separator);
+  return logic.split(/(?<!0x)S/);
+}
+
+/**
+ * Parses a logic string and reports every segment that could not be parsed
+ * Offsets are character positions in the logic string as given
+ * @param {string} logic - The logic string (Core and optional S-separated Alts)
+ * @param {string} separator - Group separator (S for triggers, $ for leaderboard values)
+ * @returns {Object} { conditions, diagnostics } - diagnostics hold segment, section, offset, length, text and reason
+ */
+export function parseLogicStringWithDiagnostics(logic, separator = 'S') {
+  const conditions = [];
+  const diagnostics = [];
+  const trimmed = logic.trim();
+  if (!trimmed) return { conditions, diagnostics };
+
+  let offset = logic.length - logic.trimStart().length;
+  let segment = 0;
+
+  splitLogicSections(trimmed, separator).forEach((sectionText, section) => {
+    // An empty Core (or a trailing empty Alt) is allowed
+    if (sectionText === '') {
+      offset += 1;
+      return;
+    }
+
+    sectionText.split('_').forEach((lineText) => {
+      const reason = getLineProblem(lineText);
+      if (reason) {
+        diagnostics.push({ segment, section, offset, length: lineText.length, text: lineText, reason });
+      } else {
+        conditions.push({ ...parseLineToCondition(lineText), section });
+      }
+      offset += lineText.length + 1;
+      segment++;
+    });
+  });
+
+  return { conditions, diagnostics };
+}
+
+/**
+ * Splits a logic string into its sections and lines, keeping each line's text
+ * @param {string} logic - The logic string (Core and optional S-separated Alts)
+ * @param {string} separator - Group separator (S for triggers, $ for leaderboard values)
+ * @returns {Array} One array per section of { text, condition, problem } - condition is null when problem is set
+ */
+export function parseLogicLines(logic, separator = 'S') {
+  const trimmed = logic.trim();
+  if (!trimmed) return [];
+
+  return splitLogicSections(trimmed, separator).map((sectionText) => {
+    if (sectionText === '') return [];
+    return sectionText.split('_').map((text) => {
+      const problem = getLineProblem(text);
+      return { text, condition: problem ? null : parseLineToCondition(text), problem };
+    });
+  });
+}
+
+/**
+ * Parses a logic string into an array of conditions tagged with their section
+ * Segments that cannot be parsed are skipped; use parseLogicStringWithDiagnostics to report them
+ * @param {string} logic - The logic string (Core and optional S-separated Alts)
+ * @param {string} separator - Group separator (S for triggers, $ for leaderboard values)
+ * @returns {Array} Array of parsed conditions, section 0 being the Core
+ */
+export function parseLogicString(logic, separator = 'S') {
+  return parseLogicStringWithDiagnostics(logic, separator).conditions;
+}
+
 /**
  * Parses the base logic textarea into an array of conditions
+ * @param {string} separator - Group separator (S for triggers, $ for leaderboard values)
  * @returns {Array} Array of parsed conditions
  */
-export function parseBaseLogic() {
+export function parseBaseLogic(separator = 'S') {
   const baseLogic = document.getElementById('baseLogic').value.trim();
   if (!baseLogic) return [];
-  return baseLogic.split('_').map(parseLineToCondition).filter(Boolean);
+  return parseLogicString(baseLogic, separator);
+}
+
+/**
+ * Parses the base logic textarea and reports segments that could not be parsed
+ * @param {string} separator - Group separator (S for triggers, $ for leaderboard values)
+ * @returns {Object} { conditions, diagnostics } with offsets into the textarea value
+ */
+export function parseBaseLogicWithDiagnostics(separator = 'S') {
+  return parseLogicStringWithDiagnostics(document.getElementById('baseLogic').value, separator);
+}
+
+/**
+ * Removes the segments named by diagnostics from a logic string
+ * Each segment takes one neighbouring "_" with it so the rest stays well formed
+ * @param {string} logic - The logic string the diagnostics were produced from
+ * @param {Array} diagnostics - Diagnostics to discard
+ * @returns {string} Logic string without those segments
+ */
+export function removeLogicSegments(logic, diagnostics) {
+  let result = logic;
+  [...diagnostics]
+    .sort((a, b) => b.offset - a.offset)
+    .forEach(({ offset, length }) => {
+      let start = offset;
+      let end = offset + length;
+      if (result[end] === '_') end++;
+      else if (result[start - 1] === '_') start--;
+      result = result.slice(0, start) + result.slice(end);
+    });
+  return result;
 }
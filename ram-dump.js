@@ -0,0 +1,93 @@
+// ============================================================================
+// RAM DUMPS
+// ============================================================================
+//
+// A RAM dump is a raw binary file of emulator memory. Its first byte sits at
+// the base address, so a dump of a system's work RAM taken from 0x8000 lines
+// up with addresses written as 0x8000 and above.
+
+import { readMemoryValue } from './evaluator.js';
+import { escapeHtml } from './html-renderer.js';
+
+/**
+ * Parses a base address written as "0x8000", "h8000" or decimal
+ * @param {string} text - Address text
+ * @returns {number|null} Address, or null when invalid
+ */
+export function parseDumpBase(text) {
+  const trimmed = String(text).trim();
+  if (trimmed === '') return 0;
+  if (/^(0x|h)[0-9a-f]+$/i.test(trimmed)) return parseInt(trimmed.replace(/^(0x|h)/i, ''), 16);
+  if (/^\d+$/.test(trimmed)) return parseInt(trimmed, 10);
+  return null;
+}
+
+/**
+ * Creates a RAM dump from file contents
+ * @param {ArrayBuffer} buffer - File contents
+ * @param {number} base - Address of the first byte
+ * @param {string} name - File name, for display
+ * @returns {Object} { bytes, base, name }
+ */
+export function createRamDump(buffer, base, name) {
+  return { bytes: new Uint8Array(buffer), base, name };
+}
+
+/**
+ * Checks whether an address range lies inside the dump
+ * @param {Object} dump - RAM dump
+ * @param {number} address - First address
+ * @param {number} length - Number of bytes
+ * @returns {boolean} True when every byte is in the dump
+ */
+export function isInDump(dump, address, length = 1) {
+  return address >= dump.base && address + length <= dump.base + dump.bytes.length;
+}
+
+/**
+ * Reads a value of any size from the dump
+ * @param {Object} dump - RAM dump
+ * @param {number} address - Address
+ * @param {string} size - Size name from sizePrefixMap
+ * @returns {number|null} Value, or null when the address is outside the dump
+ */
+export function readDumpValue(dump, address, size) {
+  if (!isInDump(dump, address)) return null;
+  return readMemoryValue((byteAddress) => dump.bytes[byteAddress - dump.base], address, size);
+}
+
+/**
+ * Describes a loaded dump
+ * @param {Object|null} dump - RAM dump
+ * @returns {string} Plain text summary
+ */
+export function describeRamDump(dump) {
+  if (!dump) return 'No dump loaded';
+  const last = dump.base + dump.bytes.length - 1;
+  const hex = (value) => '0x' + value.toString(16).toUpperCase();
+  return `${dump.name}: ${dump.bytes.length} bytes at ${hex(dump.base)}-${hex(Math.max(dump.base, last))}`;
+}
+
+/**
+ * Creates the list of loaded dumps for the RAM Dump section
+ * @param {Array} dumps - RAM dumps, in load order
+ * @param {number} overlayIndex - Index of the dump shown in the custom panel
+ * @returns {string} HTML string
+ */
+export function renderRamDumpList(dumps, overlayIndex) {
+  if (dumps.length === 0) return '<div class="user-file-empty">No dump loaded</div>';
+
+  let html = '';
+  dumps.forEach((dump, idx) => {
+    html += `<div class="ram-dump-row${idx === overlayIndex ? ' active' : ''}">`;
+    html += `<span>#${idx + 1} ${escapeHtml(describeRamDump(dump))}</span>`;
+    html += `<input type="text" class="ram-dump-base" value="0x${dump.base.toString(16).toUpperCase()}" 
+      onchange="window.setRamDumpBase(${idx}, this.value)" title="Address of this dump's first byte">`;
+    html += idx === overlayIndex
+      ? '<span class="ram-dump-overlay">Shown in custom panel</span>'
+      : `<button class="secondary-btn" onclick="window.setRamDumpOverlay(${idx})">Show in Panel</button>`;
+    html += `<button class="secondary-btn" onclick="window.removeRamDump(${idx})">Remove</button>`;
+    html += '</div>';
+  });
+  return html;
+}
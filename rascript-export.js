@@ -0,0 +1,578 @@
+// ============================================================================
+// RATOOLS SCRIPT (.rascript) EXPORT
+// ============================================================================
+
+import { RATOOLS_ACCESSORS, ARITHMETIC_OPERATORS, CHAIN_FLAGS } from './core-constants.js';
+import { parseLineToCondition, parseLogicString } from './parsing.js';
+import { parseConstantValue, formatFloatNumber } from './values.js';
+
+const INDENT = '    ';
+
+/**
+ * Formats a constant as a RATools literal
+ * @param {string} text - Constant text (decimal, h hex or f float)
+ * @returns {string} RATools literal
+ */
+function constantExpr(text) {
+  const constant = parseConstantValue(text);
+  if (!constant) return String(text);
+  if (constant.kind === 'hex') return '0x' + constant.number.toString(16).toUpperCase();
+  if (constant.kind === 'float') {
+    // RATools reads a literal with a point as a float
+    const digits = formatFloatNumber(constant.number);
+    return digits.includes('.') ? digits : digits + '.0';
+  }
+  return String(constant.number);
+}
+
+/**
+ * Formats a memory address as a RATools hex literal
+ * @param {string} memory - Address such as "0x1234"
+ * @returns {string} Hex literal padded to four digits
+ */
+function addressExpr(memory) {
+  const value = parseInt(String(memory).replace(/^0x/i, ''), 16) || 0;
+  return '0x' + value.toString(16).toUpperCase().padStart(4, '0');
+}
+
+/**
+ * Builds the RATools expression for one operand
+ * @param {string} type - Operand type (Mem, Delta, Prior, BCD, Invert, Float, Value, Recall)
+ * @param {string} size - Operand size
+ * @param {string} operand - Address or constant text
+ * @param {string} pointer - Add Address expression in effect, or ''
+ * @param {string} override - Address (memory types) or value (Value) expression from a loop template
+ * @returns {string} RATools expression
+ */
+function operandExpr(type, size, operand, pointer, override) {
+  if (type === 'Recall') return 'recall()';
+  if (type === 'Value') return override || constantExpr(operand);
+
+  let address = override || addressExpr(operand);
+  if (pointer) address = `${pointer} + ${address}`;
+
+  let accessor = RATOOLS_ACCESSORS[size] || 'byte';
+  if (type === 'Float' && !/^(float|double32|mbf32)/.test(accessor)) accessor = 'float';
+  const read = `${accessor}(${address})`;
+
+  if (type === 'Delta') return `prev(${read})`;
+  if (type === 'Prior') return `prior(${read})`;
+  if (type === 'BCD') return `bcd(${read})`;
+  if (type === 'Invert') return `~${read}`;
+  return read;
+}
+
+/**
+ * Builds the value expression of a line (left operand with optional arithmetic)
+ * @param {Object} line - Condition with optional template overrides
+ * @param {string} pointer - Add Address expression in effect, or ''
+ * @returns {Object} { left, right, isArithmetic }
+ */
+function lineOperands(line, pointer) {
+  const overrides = line.template || {};
+  const left = operandExpr(line.type, line.size, line.memory, pointer, overrides.memory);
+  const hasRight = line.cmp && line.cmp !== '';
+  const right = hasRight
+    ? operandExpr(line.compareType, line.compareSize, line.value, pointer, overrides.value)
+    : '';
+  return { left, right, isArithmetic: ARITHMETIC_OPERATORS.includes(line.cmp) };
+}
+
+/**
+ * Joins signed terms into one sum
+ * @param {Array} terms - Array of { sign, expr }
+ * @returns {string} RATools expression
+ */
+function joinTerms(terms) {
+  return terms
+    .map((term, idx) => {
+      if (idx === 0) return term.sign === '-' ? `0 - ${term.expr}` : term.expr;
+      return `${term.sign} ${term.expr}`;
+    })
+    .join(' ');
+}
+
+/**
+ * Joins Add Source / Sub Source terms with the final operand
+ * A constant 0 final operand only closes the chain in rcheevos, so it is left out
+ * @param {Array} terms - Array of { sign, expr }
+ * @param {string} last - The operand the terms are added to
+ * @returns {string} RATools expression
+ */
+function joinSourceTerms(terms, last) {
+  if (terms.length > 0 && last === '0') return joinTerms(terms);
+  return joinTerms([...terms, { sign: '+', expr: last }]);
+}
+
+/**
+ * Wraps an arithmetic operand so it keeps its meaning next to + and -
+ * @param {string} left - Left operand
+ * @param {string} op - Arithmetic operator
+ * @param {string} right - Right operand
+ * @returns {string} RATools expression
+ */
+function arithmeticExpr(left, op, right) {
+  return ['*', '/'].includes(op) ? `${left} ${op} ${right}` : `(${left} ${op} ${right})`;
+}
+
+/**
+ * Converts one chain (modifier lines plus the condition they feed) to RATools
+ * @param {Array} lines - Conditions, the last one being the chain's own condition
+ * @returns {Object} { flag, expr } - expr is not yet wrapped in its flag function
+ */
+function convertChain(lines) {
+  let pointer = '';
+  let sourceTerms = [];
+  let pending = null;
+  let resetNext = '';
+  const hitTerms = [];
+  const remembered = [];
+  let result = null;
+
+  lines.forEach((line) => {
+    // Pre-built terms (e.g. sum_of from an expansion)
+    if (line.sourceExpr) {
+      sourceTerms.push({ sign: line.flag === 'B:' ? '-' : '+', expr: line.sourceExpr });
+      return;
+    }
+
+    const { left, right, isArithmetic } = lineOperands(line, pointer);
+    const value = isArithmetic ? arithmeticExpr(left, line.cmp, right) : left;
+
+    if (line.flag === 'I:') {
+      pointer = isArithmetic ? `(${value})` : value;
+      return;
+    }
+    pointer = '';
+
+    if (line.flag === 'A:' || line.flag === 'B:') {
+      sourceTerms.push({ sign: line.flag === 'B:' ? '-' : '+', expr: value });
+      return;
+    }
+    if (line.flag === 'K:') {
+      remembered.push(`remember(${joinSourceTerms(sourceTerms, value)})`);
+      sourceTerms = [];
+      return;
+    }
+
+    // Everything else is a comparison (or a bare Measured value)
+    const total = joinSourceTerms(sourceTerms, isArithmetic ? value : left);
+    sourceTerms = [];
+    let condition = line.cmp && !isArithmetic
+      ? `${total} ${line.cmp === '=' ? '==' : line.cmp} ${right}`
+      : total;
+
+    if (pending) {
+      condition = `(${pending.expr} ${pending.joiner} ${condition})`;
+      pending = null;
+    }
+
+    if (line.flag === 'N:' || line.flag === 'O:') {
+      pending = { expr: condition, joiner: line.flag === 'N:' ? '&&' : '||' };
+      return;
+    }
+    if (line.flag === 'Z:') {
+      resetNext = condition;
+      return;
+    }
+    if (line.flag === 'C:' || line.flag === 'D:') {
+      hitTerms.push(line.flag === 'D:' ? `deduct(${condition})` : condition);
+      return;
+    }
+
+    const hits = parseInt(line.hits, 10) || 0;
+    let expr = condition;
+    // Reset Next If only matters for hit counts
+    if (resetNext && (hits > 0 || hitTerms.length > 0)) expr = `${expr} && never(${resetNext})`;
+    if (hitTerms.length > 0) {
+      expr = `tally(${hits || 1}, ${[...hitTerms, expr].join(', ')})`;
+    } else if (hits === 1) {
+      expr = `once(${expr})`;
+    } else if (hits > 1) {
+      expr = `repeated(${hits}, ${expr})`;
+    }
+    if (remembered.length > 0) expr = `${remembered.join(' && ')} && ${expr}`;
+
+    result = { flag: line.flag, expr };
+  });
+
+  // A chain that never reached its condition (trailing modifiers)
+  if (!result) {
+    const dangling = lines[lines.length - 1];
+    // A block comment, since the expression is joined with the clauses after it
+    return { flag: '', expr: `always_true() /* unfinished ${dangling ? dangling.flag : ''} chain */` };
+  }
+  return result;
+}
+
+/**
+ * Wraps a converted chain in the RATools function for its flag
+ * @param {Object} chain - { flag, expr }
+ * @param {string} measuredWhen - Measured If expression for Measured lines, or ''
+ * @param {boolean} isValue - Whether this is a leaderboard value, where Measured is the value itself
+ * @returns {string} RATools expression
+ */
+function wrapFlag(chain, measuredWhen, isValue) {
+  if (isValue && (chain.flag === 'M:' || chain.flag === '')) return chain.expr;
+  const when = measuredWhen ? `, when=${measuredWhen}` : '';
+  switch (chain.flag) {
+    case 'P:': return `unless(${chain.expr})`;
+    case 'R:': return `never(${chain.expr})`;
+    case 'T:': return `trigger_when(${chain.expr})`;
+    case 'M:': return `measured(${chain.expr}${when})`;
+    case 'G:': return `measured(${chain.expr}${when}, format="percent")`;
+    default: return chain.expr;
+  }
+}
+
+/**
+ * Finds how each address or constant moves from one generated group to the next
+ * @param {Array} chunks - Parsed conditions per generated group
+ * @returns {Array|null} Per line { memory, value } strides, or null if the groups are not evenly spaced
+ */
+function findStrides(chunks) {
+  const template = chunks[0];
+  if (chunks.some((chunk) => !chunk || chunk.length !== template.length || chunk.some((c) => !c))) {
+    return null;
+  }
+
+  const sameFields = ['flag', 'type', 'size', 'cmp', 'compareType', 'compareSize', 'hits'];
+  const numberOf = (type, text) => {
+    if (type === 'Recall') return 0;
+    if (type === 'Value') {
+      const constant = parseConstantValue(text);
+      return constant && constant.kind !== 'float' ? constant.number : NaN;
+    }
+    return parseInt(String(text).replace(/^0x/i, ''), 16);
+  };
+  const strideOf = (lineIdx, field, typeField) => {
+    const base = numberOf(template[lineIdx][typeField], template[lineIdx][field]);
+    const step = chunks.length > 1
+      ? numberOf(chunks[1][lineIdx][typeField], chunks[1][lineIdx][field]) - base
+      : 0;
+    const regular = chunks.every((chunk, k) =>
+      numberOf(chunk[lineIdx][typeField], chunk[lineIdx][field]) === base + k * step);
+    return regular ? step : null;
+  };
+
+  const strides = [];
+  for (let lineIdx = 0; lineIdx < template.length; lineIdx++) {
+    const same = chunks.every((chunk) =>
+      sameFields.every((field) => (chunk[lineIdx][field] || '') === (template[lineIdx][field] || '')));
+    if (!same) return null;
+
+    const memory = strideOf(lineIdx, 'memory', 'type');
+    const hasRight = template[lineIdx].cmp && template[lineIdx].cmp !== '';
+    const value = hasRight ? strideOf(lineIdx, 'value', 'compareType') : 0;
+    if (memory === null || value === null) return null;
+    strides.push({ memory, value });
+  }
+  return strides;
+}
+
+/**
+ * Builds the loop template for one operand, e.g. "0x1234 + i * 2"
+ * @param {string} type - Operand type
+ * @param {string} operand - Address or constant of the first group
+ * @param {number} stride - Step per group
+ * @returns {string|undefined} Override expression, or undefined when the operand does not move
+ */
+function strideExpr(type, operand, stride) {
+  if (!stride || type === 'Recall') return undefined;
+  const base = type === 'Value' ? constantExpr(operand) : addressExpr(operand);
+  return `${base} + i${stride === 1 ? '' : ` * ${stride}`}`;
+}
+
+/**
+ * Turns expanded groups into loop-ready template lines when they are evenly spaced
+ * @param {Array} lines - The expansion's generated lines
+ * @param {number} groupCount - Number of generated groups
+ * @returns {Array|null} Template conditions with loop overrides, or null
+ */
+function buildExpansionTemplate(lines, groupCount) {
+  if (groupCount < 2 || lines.length % groupCount !== 0) return null;
+
+  const perGroup = lines.length / groupCount;
+  const chunks = [];
+  for (let groupIdx = 0; groupIdx < groupCount; groupIdx++) {
+    chunks.push(lines.slice(groupIdx * perGroup, (groupIdx + 1) * perGroup).map(parseLineToCondition));
+  }
+
+  const strides = findStrides(chunks);
+  if (!strides) return null;
+
+  return chunks[0].map((line, lineIdx) => ({
+    ...line,
+    template: {
+      memory: strideExpr(line.type, line.memory, strides[lineIdx].memory),
+      value: strideExpr(line.compareType, line.value, strides[lineIdx].value),
+    },
+  }));
+}
+
+/**
+ * Builds the per-section item list the exporter works from
+ * Expanded group leaders become expansion items; other members are represented by them
+ * @param {Array} conditions - Builder conditions or parsed conditions, tagged with section
+ * @param {number} sectionCount - Number of sections
+ * @returns {Array} Array (one per section) of items { kind: 'line'|'expansion', ... }
+ */
+export function buildSectionItems(conditions, sectionCount) {
+  const sections = Array.from({ length: Math.max(1, sectionCount) }, () => []);
+  conditions.forEach((condition) => {
+    const items = sections[condition.section || 0];
+    if (!items) return;
+
+    if (condition.expanded && condition.expandedLines && condition.expandedLines.length > 0) {
+      items.push({
+        kind: 'expansion',
+        lines: condition.expandedLines,
+        groupCount: condition.generatedGroupsCount || 1,
+      });
+    } else if (!condition.expanded) {
+      items.push({ kind: 'line', condition });
+    }
+  });
+  return sections;
+}
+
+/**
+ * Builds the per-section item list for a stored logic string
+ * Used for leaderboard parts that are not open in the builder
+ * @param {string} logic - Logic string
+ * @param {string} separator - Group separator (S for triggers, $ for leaderboard values)
+ * @returns {Array} Array (one per section) of items
+ */
+export function buildLogicItems(logic, separator = 'S') {
+  const conditions = logic ? parseLogicString(logic, separator) : [];
+  const sectionCount = conditions.reduce((max, condition) => Math.max(max, (condition.section || 0) + 1), 1);
+  return buildSectionItems(conditions, sectionCount);
+}
+
+/**
+ * Converts a section's items into ordered steps: plain chains and loops
+ * @param {Array} items - Section items from buildSectionItems
+ * @returns {Array} Steps { kind: 'chain', lines } or { kind: 'loop', count, chains }
+ */
+function buildSectionSteps(items) {
+  const steps = [];
+  let current = [];
+
+  const pushLine = (line) => {
+    current.push(line);
+    if (!CHAIN_FLAGS.includes(line.flag) && !line.sourceExpr) {
+      steps.push({ kind: 'chain', lines: current });
+      current = [];
+    }
+  };
+
+  items.forEach((item) => {
+    if (item.kind === 'line') {
+      pushLine(item.condition);
+      return;
+    }
+
+    const template = buildExpansionTemplate(item.lines, item.groupCount);
+    const range = `range(0, ${item.groupCount - 1})`;
+    const allSource = template && template.every((line) => ['A:', 'B:'].includes(line.flag));
+    const closesChains = template && !CHAIN_FLAGS.includes(template[template.length - 1].flag);
+
+    if (allSource) {
+      // Add/Sub Source groups collapse into one sum_of term
+      const term = convertSourceTerms(template);
+      pushLine({ flag: 'A:', sourceExpr: `sum_of(${range}, i => ${term})` });
+    } else if (closesChains && current.length === 0) {
+      // Self-contained groups repeat as a for loop
+      const chains = [];
+      let chainLines = [];
+      template.forEach((line) => {
+        chainLines.push(line);
+        if (!CHAIN_FLAGS.includes(line.flag)) {
+          chains.push(chainLines);
+          chainLines = [];
+        }
+      });
+      steps.push({ kind: 'loop', count: item.groupCount, chains });
+    } else {
+      // Irregular groups are written out line by line
+      item.lines.map(parseLineToCondition).filter(Boolean).forEach(pushLine);
+    }
+  });
+
+  if (current.length > 0) steps.push({ kind: 'chain', lines: current });
+  return steps;
+}
+
+/**
+ * Converts a run of Add/Sub Source template lines to one summed term
+ * @param {Array} lines - Template lines, all A: or B:
+ * @returns {string} RATools expression
+ */
+function convertSourceTerms(lines) {
+  const terms = lines.map((line) => {
+    const { left, right, isArithmetic } = lineOperands(line, '');
+    return { sign: line.flag === 'B:' ? '-' : '+', expr: isArithmetic ? arithmeticExpr(left, line.cmp, right) : left };
+  });
+  return joinTerms(terms);
+}
+
+/**
+ * Builds the statements that assign one section's expression to a variable
+ * @param {string} name - Variable name
+ * @param {Array} items - Section items from buildSectionItems
+ * @param {boolean} isValue - Whether the section is a leaderboard value
+ * @returns {Array} Script lines
+ */
+function buildSectionStatements(name, items, isValue = false) {
+  const steps = buildSectionSteps(items);
+  const converted = steps.map((step) =>
+    step.kind === 'loop'
+      ? { ...step, chains: step.chains.map(convertChain) }
+      : { ...step, chain: convertChain(step.lines) });
+
+  // Measured If conditions become the when= of the Measured conditions
+  const measuredWhen = converted
+    .filter((step) => step.kind === 'chain' && step.chain.flag === 'Q:')
+    .map((step) => step.chain.expr)
+    .join(' && ');
+
+  // A value adds up its chains; a trigger needs all of them
+  const joiner = isValue ? '+' : '&&';
+  const empty = isValue ? '0' : 'always_true()';
+
+  const statements = [];
+  let pendingExprs = [];
+  const flushExprs = () => {
+    if (pendingExprs.length === 0) return;
+    const joined = pendingExprs.join(` ${joiner}\n${INDENT}`);
+    statements.push(statements.length === 0 ? `${name} = ${joined}` : `${name} = ${name} ${joiner} ${joined}`);
+    pendingExprs = [];
+  };
+
+  converted.forEach((step) => {
+    if (step.kind === 'chain') {
+      if (step.chain.flag !== 'Q:') pendingExprs.push(wrapFlag(step.chain, measuredWhen, isValue));
+      return;
+    }
+
+    flushExprs();
+    if (statements.length === 0) statements.push(`${name} = ${empty}`);
+    const body = step.chains.map((chain) => wrapFlag(chain, measuredWhen, isValue)).join(` ${joiner} `);
+    statements.push(`for i in range(0, ${step.count - 1}) {\n${INDENT}${name} = ${name} ${joiner} ${body}\n}`);
+  });
+  flushExprs();
+
+  if (statements.length === 0) statements.push(`${name} = ${empty}`);
+  // The value only counts while its Measured If conditions hold
+  if (isValue && measuredWhen) statements.push(`${name} = measured(${name}, when=${measuredWhen})`);
+  return statements;
+}
+
+/**
+ * Builds the statements and trigger expression for a Core plus Alt groups
+ * @param {string} prefix - Variable name prefix ('' for achievements, e.g. "start_" for leaderboards)
+ * @param {Array} sectionItems - Items per section, Core first
+ * @returns {Object} { statements, expr }
+ */
+function buildTrigger(prefix, sectionItems) {
+  const statements = [];
+  const altNames = [];
+
+  sectionItems.forEach((items, section) => {
+    if (section > 0 && items.length === 0) return;
+    const name = section === 0 ? `${prefix}core` : `${prefix}alt${section}`;
+    statements.push(...buildSectionStatements(name, items));
+    if (section > 0) altNames.push(name);
+  });
+
+  const core = `${prefix}core`;
+  const expr = altNames.length > 0 ? `${core} && (${altNames.join(' || ')})` : core;
+  return { statements, expr };
+}
+
+/**
+ * Quotes a string for RATools
+ * @param {string} text - Raw text
+ * @returns {string} Quoted string literal
+ */
+function quote(text) {
+  return '"' + String(text || '').replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"';
+}
+
+/**
+ * Exports an achievement as a RATools script
+ * @param {Object} meta - { title, description, points, id }
+ * @param {Array} sectionItems - Items per section from buildSectionItems
+ * @returns {string} RATools script
+ */
+export function exportAchievementScript(meta, sectionItems) {
+  const { statements, expr } = buildTrigger('', sectionItems);
+  const args = [
+    `title = ${quote(meta.title || 'Untitled')}`,
+    `description = ${quote(meta.description)}`,
+    `points = ${parseInt(meta.points, 10) || 0}`,
+  ];
+  if (meta.id) args.push(`id = ${meta.id}`);
+  args.push(`trigger = ${expr}`);
+
+  return [
+    `// ${meta.title || 'Untitled'}`,
+    ...statements,
+    '',
+    `achievement(\n${INDENT}${args.join(`,\n${INDENT}`)}\n)`,
+    '',
+  ].join('\n');
+}
+
+/**
+ * Builds the value expression for a leaderboard ($ alternatives become max_of)
+ * @param {Array} sectionItems - Items per value alternative
+ * @returns {Object} { statements, expr }
+ */
+function buildLeaderboardValue(sectionItems) {
+  const statements = [];
+  const names = [];
+  sectionItems.forEach((items, section) => {
+    if (items.length === 0) return;
+    const name = `value${section + 1}`;
+    statements.push(...buildSectionStatements(name, items, true));
+    names.push(name);
+  });
+
+  if (names.length === 0) return { statements, expr: '0' };
+  return { statements, expr: names.length > 1 ? `max_of(${names.join(', ')})` : names[0] };
+}
+
+/**
+ * Exports a leaderboard as a RATools script
+ * @param {Object} meta - { title, description, id }
+ * @param {Object} parts - Items per section for STA, CAN, SUB and VAL
+ * @returns {string} RATools script
+ */
+export function exportLeaderboardScript(meta, parts) {
+  const start = buildTrigger('start_', parts.STA);
+  const cancel = buildTrigger('cancel_', parts.CAN);
+  const submit = buildTrigger('submit_', parts.SUB);
+  const value = buildLeaderboardValue(parts.VAL);
+
+  const args = [
+    `title = ${quote(meta.title || 'Untitled')}`,
+    `description = ${quote(meta.description)}`,
+    `start = ${start.expr}`,
+    `cancel = ${cancel.expr}`,
+    `submit = ${submit.expr}`,
+    `value = ${value.expr}`,
+  ];
+  if (meta.id) args.push(`id = ${meta.id}`);
+
+  return [
+    `// ${meta.title || 'Untitled'}`,
+    ...start.statements,
+    ...cancel.statements,
+    ...submit.statements,
+    ...value.statements,
+    '',
+    `leaderboard(\n${INDENT}${args.join(`,\n${INDENT}`)}\n)`,
+    '',
+  ].join('\n');
+}
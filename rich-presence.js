@@ -0,0 +1,474 @@
+// ============================================================================
+// RICH PRESENCE SCRIPT BUILDER
+// ============================================================================
+
+import { RICH_PRESENCE_FORMAT_TYPES } from './core-constants.js';
+import { parseLineToCondition } from './parsing.js';
+import { convertLegacyValue } from './leaderboard.js';
+import { parseConstantValue } from './values.js';
+import { escapeHtml } from './html-renderer.js';
+
+const MACRO_PATTERN = /@([A-Za-z0-9_]+)\(([^)]*)\)/g;
+
+/**
+ * Creates an empty Rich Presence editor state
+ * @returns {Object} State with the script model and the builder target
+ */
+export function createRichPresenceState() {
+  return {
+    // layout is null until a script is parsed; see parseRichPresence
+    model: { lookups: [], formats: [], displays: [], layout: null },
+    // { displayIndex, macroIndex } - macroIndex is null when editing the display condition
+    target: null,
+  };
+}
+
+/**
+ * Parses a Rich Presence script into Lookup, Format and Display blocks
+ * Each block keeps the lines it was read from, and the layout keeps the block order, comments and
+ * blank lines, so serializeRichPresence writes untouched blocks back exactly as they were
+ * @param {string} script - The Rich Presence script
+ * @returns {Object} Model with lookups, formats, displays and layout
+ */
+export function parseRichPresence(script) {
+  if (!script.trim()) return createRichPresenceState().model;
+
+  const model = { lookups: [], formats: [], displays: [], layout: [] };
+  let block = null;
+  // Comment and blank lines inside the Display block stay above the display that follows them
+  let pending = [];
+  const addLines = (line) => {
+    const last = model.layout[model.layout.length - 1];
+    if (last && last.kind === 'lines') {
+      last.lines.push(line);
+    } else {
+      model.layout.push({ kind: 'lines', lines: [line] });
+    }
+  };
+
+  script.split(/\r?\n/).forEach((rawLine) => {
+    const line = rawLine.trim();
+
+    if (!line || line.startsWith('//')) {
+      if (block && block.kind === 'display') {
+        pending.push(rawLine);
+      } else if (block && line) {
+        block.item.source.push(rawLine);
+      } else {
+        // Blank lines close Lookup and Format blocks
+        block = null;
+        addLines(rawLine);
+      }
+      return;
+    }
+
+    const lookupMatch = line.match(/^Lookup:(.+)$/);
+    const formatMatch = line.match(/^Format:(.+)$/);
+    if (lookupMatch) {
+      block = { kind: 'lookup', item: { name: lookupMatch[1].trim(), entries: [], source: [rawLine] } };
+      model.lookups.push(block.item);
+      model.layout.push(block);
+      return;
+    }
+    if (formatMatch) {
+      block = { kind: 'format', item: { name: formatMatch[1].trim(), type: 'VALUE', source: [rawLine] } };
+      model.formats.push(block.item);
+      model.layout.push(block);
+      return;
+    }
+    if (/^Display:$/.test(line)) {
+      if (!model.layout.some((piece) => piece.kind === 'display')) {
+        model.layout.push({ kind: 'display', header: rawLine });
+      }
+      block = { kind: 'display' };
+      return;
+    }
+
+    if (!block) {
+      console.warn('Rich Presence: ignoring line outside a block:', line);
+      addLines(rawLine);
+      return;
+    }
+
+    if (block.kind === 'lookup') {
+      block.item.source.push(rawLine);
+      const entryMatch = line.replace(/\s*\/\/.*$/, '').match(/^([^=]+)=(.*)$/);
+      if (entryMatch) {
+        block.item.entries.push({ key: entryMatch[1].trim(), label: entryMatch[2] });
+      }
+    } else if (block.kind === 'format') {
+      block.item.source.push(rawLine);
+      const typeMatch = line.match(/^FormatType=(\w+)/);
+      if (typeMatch) block.item.type = typeMatch[1].toUpperCase();
+    } else {
+      const conditionalMatch = line.match(/^\?([^?]*)\?(.*)$/);
+      model.displays.push({
+        ...(conditionalMatch
+          ? { condition: conditionalMatch[1], text: conditionalMatch[2] }
+          : { condition: '', text: line }),
+        comments: pending,
+        source: [rawLine],
+      });
+      pending = [];
+    }
+  });
+
+  pending.forEach(addLines);
+  if (!model.layout.some((piece) => piece.kind === 'display')) {
+    const last = model.layout[model.layout.length - 1];
+    if (last.kind !== 'lines' || last.lines[last.lines.length - 1].trim()) addLines('');
+    model.layout.push({ kind: 'display', header: 'Display:' });
+  }
+
+  // What each block serializes to as read; a block that still matches is written from its source
+  model.formats.forEach((format) => { format.original = formatFormatBlock(format); });
+  model.lookups.forEach((lookup) => { lookup.original = formatLookupBlock(lookup); });
+  model.displays.forEach((display) => { display.original = formatDisplayLine(display); });
+
+  return model;
+}
+
+/**
+ * Writes a Format block
+ * @param {Object} format - { name, type }
+ * @returns {string} Block text
+ */
+function formatFormatBlock(format) {
+  return `Format:${format.name}\nFormatType=${format.type}`;
+}
+
+/**
+ * Writes a Lookup block
+ * @param {Object} lookup - { name, entries }
+ * @returns {string} Block text
+ */
+function formatLookupBlock(lookup) {
+  const entries = lookup.entries.map((entry) => `${entry.key}=${entry.label}`);
+  return [`Lookup:${lookup.name}`, ...entries].join('\n');
+}
+
+/**
+ * Writes a display line
+ * @param {Object} display - { condition, text }
+ * @returns {string} Line text
+ */
+function formatDisplayLine(display) {
+  return display.condition ? `?${display.condition}?${display.text}` : display.text;
+}
+
+/**
+ * Gets the text to write for a block: its source when it was not edited since parsing
+ * @param {Object} item - Format, lookup or display
+ * @param {string} text - The block as the model now serializes it
+ * @returns {string} Text to write
+ */
+function writeBlock(item, text) {
+  return item.source && text === item.original ? item.source.join('\n') : text;
+}
+
+/**
+ * Serializes a Rich Presence model back into script text
+ * A parsed script keeps its layout; new Formats and Lookups are written after its last block
+ * @param {Object} model - Model with lookups, formats and displays
+ * @returns {string} The Rich Presence script
+ */
+export function serializeRichPresence(model) {
+  const writeDisplays = (header) => [
+    header,
+    ...model.displays.flatMap((display) => [...(display.comments || []), writeBlock(display, formatDisplayLine(display))]),
+  ].join('\n');
+
+  if (!model.layout) {
+    const blocks = [
+      ...model.formats.map(formatFormatBlock),
+      ...model.lookups.map(formatLookupBlock),
+      writeDisplays('Display:'),
+    ];
+    return blocks.join('\n\n') + '\n';
+  }
+
+  const laidOut = model.layout.filter((piece) => piece.item).map((piece) => piece.item);
+  const added = [
+    ...model.formats.filter((format) => !laidOut.includes(format)).map(formatFormatBlock),
+    ...model.lookups.filter((lookup) => !laidOut.includes(lookup)).map(formatLookupBlock),
+  ];
+
+  // Added blocks follow the script's last Format or Lookup, or open the script when it has none
+  const lastBlock = model.layout.reduce((last, piece, idx) => (piece.item ? idx : last), -1);
+  const parts = lastBlock === -1 ? added.flatMap((text) => [text, '']) : [];
+  model.layout.forEach((piece, idx) => {
+    if (piece.kind === 'lines') {
+      parts.push(...piece.lines);
+    } else if (piece.kind === 'display') {
+      parts.push(writeDisplays(piece.header));
+    } else if (piece.kind === 'format' && model.formats.includes(piece.item)) {
+      parts.push(writeBlock(piece.item, formatFormatBlock(piece.item)));
+    } else if (piece.kind === 'lookup' && model.lookups.includes(piece.item)) {
+      parts.push(writeBlock(piece.item, formatLookupBlock(piece.item)));
+    }
+    if (idx === lastBlock) added.forEach((text) => parts.push('', text));
+  });
+  return parts.join('\n');
+}
+
+/**
+ * Finds every @Macro(expression) in a display text
+ * @param {string} text - Display text
+ * @returns {Array} Array of { name, expression }
+ */
+export function extractMacros(text) {
+  return [...text.matchAll(MACRO_PATTERN)].map((match) => ({
+    name: match[1],
+    expression: match[2],
+  }));
+}
+
+/**
+ * Replaces the expression of the nth macro in a display text
+ * @param {string} text - Display text
+ * @param {number} macroIndex - Which macro to replace
+ * @param {string} expression - The new value expression
+ * @returns {string} Updated display text
+ */
+function replaceMacroExpression(text, macroIndex, expression) {
+  let index = 0;
+  return text.replace(MACRO_PATTERN, (whole, name) =>
+    index++ === macroIndex ? `@${name}(${expression})` : whole,
+  );
+}
+
+/**
+ * Parses "key=label" lines typed into a lookup editor
+ * @param {string} text - One entry per line
+ * @returns {Array} Array of { key, label }
+ */
+export function parseLookupEntries(text) {
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.match(/^([^=]+)=(.*)$/))
+    .filter(Boolean)
+    .map((match) => ({ key: match[1].trim(), label: match[2] }));
+}
+
+/**
+ * Gets the logic the builder should load for the current target
+ * Legacy macro values are converted to Measured form so the builder can edit them
+ * @param {Object} state - Rich Presence state
+ * @returns {string} Logic string ('' when nothing is targeted)
+ */
+export function getTargetLogic(state) {
+  const { target, model } = state;
+  if (!target) return '';
+
+  const display = model.displays[target.displayIndex];
+  if (!display) return '';
+  if (target.macroIndex === null) return display.condition;
+
+  const macro = extractMacros(display.text)[target.macroIndex];
+  return macro ? convertLegacyValue(macro.expression) : '';
+}
+
+/**
+ * Stores builder logic back into the targeted display condition or macro
+ * @param {Object} state - Rich Presence state (modified in place)
+ * @param {string} logic - Generated logic string
+ */
+export function setTargetLogic(state, logic) {
+  const { target, model } = state;
+  if (!target) return;
+
+  const display = model.displays[target.displayIndex];
+  if (!display) return;
+
+  if (target.macroIndex === null) {
+    display.condition = logic;
+  } else {
+    display.text = replaceMacroExpression(display.text, target.macroIndex, logic);
+  }
+}
+
+/**
+ * Builds a Lookup skeleton from an expansion, one entry per generated group
+ * When a compared Value changes between groups, those values become the keys;
+ * otherwise the group index is used and the varying address is noted in the label
+ * @param {string} name - Lookup name
+ * @param {Array} expandedLines - The expansion's generated lines
+ * @param {number} groupCount - Number of generated groups
+ * @returns {Object} Lookup with entries
+ */
+export function buildLookupFromExpansion(name, expandedLines, groupCount) {
+  const groups = Math.max(1, groupCount || 1);
+  const linesPerGroup = Math.max(1, Math.floor(expandedLines.length / groups));
+  if (expandedLines.length % groups !== 0) {
+    console.warn('Lookup from expansion: line count is not a multiple of the group count');
+  }
+
+  const chunks = [];
+  for (let groupIdx = 0; groupIdx < groups; groupIdx++) {
+    const start = groupIdx * linesPerGroup;
+    chunks.push(
+      expandedLines.slice(start, start + linesPerGroup).map(parseLineToCondition),
+    );
+  }
+
+  const differsAcrossGroups = (lineIdx, field) =>
+    chunks.some((chunk) => chunk[lineIdx] && chunks[0][lineIdx] &&
+      chunk[lineIdx][field] !== chunks[0][lineIdx][field]);
+
+  let keyLineIdx = -1;
+  let addressLineIdx = -1;
+  for (let lineIdx = 0; lineIdx < linesPerGroup; lineIdx++) {
+    const first = chunks[0][lineIdx];
+    if (!first) continue;
+    if (keyLineIdx === -1 && first.compareType === 'Value' && differsAcrossGroups(lineIdx, 'value')) {
+      keyLineIdx = lineIdx;
+    }
+    if (addressLineIdx === -1 && differsAcrossGroups(lineIdx, 'memory')) {
+      addressLineIdx = lineIdx;
+    }
+  }
+
+  const entries = chunks.map((chunk, groupIdx) => {
+    // Lookup keys are plain numbers, so h/f constants are written out as decimal
+    const constant = keyLineIdx > -1 ? parseConstantValue(chunk[keyLineIdx].value) : null;
+    const key = constant ? String(constant.number) : String(groupIdx);
+    let label = `Group ${groupIdx + 1}`;
+    if (addressLineIdx > -1 && chunk[addressLineIdx]) {
+      label += ` (${chunk[addressLineIdx].memory})`;
+    }
+    return { key, label };
+  });
+  entries.push({ key: '*', label: 'Unknown' });
+
+  return { name, entries };
+}
+
+/**
+ * Creates the HTML for the Rich Presence editor panel
+ * @param {Object} state - Rich Presence state
+ * @param {Array} expandedGroups - Expanded group leaders available for Lookup skeletons
+ * @returns {string} HTML string for the panel
+ */
+export function renderRichPresencePanel(state, expandedGroups) {
+  const { model, target } = state;
+  let html = '';
+
+  // Formats
+  html += '<div class="rp-block-title">Formats</div>';
+  model.formats.forEach((format, idx) => {
+    html += '<div class="rp-row">';
+    html += `<input type="text" value="${escapeHtml(format.name)}"
+      onchange="window.updateRichPresenceItem('formats', ${idx}, 'name', this.value)">`;
+    html += `<select onchange="window.updateRichPresenceItem('formats', ${idx}, 'type', this.value)">`;
+    RICH_PRESENCE_FORMAT_TYPES.forEach((type) => {
+      html += `<option value="${type}" ${format.type === type ? 'selected' : ''}>${type}</option>`;
+    });
+    html += '</select>';
+    html += `<button class="remove-btn" onclick="window.removeRichPresenceItem('formats', ${idx})">×</button>`;
+    html += '</div>';
+  });
+  html += `<button class="add-condition-btn-small" onclick="window.addRichPresenceItem('formats')">+ Format</button>`;
+
+  // Lookups
+  html += '<div class="rp-block-title">Lookups</div>';
+  model.lookups.forEach((lookup, idx) => {
+    const entriesText = lookup.entries.map((entry) => `${entry.key}=${entry.label}`).join('\n');
+    html += '<div class="rp-row rp-lookup">';
+    html += `<input type="text" value="${escapeHtml(lookup.name)}"
+      onchange="window.updateRichPresenceItem('lookups', ${idx}, 'name', this.value)">`;
+    html += `<textarea rows="${Math.min(8, lookup.entries.length + 1)}"
+      onchange="window.updateRichPresenceItem('lookups', ${idx}, 'entries', this.value)">${escapeHtml(entriesText)}</textarea>`;
+    html += `<button class="remove-btn" onclick="window.removeRichPresenceItem('lookups', ${idx})">×</button>`;
+    html += '</div>';
+  });
+  html += '<div class="rp-row">';
+  html += `<button class="add-condition-btn-small" onclick="window.addRichPresenceItem('lookups')">+ Lookup</button>`;
+  if (expandedGroups.length > 0) {
+    html += '<select id="rpLookupExpansion">';
+    expandedGroups.forEach((condition) => {
+      html += `<option value="${condition.lineId}">Line ${condition.lineId} (${condition.generatedGroupsCount || 1} groups)</option>`;
+    });
+    html += '</select>';
+    html += `<button class="secondary-btn" onclick="window.addRichPresenceLookupFromExpansion(document.getElementById('rpLookupExpansion').value)">Lookup from Expansion</button>`;
+  }
+  html += '</div>';
+
+  // Display lines
+  html += '<div class="rp-block-title">Display</div>';
+  model.displays.forEach((display, idx) => {
+    const conditionActive = target && target.displayIndex === idx && target.macroIndex === null;
+    html += '<div class="rp-row rp-display">';
+    html += `<button class="tab-btn ${conditionActive ? 'active' : ''}"
+      onclick="window.editRichPresenceTarget(${idx}, null)">${display.condition ? 'Condition' : 'Default'}</button>`;
+    html += `<code class="rp-condition">${escapeHtml(display.condition || '(always)')}</code>`;
+    html += `<input type="text" class="rp-display-text" value="${escapeHtml(display.text)}"
+      onchange="window.updateRichPresenceItem('displays', ${idx}, 'text', this.value)">`;
+    extractMacros(display.text).forEach((macro, macroIdx) => {
+      const macroActive = target && target.displayIndex === idx && target.macroIndex === macroIdx;
+      html += `<button class="tab-btn ${macroActive ? 'active' : ''}"
+        onclick="window.editRichPresenceTarget(${idx}, ${macroIdx})">@${escapeHtml(macro.name)}</button>`;
+    });
+    html += `<button class="remove-btn" onclick="window.removeRichPresenceItem('displays', ${idx})">×</button>`;
+    html += '</div>';
+  });
+  html += `<button class="add-condition-btn-small" onclick="window.addRichPresenceItem('displays')">+ Display</button>`;
+
+  return html;
+}
+
+/**
+ * Adds a new Format, Lookup or Display item with defaults
+ * @param {Object} model - Rich Presence model (modified in place)
+ * @param {string} collection - 'formats', 'lookups' or 'displays'
+ */
+export function addRichPresenceItem(model, collection) {
+  if (collection === 'formats') {
+    model.formats.push({ name: `Format${model.formats.length + 1}`, type: 'VALUE' });
+  } else if (collection === 'lookups') {
+    model.lookups.push({ name: `Lookup${model.lookups.length + 1}`, entries: [] });
+  } else if (collection === 'displays') {
+    // Keep the unconditional default display last
+    const defaultIdx = model.displays.findIndex((display) => !display.condition);
+    const display = { condition: '0xH0000=0', text: 'New display' };
+    if (defaultIdx > -1) {
+      model.displays.splice(defaultIdx, 0, display);
+    } else {
+      model.displays.push(display);
+    }
+  }
+}
+
+/**
+ * Updates a field of a Format, Lookup or Display item
+ * @param {Object} model - Rich Presence model (modified in place)
+ * @param {string} collection - 'formats', 'lookups' or 'displays'
+ * @param {number} index - Item index
+ * @param {string} field - Field name
+ * @param {string} value - New value
+ */
+export function updateRichPresenceItem(model, collection, index, field, value) {
+  const item = model[collection] && model[collection][index];
+  if (!item) return;
+  item[field] = field === 'entries' ? parseLookupEntries(value) : value;
+}
+
+/**
+ * Removes a Format, Lookup or Display item
+ * The builder target follows the display it points at, or is cleared with it
+ * @param {Object} state - Rich Presence state (modified in place)
+ * @param {string} collection - 'formats', 'lookups' or 'displays'
+ * @param {number} index - Item index
+ */
+export function removeRichPresenceItem(state, collection, index) {
+  const items = state.model[collection];
+  if (!items || index < 0 || index >= items.length) return;
+  items.splice(index, 1);
+
+  if (collection === 'displays' && state.target) {
+    if (state.target.displayIndex === index) {
+      state.target = null;
+    } else if (state.target.displayIndex > index) {
+      state.target.displayIndex -= 1;
+    }
+  }
+}
@@ -0,0 +1,185 @@
+// ============================================================================
+// SCENARIO TEST SUITES
+// ============================================================================
+//
+// A scenario is a named memory timeline (the simulator's JSON/NDJSON format)
+// plus what the achievement should do over it. Suites are kept per
+// achievement and saved as one JSON document:
+//
+//   { "version": 1, "suites": { "achievement:111000001": [
+//     { "name": "Boss kill", "timeline": "...", "expect": "triggers-at", "frame": 12 } ] } }
+
+import { parseTimeline, createSimulation, runSimulation } from './simulator.js';
+import { escapeHtml } from './html-renderer.js';
+
+const SUITES_VERSION = 1;
+
+// Expected outcomes, in the order they are offered
+const SCENARIO_EXPECTATIONS = ['triggers-at', 'triggers', 'never-triggers'];
+
+const SCENARIO_EXPECTATION_LABELS = {
+  'triggers-at': 'Triggers at frame',
+  triggers: 'Triggers',
+  'never-triggers': 'Never triggers',
+};
+
+/**
+ * Creates a scenario after checking its fields
+ * @param {string} name - Scenario name
+ * @param {string} timeline - Timeline text
+ * @param {string} expect - One of SCENARIO_EXPECTATIONS
+ * @param {number|string} frame - Expected trigger frame, for triggers-at
+ * @returns {Object} { scenario, error }
+ */
+export function createScenario(name, timeline, expect, frame) {
+  if (!String(name).trim()) {
+    return { error: 'Give the scenario a name' };
+  }
+  if (!SCENARIO_EXPECTATIONS.includes(expect)) {
+    return { error: `Unknown expectation "${expect}"` };
+  }
+
+  const { frames, errors } = parseTimeline(String(timeline));
+  if (errors.length > 0) return { error: errors[0] };
+  if (frames.length === 0) return { error: 'The timeline has no frames' };
+
+  const scenario = { name: String(name).trim(), timeline: String(timeline), expect };
+  if (expect === 'triggers-at') {
+    const frameNumber = parseInt(frame, 10);
+    if (!(frameNumber >= 1 && frameNumber <= frames.length)) {
+      return { error: `Frame must be between 1 and ${frames.length}` };
+    }
+    scenario.frame = frameNumber;
+  }
+  return { scenario };
+}
+
+/**
+ * Runs one scenario against a logic string
+ * @param {Object} scenario - Scenario
+ * @param {string} logic - Logic string
+ * @param {string} separator - Group separator
+ * @returns {Object} { passed, triggeredAt, message }
+ */
+export function runScenario(scenario, logic, separator = 'S') {
+  const { frames, errors } = parseTimeline(scenario.timeline);
+  if (errors.length > 0) {
+    return { passed: false, triggeredAt: null, message: `Timeline problem: ${errors[0]}` };
+  }
+
+  const simulation = createSimulation(logic, separator, frames);
+  runSimulation(simulation);
+  const { triggeredAt } = simulation;
+  const triggeredText = triggeredAt === null ? 'did not trigger' : `triggered at frame ${triggeredAt}`;
+
+  switch (scenario.expect) {
+    case 'triggers-at':
+      return {
+        passed: triggeredAt === scenario.frame,
+        triggeredAt,
+        message: triggeredAt === scenario.frame ? triggeredText : `Expected frame ${scenario.frame}, ${triggeredText}`,
+      };
+    case 'triggers':
+      return { passed: triggeredAt !== null, triggeredAt, message: triggeredText };
+    case 'never-triggers':
+      return { passed: triggeredAt === null, triggeredAt, message: triggeredText };
+    default:
+      return { passed: false, triggeredAt, message: `Unknown expectation "${scenario.expect}"` };
+  }
+}
+
+/**
+ * Runs every scenario in a suite
+ * @param {Array} scenarios - Scenarios
+ * @param {string} logic - Logic string
+ * @param {string} separator - Group separator
+ * @returns {Array} Results, one per scenario
+ */
+export function runScenarioSuite(scenarios, logic, separator = 'S') {
+  return scenarios.map((scenario) => runScenario(scenario, logic, separator));
+}
+
+/**
+ * Serializes all suites for localStorage or a download
+ * @param {Object} suites - Map of suite key to scenarios
+ * @returns {string} JSON text
+ */
+export function serializeScenarioSuites(suites) {
+  return JSON.stringify({ version: SUITES_VERSION, suites }, null, 2);
+}
+
+/**
+ * Parses suites saved by serializeScenarioSuites
+ * Scenarios that no longer pass createScenario's checks are dropped and reported
+ * @param {string} text - JSON text
+ * @returns {Object} { suites, errors }
+ */
+export function parseScenarioSuites(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return { suites: {}, errors: [`Not valid JSON: ${err.message}`] };
+  }
+  if (!data || typeof data.suites !== 'object' || data.suites === null) {
+    return { suites: {}, errors: ['No "suites" object found'] };
+  }
+
+  const suites = {};
+  const errors = [];
+  Object.entries(data.suites).forEach(([key, scenarios]) => {
+    if (!Array.isArray(scenarios)) {
+      errors.push(`${key}: expected a list of scenarios`);
+      return;
+    }
+    suites[key] = [];
+    scenarios.forEach((raw, idx) => {
+      const { scenario, error } = createScenario(raw?.name ?? '', raw?.timeline ?? '', raw?.expect, raw?.frame);
+      if (error) {
+        errors.push(`${key} #${idx + 1}: ${error}`);
+        return;
+      }
+      suites[key].push(scenario);
+    });
+  });
+  return { suites, errors };
+}
+
+/**
+ * Creates the pass/fail summary shown next to Generate Logic
+ * @param {Array} results - Results from runScenarioSuite
+ * @returns {string} HTML string, empty when there are no scenarios
+ */
+export function renderScenarioSummary(results) {
+  if (results.length === 0) return '';
+  const failed = results.filter((result) => !result.passed).length;
+  return `<span class="scenario-summary ${failed > 0 ? 'failed' : 'passed'}">`
+    + `${failed > 0 ? '✗' : '✓'} Scenarios ${results.length - failed}/${results.length} passed</span>`;
+}
+
+/**
+ * Creates the scenario list for the suite panel
+ * @param {Array} scenarios - Scenarios in the suite
+ * @param {Array} results - Results, in the same order
+ * @returns {string} HTML string
+ */
+export function renderScenarioList(scenarios, results) {
+  if (scenarios.length === 0) {
+    return '<div class="user-file-empty">No scenarios yet. Write a timeline in the Simulator and save it here.</div>';
+  }
+
+  let html = '';
+  scenarios.forEach((scenario, idx) => {
+    const result = results[idx];
+    const expectation = SCENARIO_EXPECTATION_LABELS[scenario.expect] + (scenario.expect === 'triggers-at' ? ` ${scenario.frame}` : '');
+    html += `<div class="scenario-row ${result ? (result.passed ? 'passed' : 'failed') : ''}">`;
+    html += `<span class="scenario-result">${result ? (result.passed ? '✓' : '✗') : ''}</span>`;
+    html += `<span class="scenario-name">${escapeHtml(scenario.name)}</span>`;
+    html += `<span class="scenario-expect">${escapeHtml(expectation)}</span>`;
+    html += `<span class="scenario-message">${result ? escapeHtml(result.message) : ''}</span>`;
+    html += `<button class="secondary-btn" onclick="window.openScenario(${idx})">Simulate</button>`;
+    html += `<button class="secondary-btn" onclick="window.removeScenario(${idx})">Remove</button>`;
+    html += '</div>';
+  });
+  return html;
+}
@@ -0,0 +1,131 @@
+// ============================================================================
+// CORE / ALT GROUP SECTIONS
+// ============================================================================
+
+/**
+ * Gets the display label for a section index
+ * Leaderboard values ($-separated) take the maximum of their alternatives
+ * @param {number} section - The section index (0 is the Core)
+ * @param {string} separator - Group separator (S for triggers, $ for leaderboard values)
+ * @returns {string} Section label
+ */
+export function getSectionLabel(section, separator = 'S') {
+  if (separator === '$') return `Value${section + 1}`;
+  return section === 0 ? 'Core' : `Alt${section}`;
+}
+
+/**
+ * Gets all conditions that belong to a section, in builder order
+ * @param {Array} bitfieldConditions - Array of all conditions
+ * @param {number} section - The section index
+ * @returns {Array} Conditions in the section
+ */
+export function getSectionConditions(bitfieldConditions, section) {
+  return bitfieldConditions.filter((c) => (c.section || 0) === section);
+}
+
+/**
+ * Rebuilds the section list so it covers every section used by the conditions
+ * @param {Array} bitfieldSections - Section labels (modified in place)
+ * @param {Array} bitfieldConditions - Array of all conditions
+ * @param {string} separator - Group separator (S for triggers, $ for leaderboard values)
+ */
+export function syncSectionsFromConditions(bitfieldSections, bitfieldConditions, separator = 'S') {
+  const highestSection = bitfieldConditions.reduce(
+    (max, c) => Math.max(max, c.section || 0),
+    0,
+  );
+
+  bitfieldSections.length = 0;
+  for (let section = 0; section <= highestSection; section++) {
+    bitfieldSections.push(getSectionLabel(section, separator));
+  }
+}
+
+/**
+ * Appends a new Alt group section
+ * @param {Array} bitfieldSections - Section labels (modified in place)
+ * @param {string} separator - Group separator (S for triggers, $ for leaderboard values)
+ * @returns {number} Index of the new section
+ */
+export function addAltSection(bitfieldSections, separator = 'S') {
+  const section = bitfieldSections.length;
+  bitfieldSections.push(getSectionLabel(section, separator));
+  return section;
+}
+
+/**
+ * Removes an Alt group section and all of its conditions
+ * Later Alt groups shift down to keep the numbering contiguous
+ * @param {Array} bitfieldConditions - Array of conditions (modified in place)
+ * @param {Array} bitfieldSections - Section labels (modified in place)
+ * @param {number} section - The Alt section index to remove
+ * @param {string} separator - Group separator (S for triggers, $ for leaderboard values)
+ */
+export function removeAltSection(bitfieldConditions, bitfieldSections, section, separator = 'S') {
+  if (section <= 0 || section >= bitfieldSections.length) return;
+
+  const remaining = bitfieldConditions.filter((c) => (c.section || 0) !== section);
+  remaining.forEach((c) => {
+    if ((c.section || 0) > section) c.section -= 1;
+  });
+  bitfieldConditions.length = 0;
+  bitfieldConditions.push(...remaining);
+
+  bitfieldSections.splice(section, 1);
+  bitfieldSections.forEach((_, idx) => {
+    bitfieldSections[idx] = getSectionLabel(idx, separator);
+  });
+}
+
+/**
+ * Writes expansions that generate Alt groups as sections
+ * A trigger holds when the Core and any one Alt group hold, so an expansion in an Alt group
+ * replaces that Alt group with one copy per generated group, and one in the Core is added to
+ * every Alt group (or becomes the Alt groups when there are none); several expansions in one
+ * section give one copy per combination
+ * @param {Array} collectedSections - { lines, altSets } per section, Core first; each alt set
+ *   holds one expansion's generated groups
+ * @returns {Array} Line arrays per section, Core first
+ */
+export function distributeAltGroups(collectedSections) {
+  const combine = (altSets) => altSets.reduce(
+    (combinations, groups) => combinations.flatMap((combination) => groups.map((group) => [...combination, ...group])),
+    [[]],
+  );
+
+  const [core, ...alts] = collectedSections;
+  if (!core) return [];
+  if (core.altSets.length === 0 && alts.every((alt) => alt.altSets.length === 0)) {
+    return collectedSections.map((section) => section.lines);
+  }
+
+  // Empty Alt groups are dropped from the output anyway; without any the Core's groups stand alone
+  const coreCombinations = combine(core.altSets);
+  const nonEmptyAlts = alts.filter((alt) => alt.lines.length > 0 || alt.altSets.length > 0);
+  const altSections = nonEmptyAlts.length > 0 ? nonEmptyAlts : [{ lines: [], altSets: [] }];
+
+  const sections = [core.lines];
+  altSections.forEach(({ lines, altSets }) => {
+    combine(altSets).forEach((altCombination) => {
+      coreCombinations.forEach((coreCombination) => sections.push([...lines, ...altCombination, ...coreCombination]));
+    });
+  });
+  return sections;
+}
+
+/**
+ * Joins per-section line arrays into the final logic string
+ * Empty Alt groups are dropped since they are not valid achievement logic
+ * @param {Array} sectionLines - Array of line arrays, Core first
+ * @param {string} separator - Group separator (S for triggers, $ for leaderboard values)
+ * @returns {string} Logic string with Alt groups separated by the separator
+ */
+export function joinLogicSections(sectionLines, separator = 'S') {
+  const [coreLines = [], ...altLines] = sectionLines;
+  const groups = [coreLines.join('_')];
+  altLines.forEach((lines) => {
+    if (lines.length > 0) groups.push(lines.join('_'));
+  });
+  return groups.join(separator);
+}
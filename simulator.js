@@ -0,0 +1,265 @@
+// ============================================================================
+// FRAME-BY-FRAME SIMULATOR
+// ============================================================================
+//
+// A timeline is a JSON array (or { "frames": [...] }) or NDJSON with one
+// frame per line. Each frame either writes into the memory left by the
+// previous frame or replaces it with a snapshot:
+//
+//   { "writes": { "0x20": 15, "0x1234": { "value": 1000, "size": "16-bit" }, "0x40": { "value": 1, "size": "Bit3" } } }
+//   { "snapshot": "00 0F A5 ...", "base": "0x0000" }
+//   { "0x20": 16, "repeat": 30 }
+//
+// A frame without "writes" or "snapshot" is read as writes. "repeat" holds
+// the frame for that many frames.
+
+import {
+  createEvaluationState,
+  evaluateFrame,
+  resetEvaluationState,
+  writeMemoryValue
+} from './evaluator.js';
+import { escapeHtml } from './html-renderer.js';
+
+// Longest timeline a single frame's "repeat" may expand to
+const MAX_REPEAT = 100000;
+
+/**
+ * Parses an address written as "0x1F", "h1F" or a number
+ * @param {string|number} text - Address
+ * @returns {number|null} Address or null when invalid
+ */
+function parseAddress(text) {
+  if (typeof text === 'number') return Number.isInteger(text) && text >= 0 ? text : null;
+  const trimmed = String(text).trim();
+  if (/^(0x|h)[0-9a-f]+$/i.test(trimmed)) return parseInt(trimmed.replace(/^(0x|h)/i, ''), 16);
+  if (/^\d+$/.test(trimmed)) return parseInt(trimmed, 10);
+  return null;
+}
+
+/**
+ * Parses a snapshot given as an array of bytes or a hex string
+ * @param {Array|string} snapshot - Snapshot bytes
+ * @returns {Array|null} Bytes, or null when invalid
+ */
+function parseSnapshotBytes(snapshot) {
+  if (Array.isArray(snapshot)) {
+    return snapshot.every((byte) => Number.isInteger(byte) && byte >= 0 && byte <= 255) ? snapshot : null;
+  }
+  const hex = String(snapshot).replace(/\s+/g, '');
+  if (!/^([0-9a-f]{2})*$/i.test(hex)) return null;
+  return hex.match(/../g)?.map((pair) => parseInt(pair, 16)) || [];
+}
+
+/**
+ * Converts one timeline entry into a frame
+ * @param {Object} entry - Parsed JSON entry
+ * @param {number} index - Entry index, for messages
+ * @returns {Object} { frame, error } - frame holds writes ({ address, size, value }), snapshot and repeat
+ */
+function parseFrameEntry(entry, index) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return { error: `Frame ${index + 1}: expected an object` };
+  }
+
+  const repeat = entry.repeat === undefined ? 1 : parseInt(entry.repeat, 10);
+  if (!(repeat >= 1 && repeat <= MAX_REPEAT)) {
+    return { error: `Frame ${index + 1}: repeat must be between 1 and ${MAX_REPEAT}` };
+  }
+
+  let snapshot = null;
+  if (entry.snapshot !== undefined) {
+    const base = entry.base === undefined ? 0 : parseAddress(entry.base);
+    const bytes = parseSnapshotBytes(entry.snapshot);
+    if (base === null || !bytes) return { error: `Frame ${index + 1}: invalid snapshot` };
+    snapshot = { base, bytes };
+  }
+
+  const writeSource = entry.writes || (entry.snapshot === undefined ? entry : {});
+  const writes = [];
+  for (const [key, raw] of Object.entries(writeSource)) {
+    if (writeSource === entry && ['repeat', 'label'].includes(key)) continue;
+
+    const address = parseAddress(key);
+    const value = typeof raw === 'object' && raw !== null ? raw.value : raw;
+    const size = typeof raw === 'object' && raw !== null ? raw.size || '8-bit' : '8-bit';
+    const number = typeof value === 'string' ? parseAddress(value) : value;
+    if (address === null || typeof number !== 'number' || !writeMemoryValue(new Map(), 0, size, number)) {
+      return { error: `Frame ${index + 1}: invalid write "${key}"` };
+    }
+    writes.push({ address, size, value: number });
+  }
+
+  return { frame: { writes, snapshot, repeat, label: entry.label || '' } };
+}
+
+/**
+ * Parses a timeline from JSON or NDJSON text
+ * @param {string} text - File contents
+ * @returns {Object} { frames, errors } - frames are expanded, so repeated frames appear once per frame
+ */
+export function parseTimeline(text) {
+  const trimmed = text.trim();
+  const errors = [];
+  let entries = [];
+
+  try {
+    const data = JSON.parse(trimmed);
+    entries = Array.isArray(data) ? data : data && Array.isArray(data.frames) ? data.frames : [data];
+  } catch (err) {
+    // Not a single JSON document, so read it as NDJSON
+    trimmed.split(/\r?\n/).forEach((line, lineIdx) => {
+      if (!line.trim()) return;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (lineErr) {
+        errors.push(`Line ${lineIdx + 1}: ${lineErr.message}`);
+      }
+    });
+  }
+
+  const frames = [];
+  entries.forEach((entry, index) => {
+    const { frame, error } = parseFrameEntry(entry, index);
+    if (error) {
+      errors.push(error);
+      return;
+    }
+    for (let i = 0; i < frame.repeat && frames.length < MAX_REPEAT; i++) frames.push(frame);
+  });
+
+  return { frames, errors };
+}
+
+/**
+ * Creates a simulation of a logic string over a timeline
+ * @param {string} logic - Logic string
+ * @param {string} separator - Group separator (S for triggers, $ for leaderboard values)
+ * @param {Array} frames - Frames from parseTimeline
+ * @returns {Object} Simulation state
+ */
+export function createSimulation(logic, separator, frames) {
+  return {
+    logic,
+    frames,
+    state: createEvaluationState(logic, separator),
+    memory: new Map(),
+    position: 0,
+    last: null,
+    triggeredAt: null,
+    resets: [],
+  };
+}
+
+/**
+ * Applies the next frame's memory and evaluates it
+ * @param {Object} simulation - Simulation state (modified in place)
+ * @returns {Object|null} The frame result, or null at the end of the timeline
+ */
+export function stepSimulation(simulation) {
+  const frame = simulation.frames[simulation.position];
+  if (!frame) return null;
+
+  if (frame.snapshot) {
+    simulation.memory.clear();
+    frame.snapshot.bytes.forEach((byte, offset) => simulation.memory.set(frame.snapshot.base + offset, byte));
+  }
+  frame.writes.forEach(({ address, size, value }) => writeMemoryValue(simulation.memory, address, size, value));
+
+  const result = evaluateFrame(simulation.state, (address) => simulation.memory.get(address));
+  result.label = frame.label;
+  simulation.position++;
+  simulation.last = result;
+  if (result.triggered && simulation.triggeredAt === null) simulation.triggeredAt = result.frame;
+  if (result.wasReset) simulation.resets.push(result.frame);
+  return result;
+}
+
+/**
+ * Steps until the achievement triggers or the timeline ends
+ * @param {Object} simulation - Simulation state (modified in place)
+ * @returns {Object|null} The last frame result
+ */
+export function runSimulation(simulation) {
+  while (simulation.position < simulation.frames.length) {
+    const result = stepSimulation(simulation);
+    if (result.triggered) break;
+  }
+  return simulation.last;
+}
+
+/**
+ * Rewinds the simulation to before the first frame
+ * @param {Object} simulation - Simulation state (modified in place)
+ */
+export function resetSimulation(simulation) {
+  resetEvaluationState(simulation.state);
+  simulation.memory.clear();
+  simulation.position = 0;
+  simulation.last = null;
+  simulation.triggeredAt = null;
+  simulation.resets = [];
+}
+
+/**
+ * Formats a memory value for the line table
+ * @param {number} value - Value
+ * @returns {string} Hex for integers, decimal for floats
+ */
+function formatValue(value) {
+  if (value === null || value === undefined) return '';
+  return Number.isInteger(value) ? '0x' + value.toString(16).toUpperCase() : String(value);
+}
+
+/**
+ * Creates the HTML for the simulator panel
+ * @param {Object} simulation - Simulation state
+ * @param {Function} getSectionLabel - Gets a group label from its index
+ * @returns {string} HTML string
+ */
+export function renderSimulation(simulation, getSectionLabel) {
+  const result = simulation.last;
+  let html = '<div class="simulator-status">';
+  html += `<span>Frame ${simulation.position} / ${simulation.frames.length}</span>`;
+  if (result) {
+    html += `<span class="simulator-badge ${result.status}">${result.status}</span>`;
+    if (result.label) html += `<span>${escapeHtml(result.label)}</span>`;
+    if (result.measured) {
+      html += `<span>Measured ${formatValue(result.measured.value)}${result.measured.target !== null ? ` / ${formatValue(result.measured.target)}` : ''}</span>`;
+    }
+  }
+  html += '</div>';
+
+  if (simulation.triggeredAt !== null) {
+    html += `<div class="simulator-note triggered">Triggers on frame ${simulation.triggeredAt}</div>`;
+  } else if (simulation.position >= simulation.frames.length && simulation.position > 0) {
+    html += '<div class="simulator-note">Did not trigger during the timeline</div>';
+  }
+  if (simulation.resets.length > 0) {
+    html += `<div class="simulator-note">Reset on frame${simulation.resets.length > 1 ? 's' : ''} ${simulation.resets.slice(-10).join(', ')}</div>`;
+  }
+  if (simulation.state.problems.length > 0) {
+    html += `<div class="simulator-note warning">${simulation.state.problems.length} line(s) could not be parsed and are left out</div>`;
+  }
+  if (!result) return html;
+
+  result.groups.forEach((group, groupIdx) => {
+    html += '<div class="simulator-group">';
+    html += `<div class="simulator-group-title">${escapeHtml(getSectionLabel(groupIdx))}${group.isPaused ? ' (paused)' : ''}: ${group.isTrue ? 'true' : 'false'}</div>`;
+    group.lines.forEach((line) => {
+      const truth = line.isTrue === null ? 'modifier' : line.isTrue ? 'true' : 'false';
+      html += `<div class="simulator-line ${truth}">`;
+      html += `<code>${escapeHtml(line.text)}</code>`;
+      // Both sides often read the same address (e.g. 0xH1>d0xH1), so list each once
+      const reads = line.reads.filter((read, idx) =>
+        line.reads.findIndex((other) => other.address === read.address && other.size === read.size) === idx);
+      html += `<span>${reads.map((read) =>
+        `${formatValue(read.address)}: ${formatValue(read.value)} (Δ ${formatValue(read.delta)}, prior ${formatValue(read.prior)})`).join('; ')}</span>`;
+      html += `<span>${line.isTrue === null ? formatValue(line.value) : truth}</span>`;
+      html += `<span>${line.isTrue === null ? '' : `${line.hits}${line.requiredHits ? ` / ${line.requiredHits}` : ''} hits`}</span>`;
+      html += '</div>';
+    });
+    html += '</div>';
+  });
+  return html;
+}
@@ -0,0 +1,545 @@
+// ============================================================================
+// CONSTRAINT SOLVER
+// ============================================================================
+//
+// Looks for memory that makes an achievement trigger. Contradictions that
+// can be proven from the lines alone are reported first: a line comparing
+// two constants that can never be true, a Reset If or Pause If that is
+// always true, or comparisons on the same address that no value satisfies
+// (only in groups no Pause If can pause, since pausing skips the rest).
+// Otherwise two memory states are searched for - the frames before the
+// trigger and the trigger frame - and the evaluator scores each candidate,
+// so Delta, Prior, hit counts, pauses and resets behave exactly as they
+// would in rcheevos. The search works on the values the logic names (each
+// compared constant and its neighbours), so "not found" is not a proof.
+
+import { parseLogicLines } from './parsing.js';
+import { parseConstantValue } from './values.js';
+import { createEvaluationState, evaluateFrame, writeMemoryValue } from './evaluator.js';
+import { parseTimeline, createSimulation, runSimulation } from './simulator.js';
+import {
+  ARITHMETIC_OPERATORS,
+  CHAIN_FLAGS,
+  FLOAT_SIZES,
+  SIZE_MAX_VALUES
+} from './core-constants.js';
+import { escapeHtml } from './html-renderer.js';
+
+const DEFAULT_OPTIONS = {
+  restarts: 8,
+  // Lines evaluated across all candidates before giving up
+  maxLineEvaluations: 3000000,
+};
+
+// Flags whose line has to be true on the trigger frame
+const REQUIRED_FLAGS = ['', 'T:', 'M:'];
+
+// Types whose value is the memory itself, so a range of values can be reasoned about
+const PLAIN_TYPES = ['Mem', 'Delta', 'Prior'];
+
+// The comparison that holds with its operands swapped
+const FLIPPED_COMPARISONS = { '=': '=', '!=': '!=', '<': '>', '<=': '>=', '>': '<', '>=': '<=' };
+
+/**
+ * Compares two numbers
+ * @param {number} left - Left value
+ * @param {string} cmp - Comparison operator
+ * @param {number} right - Right value
+ * @returns {boolean} Comparison result
+ */
+function compare(left, cmp, right) {
+  switch (cmp) {
+    case '=': return left === right;
+    case '!=': return left !== right;
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '>': return left > right;
+    case '>=': return left >= right;
+    default: return false;
+  }
+}
+
+/**
+ * Describes what a line needs from one address, when it compares a plain read with a constant
+ * @param {Object} condition - Parsed condition
+ * @returns {Object|null} { key, size, cmp, constant } or null when the line is not that simple
+ */
+function getRangeConstraint(condition) {
+  if (!FLIPPED_COMPARISONS[condition.cmp]) return null;
+  const left = { type: condition.type, size: condition.size, operand: condition.memory };
+  const right = { type: condition.compareType, size: condition.compareSize, operand: condition.value };
+  let read = left;
+  let constant = right;
+  let cmp = condition.cmp;
+  if (left.type === 'Value') {
+    read = right;
+    constant = left;
+    cmp = FLIPPED_COMPARISONS[cmp];
+  }
+
+  const value = constant.type === 'Value' ? parseConstantValue(constant.operand) : null;
+  if (!value || !PLAIN_TYPES.includes(read.type) || SIZE_MAX_VALUES[read.size] === undefined) return null;
+  const address = parseInt(String(read.operand).replace(/^0x/i, ''), 16) || 0;
+  return { key: `${read.type}|${read.size}|${address}`, size: read.size, cmp, constant: value.number };
+}
+
+/**
+ * Works out whether a line's two operands are fixed, and if so whether it is true
+ * @param {Object} condition - Parsed condition
+ * @returns {boolean|null} The line's truth, or null when it depends on memory
+ */
+function getFixedTruth(condition) {
+  if (!FLIPPED_COMPARISONS[condition.cmp]) return null;
+  if (condition.type === 'Value' && condition.compareType === 'Value') {
+    const left = parseConstantValue(condition.memory);
+    const right = parseConstantValue(condition.value);
+    return left && right ? compare(left.number, condition.cmp, right.number) : null;
+  }
+
+  // The same read on both sides, e.g. 0xH20>0xH20
+  const sameRead = condition.type === condition.compareType && condition.size === condition.compareSize
+    && String(condition.memory).toLowerCase() === String(condition.value).toLowerCase();
+  if (sameRead && condition.type !== 'Recall') return ['=', '<=', '>='].includes(condition.cmp);
+  return null;
+}
+
+/**
+ * Finds values worth trying for a range check: each constant, its neighbours and the size's limits
+ * @param {number} max - Largest value of the size
+ * @param {Array} constants - Compared constants
+ * @returns {Array} Candidate values
+ */
+function rangeCandidates(max, constants) {
+  const values = new Set([0, max]);
+  constants.forEach((constant) => {
+    [Math.floor(constant) - 1, Math.floor(constant), Math.ceil(constant), Math.ceil(constant) + 1]
+      .filter((value) => value >= 0 && value <= max)
+      .forEach((value) => values.add(value));
+  });
+  return [...values];
+}
+
+/**
+ * Checks whether a line stands on its own: parsed, not fed by a modifier, not a modifier, and without a hit target
+ * Lines that only need to be true on some earlier frames depend on more than one frame
+ * @param {Array} lines - Parsed lines of the group
+ * @param {number} index - Line index
+ * @returns {boolean} True when the line can be judged on a single frame
+ */
+function isStandaloneLine(lines, index) {
+  const { condition, problem } = lines[index];
+  if (problem) return false;
+  const previous = index > 0 ? lines[index - 1].condition : null;
+  if ((previous && CHAIN_FLAGS.includes(previous.flag)) || CHAIN_FLAGS.includes(condition.flag)) return false;
+  return (parseInt(condition.hits, 10) || 0) === 0;
+}
+
+/**
+ * Checks whether a group may pause
+ * A paused group skips its other lines, Reset If included, so nothing is proven about a group that can pause
+ * @param {Array} lines - Parsed lines of the group
+ * @returns {boolean} True unless every Pause If stands alone and is always false (unparsed lines count as pauses)
+ */
+function canPause(lines) {
+  return lines.some(({ condition, problem }, idx) => {
+    if (problem || !condition) return true;
+    if (condition.flag !== 'P:') return false;
+    return !(isStandaloneLine(lines, idx) && getFixedTruth(condition) === false);
+  });
+}
+
+/**
+ * Finds the lines of a group that can never all be true on one frame
+ * @param {Array} lines - Parsed lines of the group
+ * @returns {Object|null} { reason, lines } or null when no contradiction was proven
+ */
+function findGroupContradiction(lines) {
+  const ranges = new Map();
+
+  for (let i = 0; i < lines.length; i++) {
+    if (!isStandaloneLine(lines, i)) continue;
+    const { text, condition } = lines[i];
+
+    const fixedTruth = getFixedTruth(condition);
+    if (condition.flag === 'P:' && fixedTruth === true) {
+      return { reason: 'This Pause If is always true, so the group is always paused', lines: [text] };
+    }
+    if (!REQUIRED_FLAGS.includes(condition.flag)) continue;
+    if (fixedTruth === false && !canPause(lines)) {
+      return { reason: 'This line can never be true', lines: [text] };
+    }
+
+    const constraint = getRangeConstraint(condition);
+    if (!constraint) continue;
+    const range = ranges.get(constraint.key) || { size: constraint.size, constraints: [] };
+    range.constraints.push({ ...constraint, text });
+    ranges.set(constraint.key, range);
+  }
+
+  if (canPause(lines)) return null;
+  for (const { size, constraints } of ranges.values()) {
+    const max = SIZE_MAX_VALUES[size];
+    const candidates = rangeCandidates(max, constraints.map((constraint) => constraint.constant));
+    const satisfies = (value, list) => list.every(({ cmp, constant }) => compare(value, cmp, constant));
+    if (candidates.some((value) => satisfies(value, constraints))) continue;
+
+    // Report the smallest set that conflicts: one line out of range, then a pair, then all of them
+    const single = constraints.find((constraint) => !candidates.some((value) => satisfies(value, [constraint])));
+    if (single) {
+      return { reason: `No ${size} value satisfies this comparison (0 to ${max})`, lines: [single.text] };
+    }
+    for (let a = 0; a < constraints.length; a++) {
+      for (let b = a + 1; b < constraints.length; b++) {
+        if (!candidates.some((value) => satisfies(value, [constraints[a], constraints[b]]))) {
+          return { reason: 'No value satisfies both comparisons on the same address', lines: [constraints[a].text, constraints[b].text] };
+        }
+      }
+    }
+    return { reason: 'No value satisfies all of these comparisons on the same address', lines: constraints.map((constraint) => constraint.text) };
+  }
+  return null;
+}
+
+/**
+ * Proves a trigger can never fire, from its Core and Alt groups
+ * @param {Array} sections - Parsed lines per group, from parseLogicLines
+ * @returns {Array} Contradictions { group, reason, lines }; empty when none were proven
+ */
+export function findContradictions(sections) {
+  // A Reset If in any group resets the whole achievement, unless a Pause If holds it
+  for (let group = 0; group < sections.length; group++) {
+    const lines = sections[group];
+    if (canPause(lines)) continue;
+    const index = lines.findIndex((line, idx) =>
+      isStandaloneLine(lines, idx) && line.condition.flag === 'R:' && getFixedTruth(line.condition) === true);
+    if (index !== -1) {
+      return [{ group, reason: 'This Reset If is always true, so the achievement is reset every frame', lines: [lines[index].text] }];
+    }
+  }
+
+  const [core, ...alts] = sections;
+  const coreContradiction = core ? findGroupContradiction(core) : null;
+  if (coreContradiction) return [{ group: 0, ...coreContradiction }];
+
+  const populatedAlts = alts.map((lines, idx) => ({ lines, group: idx + 1 })).filter(({ lines }) => lines.length > 0);
+  if (populatedAlts.length === 0) return [];
+
+  // Every Alt has to be impossible for the trigger to be impossible; the Core must hold alongside each one
+  const altContradictions = populatedAlts.map(({ lines, group }) => {
+    const contradiction = findGroupContradiction(core ? [...core, ...lines] : lines);
+    return contradiction ? { group, ...contradiction } : null;
+  });
+  return altContradictions.every(Boolean) ? altContradictions : [];
+}
+
+/**
+ * Collects the memory the logic reads, following Add Address chains
+ * @param {Array} sections - Parsed lines per group
+ * @returns {Array} Variables { key, address, size, pointer, depth, candidates }, pointers first
+ */
+function collectVariables(sections) {
+  const variables = new Map();
+
+  sections.forEach((lines) => {
+    let pointer = null;
+    let chain = [];
+    let chainConstants = [];
+
+    lines.forEach(({ condition, problem }) => {
+      if (problem) return;
+      const reads = [];
+      [[condition.type, condition.size, condition.memory], [condition.compareType, condition.compareSize, condition.value]]
+        .forEach(([type, size, operand], side) => {
+          if (side === 1 && !condition.cmp) return;
+          if (type === 'Value') {
+            const constant = parseConstantValue(operand);
+            if (constant && !ARITHMETIC_OPERATORS.includes(condition.cmp)) chainConstants.push(constant.number);
+            return;
+          }
+          if (type === 'Recall' || !writeMemoryValue(new Map(), 0, size, 0)) return;
+
+          const address = parseInt(String(operand).replace(/^0x/i, ''), 16) || 0;
+          const key = `${pointer ? pointer.key + '>' : ''}${size}|${address}`;
+          const variable = variables.get(key)
+            || { key, address, size, pointer, depth: pointer ? pointer.depth + 1 : 0, constants: new Set() };
+          variables.set(key, variable);
+          reads.push(variable);
+        });
+      chain.push(...reads);
+
+      // Add Address applies to the line straight after it
+      pointer = condition.flag === 'I:' && reads.length > 0 ? reads[0] : null;
+      if (!CHAIN_FLAGS.includes(condition.flag)) {
+        chain.forEach((variable) => chainConstants.forEach((constant) => variable.constants.add(constant)));
+        chain = [];
+        chainConstants = [];
+      }
+    });
+  });
+
+  return [...variables.values()]
+    .sort((a, b) => a.depth - b.depth)
+    .map((variable) => {
+      const isFloat = FLOAT_SIZES.includes(variable.size);
+      const max = SIZE_MAX_VALUES[variable.size];
+      const values = new Set([0, 1]);
+      variable.constants.forEach((constant) => {
+        [constant - 1, constant, constant + 1].forEach((value) => {
+          if (isFloat || (Number.isInteger(value) && value >= 0 && value <= max)) values.add(value);
+        });
+      });
+      if (!isFloat) values.add(max);
+      return { ...variable, candidates: [...values] };
+    });
+}
+
+/**
+ * Writes a memory state, resolving Add Address pointers through the values being written
+ * @param {Map} memory - Memory (modified in place)
+ * @param {Array} variables - Variables from collectVariables
+ * @param {Map} values - Variable key to value
+ * @returns {Array} Writes { address, size, value } in the order they were made
+ */
+function applyValues(memory, variables, values) {
+  return variables.map((variable) => {
+    const offset = variable.pointer ? Math.trunc(values.get(variable.pointer.key)) >>> 0 : 0;
+    const write = { address: (variable.address + offset) >>> 0, size: variable.size, value: values.get(variable.key) };
+    writeMemoryValue(memory, write.address, write.size, write.value);
+    return write;
+  });
+}
+
+/**
+ * Gets the memory state for a frame of a candidate timeline
+ * "hold" repeats the state before the trigger and ends on the trigger state;
+ * "alternate" flips between them, for hit counts on changes (e.g. 0xH20>d0xH20.5.)
+ * @param {Object} candidate - { shape, before, after, holdFrames }
+ * @param {number} index - Frame index
+ * @returns {Map} Values for the frame
+ */
+function candidateFrame(candidate, index) {
+  if (candidate.shape === 'hold') return index < candidate.holdFrames ? candidate.before : candidate.after;
+  return index % 2 === 0 ? candidate.before : candidate.after;
+}
+
+/**
+ * Scores how close a frame came to triggering
+ * Required lines score their truth (or hit progress), Reset If and Pause If score being false
+ * @param {Object} result - Result of evaluateFrame
+ * @returns {number} Higher is closer
+ */
+function scoreFrame(result) {
+  const scoreGroup = (group) => {
+    const lines = group.lines.filter((line) => line.isTrue !== null);
+    if (lines.length === 0) return 1;
+    const total = lines.reduce((sum, line) => {
+      if (line.flag === 'R:' || line.flag === 'P:') return sum + (line.isTrue ? 0 : 1);
+      if (line.requiredHits > 0) return sum + Math.min(line.hits / line.requiredHits, 1);
+      return sum + (line.isTrue ? 1 : 0);
+    }, 0);
+    return (total / lines.length) * (group.isPaused ? 0.5 : 1);
+  };
+
+  const [core, ...alts] = result.groups;
+  const altScore = alts.length > 0 ? Math.max(...alts.map(scoreGroup)) : 1;
+  // Achievements have to be false once before they can trigger
+  return (core ? scoreGroup(core) : 1) + altScore + (result.status === 'waiting' ? 0 : 0.5);
+}
+
+/**
+ * Runs a candidate through the evaluator
+ * @param {string} logic - Logic string
+ * @param {string} separator - Group separator
+ * @param {Array} variables - Variables
+ * @param {Object} candidate - Candidate timeline
+ * @returns {Object} { triggeredAt, score, frames }
+ */
+function runCandidate(logic, separator, variables, candidate) {
+  const state = createEvaluationState(logic, separator);
+  const memory = new Map();
+  const read = (address) => memory.get(address);
+  let result = null;
+
+  for (let i = 0; i < candidate.frameCount; i++) {
+    applyValues(memory, variables, candidateFrame(candidate, i));
+    result = evaluateFrame(state, read);
+    if (result.triggered) return { triggeredAt: i + 1, score: Infinity, frames: i + 1 };
+  }
+  return { triggeredAt: null, score: result ? scoreFrame(result) : 0, frames: candidate.frameCount };
+}
+
+/**
+ * Formats a found candidate as a simulator timeline
+ * @param {Array} variables - Variables
+ * @param {Object} candidate - Candidate timeline
+ * @param {number} frameCount - Frames up to and including the trigger
+ * @param {boolean} compact - Write only what changes between frames
+ * @returns {string} NDJSON timeline
+ */
+function candidateToTimeline(variables, candidate, frameCount, compact) {
+  const entries = [];
+  const memory = new Map();
+  let previous = new Map();
+
+  for (let i = 0; i < frameCount; i++) {
+    const writes = applyValues(memory, variables, candidateFrame(candidate, i));
+    const changed = {};
+    writes.forEach((write) => {
+      const key = `${write.size}|${write.address}`;
+      if (compact && (previous.get(key) ?? 0) === write.value) return;
+      changed['0x' + write.address.toString(16).toUpperCase()] = write.size === '8-bit' ? write.value : { value: write.value, size: write.size };
+    });
+    previous = new Map(writes.map((write) => [`${write.size}|${write.address}`, write.value]));
+
+    const last = entries[entries.length - 1];
+    if (Object.keys(changed).length === 0 && last) {
+      last.repeat = (last.repeat || 1) + 1;
+    } else {
+      entries.push({ writes: changed, label: i === frameCount - 1 ? 'trigger' : 'before' });
+    }
+  }
+  return entries.map((entry) => JSON.stringify(entry)).join('\n');
+}
+
+/**
+ * Searches for memory that makes a logic string trigger
+ * @param {string} logic - Logic string
+ * @param {string} separator - Group separator
+ * @param {Object} options - Overrides for restarts and maxLineEvaluations
+ * @returns {Object} { status ('triggered' | 'unsatisfiable' | 'not found'), triggeredAt, timeline, values, contradictions, problems }
+ */
+export function solveLogic(logic, separator = 'S', options = {}) {
+  const settings = { ...DEFAULT_OPTIONS, ...options };
+  const sections = parseLogicLines(logic, separator);
+  const problems = sections.flat().filter((line) => line.problem).length;
+  const lineCount = Math.max(1, sections.flat().length);
+  const empty = { triggeredAt: null, timeline: '', values: [], contradictions: [], problems };
+
+  const contradictions = findContradictions(sections);
+  if (contradictions.length > 0) {
+    return { ...empty, status: 'unsatisfiable', contradictions };
+  }
+
+  const variables = collectVariables(sections);
+  const maxHits = sections.flat().reduce((max, { condition }) => Math.max(max, condition ? parseInt(condition.hits, 10) || 0 : 0), 0);
+  const holdFrames = Math.max(1, maxHits);
+  let budget = settings.maxLineEvaluations;
+
+  for (let restart = 0; restart < settings.restarts && budget > 0; restart++) {
+    const shape = restart % 2 === 0 ? 'hold' : 'alternate';
+    const candidate = {
+      shape,
+      holdFrames,
+      frameCount: shape === 'hold' ? holdFrames + 1 : holdFrames * 2 + 1,
+      // Each restart starts from a different mix of the candidate values
+      before: new Map(variables.map((variable, idx) =>
+        [variable.key, restart < 2 ? 0 : variable.candidates[(idx + restart) % variable.candidates.length]])),
+      after: new Map(variables.map((variable, idx) =>
+        [variable.key, restart < 2 ? 0 : variable.candidates[(idx * 3 + restart * 5) % variable.candidates.length]])),
+    };
+
+    let best = runCandidate(logic, separator, variables, candidate);
+    budget -= best.frames * lineCount;
+    let improved = true;
+
+    while (best.triggeredAt === null && improved && budget > 0) {
+      improved = false;
+      for (const values of [candidate.after, candidate.before]) {
+        for (const variable of variables) {
+          for (const value of variable.candidates) {
+            if (budget <= 0 || best.triggeredAt !== null) break;
+            const previous = values.get(variable.key);
+            if (value === previous) continue;
+
+            values.set(variable.key, value);
+            const attempt = runCandidate(logic, separator, variables, candidate);
+            budget -= attempt.frames * lineCount;
+            if (attempt.score > best.score) {
+              best = attempt;
+              improved = true;
+            } else {
+              values.set(variable.key, previous);
+            }
+          }
+        }
+      }
+    }
+
+    if (best.triggeredAt !== null) {
+      // The timeline is replayed so what is shown is exactly what triggers; overlapping
+      // reads (e.g. a bit inside a byte) can need every value rewritten each frame
+      let timeline = '';
+      let simulation = null;
+      for (const compact of [true, false]) {
+        timeline = candidateToTimeline(variables, candidate, best.triggeredAt, compact);
+        simulation = createSimulation(logic, separator, parseTimeline(timeline).frames);
+        runSimulation(simulation);
+        if (simulation.triggeredAt !== null) break;
+      }
+
+      const lastFrame = candidateFrame(candidate, best.triggeredAt - 1);
+      const beforeFrame = best.triggeredAt > 1 ? candidateFrame(candidate, best.triggeredAt - 2) : new Map();
+      const afterWrites = applyValues(new Map(), variables, lastFrame);
+      const beforeWrites = applyValues(new Map(), variables, beforeFrame);
+      return {
+        ...empty,
+        status: simulation.triggeredAt === null ? 'not found' : 'triggered',
+        triggeredAt: simulation.triggeredAt,
+        timeline,
+        values: afterWrites.map((write, idx) => ({ ...write, before: beforeWrites[idx].value ?? 0 })),
+      };
+    }
+  }
+
+  return { ...empty, status: 'not found' };
+}
+
+/**
+ * Formats a value as hex for integers, decimal for floats
+ * @param {number} value - Value
+ * @returns {string} Formatted value
+ */
+function formatValue(value) {
+  return Number.isInteger(value) && value >= 0 ? '0x' + value.toString(16).toUpperCase() : String(value);
+}
+
+/**
+ * Creates the HTML for a solver result
+ * @param {Object} result - Result of solveLogic
+ * @param {Function} getSectionLabel - Gets a group label from its index
+ * @returns {string} HTML string
+ */
+export function renderSolverResult(result, getSectionLabel) {
+  let html = '';
+  if (result.problems > 0) {
+    html += `<div class="simulator-note warning">${result.problems} line(s) could not be parsed and are left out</div>`;
+  }
+
+  if (result.status === 'unsatisfiable') {
+    html += '<div class="simulator-note warning">This logic can never trigger</div>';
+    result.contradictions.forEach((contradiction) => {
+      html += '<div class="solver-contradiction">';
+      html += `<div class="simulator-group-title">${escapeHtml(getSectionLabel(contradiction.group))}</div>`;
+      contradiction.lines.forEach((line) => {
+        html += `<code>${escapeHtml(line)}</code>`;
+      });
+      html += `<div>${escapeHtml(contradiction.reason)}</div>`;
+      html += '</div>';
+    });
+    return html;
+  }
+
+  if (result.status !== 'triggered') {
+    return html + '<div class="simulator-note">No triggering state found among the values the logic compares against. '
+      + 'This is not a proof that it cannot trigger.</div>';
+  }
+
+  html += `<div class="simulator-note triggered">Triggers on frame ${result.triggeredAt}; the timeline is loaded into the Simulator</div>`;
+  html += '<div class="solver-values">';
+  result.values.forEach((write) => {
+    html += `<span>${escapeHtml(write.size)} ${formatValue(write.address)}</span>`;
+    html += `<span>${formatValue(write.value)}${write.before !== write.value ? ` (was ${formatValue(write.before)})` : ''}</span>`;
+  });
+  html += '</div>';
+  return html;
+}
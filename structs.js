@@ -0,0 +1,291 @@
+// ============================================================================
+// STRUCT DEFINITIONS
+// ============================================================================
+//
+// A struct describes an array of records in memory: a base address, a
+// stride between slots, a slot count and named fields at fixed offsets.
+// Fields may name their bits ("0=alive, 3=boss"). Conditions refer to a
+// field as enemies[i].hp, enemies[i].flags.alive or enemies[2].hp; with
+// [i] the expansion system generates one group per slot, stepping the
+// address by the stride and using the field's size. Definitions are saved
+// as one JSON document:
+//
+//   { "version": 1, "structs": [{ "name": "enemies", "base": "0x1000", "stride": "0x20", "count": "8",
+//     "fields": [{ "name": "hp", "offset": "0x4", "size": "16-bit", "bits": "" }] }] }
+
+import { SIZE_OPTIONS, MEMORY_TYPES } from './core-constants.js';
+import { escapeHtml } from './html-renderer.js';
+
+const STRUCTS_VERSION = 1;
+
+const IDENTIFIER = /^[A-Za-z_]\w*$/;
+
+// name[index].field or name[index].field.bit, where index is i or a slot number
+const REFERENCE = /^([A-Za-z_]\w*)\[\s*(i|\d+|0x[0-9a-f]+)\s*\]\.([A-Za-z_]\w*)(?:\.([A-Za-z_]\w*))?$/i;
+
+/**
+ * Parses a number written as "0x20", "h20" or decimal
+ * @param {string|number} text - Number text
+ * @returns {number|null} Number, or null when invalid
+ */
+function parseStructNumber(text) {
+  if (typeof text === 'number') return Number.isInteger(text) && text >= 0 ? text : null;
+  const trimmed = String(text ?? '').trim();
+  if (/^(0x|h)[0-9a-f]+$/i.test(trimmed)) return parseInt(trimmed.replace(/^(0x|h)/i, ''), 16);
+  if (/^\d+$/.test(trimmed)) return parseInt(trimmed, 10);
+  return null;
+}
+
+/**
+ * Creates an empty struct definition
+ * @param {string} name - Struct name
+ * @returns {Object} Struct definition
+ */
+export function createStruct(name = 'struct') {
+  return { name, base: '0x0', stride: '0x10', count: '1', fields: [] };
+}
+
+/**
+ * Creates an empty field
+ * @param {string} name - Field name
+ * @returns {Object} Field definition
+ */
+export function createStructField(name = 'field') {
+  return { name, offset: '0x0', size: '8-bit', bits: '' };
+}
+
+/**
+ * Parses bit meanings written as "0=alive, 3=boss"
+ * @param {string} text - Bit meanings
+ * @returns {Object} { bits: Map of name to bit number, errors }
+ */
+export function parseBitMeanings(text) {
+  const bits = new Map();
+  const errors = [];
+  String(text ?? '').split(',').forEach((part) => {
+    if (!part.trim()) return;
+    const match = part.trim().match(/^([0-7])\s*=\s*([A-Za-z_]\w*)$/);
+    if (!match) {
+      errors.push(`"${part.trim()}" should look like 3=name`);
+      return;
+    }
+    if (bits.has(match[2])) {
+      errors.push(`Bit name "${match[2]}" is used twice`);
+      return;
+    }
+    bits.set(match[2], parseInt(match[1], 10));
+  });
+  return { bits, errors };
+}
+
+/**
+ * Checks a struct definition
+ * @param {Object} struct - Struct definition
+ * @param {Array} structs - All definitions, for duplicate names
+ * @returns {Array} Problems, empty when the struct is usable
+ */
+export function validateStruct(struct, structs) {
+  const errors = [];
+  if (!IDENTIFIER.test(struct.name)) errors.push(`"${struct.name}" is not a valid name (letters, digits, _)`);
+  if (structs.filter((other) => other.name === struct.name).length > 1) errors.push(`"${struct.name}" is defined twice`);
+  if (parseStructNumber(struct.base) === null) errors.push('Base must be hex (0x1000) or decimal');
+  if (!(parseStructNumber(struct.stride) > 0)) errors.push('Stride must be a positive number');
+  if (!(parseStructNumber(struct.count) > 0)) errors.push('Count must be a positive number');
+
+  struct.fields.forEach((field, idx) => {
+    const label = field.name || `Field ${idx + 1}`;
+    if (!IDENTIFIER.test(field.name)) errors.push(`${label}: not a valid name`);
+    if (struct.fields.findIndex((other) => other.name === field.name) !== idx) errors.push(`${label}: defined twice`);
+    if (parseStructNumber(field.offset) === null) errors.push(`${label}: offset must be hex or decimal`);
+    if (!SIZE_OPTIONS.Mem.includes(field.size)) errors.push(`${label}: unknown size "${field.size}"`);
+    parseBitMeanings(field.bits).errors.forEach((error) => errors.push(`${label}: ${error}`));
+  });
+  return errors;
+}
+
+/**
+ * Parses a struct reference such as enemies[i].hp
+ * @param {string} text - Reference text
+ * @returns {Object|null} { text, struct, index ('i' or a slot number), field, bit }, or null when not a reference
+ */
+export function parseStructReference(text) {
+  const match = String(text ?? '').trim().match(REFERENCE);
+  if (!match) return null;
+  return {
+    text: String(text).trim(),
+    struct: match[1],
+    index: match[2].toLowerCase() === 'i' ? 'i' : parseStructNumber(match[2]),
+    field: match[3],
+    bit: match[4] || null,
+  };
+}
+
+/**
+ * Resolves a struct reference for one slot
+ * @param {Array} structs - Struct definitions
+ * @param {Object} reference - Result of parseStructReference
+ * @param {number} slot - Slot used for [i]
+ * @returns {Object} { address, size, error }
+ */
+export function resolveStructReference(structs, reference, slot) {
+  const struct = structs.find((candidate) => candidate.name === reference.struct);
+  if (!struct) return { error: `No struct named "${reference.struct}"` };
+  const field = struct.fields.find((candidate) => candidate.name === reference.field);
+  if (!field) return { error: `${reference.struct} has no field "${reference.field}"` };
+
+  const base = parseStructNumber(struct.base);
+  const stride = parseStructNumber(struct.stride);
+  const offset = parseStructNumber(field.offset);
+  if (base === null || stride === null || offset === null) return { error: `${reference.struct} has invalid numbers` };
+
+  const index = reference.index === 'i' ? slot : reference.index;
+  const count = parseStructNumber(struct.count) || 1;
+  if (index >= count) return { error: `${reference.struct} has ${count} slots, so there is no slot ${index}` };
+
+  let size = field.size;
+  if (reference.bit) {
+    const bit = parseBitMeanings(field.bits).bits.get(reference.bit);
+    if (bit === undefined) return { error: `${reference.struct}.${reference.field} has no bit "${reference.bit}"` };
+    size = `Bit${bit}`;
+  }
+  return { address: base + index * stride + offset, size, error: null };
+}
+
+/**
+ * Gets the slot count of the struct a reference steps through
+ * @param {Array} structs - Struct definitions
+ * @param {string} text - Reference text
+ * @returns {number|null} Slot count, or null when the reference does not use [i]
+ */
+export function getStructSlotCount(structs, text) {
+  const reference = parseStructReference(text);
+  if (!reference || reference.index !== 'i') return null;
+  const struct = structs.find((candidate) => candidate.name === reference.struct);
+  return struct ? parseStructNumber(struct.count) : null;
+}
+
+/**
+ * Gets the struct references of a condition that step per slot
+ * @param {Object} condition - Condition
+ * @returns {Array} Reference texts on memory types that use [i]
+ */
+export function getSlotReferences(condition) {
+  const references = [];
+  if (condition.memoryRef && MEMORY_TYPES.includes(condition.type)) references.push(condition.memoryRef);
+  if (condition.valueRef && condition.cmp && MEMORY_TYPES.includes(condition.compareType)) references.push(condition.valueRef);
+  return references.filter((text) => parseStructReference(text)?.index === 'i');
+}
+
+/**
+ * Points a condition operand at a struct field
+ * The operand shows the reference; memory and size hold the resolved first slot so the logic stays valid
+ * @param {Array} structs - Struct definitions
+ * @param {Object} condition - Condition (modified in place)
+ * @param {string} field - 'memory' or 'value'
+ * @param {string} text - Reference text
+ * @returns {Object} { applied, error } - applied is false when the text is not a reference
+ */
+export function applyStructReference(structs, condition, field, text) {
+  const reference = parseStructReference(text);
+  if (!reference) return { applied: false, error: null };
+
+  const resolved = resolveStructReference(structs, reference, 0);
+  if (resolved.error) return { applied: false, error: resolved.error };
+
+  condition[field] = '0x' + resolved.address.toString(16).toUpperCase();
+  condition[field === 'memory' ? 'size' : 'compareSize'] = resolved.size;
+  condition[field === 'memory' ? 'memoryRef' : 'valueRef'] = reference.text;
+  return { applied: true, error: null };
+}
+
+/**
+ * Serializes struct definitions for localStorage or a download
+ * @param {Array} structs - Struct definitions
+ * @returns {string} JSON text
+ */
+export function serializeStructs(structs) {
+  return JSON.stringify({ version: STRUCTS_VERSION, structs }, null, 2);
+}
+
+/**
+ * Parses struct definitions saved by serializeStructs
+ * @param {string} text - JSON text
+ * @returns {Object} { structs, errors }
+ */
+export function parseStructs(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return { structs: [], errors: [`Not valid JSON: ${err.message}`] };
+  }
+  if (!data || !Array.isArray(data.structs)) {
+    return { structs: [], errors: ['No "structs" list found'] };
+  }
+
+  const structs = data.structs
+    .filter((raw) => raw && typeof raw === 'object')
+    .map((raw) => ({
+      ...createStruct(String(raw.name ?? '')),
+      base: String(raw.base ?? '0x0'),
+      stride: String(raw.stride ?? '0x10'),
+      count: String(raw.count ?? '1'),
+      fields: (Array.isArray(raw.fields) ? raw.fields : [])
+        .filter((field) => field && typeof field === 'object')
+        .map((field) => ({
+          ...createStructField(String(field.name ?? '')),
+          offset: String(field.offset ?? '0x0'),
+          size: String(field.size ?? '8-bit'),
+          bits: String(field.bits ?? ''),
+        })),
+    }));
+  const errors = structs.flatMap((struct) => validateStruct(struct, structs).map((error) => `${struct.name}: ${error}`));
+  return { structs, errors };
+}
+
+/**
+ * Creates the struct editor
+ * @param {Array} structs - Struct definitions
+ * @returns {string} HTML string
+ */
+export function renderStructEditor(structs) {
+  if (structs.length === 0) {
+    return '<div class="user-file-empty">No structs yet. Add one, then refer to its fields as name[i].field in a memory field.</div>';
+  }
+
+  let html = '';
+  structs.forEach((struct, structIdx) => {
+    const input = (key, width) => `<input type="text" value="${escapeHtml(struct[key])}" style="width: ${width};"
+      onchange="window.updateStruct(${structIdx}, '${key}', this.value)">`;
+
+    html += '<div class="struct-definition">';
+    html += '<div class="struct-header">';
+    html += `<span>Name</span>${input('name', '120px')}`;
+    html += `<span>Base</span>${input('base', '90px')}`;
+    html += `<span>Stride</span>${input('stride', '70px')}`;
+    html += `<span>Count</span>${input('count', '50px')}`;
+    html += `<button class="remove-btn" onclick="window.removeStruct(${structIdx})">×</button>`;
+    html += '</div>';
+
+    struct.fields.forEach((field, fieldIdx) => {
+      const fieldInput = (key, width, placeholder = '') => `<input type="text" value="${escapeHtml(field[key])}" placeholder="${placeholder}" style="width: ${width};"
+        onchange="window.updateStructField(${structIdx}, ${fieldIdx}, '${key}', this.value)">`;
+      html += '<div class="struct-field-row">';
+      html += fieldInput('name', '120px', 'name');
+      html += fieldInput('offset', '70px', 'offset');
+      html += `<select onchange="window.updateStructField(${structIdx}, ${fieldIdx}, 'size', this.value)">`;
+      html += SIZE_OPTIONS.Mem.map((size) => `<option value="${size}" ${field.size === size ? 'selected' : ''}>${size}</option>`).join('');
+      html += '</select>';
+      html += fieldInput('bits', '220px', 'bits, e.g. 0=alive, 3=boss');
+      html += `<code class="struct-field-reference">${escapeHtml(struct.name)}[i].${escapeHtml(field.name)}</code>`;
+      html += `<button class="remove-btn" onclick="window.removeStructField(${structIdx}, ${fieldIdx})">×</button>`;
+      html += '</div>';
+    });
+
+    html += `<button class="secondary-btn" onclick="window.addStructField(${structIdx})">+ Field</button>`;
+    const errors = validateStruct(struct, structs);
+    if (errors.length > 0) html += `<div class="simulator-errors">${errors.map(escapeHtml).join('\n')}</div>`;
+    html += '</div>';
+  });
+  return html;
+}
@@ -0,0 +1,148 @@
+// ============================================================================
+// RAINTEGRATION LOCAL ACHIEVEMENT FILE (<GameID>-User.txt)
+// ============================================================================
+//
+// Achievement lines are colon-separated fields; quoted fields may contain
+// colons and \" escapes:
+//   111000001:"0xH1234=1":"Title":"Description":::::Author:5:0:0:0:0:00000
+// Field 1 is the MemAddr, 2 the title, 3 the description, 8 the author, 9
+// the points and the last field the badge. Every other line is kept exactly
+// as read.
+
+import { escapeHtml } from './html-renderer.js';
+
+/**
+ * Splits a User.txt line into its raw fields, quotes and escapes included
+ * @param {string} line - One line of the file
+ * @returns {Array} Raw field strings
+ */
+export function tokenizeUserFileLine(line) {
+  const fields = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (inQuotes && char === '\\' && i + 1 < line.length) {
+      field += char + line[i + 1];
+      i++;
+    } else if (char === '"') {
+      inQuotes = !inQuotes;
+      field += char;
+    } else if (char === ':' && !inQuotes) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+/**
+ * Decodes a raw field into its text value
+ * @param {string} raw - Raw field, possibly quoted
+ * @returns {string} Unquoted, unescaped text
+ */
+export function decodeUserFileField(raw = '') {
+  if (raw.length >= 2 && raw.startsWith('"') && raw.endsWith('"')) {
+    return raw.slice(1, -1).replace(/\\(.)/g, '$1');
+  }
+  return raw;
+}
+
+/**
+ * Encodes text as a quoted field
+ * @param {string} text - Field text
+ * @returns {string} Quoted field with quotes and backslashes escaped
+ */
+export function encodeUserFileField(text) {
+  return '"' + text.replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"';
+}
+
+/**
+ * Parses a User.txt file into its lines and achievements
+ * @param {string} text - File contents
+ * @returns {Object} { lines, lineEnding, achievements }
+ */
+export function parseUserFile(text) {
+  const lineEnding = text.includes('\r\n') ? '\r\n' : '\n';
+  const lines = text.split(/\r?\n/);
+  const achievements = [];
+
+  lines.forEach((line, lineIndex) => {
+    // Achievement lines start with a numeric id; leaderboards start with "L"
+    if (!/^\d+:/.test(line)) return;
+
+    const fields = tokenizeUserFileLine(line);
+    if (fields.length < 4) {
+      console.warn('User.txt: skipping short achievement line', lineIndex + 1);
+      return;
+    }
+
+    achievements.push({
+      lineIndex,
+      fields,
+      id: fields[0],
+      memAddr: decodeUserFileField(fields[1]),
+      title: decodeUserFileField(fields[2]),
+      description: decodeUserFileField(fields[3]),
+      points: fields.length > 9 ? fields[9] : '',
+      badge: fields.length > 8 ? decodeUserFileField(fields[fields.length - 1]) : '',
+    });
+  });
+
+  return { lines, lineEnding, achievements };
+}
+
+/**
+ * Replaces an achievement's MemAddr, leaving every other field untouched
+ * @param {Object} userFile - Parsed file (modified in place)
+ * @param {number} index - Achievement index
+ * @param {string} memAddr - The new logic string
+ */
+export function setUserFileMemAddr(userFile, index, memAddr) {
+  const achievement = userFile.achievements[index];
+  if (!achievement) return;
+
+  achievement.memAddr = memAddr;
+  achievement.fields[1] = encodeUserFileField(memAddr);
+}
+
+/**
+ * Serializes a parsed file back to text
+ * @param {Object} userFile - Parsed file
+ * @returns {string} File contents
+ */
+export function serializeUserFile(userFile) {
+  const lines = [...userFile.lines];
+  userFile.achievements.forEach((achievement) => {
+    lines[achievement.lineIndex] = achievement.fields.join(':');
+  });
+  return lines.join(userFile.lineEnding);
+}
+
+/**
+ * Creates the HTML for the achievement list
+ * @param {Object} userFile - Parsed file
+ * @param {number|null} activeIndex - Achievement currently open in the builder
+ * @returns {string} HTML string for the list
+ */
+export function renderUserFileList(userFile, activeIndex) {
+  if (userFile.achievements.length === 0) {
+    return '<div class="user-file-empty">No achievements found</div>';
+  }
+
+  let html = '';
+  userFile.achievements.forEach((achievement, idx) => {
+    html += `<div class="user-file-row ${idx === activeIndex ? 'active' : ''}">`;
+    html += `<span class="user-file-id">${escapeHtml(achievement.id)}</span>`;
+    html += `<span class="user-file-title">${escapeHtml(achievement.title)}</span>`;
+    html += `<span class="user-file-description">${escapeHtml(achievement.description)}</span>`;
+    html += `<span class="user-file-points">${escapeHtml(achievement.points)} pts</span>`;
+    html += `<button class="secondary-btn" onclick="window.openUserFileAchievement(${idx})" ${idx === activeIndex ? 'disabled' : ''}>${idx === activeIndex ? 'Editing' : 'Open'}</button>`;
+    html += '</div>';
+  });
+  return html;
+}
@@ -3,9 +3,11 @@
 // ============================================================================
 
 import { MEMORY_TYPES } from './core-constants.js';
+import { normalizeConstantInput, parseConstantValue } from './values.js';
 
 /**
  * Normalizes hex/decimal input based on type
+ * Input that cannot be understood is kept as typed; see isValidConditionField
  * @param {string} value - Input value to normalize
  * @param {boolean} isMemoryType - Whether this is a memory type (needs hex format)
  * @returns {string} Normalized value
@@ -23,28 +25,28 @@ export function normalizeHexInput(value, isMemoryType) {
       return '0x' + value.slice(1).toUpperCase();
     if (value.match(/^[0-9A-Fa-f]+$/)) return '0x' + value.toUpperCase(); // Assume hex
 
-    // Convert decimal to hex
-    const num = parseInt(value, 10);
-    if (!isNaN(num)) return '0x' + num.toString(16).toUpperCase();
-
-    return '0x0';
+    return value;
   } else {
-    // Value types: convert to decimal
-    if (value.match(/^-?\d+$/)) return value; // Already decimal
-    if (value.match(/^0x[0-9A-Fa-f]+$/i)) return parseInt(value, 16).toString();
-    if (value.match(/^h[0-9A-Fa-f]+$/i))
-      return parseInt(value.slice(1), 16).toString();
-    if (value.match(/^[0-9A-Fa-f]+$/i)) {
-      // Ambiguous - could be hex or decimal
-      // Try as hex first if it contains A-F
-      if (value.match(/[A-Fa-f]/)) return parseInt(value, 16).toString();
-      return value; // Treat as decimal
-    }
-
-    return '0';
+    // Value types: decimal, hex (h1F) or float (f1.5) constants
+    return normalizeConstantInput(value).text;
   }
 }
 
+/**
+ * Checks whether a condition's memory or value field holds a usable operand
+ * @param {Object} condition - The condition object
+ * @param {string} field - 'memory' or 'value'
+ * @returns {boolean} Whether the field is valid for its type
+ */
+export function isValidConditionField(condition, field) {
+  const type = field === 'memory' ? condition.type : condition.compareType;
+  const text = String(condition[field] ?? '').trim();
+
+  if (type === 'Recall') return true;
+  if (MEMORY_TYPES.includes(type)) return /^0x[0-9A-Fa-f]+$/i.test(text);
+  return parseConstantValue(text) !== null;
+}
+
 /**
  * Validates and normalizes a field value for a condition
  * @param {Object} condition - The condition object
@@ -0,0 +1,89 @@
+// ============================================================================
+// VALUE LISTS
+// ============================================================================
+//
+// Explicit operands for an expansion line, one per generated group: stage IDs
+// 3, 7, 12, 40 typed into the panel, or a column of item IDs from a
+// spreadsheet exported as CSV. Entries are separated by commas, semicolons,
+// spaces or new lines and normalized like typed fields (normalizeHexInput):
+// addresses become 0x hex, values decimal, h hex or f float constants.
+
+import { MEMORY_TYPES, SIZE_MAX_VALUES } from './core-constants.js';
+import { normalizeHexInput } from './validation.js';
+import { parseConstantValue } from './values.js';
+import { splitCsvLine } from './code-notes.js';
+
+/**
+ * Splits list text into its entries
+ * @param {string} text - List text
+ * @returns {Array} Entry strings, without blanks
+ */
+export function splitValueList(text) {
+  return String(text ?? '')
+    .split(/[\s,;]+/)
+    .filter((entry) => entry !== '');
+}
+
+/**
+ * Parses and validates a list for one operand
+ * @param {string} text - List text
+ * @param {string} type - The operand type the list replaces
+ * @param {string|null} comparedSize - Size of the memory the values are compared with, if any
+ * @returns {Object} { entries, error } - normalized entries, error names the first bad entry
+ */
+export function parseValueList(text, type, comparedSize) {
+  if (type === 'Recall') return { entries: [], error: 'A Recall operand has nothing to list' };
+
+  const isMemoryType = MEMORY_TYPES.includes(type);
+  const max = comparedSize ? SIZE_MAX_VALUES[comparedSize] : undefined;
+  const entries = [];
+
+  for (const [idx, raw] of splitValueList(text).entries()) {
+    const entry = normalizeHexInput(raw, isMemoryType);
+
+    if (isMemoryType) {
+      if (!/^0x[0-9A-Fa-f]+$/.test(entry) || parseInt(entry.slice(2), 16) > 0xffffffff) {
+        return { entries, error: `Entry ${idx + 1} "${raw}" is not an address` };
+      }
+    } else {
+      const constant = parseConstantValue(entry);
+      if (!constant) {
+        return { entries, error: `Entry ${idx + 1} "${raw}" is not a value` };
+      }
+      // Integer sizes never read negatives or more than their maximum
+      if (max !== undefined && constant.kind !== 'float' && (constant.number < 0 || constant.number > max)) {
+        return { entries, error: `Entry ${idx + 1} "${raw}" does not fit ${comparedSize} (0-${max})` };
+      }
+    }
+    entries.push(entry);
+  }
+
+  return { entries, error: null };
+}
+
+/**
+ * Splits CSV text into columns
+ * The first row is a header when none of its cells are numbers
+ * @param {string} text - CSV text
+ * @returns {Object} { headers, columns, error } - columns hold the non-blank cells of each column
+ */
+export function parseCsvColumns(text) {
+  const rows = String(text ?? '')
+    .split(/\r?\n/)
+    .filter((row) => row.trim() !== '')
+    .map((row) => splitCsvLine(row).map((cell) => cell.trim()));
+  if (rows.length === 0) return { headers: [], columns: [], error: 'The file has no rows' };
+
+  const isNumber = (cell) => /^((0x|h)[0-9a-f]+|f?[+-]?\d+(\.\d*)?)$/i.test(cell);
+  const hasHeader = rows[0].every((cell) => cell === '' || !isNumber(cell));
+  const dataRows = hasHeader ? rows.slice(1) : rows;
+  const width = Math.max(...rows.map((row) => row.length));
+
+  const headers = [];
+  const columns = [];
+  for (let col = 0; col < width; col++) {
+    headers.push((hasHeader && rows[0][col]) || `Column ${col + 1}`);
+    columns.push(dataRows.map((row) => row[col] ?? '').filter((cell) => cell !== ''));
+  }
+  return { headers, columns, error: null };
+}
@@ -0,0 +1,136 @@
+// ============================================================================
+// CONSTANT VALUES (DECIMAL / HEX / FLOAT)
+// ============================================================================
+
+// rcheevos stores constants in 32 bits; negative decimals wrap like signed values
+const MIN_SIGNED_32 = -0x80000000;
+const MAX_UNSIGNED_32 = 0xffffffff;
+
+/**
+ * Parses a constant as written in a logic string
+ * Accepts decimal ("12", "-3"), hex ("h1F") and float ("f1.5", "f-0.25")
+ * @param {string} text - The constant text
+ * @returns {Object|null} { kind: 'decimal'|'hex'|'float', number } or null when invalid
+ */
+export function parseConstantValue(text) {
+  const trimmed = String(text ?? '').trim();
+
+  const decimalMatch = trimmed.match(/^[+-]?\d+$/);
+  if (decimalMatch) {
+    const number = parseInt(trimmed, 10);
+    if (number < MIN_SIGNED_32 || number > MAX_UNSIGNED_32) return null;
+    return { kind: 'decimal', number };
+  }
+
+  const hexMatch = trimmed.match(/^[hH]([0-9A-Fa-f]+)$/);
+  if (hexMatch) {
+    const number = parseInt(hexMatch[1], 16);
+    if (number > MAX_UNSIGNED_32) return null;
+    return { kind: 'hex', number };
+  }
+
+  const floatMatch = trimmed.match(/^[fF]([+-]?(?:\d+\.?\d*|\.\d+))$/);
+  if (floatMatch) {
+    return { kind: 'float', number: parseFloat(floatMatch[1]) };
+  }
+
+  return null;
+}
+
+/**
+ * Writes a float in plain decimal notation, since String() switches to 1e+21 or 1e-7 form
+ * @param {number} number - The float
+ * @returns {string} Decimal digits with an optional sign and point
+ */
+export function formatFloatNumber(number) {
+  const text = String(number);
+  const match = text.match(/^(-?)(\d)(?:\.(\d+))?e([+-]\d+)$/);
+  if (!match) return text;
+
+  const [, sign, lead, rest = '', exponent] = match;
+  const digits = lead + rest;
+  const point = 1 + parseInt(exponent, 10);
+  if (point <= 0) return `${sign}0.${'0'.repeat(-point)}${digits}`;
+  if (point >= digits.length) return sign + digits + '0'.repeat(point - digits.length);
+  return `${sign}${digits.slice(0, point)}.${digits.slice(point)}`;
+}
+
+/**
+ * Formats a parsed constant back into logic string form
+ * @param {Object} constant - { kind, number } from parseConstantValue
+ * @returns {string} Canonical constant text
+ */
+export function formatConstantValue(constant) {
+  if (constant.kind === 'hex') {
+    return 'h' + constant.number.toString(16).toUpperCase();
+  }
+  if (constant.kind === 'float') {
+    return 'f' + formatFloatNumber(constant.number);
+  }
+  return String(constant.number);
+}
+
+/**
+ * Gets the text to serialize for a constant
+ * Valid constants are written in canonical form, anything else is kept as-is
+ * @param {string} text - The stored constant text
+ * @returns {string} Text for the logic string
+ */
+export function toConstantText(text) {
+  const constant = parseConstantValue(text);
+  return constant ? formatConstantValue(constant) : String(text ?? '').trim();
+}
+
+/**
+ * Normalizes constant input typed into the builder
+ * Also accepts "0x1F" and bare hex containing A-F as hex, and "1.5" as float
+ * @param {string} text - The user input
+ * @returns {Object} { text, valid } - invalid input is returned unchanged
+ */
+export function normalizeConstantInput(text) {
+  const trimmed = String(text ?? '').trim();
+  if (!trimmed) return { text: '0', valid: true };
+
+  let candidate = trimmed;
+  if (/^0x[0-9A-Fa-f]+$/i.test(trimmed)) {
+    candidate = 'h' + trimmed.slice(2);
+  } else if (/^[0-9A-Fa-f]+$/.test(trimmed) && /[A-Fa-f]/.test(trimmed)) {
+    candidate = 'h' + trimmed;
+  } else if (/^[+-]?(?:\d+\.\d*|\.\d+)$/.test(trimmed)) {
+    candidate = 'f' + trimmed;
+  }
+
+  const constant = parseConstantValue(candidate);
+  if (!constant) return { text: trimmed, valid: false };
+  return { text: formatConstantValue(constant), valid: true };
+}
+
+/**
+ * Checks whether a constant is zero in any notation ("0", "h0", "f0.0")
+ * @param {string} text - The constant text
+ * @returns {boolean} Whether the constant is zero
+ */
+export function isZeroConstant(text) {
+  const constant = parseConstantValue(text);
+  return constant !== null && constant.number === 0;
+}
+
+/**
+ * Adds an offset to a constant, keeping its notation
+ * Used when expansions step a compared Value instead of an address
+ * @param {string} text - The constant text
+ * @param {number} offset - Amount to add
+ * @returns {string|null} The offset constant, the original text when invalid, or null when the result
+ *   no longer fits the constant's 32-bit range
+ */
+export function offsetConstantValue(text, offset) {
+  const constant = parseConstantValue(text);
+  if (!constant) return text;
+
+  const number = constant.number + offset;
+  if (constant.kind !== 'float') {
+    const min = constant.kind === 'hex' ? 0 : MIN_SIGNED_32;
+    if (!Number.isInteger(number) || number < min || number > MAX_UNSIGNED_32) return null;
+  }
+  return formatConstantValue({ kind: constant.kind, number });
+}